@@ -1,29 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.17;
 
-import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/cryptography/MerkleProofUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
-
-import "./payroll/ApproverManager.sol";
-import "./interfaces/IAllowanceModule.sol";
-
-// Errors
-error CannotRenounceOwnership();
-error SweepFailed(address tokenAddress, uint256 amount);
-error InvalidPayoutSignature(bytes signature);
-error PayrollDataLengthMismatch();
-error RootSignatureLengthMismatch();
-error PaymentTokenLengthMismatch();
-error TokensLeftInContract(address tokenAddress);
-error PayoutNonceAlreadyExecuted(uint64 nonce);
-error TokensNotSorted(address tokenAddress1, address tokenAddress2);
-error UnauthorizedTransfer();
-error InvalidSignatureLength();
+import "./ParcelPayrollBase.sol";
 
 /**
  * @title ParcelPayroll
@@ -37,60 +15,20 @@ error InvalidSignatureLength();
  * @author Krishna Kant Sharma - <krishna@parcel.money>
  */
 
-contract ParcelPayroll is
-    UUPSUpgradeable,
-    OwnableUpgradeable,
-    ReentrancyGuardUpgradeable,
-    PausableUpgradeable,
-    ApproverManager
-{
-    using SafeERC20Upgradeable for IERC20Upgradeable;
-    using ECDSAUpgradeable for bytes32;
-
-    /**
-     * @dev Emitted when the contract is initialized
-     * @param orgAddress - Address of the organization's safe
-     * @param approvers - Array of approver addresses
-     * @param approvalsRequired - Number of approvals required for a payout to be executed
-     */
-    event OrgSetup(
-        address indexed orgAddress,
-        address[] indexed approvers,
-        uint128 approvalsRequired
-    );
-
-    /**
-     * @dev Emitted when a payout is successfully executed
-     * @param tokenAddress - Address of the token being paid out
-     * @param to - Address of the recipient
-     * @param amount - Amount being paid out
-     * @param payoutNonce - Nonce of the payout
-     */
-    event PayoutSuccessful(
-        address tokenAddress,
-        address to,
-        uint256 amount,
-        uint256 payoutNonce
-    );
-
+contract ParcelPayroll is ParcelPayrollBase {
     /**
-     * @dev Emitted when a payout execution fails
-     * @param tokenAddress - Address of the token being paid out
-     * @param to - Address of the recipient
-     * @param amount - Amount being paid out
-     * @param payoutNonce - Nonce of the payout
+     * @dev First module of the implementation, the calls to the functions ParcelPayroll doesn't implement are delegated to it
      */
-    event PayoutFailed(
-        address tokenAddress,
-        address to,
-        uint256 amount,
-        uint256 payoutNonce
-    );
+    address internal immutable module;
 
     /**
      * @dev Constructor
+     * @param _module - Address of the first module, see PayrollModule
      */
-    constructor() {
+    constructor(address _module) {
+        if (_module == address(0)) revert InvalidAddressProvided(_module);
+        module = _module;
+
         // So that the contract cannot be initialized again and become singleton
         _disableInitializers();
     }
@@ -100,13 +38,23 @@ contract ParcelPayroll is
      */
     receive() external payable {}
 
+    /**
+     * @dev Delegate the calls to the functions implemented by the modules
+     */
+    fallback() external {
+        delegateToModule(module);
+    }
+
     /**
      * @dev Initialize the payroll contract. Called when a new payroll contract is deployed / org is onboarded
+     * @param safeAddress - Address of the organization's safe
+     * @param _allowanceModule - Address of the Safe AllowanceModule of the network
      * @param _approvers - Array of approver addresses
      * @param approvalsRequired - Number of approvals required for a payout to be executed
      */
     function initialize(
         address safeAddress,
+        address _allowanceModule,
         address[] calldata _approvers,
         uint128 approvalsRequired
     ) external initializer {
@@ -118,26 +66,11 @@ contract ParcelPayroll is
         _cachedDomainSeparator = _buildDomainSeparator(address(this));
         _cachedThis = address(this);
 
+        setupAllowanceModule(_allowanceModule);
         setupApprovers(_approvers, approvalsRequired);
         emit OrgSetup(safeAddress, _approvers, approvalsRequired);
     }
 
-    /**
-     * @dev Helper function to execute an ERC20 transfer safely for the try catch block. This can only be called by the contract itself
-     * @param token - Address of the token to transfer
-     * @param to - Address of the recipient
-     * @param amount - Amount to transfer
-     */
-    function safeTransferExternal(
-        IERC20Upgradeable token,
-        address to,
-        uint256 amount
-    ) external {
-        if (msg.sender != address(this)) revert UnauthorizedTransfer();
-
-        token.safeTransfer(to, amount);
-    }
-
     /**
      * @dev Validate the payroll transaction hashes and execute the payroll
      * @param to Addresses to send the funds to
@@ -147,7 +80,10 @@ contract ParcelPayroll is
      * @param proof Merkle proof of the payroll transaction hashes
      * @param roots Merkle roots of the payroll transaction hashes
      * @param signatures Signatures of the payroll transaction hashes
-     * @notice In a Batch of payouts, if one payout fails, the rest of the batch is continued after emitting the PayoutFailed event. In this case, the amount of the failed payout is left on the contract. The sweep function can be used to return the failed payout amount to the org safe in a separate transaction.
+     * @notice In a Batch of payouts, if one payout fails, the rest of the batch is continued after emitting the PayoutFailed event. In this case, the amount of the failed payout is left on the contract, locked for its payout nonce. The org safe can retry it with retryFailedPayout or refund it with refundFailedPayout in a separate transaction.
+     * @notice A payout exceeding the spending caps of its token is not fetched, it emits the PayoutFailed event with the cap exceeded as reason and keeps its nonce unused.
+     * @notice A payout is approved when its signers reach the threshold, or the threshold of each role required by its amount band, see RoleManager.
+     * @notice Payouts with a validity window are executed with executeScheduledPayroll.
      */
     function executePayroll(
         address[] memory to,
@@ -158,212 +94,134 @@ contract ParcelPayroll is
         bytes32[] memory roots,
         bytes[] memory signatures
     ) external nonReentrant whenNotPaused {
-        // Caching array lengths
-        uint128 payoutLength = uint128(to.length);
-        uint128 rootLength = uint128(roots.length);
-        bool[] memory isApproved = new bool[](payoutLength);
-
-        // Validate the Input Data
-        if (
-            payoutLength == 0 ||
-            payoutLength != tokenAddress.length ||
-            payoutLength != amount.length ||
-            payoutLength != payoutNonce.length
-        ) revert PayrollDataLengthMismatch();
-
-        if (rootLength != signatures.length)
-            revert RootSignatureLengthMismatch();
-
-        validateSignatures(roots, signatures);
-
-        {
-            // Initialize the flag token amount to fetch
-            uint256 tokenFlagAmountToFetch = 0;
-
-            // Initialize the flag token address
-            address tokenFlag = tokenAddress[0];
-
-            // Initialize the approvals array
-
-            // Loop through the payouts
-            for (uint256 i = 0; i < payoutLength; i++) {
-                // Revert if the payout nonce has already been executed
-                if (getPayoutNonce(payoutNonce[i]))
-                    revert PayoutNonceAlreadyExecuted(payoutNonce[i]);
-
-                // Generate the leaf from the payout data
-                bytes32 leaf = encodeTransactionData(
-                    to[i],
-                    tokenAddress[i],
-                    amount[i],
-                    payoutNonce[i]
-                );
-
-                // Initialize the approvals counter
-                uint256 approvals;
-
-                // Loop through the roots
-                for (
-                    uint256 j = 0;
-                    j < rootLength && approvals < threshold;
-                    j++
-                ) {
-                    // Verify the root has been validated
-                    // Verify the proof against the current root and increment the approvals counter
-
-                    if (
-                        MerkleProofUpgradeable.verify(
-                            proof[i][j],
-                            roots[j],
-                            leaf
-                        )
-                    ) {
-                        ++approvals;
-                    }
-                }
-
-                // Check if the approvals are greater than or equal to the required approvals
-                if (approvals >= threshold) {
-                    // Set the approval to true
-                    isApproved[i] = true;
-
-                    // Check if the token address is the same as the flag token address
-                    if (tokenFlag != tokenAddress[i]) {
-                        // Enforce ascending order of token addresses
-                        if (tokenFlag > tokenAddress[i])
-                            revert TokensNotSorted(tokenFlag, tokenAddress[i]);
-
-                        // Fetch the flag token from Gnosis
-                        execTransactionFromGnosis(
-                            tokenFlag,
-                            uint96(tokenFlagAmountToFetch)
-                        );
-                        // Set the flag token address to the current token address
-                        tokenFlag = tokenAddress[i];
-                        // Reset the flag token amount to fetch
-                        tokenFlagAmountToFetch = 0;
-                    }
-                    // Add the current payout amount to the flag token amount to fetch
-                    tokenFlagAmountToFetch += amount[i];
-                }
-            }
-            if (tokenFlagAmountToFetch > 0) {
-                // Fetch the flag token from Gnosis
-                execTransactionFromGnosis(
-                    tokenFlag,
-                    uint96(tokenFlagAmountToFetch)
-                );
-            }
-        }
-        // Loop through the approvals
-        for (uint256 i = 0; i < payoutLength; i++) {
-            // Transfer the funds to the recipient (to) addresses
-            if (isApproved[i] && !getPayoutNonce(payoutNonce[i])) {
-                if (tokenAddress[i] == address(0)) {
-                    // Transfer Native tokens
-                    (bool sent, bytes memory data) = to[i].call{
-                        value: amount[i]
-                    }("");
-
-                    if (!sent) {
-                        emit PayoutFailed(
-                            address(0),
-                            to[i],
-                            amount[i],
-                            payoutNonce[i]
-                        );
-                    } else {
-                        packPayoutNonce(payoutNonce[i]);
-                        emit PayoutSuccessful(
-                            address(0),
-                            to[i],
-                            amount[i],
-                            payoutNonce[i]
-                        );
-                    }
-                } else {
-                    // Transfer ERC20 tokens
-                    try
-                        this.safeTransferExternal(
-                            IERC20Upgradeable(tokenAddress[i]),
-                            to[i],
-                            amount[i]
-                        )
-                    {
-                        packPayoutNonce(payoutNonce[i]);
-                        emit PayoutSuccessful(
-                            tokenAddress[i],
-                            to[i],
-                            amount[i],
-                            payoutNonce[i]
-                        );
-                    } catch {
-                        emit PayoutFailed(
-                            tokenAddress[i],
-                            to[i],
-                            amount[i],
-                            payoutNonce[i]
-                        );
-                    }
-                }
-            } else {
-                emit PayoutFailed(
-                    tokenAddress[i],
-                    to[i],
-                    amount[i],
-                    payoutNonce[i]
-                );
-            }
-        }
+        executeSignedPayroll(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            new uint64[](0),
+            new uint64[](0),
+            proof,
+            roots,
+            signatures
+        );
     }
 
     /**
-     * @dev Sweep the contract balance
-     * @param tokenAddress - Address of the token to sweep
+     * @dev Execute the payroll like executePayroll, with the validity window of each payout
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, empty if no payout of the batch is scheduled
+     * @param validUntil Timestamps after which the payouts expire, empty if no payout of the batch is scheduled
+     * @param proof Merkle proof of the payroll transaction hashes
+     * @param roots Merkle roots of the payroll transaction hashes
+     * @param signatures Signatures of the payroll transaction hashes
+     * @notice A payout executed outside of its validity window is skipped after emitting the PayoutOutsideValidity event. Its nonce is left unused, so a premature payout can be executed again once it is valid.
      */
-    function sweep(address tokenAddress) external nonReentrant {
-        if (tokenAddress == address(0)) {
-            // Transfer native tokens
-            (bool sent, bytes memory data) = owner().call{
-                value: address(this).balance
-            }("");
-
-            if (!sent) revert SweepFailed(address(0), address(this).balance);
-        } else {
-            IERC20Upgradeable IERC20Token = IERC20Upgradeable(tokenAddress);
-            try
-                this.safeTransferExternal(
-                    IERC20Token,
-                    owner(),
-                    IERC20Token.balanceOf(address(this))
-                )
-            {
-                // Transfer ERC20 tokens
-            } catch {
-                revert SweepFailed(
-                    tokenAddress,
-                    IERC20Token.balanceOf(address(this))
-                );
-            }
-        }
+    function executeScheduledPayroll(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        bytes32[][][] memory proof,
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    ) external nonReentrant whenNotPaused {
+        executeSignedPayroll(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            proof,
+            roots,
+            signatures
+        );
     }
 
     /**
-     * @dev Cancel a payout nonce
-     * @param nonce nonce of the payout
-     * @param signature signature of the nonce
+     * @dev Validate the payroll transaction hashes with one multiproof per root and execute the payroll
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, empty if no payout of the batch is scheduled
+     * @param validUntil Timestamps after which the payouts expire, empty if no payout of the batch is scheduled
+     * @param proofs Multiproof of the payouts included in each root
+     * @param roots Merkle roots of the payroll transaction hashes
+     * @param signatures Signatures of the payroll transaction hashes
+     * @notice Executes like executeScheduledPayroll, the sibling hashes shared by the payouts of a root are sent and hashed once. A root whose multiproof doesn't verify reverts the batch.
      */
-    function invalidateNonce(uint64 nonce, bytes memory signature) external {
-        // Check if the nonce is valid
+    function executePayrollWithMultiProofs(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        MultiProof[] memory proofs,
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    ) external nonReentrant whenNotPaused {
+        // Validate the Input Data
+        validatePayrollData(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil
+        );
 
-        address signer = validateCancelNonce(nonce, signature);
+        if (roots.length != signatures.length)
+            revert RootSignatureLengthMismatch();
+        if (roots.length != proofs.length) revert MultiProofLengthMismatch();
+
+        uint256[] memory approvalMasks = getMultiProofApprovalMasks(
+            encodePayoutLeaves(
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                validAfter,
+                validUntil
+            ),
+            proofs,
+            roots,
+            validateSignatures(roots, signatures)
+        );
 
-        if (!isApprover(signer)) {
-            revert OnlyApprover();
+        // Payouts outside of their validity window are not approved, they are not fetched
+        RoleMasks memory roleMasks = getRoleMasks();
+        bool[] memory isApproved = new bool[](to.length);
+        for (uint256 i = 0; i < to.length; i++) {
+            isApproved[i] =
+                isWithinValidity(
+                    validityAt(validAfter, i),
+                    validityAt(validUntil, i)
+                ) &&
+                isPayoutApproved(
+                    tokenAddress[i],
+                    amount[i],
+                    approvalMasks[i],
+                    roleMasks
+                );
         }
 
-        // Invalidate the nonce
-        packPayoutNonce(nonce);
+        processPayouts(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            isApproved
+        );
     }
 
     /**
@@ -375,17 +233,23 @@ contract ParcelPayroll is
 
     /**
      * @dev Unpause the contract
+     * @notice A retired contract stays paused
      */
     function unpause() external onlyOwner {
+        if (retiredAt != 0) revert CannotUnpauseRetiredPayroll();
         _unpause();
     }
 
     /**
-     * @dev Renounce ownership of the contract
-     * @notice This function is overridden to prevent renouncing ownership
+     * @dev Retire the contract before offboarding it from the factory, it is paused for good
+     * @notice Vested streams, failed payouts and sweeps stay available to return the funds held by the contract
      */
-    function renounceOwnership() public view override onlyOwner {
-        revert CannotRenounceOwnership();
+    function retire() external onlyOwner {
+        if (retiredAt != 0) revert PayrollAlreadyRetired();
+        if (!paused()) _pause();
+
+        retiredAt = block.timestamp;
+        emit PayrollRetired(block.timestamp);
     }
 
     /**
@@ -401,270 +265,65 @@ contract ParcelPayroll is
         address tokenAddress,
         uint256 amount,
         uint64 payoutNonce
-    ) public view returns (bytes32) {
-        return
-            keccak256(
-                abi.encode(owner(), to, tokenAddress, amount, payoutNonce)
-            );
-    }
-
-    /**
-     * @dev Get usage status of a payout nonce
-     * @param payoutNonce Payout nonce to check
-     * @return Boolean, true for used, false for unused
-     */
-    function getPayoutNonce(uint256 payoutNonce) public view returns (bool) {
-        // Each payout nonce is packed into a uint256, so the index of the uint256 in the array is the payout nonce / 256
-        uint256 slotIndex = uint248(payoutNonce >> 8);
-
-        // The bit index of the uint256 is the payout nonce % 256 (0-255)
-        uint256 bitIndex = uint8(payoutNonce);
-
-        // If the bit is set, the payout nonce has been used, if not, it has not been used
-        return (packedPayoutNonces[slotIndex] & (1 << bitIndex)) != 0;
+    ) external view returns (bytes32) {
+        return encodePayoutLeaf(to, tokenAddress, amount, payoutNonce);
     }
 
     /**
-     * @dev generate the hash of the payroll transaction
-     * @param rootHash hash = hash of the merkle roots signed by the approver
-     * @return bytes32 hash
-     */
-    function generateTransactionHash(
-        bytes32 rootHash
-    ) public view returns (bytes32) {
-        bytes32 digest = keccak256(
-            abi.encodePacked(
-                bytes1(0x19),
-                bytes1(0x01),
-                getDomainSeparator(),
-                keccak256(abi.encode(PAYROLL_TX_TYPEHASH, rootHash))
-            )
-        );
-        return digest;
-    }
-
-    /**
-     * @dev generate the hash of the cancel transaction
-     * @param nonce nonce of the payout
-     * @return bytes32 hash
-     */
-    function getCancelTransactionHash(
-        uint64 nonce
-    ) public view returns (bytes32) {
-        bytes32 digest = keccak256(
-            abi.encodePacked(
-                bytes1(0x19),
-                bytes1(0x01),
-                getDomainSeparator(),
-                keccak256(abi.encode(CANCEL_NONCE, nonce))
-            )
-        );
-        return digest;
-    }
-
-    /**
-     * @dev Set usage status of a payout nonce
-     * @param payoutNonce Payout nonce to set
-     */
-    function packPayoutNonce(uint256 payoutNonce) internal {
-        // Packed payout nonces are stored in an array of uint256
-        // Each uint256 represents 256 payout nonces
-
-        // Each payout nonce is packed into a uint256, so the index of the uint256 in the array is the payout nonce / 256
-        uint256 slot = uint248(payoutNonce >> 8);
-
-        // The bit index of the uint256 is the payout nonce % 256 (0-255)
-        uint256 bitIndex = uint8(payoutNonce);
-
-        // Set the bit to 1
-        // This means that the payout nonce has been used
-        packedPayoutNonces[slot] |= 1 << bitIndex;
-    }
-
-    /**
-     * @dev This function validates the signature and verifies if signatures are unique and the approver belongs to safe
-     * @param roots Address of the token to send
-     * @param signatures Amount of tokens to send
-     */
-    function validateSignatures(
-        bytes32[] memory roots,
-        bytes[] memory signatures
-    ) internal view {
-        uint256 rootLength = roots.length;
-        // Validate the roots via approver signatures
-        address currentApprover;
-        for (uint256 i = 0; i < rootLength; ) {
-            // Recover signer from the signature
-            address signer = validatePayrollTxHashes(roots[i], signatures[i]);
-            // Check if the signer is an approver & is different from the current approver
-            if (
-                signer == SENTINEL_APPROVER ||
-                approvers[signer] == address(0) ||
-                signer <= currentApprover
-            ) revert InvalidPayoutSignature(signatures[i]);
-
-            // Set the current approver to the signer
-            currentApprover = signer;
-
-            unchecked {
-                i++;
-            }
-        }
-    }
-
-    /**
-     * @dev Execute transaction from Gnosis Safe
+     * @dev Encode the transaction data for a scheduled payroll payout
+     * @param to Address to send the funds to
      * @param tokenAddress Address of the token to send
      * @param amount Amount of tokens to send
+     * @param payoutNonce Payout nonce to use
+     * @param validAfter Timestamp before which the payout can't be executed, 0 if it is valid immediately
+     * @param validUntil Timestamp after which the payout expires, 0 if it never expires
+     * @return encodedHash Encoded hash of the transaction data
+     * @notice A payout without validity window (both timestamps 0) is encoded as by encodeTransactionData
      */
-    function execTransactionFromGnosis(
+    function encodeScheduledTransactionData(
+        address to,
         address tokenAddress,
-        uint96 amount
-    ) internal {
-        uint256 contractBalance;
-        if (tokenAddress != address(0)) {
-            contractBalance = IERC20Upgradeable(tokenAddress).balanceOf(
-                address(this)
-            );
-        } else {
-            contractBalance = address(this).balance;
-        }
-
-        // If the contract balance is greater than or equal to the required amount, no need to fetch more tokens from safe
-        if (contractBalance >= amount) return;
-
-        // Execute payout via allowance module
-        // Fetch amount is the difference between the flag token amount to fetch and the current token balance
-        IAllowanceModule(ALLOWANCE_MODULE).executeAllowanceTransfer(
-            owner(),
-            tokenAddress,
-            payable(address(this)),
-            amount - uint96(contractBalance),
-            address(0),
-            0,
-            address(this),
-            bytes("")
-        );
-    }
-
-    function _authorizeUpgrade(
-        address newImplementation
-    ) internal override onlyOwner {}
-
-    /**
-     * @dev get the domain separator
-     * @return bytes32 domain separator
-     * @dev - This function is uses cached domain separator when possible to save gas
-     */
-    function getDomainSeparator() internal view returns (bytes32) {
-        if (address(this) == _cachedThis && block.chainid == _cachedChainId) {
-            return _cachedDomainSeparator;
-        } else {
-            return _buildDomainSeparator(address(this));
-        }
-    }
-
-    /**
-     * @dev Build the domain separator
-     * @param proxy address of the proxy contract
-     * @return bytes32 domain separator
-     */
-    function _buildDomainSeparator(
-        address proxy
-    ) internal view returns (bytes32) {
+        uint256 amount,
+        uint64 payoutNonce,
+        uint64 validAfter,
+        uint64 validUntil
+    ) external view returns (bytes32) {
         return
-            keccak256(
-                abi.encode(
-                    EIP712_DOMAIN_TYPEHASH,
-                    keccak256(bytes(NAME)),
-                    keccak256(bytes(VERSION)),
-                    block.chainid,
-                    proxy
-                )
+            encodeScheduledPayoutLeaf(
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                validAfter,
+                validUntil
             );
     }
 
     /**
-     * @dev split the signature into v, r, s
-     * @param signature bytes32 signature
-     * @return v uint8 v
-     * @return r bytes32 r
-     * @return s bytes32 s
+     * @dev Get usage status of a payout nonce
+     * @param payoutNonce Payout nonce to check
+     * @return Boolean, true for used, false for unused
      */
-    function splitSignature(
-        bytes memory signature
-    ) internal pure returns (uint8 v, bytes32 r, bytes32 s) {
-        if (signature.length != 65) revert InvalidSignatureLength();
-
-        assembly {
-            // first 32 bytes, after the length prefix
-            r := mload(add(signature, 32))
-            // second 32 bytes
-            s := mload(add(signature, 64))
-            // final byte (first byte of the next 32 bytes)
-            v := byte(0, mload(add(signature, 96)))
-        }
+    function getPayoutNonce(uint256 payoutNonce) external view returns (bool) {
+        return isPayoutNonceUsed(payoutNonce);
     }
 
     /**
-     * @dev validate the signature of the payroll transaction
-     * @param rootHash hash = encodeTransactionData(recipient, tokenAddress, amount, nonce)
-     * @param signature signature of the rootHash
-     * @return address of the signer
+     * @dev Get the implementation of the proxy, read by the factory to track the version of each org
+     * @return Address of the implementation, zero when called on the singleton
      */
-    function validatePayrollTxHashes(
-        bytes32 rootHash,
-        bytes memory signature
-    ) internal view returns (address) {
-        uint8 v;
-        bytes32 r;
-        bytes32 s;
-
-        (v, r, s) = splitSignature(signature);
-
-        bytes32 digest = generateTransactionHash(rootHash);
-
-        if (v > 30) {
-            // If v > 30 then default va (27,28) has been adjusted for eth_sign flow
-            // To support eth_sign and similar we adjust v
-            // and hash the messageHash with the Ethereum message prefix before applying recover
-            digest = keccak256(
-                abi.encodePacked("\x19Ethereum Signed Message:\n32", digest)
-            );
-            v -= 4;
-        }
-
-        return digest.recover(v, r, s);
+    function getImplementation() external view returns (address) {
+        return _getImplementation();
     }
 
     /**
-     * @dev validate the signature to cancel nonce
-     * @param nonce nonce of the payout
-     * @param signature signature of the nonce
-     * @return address of the signer
+     * @dev generate the hash of the payroll transaction
+     * @param rootHash hash = hash of the merkle roots signed by the approver
+     * @return bytes32 hash
      */
-    function validateCancelNonce(
-        uint64 nonce,
-        bytes memory signature
-    ) internal view returns (address) {
-        uint8 v;
-        bytes32 r;
-        bytes32 s;
-
-        (v, r, s) = splitSignature(signature);
-
-        bytes32 digest = getCancelTransactionHash(nonce);
-
-        if (v > 30) {
-            // If v > 30 then default va (27,28) has been adjusted for eth_sign flow
-            // To support eth_sign and similar we adjust v
-            // and hash the messageHash with the Ethereum message prefix before applying recover
-            digest = keccak256(
-                abi.encodePacked("\x19Ethereum Signed Message:\n32", digest)
-            );
-            v -= 4;
-        }
-
-        return digest.recover(v, r, s);
+    function generateTransactionHash(
+        bytes32 rootHash
+    ) external view returns (bytes32) {
+        return getPayrollTxDigest(rootHash);
     }
 }
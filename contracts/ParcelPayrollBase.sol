@@ -0,0 +1,1743 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/MerkleProofUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/SignatureCheckerUpgradeable.sol";
+
+import "./payroll/ApproverManager.sol";
+import "./payroll/StreamManager.sol";
+import "./payroll/RootManager.sol";
+import "./payroll/SpendingCapManager.sol";
+import "./payroll/FailedPayoutManager.sol";
+import "./payroll/ApproverGovernanceManager.sol";
+import "./payroll/RoleManager.sol";
+import "./payroll/GasReimbursementManager.sol";
+import "./payroll/PriceFeedManager.sol";
+import "./interfaces/IAllowanceModule.sol";
+
+// Errors
+error CannotRenounceOwnership();
+error SweepFailed(address tokenAddress, uint256 amount);
+error InvalidPayoutSignature(bytes signature);
+error PayrollDataLengthMismatch();
+error RootSignatureLengthMismatch();
+error PaymentTokenLengthMismatch();
+error TokensLeftInContract(address tokenAddress);
+error PayoutNonceAlreadyExecuted(uint64 nonce);
+error TokensNotSorted(address tokenAddress1, address tokenAddress2);
+error UnauthorizedTransfer();
+error InvalidSignatureLength();
+error TransferFailed(address tokenAddress, uint256 amount);
+error InsufficientApprovals(uint64 payoutNonce);
+error ClaimOutsideValidity(uint64 validAfter, uint64 validUntil);
+error InvalidNonceRange(uint64 fromNonce, uint64 toNonce);
+error InvalidCancelSignature(bytes signature);
+error InsufficientCancelApprovals(uint256 approvals, uint256 required);
+error OnlyOwnerCanCancel();
+error SweepDataLengthMismatch();
+error InvalidSweepDestination();
+error InvalidApproverChangeSignature(bytes signature);
+error MultiProofLengthMismatch();
+error InvalidMultiProof(bytes32 root);
+error PayrollAlreadyRetired();
+error CannotUnpauseRetiredPayroll();
+
+/**
+ * @title ParcelPayrollBase
+ * @dev Storage, events and internal logic of ParcelPayroll, shared by ParcelPayroll and its modules.
+ *
+ * ParcelPayroll delegates the functions it doesn't implement to its modules, see PayrollModule. The modules are delegate-called by the proxy of the org, so they inherit the same storage layout.
+ *
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+abstract contract ParcelPayrollBase is
+    UUPSUpgradeable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    ApproverManager,
+    StreamManager,
+    RootManager,
+    SpendingCapManager,
+    FailedPayoutManager,
+    ApproverGovernanceManager,
+    RoleManager,
+    GasReimbursementManager,
+    PriceFeedManager
+{
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+    using ECDSAUpgradeable for bytes32;
+
+    /**
+     * @dev Reason of a PayoutFailed event
+     * InsufficientApprovals - The payout is not approved by the threshold of approvers
+     * NonceAlreadyUsed - The payout nonce was used by an earlier payout of the batch
+     * NativeTransferFailed - The transfer of native tokens to the recipient reverted
+     * TokenTransferFailed - The transfer of ERC20 tokens to the recipient reverted
+     * PayoutCapExceeded - The amount exceeds the payout cap of the token
+     * PeriodCapExceeded - The amount exceeds the remaining budget of the token in the current period
+     * RecipientCapExceeded - The amount exceeds the remaining budget of the recipient in the current period
+     * PriceUnavailable - The token of a fiat payout has no price feed in its currency, or its price is stale
+     * SlippageExceeded - The converted amount of a fiat payout deviates from its quoted amount by more than its max slippage
+     * AmountOverflow - The converted amount of a fiat payout exceeds the uint96 amounts of the Allowance Module
+     */
+    enum PayoutFailureReason {
+        InsufficientApprovals,
+        NonceAlreadyUsed,
+        NativeTransferFailed,
+        TokenTransferFailed,
+        PayoutCapExceeded,
+        PeriodCapExceeded,
+        RecipientCapExceeded,
+        PriceUnavailable,
+        SlippageExceeded,
+        AmountOverflow
+    }
+
+    /**
+     * @dev Expected outcome of a payout, see previewPayroll
+     * Paid - The payout is fetched from the org safe and transferred to the recipient
+     * Failed - The payout emits PayoutFailed with the reason of its preview
+     * OutsideValidity - The payout emits PayoutOutsideValidity, its nonce is left unused
+     * NonceAlreadyExecuted - The payout nonce is used, executePayroll reverts with PayoutNonceAlreadyExecuted
+     */
+    enum PayoutOutcome {
+        Paid,
+        Failed,
+        OutsideValidity,
+        NonceAlreadyExecuted
+    }
+
+    /**
+     * @dev Preview of a payout, see previewPayroll
+     * @param approvals - Number of distinct approvers of the roots including the payout
+     * @param nonceUsed - True if the payout nonce is already used
+     * @param outcome - Expected outcome of the payout
+     * @param reason - Reason of the failure of a Failed payout
+     */
+    struct PayoutPreview {
+        uint256 approvals;
+        bool nonceUsed;
+        PayoutOutcome outcome;
+        PayoutFailureReason reason;
+    }
+
+    /**
+     * @dev Amount of a token fetched from the org safe by a payroll execution, see previewPayroll
+     * @param tokenAddress - Address of the token, address(0) for native tokens
+     * @param amount - Amount of the payouts of the token fetched by the batch
+     * @param fetched - Amount pulled from the safe through the allowance module, the part of amount the available balance of the contract doesn't cover
+     */
+    struct TokenFetch {
+        address tokenAddress;
+        uint256 amount;
+        uint256 fetched;
+    }
+
+    /**
+     * @dev Multiproof of the payouts of a batch included in a root, see executePayrollWithMultiProofs
+     * @param leafIndices - Indices of the payouts in the batch, in the order of the leaves of the multiproof, empty if the root includes none
+     * @param proof - Sibling hashes of the multiproof
+     * @param proofFlags - Flags of the multiproof, see MerkleProofUpgradeable.processMultiProof
+     */
+    struct MultiProof {
+        uint256[] leafIndices;
+        bytes32[] proof;
+        bool[] proofFlags;
+    }
+
+    /**
+     * @dev Emitted when the contract is initialized
+     * @param orgAddress - Address of the organization's safe
+     * @param approvers - Array of approver addresses
+     * @param approvalsRequired - Number of approvals required for a payout to be executed
+     */
+    event OrgSetup(
+        address indexed orgAddress,
+        address[] indexed approvers,
+        uint128 approvalsRequired
+    );
+
+    /**
+     * @dev Emitted when a payout is successfully executed
+     * @param tokenAddress - Address of the token being paid out
+     * @param to - Address of the recipient
+     * @param amount - Amount being paid out
+     * @param payoutNonce - Nonce of the payout
+     */
+    event PayoutSuccessful(
+        address tokenAddress,
+        address to,
+        uint256 amount,
+        uint256 payoutNonce
+    );
+
+    /**
+     * @dev Emitted when a payout execution fails
+     * @param tokenAddress - Address of the token being paid out
+     * @param to - Address of the recipient
+     * @param amount - Amount being paid out
+     * @param payoutNonce - Nonce of the payout
+     * @param reason - Reason of the failure
+     * @param revertData - Revert data of the failed transfer, empty for other reasons
+     */
+    event PayoutFailed(
+        address tokenAddress,
+        address to,
+        uint256 amount,
+        uint256 payoutNonce,
+        PayoutFailureReason reason,
+        bytes revertData
+    );
+
+    /**
+     * @dev Emitted when a payout is executed outside of its validity window
+     * @param tokenAddress - Address of the token being paid out
+     * @param to - Address of the recipient
+     * @param amount - Amount being paid out
+     * @param payoutNonce - Nonce of the payout
+     * @param validAfter - Timestamp before which the payout can't be executed
+     * @param validUntil - Timestamp after which the payout expires, 0 if it never expires
+     */
+    event PayoutOutsideValidity(
+        address tokenAddress,
+        address to,
+        uint256 amount,
+        uint256 payoutNonce,
+        uint64 validAfter,
+        uint64 validUntil
+    );
+
+    /**
+     * @dev Emitted when a payout nonce is cancelled
+     * @param nonce - Nonce cancelled
+     */
+    event NonceInvalidated(uint64 nonce);
+
+    /**
+     * @dev Emitted when a range of payout nonces is cancelled
+     * @param fromNonce - First nonce cancelled
+     * @param toNonce - Last nonce cancelled, included
+     */
+    event NonceRangeInvalidated(uint64 fromNonce, uint64 toNonce);
+
+    /**
+     * @dev Emitted when tokens are swept from the contract
+     * @param tokenAddress - Address of the token swept, address(0) for native tokens
+     * @param to - Address receiving the tokens
+     * @param amount - Amount swept
+     */
+    event Swept(address tokenAddress, address to, uint256 amount);
+
+    /**
+     * @dev Emitted when the org retires the contract
+     * @param retiredAt - Timestamp of the retirement
+     */
+    event PayrollRetired(uint256 retiredAt);
+
+    /**
+     * @dev Renounce ownership of the contract
+     * @notice This function is overridden to prevent renouncing ownership
+     */
+    function renounceOwnership() public view override onlyOwner {
+        revert CannotRenounceOwnership();
+    }
+
+    /**
+     * @dev Helper function to execute an ERC20 transfer safely for the try catch block. This can only be called by the contract itself
+     * @param token - Address of the token to transfer
+     * @param to - Address of the recipient
+     * @param amount - Amount to transfer
+     */
+    function safeTransferExternal(
+        IERC20Upgradeable token,
+        address to,
+        uint256 amount
+    ) external {
+        if (msg.sender != address(this)) revert UnauthorizedTransfer();
+
+        token.safeTransfer(to, amount);
+    }
+
+    /**
+     * @dev Encode the transaction data for the payroll payout
+     * @param to Address to send the funds to
+     * @param tokenAddress Address of the token to send
+     * @param amount Amount of tokens to send
+     * @param payoutNonce Payout nonce to use
+     * @return encodedHash Encoded hash of the transaction data
+     */
+    function encodePayoutLeaf(
+        address to,
+        address tokenAddress,
+        uint256 amount,
+        uint64 payoutNonce
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(owner(), to, tokenAddress, amount, payoutNonce)
+            );
+    }
+
+    /**
+     * @dev Encode the transaction data for a scheduled payroll payout
+     * @param to Address to send the funds to
+     * @param tokenAddress Address of the token to send
+     * @param amount Amount of tokens to send
+     * @param payoutNonce Payout nonce to use
+     * @param validAfter Timestamp before which the payout can't be executed, 0 if it is valid immediately
+     * @param validUntil Timestamp after which the payout expires, 0 if it never expires
+     * @return encodedHash Encoded hash of the transaction data
+     * @notice A payout without validity window (both timestamps 0) is encoded as by encodeTransactionData
+     */
+    function encodeScheduledPayoutLeaf(
+        address to,
+        address tokenAddress,
+        uint256 amount,
+        uint64 payoutNonce,
+        uint64 validAfter,
+        uint64 validUntil
+    ) internal view returns (bytes32) {
+        if (validAfter == 0 && validUntil == 0)
+            return encodePayoutLeaf(to, tokenAddress, amount, payoutNonce);
+
+        return
+            keccak256(
+                abi.encode(
+                    owner(),
+                    to,
+                    tokenAddress,
+                    amount,
+                    payoutNonce,
+                    validAfter,
+                    validUntil
+                )
+            );
+    }
+
+    /**
+     * @dev Encode the transaction data for a stream payout
+     * @param to Address of the stream recipient
+     * @param tokenAddress Address of the token to stream
+     * @param amount Total amount of tokens to stream
+     * @param payoutNonce Payout nonce to use
+     * @param start Timestamp at which the stream starts vesting
+     * @param cliff Seconds after start before which nothing can be claimed
+     * @param duration Seconds after start at which the full amount is vested
+     * @return encodedHash Encoded hash of the transaction data
+     */
+    function encodeStreamLeaf(
+        address to,
+        address tokenAddress,
+        uint256 amount,
+        uint64 payoutNonce,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    owner(),
+                    to,
+                    tokenAddress,
+                    amount,
+                    payoutNonce,
+                    start,
+                    cliff,
+                    duration
+                )
+            );
+    }
+
+    /**
+     * @dev Encode the transaction data for a fiat payout
+     * @param to Address of the recipient
+     * @param tokenAddress Address of the token to pay
+     * @param amount Token amount quoted at approval time
+     * @param payoutNonce Payout nonce to use
+     * @param currency Fiat currency of the payout
+     * @param fiatAmount Amount of the currency to pay
+     * @param maxSlippage Maximum deviation of the paid amount from the quoted amount, in basis points
+     * @return encodedHash Encoded hash of the transaction data
+     */
+    function encodeFiatLeaf(
+        address to,
+        address tokenAddress,
+        uint256 amount,
+        uint64 payoutNonce,
+        bytes32 currency,
+        uint256 fiatAmount,
+        uint16 maxSlippage
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    FIAT_PAYOUT_TYPEHASH,
+                    owner(),
+                    to,
+                    tokenAddress,
+                    amount,
+                    payoutNonce,
+                    currency,
+                    fiatAmount,
+                    maxSlippage
+                )
+            );
+    }
+
+    /**
+     * @dev Encode the transaction data for the gas reimbursement of a batch
+     * @param tokenAddress Address of the token paying the executor
+     * @param maxPayment Maximum payment approved for the execution
+     * @param payoutNonce Payout nonce of the reimbursement
+     * @return encodedHash Encoded hash of the transaction data
+     */
+    function encodeReimbursementLeaf(
+        address tokenAddress,
+        uint256 maxPayment,
+        uint64 payoutNonce
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(owner(), tokenAddress, maxPayment, payoutNonce)
+            );
+    }
+
+    /**
+     * @dev Get usage status of a payout nonce
+     * @param payoutNonce Payout nonce to check
+     * @return Boolean, true for used, false for unused
+     */
+    function isPayoutNonceUsed(
+        uint256 payoutNonce
+    ) internal view returns (bool) {
+        // Each payout nonce is packed into a uint256, so the index of the uint256 in the array is the payout nonce / 256
+        uint256 slotIndex = uint248(payoutNonce >> 8);
+
+        // The bit index of the uint256 is the payout nonce % 256 (0-255)
+        uint256 bitIndex = uint8(payoutNonce);
+
+        // If the bit is set, the payout nonce has been used, if not, it has not been used
+        return (packedPayoutNonces[slotIndex] & (1 << bitIndex)) != 0;
+    }
+
+    /**
+     * @dev generate the hash of the payroll transaction
+     * @param rootHash hash = hash of the merkle roots signed by the approver
+     * @return bytes32 hash
+     */
+    function getPayrollTxDigest(
+        bytes32 rootHash
+    ) internal view returns (bytes32) {
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0x01),
+                getDomainSeparator(),
+                keccak256(abi.encode(PAYROLL_TX_TYPEHASH, rootHash))
+            )
+        );
+        return digest;
+    }
+
+    /**
+     * @dev generate the hash of the cancel transaction
+     * @param nonce nonce of the payout
+     * @return bytes32 hash
+     */
+    function getCancelDigest(uint64 nonce) internal view returns (bytes32) {
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0x01),
+                getDomainSeparator(),
+                keccak256(abi.encode(CANCEL_NONCE, nonce))
+            )
+        );
+        return digest;
+    }
+
+    /**
+     * @dev generate the hash of the cancelation of a list of nonces
+     * @param nonces nonces of the payouts
+     * @return bytes32 hash
+     */
+    function getCancelNoncesDigest(
+        uint64[] memory nonces
+    ) internal view returns (bytes32) {
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0x01),
+                getDomainSeparator(),
+                keccak256(
+                    abi.encode(
+                        CANCEL_NONCES,
+                        keccak256(abi.encodePacked(nonces))
+                    )
+                )
+            )
+        );
+        return digest;
+    }
+
+    /**
+     * @dev generate the hash of the cancelation of a range of nonces
+     * @param fromNonce first nonce of the range
+     * @param toNonce last nonce of the range, included
+     * @return bytes32 hash
+     */
+    function getCancelNonceRangeDigest(
+        uint64 fromNonce,
+        uint64 toNonce
+    ) internal view returns (bytes32) {
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0x01),
+                getDomainSeparator(),
+                keccak256(abi.encode(CANCEL_NONCE_RANGE, fromNonce, toNonce))
+            )
+        );
+        return digest;
+    }
+
+    /**
+     * @dev generate the hash of the root approval
+     * @param rootHash Merkle root of the payroll transaction hashes
+     * @param expiry Timestamp after which the approval is not valid anymore
+     * @return bytes32 hash
+     */
+    function getApproveRootDigest(
+        bytes32 rootHash,
+        uint64 expiry
+    ) internal view returns (bytes32) {
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0x01),
+                getDomainSeparator(),
+                keccak256(abi.encode(APPROVE_ROOT_TYPEHASH, rootHash, expiry))
+            )
+        );
+        return digest;
+    }
+
+    /**
+     * @dev generate the hash of an approver set change
+     * @param change Approver set change
+     * @param changeNonce Nonce of the change, see approverChangeNonce
+     * @return bytes32 hash
+     */
+    function getApproverChangeDigest(
+        ApproverChange memory change,
+        uint256 changeNonce
+    ) internal view returns (bytes32) {
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0x01),
+                getDomainSeparator(),
+                hashApproverChange(change, changeNonce)
+            )
+        );
+        return digest;
+    }
+
+    /**
+     * @dev Set usage status of a payout nonce
+     * @param payoutNonce Payout nonce to set
+     */
+    function packPayoutNonce(uint256 payoutNonce) internal {
+        // Packed payout nonces are stored in an array of uint256
+        // Each uint256 represents 256 payout nonces
+
+        // Each payout nonce is packed into a uint256, so the index of the uint256 in the array is the payout nonce / 256
+        uint256 slot = uint248(payoutNonce >> 8);
+
+        // The bit index of the uint256 is the payout nonce % 256 (0-255)
+        uint256 bitIndex = uint8(payoutNonce);
+
+        // Set the bit to 1
+        // This means that the payout nonce has been used
+        packedPayoutNonces[slot] |= 1 << bitIndex;
+    }
+
+    /**
+     * @dev Set usage status of a range of payout nonces
+     * @param fromNonce First payout nonce to set
+     * @param toNonce Last payout nonce to set, included
+     */
+    function packPayoutNonceRange(uint64 fromNonce, uint64 toNonce) internal {
+        uint256 fromSlot = uint256(fromNonce) >> 8;
+        uint256 toSlot = uint256(toNonce) >> 8;
+
+        for (uint256 slot = fromSlot; slot <= toSlot; slot++) {
+            // Bits of the slot covered by the range
+            uint256 fromBit = slot == fromSlot ? uint8(fromNonce) : 0;
+            uint256 toBit = slot == toSlot ? uint8(toNonce) : 255;
+
+            packedPayoutNonces[slot] |=
+                (type(uint256).max >> (255 - toBit)) &
+                (type(uint256).max << fromBit);
+        }
+    }
+
+    /**
+     * @dev Encode the leaves of a payroll batch
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, empty if no payout of the batch is scheduled
+     * @param validUntil Timestamps after which the payouts expire, empty if no payout of the batch is scheduled
+     * @return leaves Leaves of the payouts
+     */
+    function encodePayoutLeaves(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil
+    ) internal view returns (bytes32[] memory leaves) {
+        uint256 payoutLength = to.length;
+        leaves = new bytes32[](payoutLength);
+        for (uint256 i = 0; i < payoutLength; i++) {
+            leaves[i] = encodeScheduledPayoutLeaf(
+                to[i],
+                tokenAddress[i],
+                amount[i],
+                payoutNonce[i],
+                validityAt(validAfter, i),
+                validityAt(validUntil, i)
+            );
+        }
+    }
+
+    /**
+     * @dev Validate the lengths of the payroll data
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, can be empty
+     * @param validUntil Timestamps after which the payouts expire, can be empty
+     * @param proof Merkle proof of the payroll transaction hashes
+     */
+    function validatePayrollData(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        bytes32[][][] memory proof
+    ) internal pure {
+        validatePayrollData(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil
+        );
+        if (to.length != proof.length) revert PayrollDataLengthMismatch();
+    }
+
+    /**
+     * @dev Validate the lengths of the payroll data, without the proofs of the payouts
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, can be empty
+     * @param validUntil Timestamps after which the payouts expire, can be empty
+     */
+    function validatePayrollData(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil
+    ) internal pure {
+        uint256 payoutLength = to.length;
+        if (
+            payoutLength == 0 ||
+            payoutLength != tokenAddress.length ||
+            payoutLength != amount.length ||
+            payoutLength != payoutNonce.length ||
+            (validAfter.length != 0 && payoutLength != validAfter.length) ||
+            (validUntil.length != 0 && payoutLength != validUntil.length)
+        ) revert PayrollDataLengthMismatch();
+    }
+
+    /**
+     * @dev Apply the spending caps and the fetches of processPayouts to the approved payouts of a preview
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send, approved payouts must be sorted by token address
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param payouts Preview of the payouts, approved payouts are Paid until a cap is exceeded or their nonce is reused
+     * @return fetches Amount of each token paid by the batch and pulled from the org safe, in ascending token order
+     */
+    function previewFetches(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        PayoutPreview[] memory payouts
+    ) internal view returns (TokenFetch[] memory fetches) {
+        uint256 payoutLength = to.length;
+        bool[] memory isFetched = new bool[](payoutLength);
+        fetches = new TokenFetch[](payoutLength);
+        // Locked funds of the failed payouts executed again, by fetch
+        uint256[] memory released = new uint256[](payoutLength);
+        uint256 fetchCount = 0;
+
+        // Token of the last fetch, the first token of the batch as in processPayouts
+        address tokenFlag = tokenAddress[0];
+
+        for (uint256 i = 0; i < payoutLength; i++) {
+            if (payouts[i].outcome != PayoutOutcome.Paid) continue;
+
+            {
+                (
+                    bool exceeded,
+                    PayoutFailureReason reason
+                ) = exceedsBatchSpendingCap(
+                        to,
+                        tokenAddress,
+                        amount,
+                        isFetched,
+                        i
+                    );
+                if (exceeded) {
+                    payouts[i].outcome = PayoutOutcome.Failed;
+                    payouts[i].reason = reason;
+                    continue;
+                }
+            }
+
+            if (tokenFlag != tokenAddress[i]) {
+                // Enforce ascending order of token addresses
+                if (tokenFlag > tokenAddress[i])
+                    revert TokensNotSorted(tokenFlag, tokenAddress[i]);
+                tokenFlag = tokenAddress[i];
+            }
+            if (
+                fetchCount == 0 ||
+                fetches[fetchCount - 1].tokenAddress != tokenFlag
+            ) fetches[fetchCount++].tokenAddress = tokenFlag;
+            fetches[fetchCount - 1].amount += amount[i];
+
+            // A payout whose nonce is used earlier in the batch is fetched but isn't paid
+            for (uint256 j = 0; j < i; j++) {
+                if (isFetched[j] && payoutNonce[j] == payoutNonce[i]) {
+                    payouts[i].outcome = PayoutOutcome.Failed;
+                    payouts[i].reason = PayoutFailureReason.NonceAlreadyUsed;
+                    break;
+                }
+            }
+            if (
+                payouts[i].outcome == PayoutOutcome.Paid &&
+                isFailedPayout(
+                    payoutNonce[i],
+                    tokenAddress[i],
+                    to[i],
+                    amount[i]
+                )
+            ) released[fetchCount - 1] += amount[i];
+            isFetched[i] = true;
+        }
+
+        // Shrink the array to the number of tokens fetched
+        assembly {
+            mstore(fetches, fetchCount)
+        }
+
+        // execTransactionFromGnosis only pulls what the contract balance doesn't cover
+        for (uint256 i = 0; i < fetchCount; i++) {
+            uint256 balance = getAvailableBalance(fetches[i].tokenAddress) +
+                released[i];
+            if (fetches[i].amount > balance)
+                fetches[i].fetched = fetches[i].amount - balance;
+        }
+    }
+
+    /**
+     * @dev Check a payout of a preview against the spending caps, after the payouts fetched before it in the batch
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param isFetched Payouts fetched so far
+     * @param index Index of the payout
+     * @return exceeded True if a cap is exceeded
+     * @return reason Cap exceeded
+     */
+    function exceedsBatchSpendingCap(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        bool[] memory isFetched,
+        uint256 index
+    ) internal view returns (bool exceeded, PayoutFailureReason reason) {
+        // processPayouts records the spending of each payout once fetched
+        uint256 periodSpent = 0;
+        uint256 recipientSpent = 0;
+        for (uint256 j = 0; j < index; j++) {
+            if (!isFetched[j] || tokenAddress[j] != tokenAddress[index])
+                continue;
+            periodSpent += amount[j];
+            if (to[j] == to[index]) recipientSpent += amount[j];
+        }
+
+        return
+            exceedsSpendingCap(
+                tokenAddress[index],
+                to[index],
+                amount[index],
+                periodSpent,
+                recipientSpent
+            );
+    }
+
+    /**
+     * @dev Validate the payroll transaction hashes and execute the payroll, see executePayroll and executeScheduledPayroll
+     * @return signerMasks Signer of each root, see validateSignatures
+     */
+    function executeSignedPayroll(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        bytes32[][][] memory proof,
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    ) internal returns (uint256[] memory signerMasks) {
+        // Validate the Input Data
+        validatePayrollData(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            proof
+        );
+
+        if (roots.length != signatures.length)
+            revert RootSignatureLengthMismatch();
+
+        signerMasks = validateSignatures(roots, signatures);
+
+        // Generate the leaves from the payout data
+        bytes32[] memory leaves = encodePayoutLeaves(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil
+        );
+
+        // Payouts outside of their validity window are not approved, they are not fetched
+        RoleMasks memory roleMasks = getRoleMasks();
+        bool[] memory isApproved = new bool[](to.length);
+        for (uint256 i = 0; i < to.length; i++) {
+            isApproved[i] =
+                isWithinValidity(
+                    validityAt(validAfter, i),
+                    validityAt(validUntil, i)
+                ) &&
+                isPayoutApproved(
+                    tokenAddress[i],
+                    amount[i],
+                    getLeafApprovalMask(
+                        leaves[i],
+                        proof[i],
+                        roots,
+                        signerMasks
+                    ),
+                    roleMasks
+                );
+        }
+
+        processPayouts(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            isApproved
+        );
+    }
+
+    /**
+     * @dev Fetch the approved payouts from Gnosis and transfer them to the recipients
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send, approved payouts must be sorted by token address
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, can be empty
+     * @param validUntil Timestamps after which the payouts expire, can be empty
+     * @param isApproved Approval status of the payouts
+     */
+    function processPayouts(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        bool[] memory isApproved
+    ) internal {
+        // Caching array lengths
+        uint256 payoutLength = to.length;
+        PayoutFailureReason[] memory reasons = new PayoutFailureReason[](
+            payoutLength
+        );
+
+        {
+            // Initialize the flag token amount to fetch
+            uint256 tokenFlagAmountToFetch = 0;
+
+            // Initialize the flag token address
+            address tokenFlag = tokenAddress[0];
+
+            // Loop through the payouts
+            for (uint256 i = 0; i < payoutLength; i++) {
+                // Revert if the payout nonce has already been executed
+                if (isPayoutNonceUsed(payoutNonce[i]))
+                    revert PayoutNonceAlreadyExecuted(payoutNonce[i]);
+
+                if (!isApproved[i]) continue;
+
+                // Payouts over the spending caps of their token are not fetched
+                {
+                    (
+                        bool exceeded,
+                        PayoutFailureReason reason
+                    ) = exceedsSpendingCap(tokenAddress[i], to[i], amount[i]);
+                    if (exceeded) {
+                        isApproved[i] = false;
+                        reasons[i] = reason;
+                        continue;
+                    }
+                }
+                recordSpending(tokenAddress[i], to[i], amount[i]);
+
+                // A failed payout executed again is paid from its locked funds, they cover its fetch
+                if (
+                    isFailedPayout(
+                        payoutNonce[i],
+                        tokenAddress[i],
+                        to[i],
+                        amount[i]
+                    )
+                ) releaseFailedPayout(payoutNonce[i]);
+
+                // Check if the token address is the same as the flag token address
+                if (tokenFlag != tokenAddress[i]) {
+                    // Enforce ascending order of token addresses
+                    if (tokenFlag > tokenAddress[i])
+                        revert TokensNotSorted(tokenFlag, tokenAddress[i]);
+
+                    // Fetch the flag token from Gnosis
+                    execTransactionFromGnosis(
+                        tokenFlag,
+                        uint96(tokenFlagAmountToFetch)
+                    );
+                    // Set the flag token address to the current token address
+                    tokenFlag = tokenAddress[i];
+                    // Reset the flag token amount to fetch
+                    tokenFlagAmountToFetch = 0;
+                }
+                // Add the current payout amount to the flag token amount to fetch
+                tokenFlagAmountToFetch += amount[i];
+            }
+            if (tokenFlagAmountToFetch > 0) {
+                // Fetch the flag token from Gnosis
+                execTransactionFromGnosis(
+                    tokenFlag,
+                    uint96(tokenFlagAmountToFetch)
+                );
+            }
+        }
+        // Loop through the approvals
+        for (uint256 i = 0; i < payoutLength; i++) {
+            // Transfer the funds to the recipient (to) addresses
+            if (isApproved[i] && !isPayoutNonceUsed(payoutNonce[i])) {
+                executePayout(
+                    tokenAddress[i],
+                    to[i],
+                    amount[i],
+                    payoutNonce[i]
+                );
+            } else if (
+                !isWithinValidity(
+                    validityAt(validAfter, i),
+                    validityAt(validUntil, i)
+                )
+            ) {
+                emit PayoutOutsideValidity(
+                    tokenAddress[i],
+                    to[i],
+                    amount[i],
+                    payoutNonce[i],
+                    validityAt(validAfter, i),
+                    validityAt(validUntil, i)
+                );
+            } else {
+                // A payout whose nonce was used earlier in the batch isn't paid
+                if (isApproved[i]) {
+                    releaseSpending(tokenAddress[i], to[i], amount[i]);
+                    reasons[i] = PayoutFailureReason.NonceAlreadyUsed;
+                }
+
+                emit PayoutFailed(
+                    tokenAddress[i],
+                    to[i],
+                    amount[i],
+                    payoutNonce[i],
+                    reasons[i],
+                    ""
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Merge the approvers of the roots a leaf is part of
+     * @param leaf Leaf of the payout
+     * @param proofs Merkle proofs of the leaf, one per root
+     * @param roots Merkle roots signed or approved on-chain
+     * @param approvalMasks Approvers of each root, see validateSignatures and getRootApprovalMask
+     * @return mask Approvers of the leaf as a bitmap of their index in the approver list
+     */
+    function getLeafApprovalMask(
+        bytes32 leaf,
+        bytes32[][] memory proofs,
+        bytes32[] memory roots,
+        uint256[] memory approvalMasks
+    ) internal pure returns (uint256 mask) {
+        uint256 rootLength = roots.length;
+        // Loop through the roots
+        for (uint256 j = 0; j < rootLength; j++) {
+            // Add the approvers of the root if the proof verifies the leaf against it
+            if (MerkleProofUpgradeable.verify(proofs[j], roots[j], leaf)) {
+                mask |= approvalMasks[j];
+            }
+        }
+    }
+
+    /**
+     * @dev Merge the approvers of the roots each leaf is part of, with one multiproof per root
+     * @param leaves Leaves of the payouts
+     * @param proofs Multiproof of the leaves included in each root
+     * @param roots Merkle roots signed
+     * @param signerMasks Signer of each root, see validateSignatures
+     * @return masks Approvers of each leaf as a bitmap of their index in the approver list
+     */
+    function getMultiProofApprovalMasks(
+        bytes32[] memory leaves,
+        MultiProof[] memory proofs,
+        bytes32[] memory roots,
+        uint256[] memory signerMasks
+    ) internal pure returns (uint256[] memory masks) {
+        masks = new uint256[](leaves.length);
+        for (uint256 j = 0; j < roots.length; j++) {
+            uint256[] memory leafIndices = proofs[j].leafIndices;
+            if (leafIndices.length == 0) continue;
+
+            // Every leaf and proof element has to be consumed by the hashes of the multiproof
+            if (
+                leafIndices.length + proofs[j].proof.length - 1 !=
+                proofs[j].proofFlags.length
+            ) revert InvalidMultiProof(roots[j]);
+
+            bytes32[] memory rootLeaves = new bytes32[](leafIndices.length);
+            for (uint256 k = 0; k < leafIndices.length; k++) {
+                if (leafIndices[k] >= leaves.length)
+                    revert InvalidMultiProof(roots[j]);
+                rootLeaves[k] = leaves[leafIndices[k]];
+            }
+
+            if (
+                !MerkleProofUpgradeable.multiProofVerify(
+                    proofs[j].proof,
+                    proofs[j].proofFlags,
+                    roots[j],
+                    rootLeaves
+                )
+            ) revert InvalidMultiProof(roots[j]);
+
+            // Add the approvers of the root to each leaf it includes
+            for (uint256 k = 0; k < leafIndices.length; k++) {
+                masks[leafIndices[k]] |= signerMasks[j];
+            }
+        }
+    }
+
+    /**
+     * @dev Get the validity timestamp of a payout, 0 if the batch has no validity timestamps
+     * @param validity validAfter or validUntil timestamps of the batch
+     * @param index Index of the payout
+     * @return uint64 timestamp
+     */
+    function validityAt(
+        uint64[] memory validity,
+        uint256 index
+    ) internal pure returns (uint64) {
+        return validity.length == 0 ? 0 : validity[index];
+    }
+
+    /**
+     * @dev Check if the current block is within the validity window of a payout
+     * @param validAfter Timestamp before which the payout can't be executed
+     * @param validUntil Timestamp after which the payout expires, 0 if it never expires
+     * @return Boolean, true if the payout can be executed
+     */
+    function isWithinValidity(
+        uint64 validAfter,
+        uint64 validUntil
+    ) internal view returns (bool) {
+        return
+            block.timestamp >= validAfter &&
+            (validUntil == 0 || block.timestamp <= validUntil);
+    }
+
+    /**
+     * @dev Transfer an approved payout to its recipient and mark its nonce as used
+     * @param tokenAddress Address of the token to send, address(0) for native tokens
+     * @param to Address to send the funds to
+     * @param amount Amount of tokens to send
+     * @param payoutNonce Payout nonce to use
+     */
+    function executePayout(
+        address tokenAddress,
+        address to,
+        uint256 amount,
+        uint64 payoutNonce
+    ) internal {
+        if (tokenAddress == address(0)) {
+            // Transfer Native tokens
+            (bool sent, bytes memory revertData) = to.call{value: amount}("");
+
+            if (!sent) {
+                releaseSpending(address(0), to, amount);
+                recordFailedPayout(payoutNonce, address(0), to, amount);
+                emit PayoutFailed(
+                    address(0),
+                    to,
+                    amount,
+                    payoutNonce,
+                    PayoutFailureReason.NativeTransferFailed,
+                    revertData
+                );
+            } else {
+                packPayoutNonce(payoutNonce);
+                emit PayoutSuccessful(address(0), to, amount, payoutNonce);
+            }
+        } else {
+            // Transfer ERC20 tokens
+            try
+                this.safeTransferExternal(
+                    IERC20Upgradeable(tokenAddress),
+                    to,
+                    amount
+                )
+            {
+                packPayoutNonce(payoutNonce);
+                emit PayoutSuccessful(tokenAddress, to, amount, payoutNonce);
+            } catch (bytes memory revertData) {
+                releaseSpending(tokenAddress, to, amount);
+                recordFailedPayout(payoutNonce, tokenAddress, to, amount);
+                emit PayoutFailed(
+                    tokenAddress,
+                    to,
+                    amount,
+                    payoutNonce,
+                    PayoutFailureReason.TokenTransferFailed,
+                    revertData
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Convert a fiat payout to a token amount, emitting the PayoutFailed event if it can't be paid
+     * @param payout Fiat payout to convert
+     * @return priced False if the price is unavailable, or if the converted amount exceeds the max slippage or the uint96 amounts of the Allowance Module
+     * @return amount Token amount to pay
+     */
+    function priceFiatPayout(
+        FiatPayout memory payout
+    ) internal returns (bool priced, uint256 amount) {
+        (bool available, uint256 price, uint256 converted) = convertFiatAmount(
+            payout.tokenAddress,
+            payout.currency,
+            payout.fiatAmount
+        );
+
+        PayoutFailureReason reason;
+        if (!available) reason = PayoutFailureReason.PriceUnavailable;
+        else if (exceedsSlippage(converted, payout.amount, payout.maxSlippage))
+            reason = PayoutFailureReason.SlippageExceeded;
+        else if (converted > type(uint96).max)
+            reason = PayoutFailureReason.AmountOverflow;
+        else {
+            emit FiatPayoutPriced(
+                payout.payoutNonce,
+                payout.currency,
+                payout.fiatAmount,
+                price,
+                converted
+            );
+            return (true, converted);
+        }
+
+        emit PayoutFailed(
+            payout.tokenAddress,
+            payout.to,
+            payout.amount,
+            payout.payoutNonce,
+            reason,
+            ""
+        );
+        return (false, 0);
+    }
+
+    /**
+     * @dev This function validates the signature and verifies if signatures are unique and the approver belongs to safe
+     * @param roots Address of the token to send
+     * @param signatures Amount of tokens to send
+     * @return signerMasks Signer of each root as a bitmap of its index in the approver list
+     */
+    function validateSignatures(
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    ) internal view returns (uint256[] memory signerMasks) {
+        uint256 rootLength = roots.length;
+        signerMasks = new uint256[](rootLength);
+        // Validate the roots via approver signatures
+        address currentApprover;
+        for (uint256 i = 0; i < rootLength; ) {
+            // Recover signer from the signature
+            address signer = validatePayrollTxHashes(roots[i], signatures[i]);
+            // Check if the signer is an approver & is different from the current approver
+            if (
+                signer == SENTINEL_APPROVER ||
+                approvers[signer] == address(0) ||
+                signer <= currentApprover
+            ) revert InvalidPayoutSignature(signatures[i]);
+
+            // Set the current approver to the signer
+            currentApprover = signer;
+            signerMasks[i] = getApproverMask(signer);
+
+            unchecked {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * @dev Check a payout against the spending caps of its token
+     * @param tokenAddress Address of the token, address(0) for native tokens
+     * @param to Address of the recipient
+     * @param amount Amount of the payout
+     * @return exceeded True if a cap is exceeded
+     * @return reason Cap exceeded
+     */
+    function exceedsSpendingCap(
+        address tokenAddress,
+        address to,
+        uint256 amount
+    ) internal view returns (bool exceeded, PayoutFailureReason reason) {
+        return exceedsSpendingCap(tokenAddress, to, amount, 0, 0);
+    }
+
+    /**
+     * @dev Check a payout against the spending caps of its token, after payouts not recorded yet
+     * @param tokenAddress Address of the token, address(0) for native tokens
+     * @param to Address of the recipient
+     * @param amount Amount of the payout
+     * @param periodSpent Amount of the token paid before the payout and not recorded
+     * @param recipientSpent Amount of the token paid to the recipient before the payout and not recorded
+     * @return exceeded True if a cap is exceeded
+     * @return reason Cap exceeded
+     */
+    function exceedsSpendingCap(
+        address tokenAddress,
+        address to,
+        uint256 amount,
+        uint256 periodSpent,
+        uint256 recipientSpent
+    ) internal view returns (bool exceeded, PayoutFailureReason reason) {
+        uint256 payoutCap = spendingCaps[tokenAddress].payoutCap;
+        if (payoutCap != 0 && amount > payoutCap)
+            return (true, PayoutFailureReason.PayoutCapExceeded);
+
+        if (amount + periodSpent > getPeriodBudget(tokenAddress))
+            return (true, PayoutFailureReason.PeriodCapExceeded);
+
+        if (amount + recipientSpent > getRecipientBudget(tokenAddress, to))
+            return (true, PayoutFailureReason.RecipientCapExceeded);
+    }
+
+    /**
+     * @dev Validate the signatures of the cancelation of a nonce and invalidate it
+     * @param nonce nonce of the payout
+     * @param signatures signatures of the nonce, see validateCancelSignatures
+     */
+    function cancelNonce(uint64 nonce, bytes[] memory signatures) internal {
+        validateCancelSignatures(getCancelDigest(nonce), signatures);
+
+        // Invalidate the nonce
+        packPayoutNonce(nonce);
+        emit NonceInvalidated(nonce);
+    }
+
+    /**
+     * @dev Validate the signatures of a cancelation against the cancelation policy, the Org can always cancel
+     * @param digest Digest of the cancelation typed data
+     * @param signatures Signatures of the digest, sorted by ascending signer address as in validateSignatures
+     */
+    function validateCancelSignatures(
+        bytes32 digest,
+        bytes[] memory signatures
+    ) internal view {
+        if (msg.sender == owner()) return;
+        if (cancelPolicy == CancelPolicy.OwnerOnly) revert OnlyOwnerCanCancel();
+
+        uint256 required = cancelPolicy == CancelPolicy.CancelThreshold
+            ? cancelThreshold
+            : 1;
+        uint256 signatureLength = signatures.length;
+        if (signatureLength < required)
+            revert InsufficientCancelApprovals(signatureLength, required);
+
+        address currentApprover;
+        for (uint256 i = 0; i < signatureLength; ) {
+            // Recover signer from the signature
+            address signer = recoverSigner(digest, signatures[i]);
+            if (!isActiveApprover(signer)) revert OnlyApprover();
+
+            // Signers have to be unique and sorted
+            if (signer <= currentApprover)
+                revert InvalidCancelSignature(signatures[i]);
+
+            // Set the current approver to the signer
+            currentApprover = signer;
+
+            unchecked {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * @dev Validate that the threshold of approvers signed an approver set change
+     * @param digest Digest of the approver change typed data
+     * @param signatures Signatures of the digest, sorted by ascending signer address as in validateSignatures
+     * @return signers Signer of each signature
+     */
+    function validateApproverChangeSignatures(
+        bytes32 digest,
+        bytes[] memory signatures
+    ) internal view returns (address[] memory signers) {
+        uint256 signatureLength = signatures.length;
+        if (signatureLength < threshold)
+            revert InsufficientApproverChangeApprovals(
+                signatureLength,
+                threshold
+            );
+
+        signers = new address[](signatureLength);
+        address currentApprover;
+        for (uint256 i = 0; i < signatureLength; ) {
+            // Recover signer from the signature
+            address signer = recoverSigner(digest, signatures[i]);
+            if (!isActiveApprover(signer)) revert OnlyApprover();
+
+            // Signers have to be unique and sorted
+            if (signer <= currentApprover)
+                revert InvalidApproverChangeSignature(signatures[i]);
+
+            // Set the current approver to the signer
+            currentApprover = signer;
+            signers[i] = signer;
+
+            unchecked {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * @dev Execute transaction from Gnosis Safe
+     * @param tokenAddress Address of the token to send
+     * @param amount Amount of tokens to send
+     */
+    function execTransactionFromGnosis(
+        address tokenAddress,
+        uint96 amount
+    ) internal {
+        uint256 contractBalance = getAvailableBalance(tokenAddress);
+
+        // If the contract balance is greater than or equal to the required amount, no need to fetch more tokens from safe
+        if (contractBalance >= amount) return;
+
+        // Execute payout via allowance module
+        // Fetch amount is the difference between the flag token amount to fetch and the current token balance
+        IAllowanceModule(getAllowanceModule()).executeAllowanceTransfer(
+            owner(),
+            tokenAddress,
+            payable(address(this)),
+            amount - uint96(contractBalance),
+            address(0),
+            0,
+            address(this),
+            bytes("")
+        );
+    }
+
+    /**
+     * @dev Reimburse the executor of a batch through the payment fields of the Allowance Module
+     * @param reimbursement Reimbursement leaf of the batch with its proof in each root
+     * @param roots Merkle roots of the batch
+     * @param signerMasks Signer of each root, see validateSignatures
+     * @param gasStart Gas left at the start of the execution
+     * @notice The Allowance Module only pays along with a transfer, a single unit of the token is fetched to the contract with the payment and stays available for the next payouts
+     */
+    function reimburseGas(
+        Reimbursement memory reimbursement,
+        bytes32[] memory roots,
+        uint256[] memory signerMasks,
+        uint256 gasStart
+    ) internal {
+        if (
+            gasReimbursement.maxPayment == 0 ||
+            gasReimbursement.tokenAddress != reimbursement.tokenAddress
+        ) revert GasReimbursementDisabled(reimbursement.tokenAddress);
+        if (reimbursement.proof.length != roots.length)
+            revert PayrollDataLengthMismatch();
+        if (isPayoutNonceUsed(reimbursement.payoutNonce))
+            revert PayoutNonceAlreadyExecuted(reimbursement.payoutNonce);
+
+        bytes32 leaf = encodeReimbursementLeaf(
+            reimbursement.tokenAddress,
+            reimbursement.maxPayment,
+            reimbursement.payoutNonce
+        );
+        if (
+            !isPayoutApproved(
+                reimbursement.tokenAddress,
+                reimbursement.maxPayment,
+                getLeafApprovalMask(
+                    leaf,
+                    reimbursement.proof,
+                    roots,
+                    signerMasks
+                ),
+                getRoleMasks()
+            )
+        ) revert ReimbursementNotApproved(reimbursement.payoutNonce);
+        packPayoutNonce(reimbursement.payoutNonce);
+
+        uint256 gasUsed = gasStart -
+            gasleft() +
+            REIMBURSEMENT_GAS_OVERHEAD +
+            msg.data.length *
+            16;
+        uint96 payment = getReimbursementPayment(
+            gasUsed,
+            reimbursement.maxPayment
+        );
+        if (payment == 0) return;
+
+        // The Allowance Module pays the payment to tx.origin, the executor being reimbursed is the origin of the transaction
+        IAllowanceModule(getAllowanceModule()).executeAllowanceTransfer(
+            owner(),
+            reimbursement.tokenAddress,
+            payable(address(this)),
+            1,
+            reimbursement.tokenAddress,
+            payment,
+            address(this),
+            bytes("")
+        );
+        emit GasReimbursed(
+            tx.origin,
+            reimbursement.tokenAddress,
+            payment,
+            gasUsed,
+            reimbursement.payoutNonce
+        );
+    }
+
+    /**
+     * @dev Get the balance of a token held by the contract, excluding the funds locked for streams and failed payouts
+     * @param tokenAddress Address of the token, address(0) for native tokens
+     * @return uint256 available balance
+     */
+    function getAvailableBalance(
+        address tokenAddress
+    ) internal view returns (uint256) {
+        uint256 balance = tokenAddress == address(0)
+            ? address(this).balance
+            : IERC20Upgradeable(tokenAddress).balanceOf(address(this));
+        uint256 locked = lockedStreamBalance[tokenAddress] +
+            lockedFailedBalance[tokenAddress];
+
+        return balance > locked ? balance - locked : 0;
+    }
+
+    /**
+     * @dev Transfer funds held by the contract, reverts if the transfer fails
+     * @param tokenAddress Address of the token, address(0) for native tokens
+     * @param to Address of the recipient
+     * @param amount Amount to transfer
+     */
+    function transferFunds(
+        address tokenAddress,
+        address to,
+        uint256 amount
+    ) internal {
+        if (tokenAddress == address(0)) {
+            (bool sent, ) = to.call{value: amount}("");
+            if (!sent) revert TransferFailed(address(0), amount);
+        } else {
+            IERC20Upgradeable(tokenAddress).safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Transfer tokens held by the contract out of it, reverts with SweepFailed if the transfer fails
+     * @param tokenAddress Address of the token, address(0) for native tokens
+     * @param to Address receiving the tokens
+     * @param amount Amount to transfer
+     */
+    function sweepToken(
+        address tokenAddress,
+        address to,
+        uint256 amount
+    ) internal {
+        if (tokenAddress == address(0)) {
+            // Transfer native tokens
+            (bool sent, ) = to.call{value: amount}("");
+
+            if (!sent) revert SweepFailed(address(0), amount);
+        } else {
+            IERC20Upgradeable IERC20Token = IERC20Upgradeable(tokenAddress);
+            try this.safeTransferExternal(IERC20Token, to, amount) {
+                // Transfer ERC20 tokens
+            } catch {
+                revert SweepFailed(tokenAddress, amount);
+            }
+        }
+        emit Swept(tokenAddress, to, amount);
+    }
+
+    /**
+     * @dev Revoke the root approvals of a removed approver and drop the pending approver changes
+     * @param approver Approver address removed
+     */
+    function onApproverRemoved(
+        address approver
+    )
+        internal
+        override(ApproverManager, RootManager, ApproverGovernanceManager)
+    {
+        super.onApproverRemoved(approver);
+    }
+
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyOwner {}
+
+    /**
+     * @dev get the domain separator
+     * @return bytes32 domain separator
+     * @dev - This function is uses cached domain separator when possible to save gas
+     */
+    function getDomainSeparator() internal view returns (bytes32) {
+        if (address(this) == _cachedThis && block.chainid == _cachedChainId) {
+            return _cachedDomainSeparator;
+        } else {
+            return _buildDomainSeparator(address(this));
+        }
+    }
+
+    /**
+     * @dev Build the domain separator
+     * @param proxy address of the proxy contract
+     * @return bytes32 domain separator
+     */
+    function _buildDomainSeparator(
+        address proxy
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    EIP712_DOMAIN_TYPEHASH,
+                    keccak256(bytes(NAME)),
+                    keccak256(bytes(VERSION)),
+                    block.chainid,
+                    proxy
+                )
+            );
+    }
+
+    /**
+     * @dev split the signature into v, r, s
+     * @param signature bytes32 signature
+     * @return v uint8 v
+     * @return r bytes32 r
+     * @return s bytes32 s
+     * @notice Only contract signatures (v = 0) are longer than 65 bytes, see recoverContractSigner
+     */
+    function splitSignature(
+        bytes memory signature
+    ) internal pure returns (uint8 v, bytes32 r, bytes32 s) {
+        if (signature.length < 65) revert InvalidSignatureLength();
+
+        assembly {
+            // first 32 bytes, after the length prefix
+            r := mload(add(signature, 32))
+            // second 32 bytes
+            s := mload(add(signature, 64))
+            // final byte (first byte of the next 32 bytes)
+            v := byte(0, mload(add(signature, 96)))
+        }
+
+        if (v != 0 && signature.length != 65) revert InvalidSignatureLength();
+    }
+
+    /**
+     * @dev recover the signer of a typed data digest
+     * @param digest EIP712 digest signed
+     * @param signature signature of the digest, ECDSA or contract signature
+     * @return address of the signer
+     */
+    function recoverSigner(
+        bytes32 digest,
+        bytes memory signature
+    ) internal view returns (address) {
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+
+        (v, r, s) = splitSignature(signature);
+
+        // Approvers that are smart contract wallets sign through EIP-1271
+        if (v == 0) return recoverContractSigner(digest, r, signature);
+
+        if (v > 30) {
+            // If v > 30 then default va (27,28) has been adjusted for eth_sign flow
+            // To support eth_sign and similar we adjust v
+            // and hash the messageHash with the Ethereum message prefix before applying recover
+            digest = keccak256(
+                abi.encodePacked("\x19Ethereum Signed Message:\n32", digest)
+            );
+            v -= 4;
+        }
+
+        return digest.recover(v, r, s);
+    }
+
+    /**
+     * @dev recover the signer of a contract signature
+     * A contract signature is the signer address as r, an unused s, v = 0, then the EIP-1271 signature of the signer.
+     * The signer is explicit, so signatures can be sorted by signer address like ECDSA signatures.
+     * @param digest EIP712 digest signed
+     * @param r signer address, left padded to 32 bytes
+     * @param signature contract signature of the digest
+     * @return signer address of the signer, address(0) if the signer doesn't accept the signature
+     */
+    function recoverContractSigner(
+        bytes32 digest,
+        bytes32 r,
+        bytes memory signature
+    ) internal view returns (address signer) {
+        signer = address(uint160(uint256(r)));
+
+        // The signature checked by the signer follows the 65 bytes of r, s and v
+        uint256 length = signature.length - 65;
+        bytes memory contractSignature = new bytes(length);
+        for (uint256 i = 0; i < length; ) {
+            contractSignature[i] = signature[i + 65];
+            unchecked {
+                i++;
+            }
+        }
+
+        if (
+            !SignatureCheckerUpgradeable.isValidSignatureNow(
+                signer,
+                digest,
+                contractSignature
+            )
+        ) return address(0);
+    }
+
+    /**
+     * @dev validate the signature of the payroll transaction
+     * @param rootHash hash = encodeTransactionData(recipient, tokenAddress, amount, nonce)
+     * @param signature signature of the rootHash
+     * @return address of the signer
+     */
+    function validatePayrollTxHashes(
+        bytes32 rootHash,
+        bytes memory signature
+    ) internal view returns (address) {
+        return recoverSigner(getPayrollTxDigest(rootHash), signature);
+    }
+
+    /**
+     * @dev validate the signature of a root approval
+     * @param root Merkle root of the payroll transaction hashes
+     * @param expiry Timestamp after which the approval is not valid anymore
+     * @param signature signature of the root approval
+     * @return address of the signer
+     */
+    function validateApproveRoot(
+        bytes32 root,
+        uint64 expiry,
+        bytes memory signature
+    ) internal view returns (address) {
+        return recoverSigner(getApproveRootDigest(root, expiry), signature);
+    }
+
+    /**
+     * @dev Delegate the call to a module and return its result, or revert with its revert data
+     * @param module - Address of the module
+     */
+    function delegateToModule(address module) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
@@ -7,19 +7,32 @@ import "@openzeppelin/contracts/access/Ownable2Step.sol";
 interface IParcelPayroll {
     function initialize(
         address safeAddress,
+        address allowanceModule,
         address[] calldata _approvers,
         uint128 approvalsRequired
     ) external;
 
     function transferOwnership(address newOwner) external;
+
+    function getImplementation() external view returns (address);
+
+    function retiredAt() external view returns (uint256);
+
+    function owner() external view returns (address);
 }
 
 //  Errors
 error InvalidLogicAddressProvided(address logicAddress);
 error InvalidAddressRegistryProvided(address addressRegistry);
+error InvalidOwnerAddressProvided(address owner);
 error OrgOnboardedAlready(address orgAddress);
+error PayrollDoesNotExist(address orgAddress, bytes32 name);
+error PayrollNotRetired(address proxy);
 error CannotDeployForOthers();
 error ProxyDoesntMatchPrediction(address proxy, address prediction);
+error OrgRegisteredAlready(address proxy);
+error ProxyNotOwnedBySafe(address proxy, address safeAddress);
+error RegistrationLengthMismatch();
 
 /**
  * @title ParcelPayrollFactory - A factory contract to deploy ParcelPayroll contracts.
@@ -43,57 +56,171 @@ contract ParcelPayrollFactory is Ownable2Step {
     );
 
     /**
-     * @dev Mapping of org address to ParcelPayroll contract address
+     * @dev Mapping of org address to the active ParcelPayroll contract of each payroll name
+     */
+    mapping(address => mapping(bytes32 => address)) public payrollAddress;
+
+    /**
+     * @dev Names of the active payrolls of each org
+     */
+    mapping(address => bytes32[]) payrollNames;
+
+    /**
+     * @dev ParcelPayroll contracts deployed or registered by the factory, in onboarding order, retired ones included
+     */
+    address[] proxies;
+
+    /**
+     * @dev Org, name and retirement of each ParcelPayroll contract
+     */
+    mapping(address => Payroll) payrolls;
+
+    /**
+     * @dev Version of each implementation used by the factory, starting at 1, 0 for unknown implementations
+     */
+    mapping(address => uint256) public implementationVersion;
+
+    /**
+     * @dev Number of implementations used by the factory, the version of the last new implementation
+     */
+    uint256 public versionCount;
+
+    /**
+     * @dev Safe AllowanceModule of the network, used by the orgs onboarding without one
+     * Set after the deployment so the factory keeps the same address on every network
      */
-    mapping(address => address) public parcelAddress;
+    address public defaultAllowanceModule;
+
+    /**
+     * @dev Payroll deployed or registered by the factory
+     * @param safeAddress - The safe address of the org
+     * @param name - Name of the payroll within the org
+     * @param retired - True once the org offboarded the payroll
+     */
+    struct Payroll {
+        address safeAddress;
+        bytes32 name;
+        bool retired;
+    }
+
+    /**
+     * @dev Payroll of an onboarded org and the implementation its proxy currently points to
+     * @param safeAddress - The safe address of the org
+     * @param name - Name of the payroll within the org
+     * @param proxy - Address of the ParcelPayroll contract
+     * @param implementation - Address of the logic contract, zero if it can't be read
+     * @param version - Version of the implementation, 0 if the factory never used it
+     * @param retired - True once the org offboarded the payroll
+     */
+    struct Org {
+        address safeAddress;
+        bytes32 name;
+        address proxy;
+        address implementation;
+        uint256 version;
+        bool retired;
+    }
+
+    /**
+     * @dev Emitted when the default allowance module is changed
+     * @param oldAllowanceModule - The old default allowance module
+     * @param newAllowanceModule - The new default allowance module
+     */
+    event DefaultAllowanceModuleChanged(
+        address indexed oldAllowanceModule,
+        address indexed newAllowanceModule
+    );
 
     /**
      * @dev Emitted when a new ParcelPayroll contract is deployed
      * @param safeAddress - The safe address of the org
+     * @param name - Name of the payroll within the org
      * @param proxy -  Address of the ParcelPayroll contract
      * @param implementation - Address of the logic contract
      * @param initData - The data used to initialize the ParcelPayroll contract
      */
     event OrgOnboarded(
         address safeAddress,
+        bytes32 name,
         address indexed proxy,
         address indexed implementation,
         bytes initData
     );
 
+    /**
+     * @dev Emitted when an org retires one of its ParcelPayroll contracts
+     * @param safeAddress - The safe address of the org
+     * @param name - Name of the payroll within the org, free for a new onboarding
+     * @param proxy - Address of the retired ParcelPayroll contract
+     */
+    event OrgOffboarded(
+        address indexed safeAddress,
+        bytes32 name,
+        address indexed proxy
+    );
+
+    /**
+     * @dev Emitted when a ParcelPayroll contract deployed before the factory is registered
+     * @param safeAddress - The safe address of the org
+     * @param name - Name of the payroll within the org
+     * @param proxy - Address of the ParcelPayroll contract
+     */
+    event OrgRegistered(
+        address indexed safeAddress,
+        bytes32 name,
+        address indexed proxy
+    );
+
     /**
      * @dev Constructor for ParcelPayrollFactory
      * @param _logic - Address of the logic contract
      * @param _addressRegistry - Address of the AddressRegistry contract
+     * @param _owner - Address of the owner, the deployer isn't the owner of a CREATE2 deployment
      */
-    constructor(address _logic, address _addressRegistry) Ownable2Step() {
+    constructor(
+        address _logic,
+        address _addressRegistry,
+        address _owner
+    ) Ownable2Step() {
         if (address(_logic) == address(0))
             revert InvalidLogicAddressProvided(_logic);
         if (address(_addressRegistry) == address(0))
             revert InvalidAddressRegistryProvided(_addressRegistry);
+        if (_owner == address(0)) revert InvalidOwnerAddressProvided(_owner);
 
         logic = _logic;
         addressRegistry = _addressRegistry;
         proxyCreationCode = type(ParcelTransparentProxy).creationCode;
+        registerVersion(_logic);
+        _transferOwnership(_owner);
     }
 
     /**
      * @dev Compute / Predict the address of the ParcelPayroll contract to be deployed
+     * @param name - Name of the payroll within the org, zero for the default payroll
      * @param salt - Salt used to compute the address
      * @param _approvers - Array of approver addresses
      * @param approvalsRequired - Number of approvals required for a payout to be executed
      * @param safeAddress - The safe address of the org
+     * @param allowanceModule - Address of the Safe AllowanceModule used by the org, zero for the default allowance module
      * @return predictedAddress - The predicted address of the ParcelPayroll contract
      */
     function computeAddress(
+        bytes32 name,
         bytes32 salt,
         address[] calldata _approvers,
         uint128 approvalsRequired,
-        address safeAddress
+        address safeAddress,
+        address allowanceModule
     ) public view returns (address) {
         bytes memory _data = abi.encodeCall(
             IParcelPayroll.initialize,
-            (safeAddress, _approvers, approvalsRequired)
+            (
+                safeAddress,
+                resolveAllowanceModule(allowanceModule),
+                _approvers,
+                approvalsRequired
+            )
         );
 
         address predictedAddress = address(
@@ -103,7 +230,7 @@ contract ParcelPayrollFactory is Ownable2Step {
                         abi.encodePacked(
                             bytes1(0xff),
                             address(this),
-                            salt,
+                            getDeploymentSalt(name, salt),
                             keccak256(
                                 abi.encodePacked(
                                     proxyCreationCode,
@@ -125,34 +252,128 @@ contract ParcelPayrollFactory is Ownable2Step {
 
     /**
      * @dev Deploy a new ParcelPayroll contract
-     * @param salt - Salt used to compute the address
+     * An org can run several payrolls under different names, a name can be reused once its payroll is offboarded
+     * @param name - Name of the payroll within the org, zero for the default payroll
+     * @param salt - Salt used to compute the address, a re-onboarded name needs a new salt
      * @param _approvers - Array of approver addresses
      * @param approvalsRequired - Number of approvals required for a payout to be executed
+     * @param allowanceModule - Address of the Safe AllowanceModule used by the org, zero for the default allowance module
      */
     function onboard(
+        bytes32 name,
         bytes32 salt,
         address[] calldata _approvers,
-        uint128 approvalsRequired
+        uint128 approvalsRequired,
+        address allowanceModule
     ) public {
-        if (parcelAddress[msg.sender] != address(0))
+        if (payrollAddress[msg.sender][name] != address(0))
             revert OrgOnboardedAlready(msg.sender);
 
         bytes memory _data = abi.encodeCall(
             IParcelPayroll.initialize,
-            (msg.sender, _approvers, approvalsRequired)
+            (
+                msg.sender,
+                resolveAllowanceModule(allowanceModule),
+                _approvers,
+                approvalsRequired
+            )
         );
 
-        ParcelTransparentProxy proxy = new ParcelTransparentProxy{salt: salt}(
-            logic,
-            msg.sender,
-            _data,
-            addressRegistry
-        );
+        ParcelTransparentProxy proxy = new ParcelTransparentProxy{
+            salt: getDeploymentSalt(name, salt)
+        }(logic, msg.sender, _data, addressRegistry);
 
         address proxyAddress = address(proxy);
 
-        parcelAddress[msg.sender] = proxyAddress;
-        emit OrgOnboarded(msg.sender, proxyAddress, logic, _data);
+        payrollAddress[msg.sender][name] = proxyAddress;
+        payrollNames[msg.sender].push(name);
+        proxies.push(proxyAddress);
+        payrolls[proxyAddress] = Payroll(msg.sender, name, false);
+        emit OrgOnboarded(msg.sender, name, proxyAddress, logic, _data);
+    }
+
+    /**
+     * @dev Register ParcelPayroll contracts deployed before the factory, e.g. by the legacy factory, so they are listed
+     * and migrated with the onboarded orgs
+     * @param safeAddresses - The safe address of each org, the owner of its ParcelPayroll contract
+     * @param names - Name of each payroll within its org, zero for the default payroll
+     * @param _proxies - Address of each ParcelPayroll contract
+     */
+    function registerOrgs(
+        address[] calldata safeAddresses,
+        bytes32[] calldata names,
+        address[] calldata _proxies
+    ) external onlyOwner {
+        if (
+            safeAddresses.length != names.length ||
+            safeAddresses.length != _proxies.length
+        ) revert RegistrationLengthMismatch();
+
+        for (uint256 i = 0; i < _proxies.length; i++) {
+            address safeAddress = safeAddresses[i];
+            address proxy = _proxies[i];
+            if (payrolls[proxy].safeAddress != address(0))
+                revert OrgRegisteredAlready(proxy);
+            if (payrollAddress[safeAddress][names[i]] != address(0))
+                revert OrgOnboardedAlready(safeAddress);
+            if (IParcelPayroll(proxy).owner() != safeAddress)
+                revert ProxyNotOwnedBySafe(proxy, safeAddress);
+
+            payrollAddress[safeAddress][names[i]] = proxy;
+            payrollNames[safeAddress].push(names[i]);
+            proxies.push(proxy);
+            payrolls[proxy] = Payroll(safeAddress, names[i], false);
+            emit OrgRegistered(safeAddress, names[i], proxy);
+        }
+    }
+
+    /**
+     * @dev Retire a ParcelPayroll contract of the org, e.g. a compromised one, and free its name
+     * The org retires the payroll first, in the same Safe transaction batch, a retired payroll stays paused
+     * @param name - Name of the payroll within the org
+     */
+    function offboard(bytes32 name) external {
+        address proxy = payrollAddress[msg.sender][name];
+        if (proxy == address(0)) revert PayrollDoesNotExist(msg.sender, name);
+        if (IParcelPayroll(proxy).retiredAt() == 0)
+            revert PayrollNotRetired(proxy);
+
+        delete payrollAddress[msg.sender][name];
+        payrolls[proxy].retired = true;
+
+        // Swap and pop the name, the order of the names isn't kept
+        bytes32[] storage names = payrollNames[msg.sender];
+        for (uint256 i = 0; i < names.length; i++) {
+            if (names[i] == name) {
+                names[i] = names[names.length - 1];
+                names.pop();
+                break;
+            }
+        }
+
+        emit OrgOffboarded(msg.sender, name, proxy);
+    }
+
+    /**
+     * @dev Get the default ParcelPayroll contract of an org, the payroll with a zero name
+     * @param safeAddress - The safe address of the org
+     * @return Address of the ParcelPayroll contract, zero if the org has no default payroll
+     */
+    function parcelAddress(
+        address safeAddress
+    ) external view returns (address) {
+        return payrollAddress[safeAddress][bytes32(0)];
+    }
+
+    /**
+     * @dev Get the names of the active payrolls of an org
+     * @param safeAddress - The safe address of the org
+     * @return Array of payroll names
+     */
+    function getPayrollNames(
+        address safeAddress
+    ) external view returns (bytes32[] memory) {
+        return payrollNames[safeAddress];
     }
 
     /**
@@ -165,5 +386,115 @@ contract ParcelPayrollFactory is Ownable2Step {
 
         emit LogicAddressChanged(logic, _logic);
         logic = _logic;
+        registerVersion(_logic);
+    }
+
+    /**
+     * @dev Set the default allowance module, the module of the network in utils/constant.js
+     * @param _allowanceModule - Address of the Safe AllowanceModule, zero to require one at onboarding
+     */
+    function setDefaultAllowanceModule(
+        address _allowanceModule
+    ) public onlyOwner {
+        emit DefaultAllowanceModuleChanged(
+            defaultAllowanceModule,
+            _allowanceModule
+        );
+        defaultAllowanceModule = _allowanceModule;
+    }
+
+    /**
+     * @dev Get the number of payrolls deployed or registered by the factory, retired ones included
+     * @return Number of payrolls
+     */
+    function getOrgCount() external view returns (uint256) {
+        return proxies.length;
+    }
+
+    /**
+     * @dev Get a page of the payrolls deployed or registered by the factory with their current implementation
+     * @param start - Index of the first org
+     * @param count - Maximum number of orgs to return
+     * @return Array of Org, empty past the last org
+     */
+    function getOrgs(
+        uint256 start,
+        uint256 count
+    ) external view returns (Org[] memory) {
+        uint256 end = start + count > proxies.length
+            ? proxies.length
+            : start + count;
+        if (start >= end) return new Org[](0);
+
+        Org[] memory page = new Org[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            page[i - start] = getOrg(proxies[i]);
+        }
+        return page;
+    }
+
+    /**
+     * @dev Get a payroll deployed or registered by the factory with its current implementation
+     * The proxy is upgraded by the org safe, so the implementation is read from the proxy and not recorded by the factory
+     * @param proxy - Address of the ParcelPayroll contract
+     * @return Org, with a zero safe address if the factory didn't deploy nor register the proxy
+     */
+    function getOrg(address proxy) public view returns (Org memory) {
+        Payroll memory payroll = payrolls[proxy];
+        address implementation;
+        if (payroll.safeAddress != address(0)) {
+            // Implementations without getImplementation return no data
+            (bool success, bytes memory result) = proxy.staticcall(
+                abi.encodeCall(IParcelPayroll.getImplementation, ())
+            );
+            if (success && result.length == 32)
+                implementation = abi.decode(result, (address));
+        }
+
+        return
+            Org(
+                payroll.safeAddress,
+                payroll.name,
+                proxy,
+                implementation,
+                implementationVersion[implementation],
+                payroll.retired
+            );
+    }
+
+    /**
+     * @dev Get the CREATE2 salt of a payroll, the name keeps the payrolls of an org at different addresses
+     * @param name - Name of the payroll within the org
+     * @param salt - Salt chosen by the org
+     * @return bytes32 salt of the deployment
+     */
+    function getDeploymentSalt(
+        bytes32 name,
+        bytes32 salt
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(name, salt));
+    }
+
+    /**
+     * @dev Get the allowance module an org is onboarded with
+     * @param allowanceModule - Address chosen by the org, zero for the default allowance module
+     * @return Address of the Safe AllowanceModule
+     */
+    function resolveAllowanceModule(
+        address allowanceModule
+    ) internal view returns (address) {
+        return
+            allowanceModule == address(0)
+                ? defaultAllowanceModule
+                : allowanceModule;
+    }
+
+    /**
+     * @dev Assign the next version to an implementation the factory never used
+     * @param _logic - Address of the logic contract
+     */
+    function registerVersion(address _logic) internal {
+        if (implementationVersion[_logic] == 0)
+            implementationVersion[_logic] = ++versionCount;
     }
 }
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "../interfaces/IAggregatorV3.sol";
+
+/**
+ * @title MockAggregator
+ * @dev Chainlink-style price feed with a settable answer, used in tests only.
+ */
+contract MockAggregator is IAggregatorV3 {
+    uint8 public immutable override decimals;
+
+    uint80 public roundId;
+    int256 public answer;
+    uint256 public updatedAt;
+
+    constructor(uint8 _decimals) {
+        decimals = _decimals;
+    }
+
+    /**
+     * @dev Publish a new round
+     * @param _answer - Price reported by the round
+     * @param _updatedAt - Timestamp of the round
+     */
+    function setRoundData(int256 _answer, uint256 _updatedAt) external {
+        roundId++;
+        answer = _answer;
+        updatedAt = _updatedAt;
+    }
+
+    /**
+     * @dev Latest round published, see setRoundData
+     */
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
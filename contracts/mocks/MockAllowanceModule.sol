@@ -0,0 +1,246 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+interface IMockSafe {
+    function execTransactionFromModule(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation
+    ) external returns (bool success);
+}
+
+/**
+ * @title MockAllowanceModule
+ * @dev Minimal version of the Safe AllowanceModule used in tests only.
+ * Mirrors the behaviour of `executeAllowanceTransfer` for delegates calling without signature: the allowance (and payment allowance) is spent, the payment is sent to `tx.origin` and the amount to the recipient.
+ * The contract has no constructor state so its runtime code can be etched at any address.
+ */
+contract MockAllowanceModule {
+    struct Allowance {
+        uint96 amount;
+        uint96 spent;
+        uint16 resetTimeMin;
+        uint32 lastResetMin;
+        uint16 nonce;
+    }
+
+    /**
+     * @dev Safe => Delegate => Token => Allowance
+     */
+    mapping(address => mapping(address => mapping(address => Allowance)))
+        public allowances;
+
+    /**
+     * @dev Safe => Delegate => Boolean
+     */
+    mapping(address => mapping(address => bool)) public delegates;
+
+    event AddDelegate(address indexed safe, address delegate);
+    event SetAllowance(
+        address indexed safe,
+        address delegate,
+        address token,
+        uint96 allowanceAmount,
+        uint16 resetTime
+    );
+    event ExecuteAllowanceTransfer(
+        address indexed safe,
+        address delegate,
+        address token,
+        address to,
+        uint96 value,
+        uint16 nonce
+    );
+    event PayAllowanceTransfer(
+        address indexed safe,
+        address delegate,
+        address paymentToken,
+        address paymentReceiver,
+        uint96 payment
+    );
+
+    /**
+     * @dev Add a delegate to the calling safe
+     * @param delegate - Address of the delegate
+     */
+    function addDelegate(address delegate) external {
+        delegates[msg.sender][delegate] = true;
+        emit AddDelegate(msg.sender, delegate);
+    }
+
+    /**
+     * @dev Set the allowance of a delegate of the calling safe
+     * @param delegate - Address of the delegate
+     * @param token - Address of the token, address(0) for native tokens
+     * @param allowanceAmount - Allowance amount
+     * @param resetTimeMin - Minutes after which the spent amount is reset, 0 for a one time allowance
+     * @param resetBaseMin - Base time in minutes of the reset period
+     */
+    function setAllowance(
+        address delegate,
+        address token,
+        uint96 allowanceAmount,
+        uint16 resetTimeMin,
+        uint32 resetBaseMin
+    ) external {
+        require(delegates[msg.sender][delegate], "delegate not added");
+
+        Allowance storage allowance = allowances[msg.sender][delegate][token];
+        allowance.amount = allowanceAmount;
+        allowance.resetTimeMin = resetTimeMin;
+        if (resetTimeMin > 0)
+            allowance.lastResetMin = resetBaseMin > 0
+                ? resetBaseMin
+                : uint32(block.timestamp / 60);
+
+        emit SetAllowance(
+            msg.sender,
+            delegate,
+            token,
+            allowanceAmount,
+            resetTimeMin
+        );
+    }
+
+    /**
+     * @dev Get the allowance of a delegate
+     * @return [amount, spent, resetTimeMin, lastResetMin, nonce]
+     */
+    function getTokenAllowance(
+        address safe,
+        address delegate,
+        address token
+    ) external view returns (uint256[5] memory) {
+        Allowance memory allowance = getAllowance(safe, delegate, token);
+        return [
+            uint256(allowance.amount),
+            uint256(allowance.spent),
+            uint256(allowance.resetTimeMin),
+            uint256(allowance.lastResetMin),
+            uint256(allowance.nonce)
+        ];
+    }
+
+    /**
+     * @dev Transfer tokens from the safe using the allowance of the delegate
+     * Only the delegate itself can call this function, signatures are not supported
+     */
+    function executeAllowanceTransfer(
+        address safe,
+        address token,
+        address payable to,
+        uint96 amount,
+        address paymentToken,
+        uint96 payment,
+        address delegate,
+        bytes memory signature
+    ) external {
+        Allowance memory allowance = getAllowance(safe, delegate, token);
+        allowance.nonce = allowance.nonce + 1;
+
+        uint96 newSpent = allowance.spent + amount;
+        require(
+            newSpent > allowance.spent && newSpent <= allowance.amount,
+            "newSpent > allowance.spent && newSpent <= allowance.amount"
+        );
+        allowance.spent = newSpent;
+
+        if (payment > 0) {
+            Allowance memory paymentAllowance = paymentToken == token
+                ? allowance
+                : getAllowance(safe, delegate, paymentToken);
+            newSpent = paymentAllowance.spent + payment;
+            require(
+                newSpent > paymentAllowance.spent &&
+                    newSpent <= paymentAllowance.amount,
+                "newSpent > paymentAllowance.spent && newSpent <= paymentAllowance.amount"
+            );
+            paymentAllowance.spent = newSpent;
+            if (paymentToken != token)
+                updateAllowance(safe, delegate, paymentToken, paymentAllowance);
+        }
+        updateAllowance(safe, delegate, token, allowance);
+
+        require(
+            signature.length == 0 &&
+                msg.sender == delegate &&
+                delegates[safe][delegate],
+            "expected delegate"
+        );
+
+        if (payment > 0) {
+            transfer(safe, paymentToken, payable(tx.origin), payment);
+            emit PayAllowanceTransfer(
+                safe,
+                delegate,
+                paymentToken,
+                tx.origin,
+                payment
+            );
+        }
+
+        transfer(safe, token, to, amount);
+        emit ExecuteAllowanceTransfer(
+            safe,
+            delegate,
+            token,
+            to,
+            amount,
+            allowance.nonce - 1
+        );
+    }
+
+    function getAllowance(
+        address safe,
+        address delegate,
+        address token
+    ) internal view returns (Allowance memory allowance) {
+        allowance = allowances[safe][delegate][token];
+        uint32 currentMin = uint32(block.timestamp / 60);
+        if (
+            allowance.resetTimeMin > 0 &&
+            allowance.lastResetMin <= currentMin - allowance.resetTimeMin
+        ) {
+            allowance.spent = 0;
+            allowance.lastResetMin =
+                currentMin -
+                ((currentMin - allowance.lastResetMin) %
+                    allowance.resetTimeMin);
+        }
+    }
+
+    function updateAllowance(
+        address safe,
+        address delegate,
+        address token,
+        Allowance memory allowance
+    ) internal {
+        allowances[safe][delegate][token] = allowance;
+    }
+
+    function transfer(
+        address safe,
+        address token,
+        address payable to,
+        uint96 amount
+    ) internal {
+        bool success;
+        if (token == address(0)) {
+            success = IMockSafe(safe).execTransactionFromModule(
+                to,
+                amount,
+                "",
+                0
+            );
+        } else {
+            success = IMockSafe(safe).execTransactionFromModule(
+                token,
+                0,
+                abi.encodeWithSignature("transfer(address,uint256)", to, amount),
+                0
+            );
+        }
+        require(success, "Could not execute token transfer");
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockContractWallet
+ * @dev Smart contract wallet validating EIP-1271 signatures of its owner, used in tests only.
+ */
+contract MockContractWallet is IERC1271 {
+    /**
+     * @dev Address whose ECDSA signatures are accepted by the wallet
+     */
+    address public immutable walletOwner;
+
+    constructor(address _walletOwner) {
+        walletOwner = _walletOwner;
+    }
+
+    /**
+     * @dev Check a signature of the wallet owner
+     * @param hash - Digest signed
+     * @param signature - ECDSA signature of the owner
+     * @return magicValue - IERC1271.isValidSignature.selector if the owner signed the digest
+     */
+    function isValidSignature(
+        bytes32 hash,
+        bytes memory signature
+    ) external view override returns (bytes4 magicValue) {
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(
+            hash,
+            signature
+        );
+        if (error == ECDSA.RecoverError.NoError && signer == walletOwner)
+            return IERC1271.isValidSignature.selector;
+        return 0xffffffff;
+    }
+}
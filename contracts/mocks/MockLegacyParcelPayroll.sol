@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "../ParcelPayroll.sol";
+
+/**
+ * @title MockLegacyParcelPayroll
+ * @dev ParcelPayroll implementation clearing the allowance module, as in the proxies initialized before it was configurable.
+ * Used in the upgrade tests only.
+ */
+contract MockLegacyParcelPayroll is ParcelPayroll {
+    /**
+     * @dev Constructor
+     * @param _module - Address of the first module, see ParcelPayroll
+     */
+    constructor(address _module) ParcelPayroll(_module) {}
+
+    /**
+     * @dev Clear the allowance module from the storage of the proxy
+     */
+    function clearAllowanceModule() external {
+        allowanceModuleAddress = address(0);
+    }
+}
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "../ParcelTransparentProxy.sol";
+import "../PayrollFactory.sol";
+
+/**
+ * @title MockLegacyPayrollFactory
+ * @dev Factory onboarding a single payroll per safe and emitting the OrgOnboarded event of the legacy factory.
+ * Used in the registration tests only.
+ */
+contract MockLegacyPayrollFactory {
+    address public immutable logic;
+    address public immutable addressRegistry;
+
+    mapping(address => address) public parcelAddress;
+
+    event OrgOnboarded(
+        address safeAddress,
+        address indexed proxy,
+        address indexed implementation,
+        bytes initData
+    );
+
+    constructor(address _logic, address _addressRegistry) {
+        logic = _logic;
+        addressRegistry = _addressRegistry;
+    }
+
+    /**
+     * @dev Deploy a ParcelPayroll contract owned by the caller
+     * @param salt - Salt used to compute the address
+     * @param _approvers - Array of approver addresses
+     * @param approvalsRequired - Number of approvals required for a payout to be executed
+     * @param allowanceModule - Address of the Safe AllowanceModule used by the org
+     */
+    function onboard(
+        bytes32 salt,
+        address[] calldata _approvers,
+        uint128 approvalsRequired,
+        address allowanceModule
+    ) external {
+        if (parcelAddress[msg.sender] != address(0))
+            revert OrgOnboardedAlready(msg.sender);
+
+        bytes memory _data = abi.encodeCall(
+            IParcelPayroll.initialize,
+            (msg.sender, allowanceModule, _approvers, approvalsRequired)
+        );
+
+        ParcelTransparentProxy proxy = new ParcelTransparentProxy{salt: salt}(
+            logic,
+            msg.sender,
+            _data,
+            addressRegistry
+        );
+
+        parcelAddress[msg.sender] = address(proxy);
+        emit OrgOnboarded(msg.sender, address(proxy), logic, _data);
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "../ParcelPayroll.sol";
+
+/**
+ * @title MockParcelPayrollV2
+ * @dev ParcelPayroll implementation appending a variable to the storage layout, used in the upgrade tests only.
+ */
+contract MockParcelPayrollV2 is ParcelPayroll {
+    /**
+     * @dev Constructor
+     * @param _module - Address of the first module, see ParcelPayroll
+     */
+    constructor(address _module) ParcelPayroll(_module) {}
+
+    /**
+     * @dev Variable appended after the storage of ParcelPayroll
+     */
+    uint256 public upgradeCount;
+}
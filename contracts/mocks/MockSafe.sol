@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+// Errors
+error OnlySafeOwner();
+error OnlySafe();
+error ModuleNotEnabled(address module);
+error UnsupportedOperation(uint8 operation);
+
+/**
+ * @title MockSafe
+ * @dev Minimal Gnosis Safe used in tests only. A single owner executes transactions on behalf of the safe and enabled modules can execute transactions through `execTransactionFromModule`, like the AllowanceModule does.
+ */
+contract MockSafe {
+    /**
+     * @dev Address allowed to execute transactions from the safe
+     */
+    address public immutable safeOwner;
+
+    /**
+     * @dev Modules enabled on the safe
+     */
+    mapping(address => bool) public isModuleEnabled;
+
+    /**
+     * @dev Emitted when a module is enabled
+     * @param module - Address of the module
+     */
+    event EnabledModule(address module);
+
+    constructor(address _safeOwner) {
+        safeOwner = _safeOwner;
+    }
+
+    /**
+     * @dev Receive Native tokens
+     */
+    receive() external payable {}
+
+    /**
+     * @dev Execute a transaction from the safe, bubbling up the revert data
+     * @param to - Destination address
+     * @param value - Native token value
+     * @param data - Call data
+     * @return returnData - Data returned by the call
+     */
+    function execTransaction(
+        address to,
+        uint256 value,
+        bytes calldata data
+    ) external payable returns (bytes memory returnData) {
+        if (msg.sender != safeOwner) revert OnlySafeOwner();
+
+        bool success;
+        (success, returnData) = to.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(returnData, 32), mload(returnData))
+            }
+        }
+    }
+
+    /**
+     * @dev Enable a module, can only be called by the safe itself
+     * @param module - Address of the module
+     */
+    function enableModule(address module) external {
+        if (msg.sender != address(this)) revert OnlySafe();
+
+        isModuleEnabled[module] = true;
+        emit EnabledModule(module);
+    }
+
+    /**
+     * @dev Execute a transaction requested by an enabled module
+     * @param to - Destination address
+     * @param value - Native token value
+     * @param data - Call data
+     * @param operation - Only 0 (call) is supported
+     * @return success - Boolean, true if the call succeeded
+     */
+    function execTransactionFromModule(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation
+    ) external returns (bool success) {
+        if (!isModuleEnabled[msg.sender]) revert ModuleNotEnabled(msg.sender);
+        if (operation != 0) revert UnsupportedOperation(operation);
+
+        (success, ) = to.call{value: value}(data);
+    }
+}
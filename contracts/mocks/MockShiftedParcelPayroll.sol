@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "../ParcelPayroll.sol";
+
+/**
+ * @title MockShiftedStorage
+ * @dev Base contract declaring a variable before the storage of ParcelPayroll
+ */
+contract MockShiftedStorage {
+    uint256 public shiftedSlot;
+}
+
+/**
+ * @title MockShiftedParcelPayroll
+ * @dev ParcelPayroll implementation shifting every variable by one slot, used in the upgrade tests only.
+ */
+contract MockShiftedParcelPayroll is MockShiftedStorage, ParcelPayroll {
+    /**
+     * @dev Constructor
+     * @param _module - Address of the first module, see ParcelPayroll
+     */
+    constructor(address _module) ParcelPayroll(_module) {}
+}
@@ -0,0 +1,588 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "./PayrollModule.sol";
+
+/**
+ * @title PayrollAdminModule
+ * @dev Module of ParcelPayroll managing the Org: approvers, roles, spending caps, price feeds and gas reimbursement, see the managers of the same name, and the sweeps of the funds held by the contract.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract PayrollAdminModule is PayrollModule {
+    /**
+     * @dev Constructor
+     * @param _nextModule - Address of the next module, address(0) for the last module
+     */
+    constructor(address _nextModule) PayrollModule(_nextModule) {}
+
+    /**
+     * @notice Adds the approver `approver` to the Org and updates the threshold to `_threshold`.
+     * @dev This can only be done via a Org transaction.
+     * @param newApprover New approver address.
+     * @param _threshold New threshold.
+     */
+    function addApproverWithThreshold(
+        address newApprover,
+        uint128 _threshold
+    ) public onlyOwner {
+        addApprover(newApprover, _threshold);
+    }
+
+    /**
+     * @notice Removes the approver `approver` from the Org and updates the threshold to `_threshold`.
+     * @dev This can only be done via a Org transaction.
+     * @param prevApprover Approver that pointed to the approver to be removed in the linked list
+     * @param approver Approver address to be removed.
+     * @param _threshold New threshold.
+     */
+    function removeApproverWithThreshold(
+        address prevApprover,
+        address approver,
+        uint128 _threshold
+    ) public onlyOwner {
+        removeApprover(prevApprover, approver, _threshold);
+    }
+
+    /**
+     * @notice Replaces the approver `oldApprover` with `newApprover` in the Org.
+     * @dev This can only be done via a Org transaction.
+     * @param prevApprover Approver that pointed to the approver to be replaced in the linked list
+     * @param oldApprover Approver address to be replaced.
+     * @param newApprover New approver address.
+     */
+    function swapApprover(
+        address prevApprover,
+        address oldApprover,
+        address newApprover
+    ) public onlyOwner {
+        replaceApprover(prevApprover, oldApprover, newApprover);
+    }
+
+    /**
+     * @notice Changes the threshold of the Org to `_threshold`.
+     * @dev This can only be done via a Org transaction.
+     * @param _threshold New threshold.
+     */
+    function changeThreshold(uint128 _threshold) public onlyOwner {
+        setThreshold(_threshold);
+    }
+
+    /**
+     * @notice Changes the allowance module of the Org to `_allowanceModule`.
+     * @dev This can only be done via a Org transaction. The new module must have the payroll contract as a delegate of the Org.
+     * @param _allowanceModule New allowance module address.
+     */
+    function changeAllowanceModule(address _allowanceModule) public onlyOwner {
+        setupAllowanceModule(_allowanceModule);
+    }
+
+    /**
+     * @notice Changes the cancelation policy of the Org to `_cancelPolicy`.
+     * @dev This can only be done via a Org transaction.
+     * @param _cancelPolicy New cancelation policy.
+     * @param _cancelThreshold Approvers required to cancel with the CancelThreshold policy, 0 for the other policies.
+     */
+    function changeCancelPolicy(
+        CancelPolicy _cancelPolicy,
+        uint128 _cancelThreshold
+    ) public onlyOwner {
+        if (_cancelPolicy == CancelPolicy.CancelThreshold) {
+            // Validate that the cancel threshold can be reached.
+            if (_cancelThreshold > approverCount)
+                revert ThresholdTooHigh(_cancelThreshold, approverCount);
+            if (_cancelThreshold == 0) revert ThresholdTooLow(_cancelThreshold);
+        } else if (_cancelThreshold != 0) {
+            revert ThresholdTooHigh(_cancelThreshold, 0);
+        }
+
+        cancelPolicy = _cancelPolicy;
+        cancelThreshold = _cancelThreshold;
+        emit ChangedCancelPolicy(_cancelPolicy, _cancelThreshold);
+    }
+
+    /**
+     * @notice Returns a list of Org approvers.
+     * @return Array of Org approvers.
+     */
+    function getApprovers() public view returns (address[] memory) {
+        address[] memory array = new address[](approverCount);
+
+        // populate return array
+        uint256 index = 0;
+        address currentApprover = approvers[SENTINEL_APPROVER];
+        while (currentApprover != SENTINEL_APPROVER) {
+            array[index] = currentApprover;
+            currentApprover = approvers[currentApprover];
+            index++;
+        }
+        return array;
+    }
+
+    /**
+     * @notice Returns if `approver` is an approver of the Org.
+     * @return Boolean if approver is an approver of the Org.
+     */
+    function isApprover(address approver) external view returns (bool) {
+        return isActiveApprover(approver);
+    }
+
+    /**
+     * @notice Returns the allowance module of the Org.
+     * @dev Proxies upgraded from the implementation with a constant module keep using it until the Org changes it.
+     * @return Address of the Safe AllowanceModule.
+     */
+    function allowanceModule() external view returns (address) {
+        return getAllowanceModule();
+    }
+
+    /**
+     * @notice Creates the role `role` with the members `members` and the threshold `_threshold`.
+     * @dev This can only be done via a Org transaction.
+     * @param role Name of the role.
+     * @param members Members of the role.
+     * @param _threshold Number of members required to approve a payout.
+     */
+    function createRole(
+        bytes32 role,
+        address[] calldata members,
+        uint128 _threshold
+    ) public onlyOwner {
+        if (role == bytes32(0) || roles[role].threshold != 0)
+            revert InvalidRole(role);
+
+        roleNames.push(role);
+        for (uint256 i = 0; i < members.length; i++) {
+            addMember(role, members[i]);
+        }
+        setRoleThreshold(role, _threshold);
+    }
+
+    /**
+     * @notice Removes the role `role` and its members `members`.
+     * @dev This can only be done via a Org transaction. The amount bands requiring the role have to be changed first, its name can then be reused by a new role.
+     * @param role Name of the role.
+     * @param members Every member of the role.
+     */
+    function removeRole(
+        bytes32 role,
+        address[] calldata members
+    ) public onlyOwner {
+        if (roles[role].threshold == 0) revert RoleDoesNotExist(role);
+        if (roleBandCount[role] != 0) revert RoleInUse(role);
+        if (members.length != roles[role].memberCount)
+            revert RoleMembersMismatch(role);
+
+        // Clear the members, a role created later under the same name starts empty
+        for (uint256 i = 0; i < members.length; i++) {
+            if (!roleMembers[role][members[i]])
+                revert RoleMemberDoesNotExist(role, members[i]);
+            delete roleMembers[role][members[i]];
+            emit RemovedRoleMember(role, members[i]);
+        }
+        delete roles[role];
+
+        // Swap and pop the name, the order of the roles isn't kept
+        for (uint256 i = 0; i < roleNames.length; i++) {
+            if (roleNames[i] == role) {
+                roleNames[i] = roleNames[roleNames.length - 1];
+                roleNames.pop();
+                break;
+            }
+        }
+        emit RemovedRole(role);
+    }
+
+    /**
+     * @notice Adds `member` to the role `role`.
+     * @dev This can only be done via a Org transaction.
+     * @param role Name of the role.
+     * @param member Address of the member.
+     */
+    function addRoleMember(bytes32 role, address member) public onlyOwner {
+        if (roles[role].threshold == 0) revert RoleDoesNotExist(role);
+        addMember(role, member);
+    }
+
+    /**
+     * @notice Removes `member` from the role `role` and updates its threshold to `_threshold`.
+     * @dev This can only be done via a Org transaction.
+     * @param role Name of the role.
+     * @param member Address of the member.
+     * @param _threshold New threshold of the role.
+     */
+    function removeRoleMember(
+        bytes32 role,
+        address member,
+        uint128 _threshold
+    ) public onlyOwner {
+        if (roles[role].threshold == 0) revert RoleDoesNotExist(role);
+        if (!roleMembers[role][member])
+            revert RoleMemberDoesNotExist(role, member);
+
+        delete roleMembers[role][member];
+        roles[role].memberCount--;
+        emit RemovedRoleMember(role, member);
+        setRoleThreshold(role, _threshold);
+    }
+
+    /**
+     * @notice Changes the threshold of the role `role` to `_threshold`.
+     * @dev This can only be done via a Org transaction.
+     * @param role Name of the role.
+     * @param _threshold New threshold of the role.
+     */
+    function changeRoleThreshold(
+        bytes32 role,
+        uint128 _threshold
+    ) public onlyOwner {
+        if (roles[role].threshold == 0) revert RoleDoesNotExist(role);
+        setRoleThreshold(role, _threshold);
+    }
+
+    /**
+     * @notice Replaces the amount bands of the token `tokenAddress`.
+     * @dev This can only be done via a Org transaction. Payouts under the first band, or of a token without bands, need the threshold of approvers.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param minAmounts Smallest amount of each band, strictly ascending.
+     * @param bandRoles Roles required by each band.
+     * @param minSigners Number of distinct approvers required by each band, on top of the threshold of each of its roles.
+     */
+    function setAmountBands(
+        address tokenAddress,
+        uint128[] calldata minAmounts,
+        bytes32[][] calldata bandRoles,
+        uint128[] calldata minSigners
+    ) public onlyOwner {
+        if (
+            minAmounts.length != bandRoles.length ||
+            minAmounts.length != minSigners.length
+        ) revert AmountBandLengthMismatch();
+
+        // Release the roles of the replaced bands
+        AmountBand[] storage bands = amountBands[tokenAddress];
+        for (uint256 i = 0; i < bands.length; i++) {
+            for (uint256 j = 0; j < bands[i].roles.length; j++) {
+                roleBandCount[bands[i].roles[j]]--;
+            }
+        }
+
+        delete amountBands[tokenAddress];
+        for (uint256 i = 0; i < minAmounts.length; i++) {
+            if (i > 0 && minAmounts[i - 1] >= minAmounts[i])
+                revert AmountBandsNotSorted(minAmounts[i - 1], minAmounts[i]);
+
+            // Structs with dynamic arrays can't be copied to storage
+            AmountBand storage band = bands.push();
+            band.minAmount = minAmounts[i];
+            band.minSigners = minSigners[i];
+            for (uint256 j = 0; j < bandRoles[i].length; j++) {
+                if (roles[bandRoles[i][j]].threshold == 0)
+                    revert RoleDoesNotExist(bandRoles[i][j]);
+                band.roles.push(bandRoles[i][j]);
+                roleBandCount[bandRoles[i][j]]++;
+            }
+        }
+        emit ChangedAmountBands(tokenAddress, minAmounts);
+    }
+
+    /**
+     * @notice Returns the names of the roles of the Org.
+     * @return Array of role names.
+     */
+    function getRoles() public view returns (bytes32[] memory) {
+        return roleNames;
+    }
+
+    /**
+     * @notice Returns the role `role`.
+     * @param role Name of the role.
+     * @return Role, with a null threshold if the role does not exist.
+     */
+    function getRole(bytes32 role) public view returns (Role memory) {
+        return roles[role];
+    }
+
+    /**
+     * @notice Returns if `member` is a member of the role `role`.
+     * @param role Name of the role.
+     * @param member Address of the member.
+     * @return Boolean if member is a member of the role.
+     */
+    function isRoleMember(
+        bytes32 role,
+        address member
+    ) public view returns (bool) {
+        return roleMembers[role][member];
+    }
+
+    /**
+     * @notice Returns the roles of `member`.
+     * @param member Address of the member.
+     * @return Array of role names.
+     */
+    function getMemberRoles(
+        address member
+    ) public view returns (bytes32[] memory) {
+        uint256 count = 0;
+        bytes32[] memory memberRoles = new bytes32[](roleNames.length);
+        for (uint256 i = 0; i < roleNames.length; i++) {
+            if (roleMembers[roleNames[i]][member])
+                memberRoles[count++] = roleNames[i];
+        }
+
+        // Shrink the array to the roles found
+        assembly {
+            mstore(memberRoles, count)
+        }
+        return memberRoles;
+    }
+
+    /**
+     * @notice Returns the amount bands of the token `tokenAddress`.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @return Array of AmountBand sorted by ascending minAmount.
+     */
+    function getAmountBands(
+        address tokenAddress
+    ) public view returns (AmountBand[] memory) {
+        return amountBands[tokenAddress];
+    }
+
+    /**
+     * @notice Returns the roles required to approve a payout of `amount` of the token `tokenAddress`.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param amount Amount of the payout.
+     * @return Array of role names, empty if the payout needs the threshold of approvers.
+     */
+    function getRequiredRoles(
+        address tokenAddress,
+        uint256 amount
+    ) public view returns (bytes32[] memory) {
+        uint256 bandIndex = getAmountBandIndex(tokenAddress, amount);
+        if (bandIndex == 0) return new bytes32[](0);
+        return amountBands[tokenAddress][bandIndex - 1].roles;
+    }
+
+    /**
+     * @notice Returns if the approvers `_approvers` can approve a payout of `amount` of the token `tokenAddress`.
+     * @dev Addresses that are not approvers of the Org are ignored.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param amount Amount of the payout.
+     * @param _approvers Addresses of the approvers.
+     * @return Boolean if the payout is approved.
+     */
+    function isApprovedBy(
+        address tokenAddress,
+        uint256 amount,
+        address[] calldata _approvers
+    ) public view returns (bool) {
+        uint256 mask;
+        for (uint256 i = 0; i < _approvers.length; i++) {
+            mask |= getApproverMask(_approvers[i]);
+        }
+        return isPayoutApproved(tokenAddress, amount, mask, getRoleMasks());
+    }
+
+    /**
+     * @notice Sets the spending caps of the token `tokenAddress`.
+     * @dev This can only be done via a Org transaction. Changing the period length restarts the spending of the current period.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param payoutCap Maximum amount of a single payout, 0 to disable.
+     * @param periodCap Maximum amount paid in a period, 0 to disable.
+     * @param recipientCap Maximum amount paid to a single recipient in a period, 0 to disable.
+     * @param period Length of a period in seconds, required by the period and recipient caps.
+     */
+    function setSpendingCap(
+        address tokenAddress,
+        uint128 payoutCap,
+        uint128 periodCap,
+        uint128 recipientCap,
+        uint64 period
+    ) public onlyOwner {
+        if ((periodCap != 0 || recipientCap != 0) && period == 0)
+            revert InvalidSpendingCap(tokenAddress);
+
+        spendingCaps[tokenAddress] = SpendingCap(
+            payoutCap,
+            periodCap,
+            recipientCap,
+            period
+        );
+        emit ChangedSpendingCap(
+            tokenAddress,
+            payoutCap,
+            periodCap,
+            recipientCap,
+            period
+        );
+    }
+
+    /**
+     * @notice Returns the spending caps of the token `tokenAddress`.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @return SpendingCap struct.
+     */
+    function getSpendingCap(
+        address tokenAddress
+    ) public view returns (SpendingCap memory) {
+        return spendingCaps[tokenAddress];
+    }
+
+    /**
+     * @notice Returns the bounds of the current period of the token `tokenAddress`.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @return start Timestamp at which the period started, 0 if the token has no period.
+     * @return end Timestamp at which the next period starts, 0 if the token has no period.
+     */
+    function getCurrentPeriod(
+        address tokenAddress
+    ) external view returns (uint256 start, uint256 end) {
+        return getPeriod(tokenAddress);
+    }
+
+    /**
+     * @notice Returns the amount of `tokenAddress` that can still be paid in the current period.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @return Remaining budget, type(uint256).max if the token has no period cap.
+     */
+    function getRemainingPeriodBudget(
+        address tokenAddress
+    ) external view returns (uint256) {
+        return getPeriodBudget(tokenAddress);
+    }
+
+    /**
+     * @notice Returns the amount of `tokenAddress` that can still be paid to `recipient` in the current period.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param recipient Address of the recipient.
+     * @return Remaining budget, type(uint256).max if the token has no recipient cap.
+     */
+    function getRemainingRecipientBudget(
+        address tokenAddress,
+        address recipient
+    ) external view returns (uint256) {
+        return getRecipientBudget(tokenAddress, recipient);
+    }
+
+    /**
+     * @notice Sets the price feed of a token in a fiat currency.
+     * @dev This can only be done via a Org transaction.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param currency Fiat currency of the price, e.g. bytes32("USD").
+     * @param feed Address of the aggregator, address(0) to remove the feed.
+     * @param maxStaleness Maximum age in seconds of the latest answer, required with a feed.
+     */
+    function setPriceFeed(
+        address tokenAddress,
+        bytes32 currency,
+        address feed,
+        uint64 maxStaleness
+    ) public onlyOwner {
+        if (currency == bytes32(0) || (feed != address(0) && maxStaleness == 0))
+            revert InvalidPriceFeed(tokenAddress, currency);
+
+        if (feed == address(0)) delete priceFeeds[tokenAddress][currency];
+        else priceFeeds[tokenAddress][currency] = PriceFeed(feed, maxStaleness);
+        emit ChangedPriceFeed(tokenAddress, currency, feed, maxStaleness);
+    }
+
+    /**
+     * @notice Returns the price feed of a token in a fiat currency.
+     * @param tokenAddress Address of the token.
+     * @param currency Fiat currency of the price.
+     * @return PriceFeed struct, with a zero feed if none is set.
+     */
+    function getPriceFeed(
+        address tokenAddress,
+        bytes32 currency
+    ) public view returns (PriceFeed memory) {
+        return priceFeeds[tokenAddress][currency];
+    }
+
+    /**
+     * @notice Returns the token amount of a fiat amount at the current price, the amount approvers quote in a fiat leaf.
+     * @dev Reverts if the token has no fresh price in the currency.
+     * @param tokenAddress Address of the token.
+     * @param currency Fiat currency of the amount.
+     * @param fiatAmount Amount of the currency, with FIAT_DECIMALS decimals.
+     * @return amount Token amount.
+     */
+    function quoteFiatAmount(
+        address tokenAddress,
+        bytes32 currency,
+        uint256 fiatAmount
+    ) public view returns (uint256 amount) {
+        bool available;
+        (available, , amount) = convertFiatAmount(
+            tokenAddress,
+            currency,
+            fiatAmount
+        );
+        if (!available) revert PriceFeedUnavailable(tokenAddress, currency);
+    }
+
+    /**
+     * @notice Sets the token and the maximum payment reimbursing the executors of the payroll.
+     * @dev This can only be done via a Org transaction. The payroll contract needs an allowance of the token in the Allowance Module.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param maxPayment Maximum payment of an execution, 0 to disable reimbursements.
+     * @param gasPrice Price of a unit of gas in the token, required for ERC20 tokens. For native tokens, the maximum gas price reimbursed or 0 for the gas price of the transaction.
+     */
+    function setGasReimbursement(
+        address tokenAddress,
+        uint96 maxPayment,
+        uint128 gasPrice
+    ) public onlyOwner {
+        if (maxPayment != 0 && tokenAddress != address(0) && gasPrice == 0)
+            revert InvalidGasReimbursement(tokenAddress);
+
+        gasReimbursement = GasReimbursement(tokenAddress, maxPayment, gasPrice);
+        emit ChangedGasReimbursement(tokenAddress, maxPayment, gasPrice);
+    }
+
+    /**
+     * @notice Returns the gas reimbursement of the Org.
+     * @return GasReimbursement struct.
+     */
+    function getGasReimbursement()
+        public
+        view
+        returns (GasReimbursement memory)
+    {
+        return gasReimbursement;
+    }
+
+    /**
+     * @dev Sweep the contract balance to the org safe
+     * @param tokenAddress - Address of the token to sweep
+     * @notice Funds locked for unclaimed streams and failed payouts are not swept
+     */
+    function sweep(address tokenAddress) external nonReentrant {
+        sweepToken(tokenAddress, owner(), getAvailableBalance(tokenAddress));
+    }
+
+    /**
+     * @dev Sweep amounts of several tokens to any destination, only callable by the org safe
+     * @param tokenAddresses - Addresses of the tokens to sweep, address(0) for native tokens
+     * @param amounts - Amounts to sweep, at most the available balance of each token
+     * @param to - Address receiving the tokens
+     * @notice Funds locked for unclaimed streams and failed payouts are not swept
+     */
+    function sweepTo(
+        address[] memory tokenAddresses,
+        uint256[] memory amounts,
+        address to
+    ) external onlyOwner nonReentrant {
+        if (tokenAddresses.length != amounts.length)
+            revert SweepDataLengthMismatch();
+        if (to == address(0)) revert InvalidSweepDestination();
+
+        for (uint256 i = 0; i < tokenAddresses.length; i++) {
+            if (amounts[i] > getAvailableBalance(tokenAddresses[i]))
+                revert SweepFailed(tokenAddresses[i], amounts[i]);
+
+            sweepToken(tokenAddresses[i], to, amounts[i]);
+        }
+    }
+}
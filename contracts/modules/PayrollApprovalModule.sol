@@ -0,0 +1,398 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "./PayrollModule.sol";
+
+/**
+ * @title PayrollApprovalModule
+ * @dev Module of ParcelPayroll managing the approvals given outside of the payroll signatures: on-chain root approvals, payout nonce cancellations and approver changes, see RootManager and ApproverGovernanceManager.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract PayrollApprovalModule is PayrollModule {
+    /**
+     * @dev Constructor
+     * @param _nextModule - Address of the next module, address(0) for the last module
+     */
+    constructor(address _nextModule) PayrollModule(_nextModule) {}
+
+    /**
+     * @dev Cancel a payout nonce
+     * @param nonce nonce of the payout
+     * @param signature signature of the nonce by an approver, ignored when called by the Org
+     * @notice The signatures required depend on the cancelation policy, see changeCancelPolicy. A policy requiring several approvers is met with invalidateNonceWithSignatures
+     */
+    function invalidateNonce(uint64 nonce, bytes memory signature) external {
+        bytes[] memory signatures = new bytes[](1);
+        signatures[0] = signature;
+        cancelNonce(nonce, signatures);
+    }
+
+    /**
+     * @dev Cancel a payout nonce with the signatures of several approvers
+     * @param nonce nonce of the payout
+     * @param signatures signatures of the nonce, sorted by ascending signer address, empty when called by the Org
+     * @notice The signatures required depend on the cancelation policy, see changeCancelPolicy
+     */
+    function invalidateNonceWithSignatures(
+        uint64 nonce,
+        bytes[] memory signatures
+    ) external {
+        cancelNonce(nonce, signatures);
+    }
+
+    /**
+     * @dev Cancel a list of payout nonces
+     * @param nonces nonces of the payouts
+     * @param signatures signatures of the CancelNonces typed data, sorted by ascending signer address, empty when called by the Org
+     * @notice The signatures required depend on the cancelation policy, see changeCancelPolicy
+     */
+    function invalidateNonces(
+        uint64[] memory nonces,
+        bytes[] memory signatures
+    ) external {
+        validateCancelSignatures(getCancelNoncesDigest(nonces), signatures);
+
+        // Invalidate the nonces
+        for (uint256 i = 0; i < nonces.length; i++) {
+            packPayoutNonce(nonces[i]);
+            emit NonceInvalidated(nonces[i]);
+        }
+    }
+
+    /**
+     * @dev Cancel a range of payout nonces
+     * @param fromNonce first nonce of the range
+     * @param toNonce last nonce of the range, included
+     * @param signatures signatures of the CancelNonceRange typed data, sorted by ascending signer address, empty when called by the Org
+     * @notice The range is written slot by slot, a range of 256 nonces aligned on a slot of packedPayoutNonces costs a single storage write
+     * @notice The signatures required depend on the cancelation policy, see changeCancelPolicy
+     */
+    function invalidateNonceRange(
+        uint64 fromNonce,
+        uint64 toNonce,
+        bytes[] memory signatures
+    ) external {
+        if (fromNonce > toNonce) revert InvalidNonceRange(fromNonce, toNonce);
+
+        validateCancelSignatures(
+            getCancelNonceRangeDigest(fromNonce, toNonce),
+            signatures
+        );
+
+        // Invalidate the nonces
+        packPayoutNonceRange(fromNonce, toNonce);
+        emit NonceRangeInvalidated(fromNonce, toNonce);
+    }
+
+    /**
+     * @dev Approve a root on behalf of an approver
+     * @param root Merkle root of the payroll transaction hashes
+     * @param expiry Timestamp after which the approval is not valid anymore
+     * @param signature Signature of the ApproveRoot typed data by the approver
+     * @notice A signature can only be used once, a revoked approval can't be restored by replaying it
+     */
+    function approveRootWithSignature(
+        bytes32 root,
+        uint64 expiry,
+        bytes memory signature
+    ) external {
+        address signer = validateApproveRoot(root, expiry, signature);
+
+        if (!isActiveApprover(signer)) {
+            revert OnlyApprover();
+        }
+
+        useRootSignature(signer, getApproveRootDigest(root, expiry));
+        recordRootApproval(signer, root, expiry);
+    }
+
+    /**
+     * @dev Get the roots waiting for the approval of an approver, in a page of the roots approved on-chain
+     * @param approver Approver address
+     * @param tokenAddress Address of the token of the payout the roots have to approve, address(0) for native tokens
+     * @param amount Amount of the payout the roots have to approve
+     * @param offset Index of the first root of the page, see getListedRootCount
+     * @param limit Maximum number of roots of the page
+     * @return Array of roots
+     * @notice A root is pending when it is approved by at least one approver but not by `approver`, and its approvals don't approve the payout as an execution would, see isPayoutApproved
+     */
+    function getPendingRoots(
+        address approver,
+        address tokenAddress,
+        uint256 amount,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory) {
+        uint256 end = offset + limit > approvedRoots.length
+            ? approvedRoots.length
+            : offset + limit;
+        if (offset >= end) return new bytes32[](0);
+
+        RoleMasks memory roleMasks = getRoleMasks();
+        bytes32[] memory array = new bytes32[](end - offset);
+        uint256 index = 0;
+        for (uint256 i = offset; i < end; i++) {
+            bytes32 root = approvedRoots[i];
+            if (hasApprovedRoot(root, approver)) continue;
+
+            uint256 approvalMask = getRootApprovalMask(root);
+            if (
+                approvalMask != 0 &&
+                !isPayoutApproved(tokenAddress, amount, approvalMask, roleMasks)
+            ) array[index++] = root;
+        }
+
+        // Shrink the array to the number of roots found
+        assembly {
+            mstore(array, index)
+        }
+        return array;
+    }
+
+    /**
+     * @dev Propose an approver set change signed by the threshold of approvers, executable with executeApproverChange after the timelock
+     * @param change Approver set change
+     * @param signatures Signatures of the ApproverChange typed data with the current approverChangeNonce, sorted by ascending signer address
+     * @notice Only available when the org safe enabled approver governance, see setApproverGovernance
+     */
+    function proposeApproverChange(
+        ApproverChange memory change,
+        bytes[] memory signatures
+    ) external {
+        address[] memory signers = validateApproverChangeSignatures(
+            getApproverChangeDigest(change, approverChangeNonce),
+            signatures
+        );
+        recordApproverChange(change, signers);
+    }
+
+    /**
+     * @notice Approves the root `root` until `expiry` as the calling approver.
+     * @param root Merkle root of the payroll transaction hashes.
+     * @param expiry Timestamp after which the approval is not valid anymore.
+     */
+    function approveRoot(bytes32 root, uint64 expiry) external {
+        if (!isActiveApprover(msg.sender)) revert OnlyApprover();
+        recordRootApproval(msg.sender, root, expiry);
+    }
+
+    /**
+     * @notice Revokes the approval of the root `root` by the calling approver.
+     * @param root Merkle root of the payroll transaction hashes.
+     */
+    function revokeRoot(bytes32 root) external {
+        if (!hasApprovedRoot(root, msg.sender))
+            revert RootNotApproved(root, msg.sender);
+
+        rootApprovals[root][msg.sender].expiry = 0;
+        emit RootRevoked(root, msg.sender);
+    }
+
+    /**
+     * @notice Returns if the root `root` is approved by `approver`.
+     * @param root Merkle root of the payroll transaction hashes.
+     * @param approver Approver address.
+     * @return Boolean, true if the approval is valid.
+     */
+    function isRootApprovedBy(
+        bytes32 root,
+        address approver
+    ) external view returns (bool) {
+        return hasApprovedRoot(root, approver);
+    }
+
+    /**
+     * @notice Returns the number of valid approvals of the root `root`.
+     * @param root Merkle root of the payroll transaction hashes.
+     * @return Number of approvers of the root.
+     */
+    function getRootApprovalCount(bytes32 root) public view returns (uint256) {
+        uint256 approvals;
+        address currentApprover = approvers[SENTINEL_APPROVER];
+        while (currentApprover != SENTINEL_APPROVER) {
+            if (hasApprovedRoot(root, currentApprover)) approvals++;
+            currentApprover = approvers[currentApprover];
+        }
+        return approvals;
+    }
+
+    /**
+     * @notice Returns the roots currently approved by `approver`.
+     * @param approver Approver address.
+     * @return Array of roots.
+     */
+    function getApprovedRoots(
+        address approver
+    ) public view returns (bytes32[] memory) {
+        bytes32[] storage roots = approverRoots[approver];
+        bytes32[] memory array = new bytes32[](roots.length);
+
+        uint256 index = 0;
+        for (uint256 i = 0; i < roots.length; i++) {
+            if (hasApprovedRoot(roots[i], approver)) array[index++] = roots[i];
+        }
+
+        // Shrink the array to the number of roots found
+        assembly {
+            mstore(array, index)
+        }
+        return array;
+    }
+
+    /**
+     * @notice Returns the number of roots approved by at least one approver, including expired and revoked approvals.
+     * @return Number of roots, the length of the list paged by getPendingRoots.
+     */
+    function getListedRootCount() public view returns (uint256) {
+        return approvedRoots.length;
+    }
+
+    /**
+     * @notice Enables or disables the approver set changes proposed by the approvers.
+     * @dev This can only be done via a Org transaction. Disabling governance drops the pending changes, they can't be executed once it is enabled again.
+     * @param enabled True to let the approvers propose changes.
+     * @param delay Timelock of the proposed changes in seconds, at least 1 when enabled.
+     */
+    function setApproverGovernance(
+        bool enabled,
+        uint64 delay
+    ) public onlyOwner {
+        // The Org has to be able to veto the changes
+        if (enabled && delay == 0) revert InvalidApproverChangeDelay(delay);
+
+        if (!enabled) dropApproverChanges();
+
+        approverGovernanceEnabled = enabled;
+        approverChangeDelay = delay;
+        emit ChangedApproverGovernance(enabled, delay);
+    }
+
+    /**
+     * @notice Vetoes the pending change `changeNonce`.
+     * @dev This can only be done via a Org transaction.
+     * @param changeNonce Nonce of the change.
+     */
+    function vetoApproverChange(uint256 changeNonce) public onlyOwner {
+        if (getPendingApproverChange(changeNonce).eta == 0)
+            revert ApproverChangeNotProposed(changeNonce);
+
+        delete pendingApproverChanges[changeNonce];
+        delete approverChangeSigners[changeNonce];
+        emit ApproverChangeVetoed(changeNonce);
+    }
+
+    /**
+     * @notice Executes the pending change `changeNonce` once its timelock is over.
+     * @dev Callable by anyone. Reverts if the change was dropped, if its signers are no longer the threshold of approvers or if it can't be applied to the current approver set.
+     * @param changeNonce Nonce of the change.
+     */
+    function executeApproverChange(uint256 changeNonce) public {
+        if (!approverGovernanceEnabled) revert ApproverGovernanceDisabled();
+        if (changeNonce < minApproverChangeNonce)
+            revert ApproverChangeDropped(changeNonce);
+
+        PendingApproverChange memory pending = pendingApproverChanges[
+            changeNonce
+        ];
+        if (pending.eta == 0) revert ApproverChangeNotProposed(changeNonce);
+        if (block.timestamp < pending.eta)
+            revert ApproverChangeTimelocked(changeNonce, pending.eta);
+
+        // The threshold may have been raised since the proposal
+        uint256 approvals = countApproverChangeSigners(changeNonce);
+        if (approvals < threshold)
+            revert InsufficientApproverChangeApprovals(approvals, threshold);
+
+        delete pendingApproverChanges[changeNonce];
+        delete approverChangeSigners[changeNonce];
+        applyApproverChange(pending.change);
+        emit ApproverChangeExecuted(changeNonce);
+    }
+
+    /**
+     * @notice Returns the pending change `changeNonce`.
+     * @param changeNonce Nonce of the change.
+     * @return PendingApproverChange, with a null eta if the change is not pending or was dropped.
+     */
+    function getPendingApproverChange(
+        uint256 changeNonce
+    ) public view returns (PendingApproverChange memory) {
+        PendingApproverChange memory pending;
+        if (changeNonce >= minApproverChangeNonce)
+            pending = pendingApproverChanges[changeNonce];
+        return pending;
+    }
+
+    /**
+     * @notice Returns the approvers who signed the pending change `changeNonce`.
+     * @param changeNonce Nonce of the change.
+     * @return Array of signer addresses, sorted by ascending address.
+     */
+    function getApproverChangeSigners(
+        uint256 changeNonce
+    ) public view returns (address[] memory) {
+        return approverChangeSigners[changeNonce];
+    }
+
+    /**
+     * @dev generate the hash of the cancel transaction
+     * @param nonce nonce of the payout
+     * @return bytes32 hash
+     */
+    function getCancelTransactionHash(
+        uint64 nonce
+    ) external view returns (bytes32) {
+        return getCancelDigest(nonce);
+    }
+
+    /**
+     * @dev generate the hash of the cancelation of a list of nonces
+     * @param nonces nonces of the payouts
+     * @return bytes32 hash
+     */
+    function getCancelNoncesTransactionHash(
+        uint64[] memory nonces
+    ) external view returns (bytes32) {
+        return getCancelNoncesDigest(nonces);
+    }
+
+    /**
+     * @dev generate the hash of the cancelation of a range of nonces
+     * @param fromNonce first nonce of the range
+     * @param toNonce last nonce of the range, included
+     * @return bytes32 hash
+     */
+    function getCancelNonceRangeTransactionHash(
+        uint64 fromNonce,
+        uint64 toNonce
+    ) external view returns (bytes32) {
+        return getCancelNonceRangeDigest(fromNonce, toNonce);
+    }
+
+    /**
+     * @dev generate the hash of the root approval
+     * @param rootHash Merkle root of the payroll transaction hashes
+     * @param expiry Timestamp after which the approval is not valid anymore
+     * @return bytes32 hash
+     */
+    function getApproveRootTransactionHash(
+        bytes32 rootHash,
+        uint64 expiry
+    ) external view returns (bytes32) {
+        return getApproveRootDigest(rootHash, expiry);
+    }
+
+    /**
+     * @dev generate the hash of an approver set change
+     * @param change Approver set change
+     * @param changeNonce Nonce of the change, see approverChangeNonce
+     * @return bytes32 hash
+     */
+    function getApproverChangeTransactionHash(
+        ApproverChange memory change,
+        uint256 changeNonce
+    ) external view returns (bytes32) {
+        return getApproverChangeDigest(change, changeNonce);
+    }
+}
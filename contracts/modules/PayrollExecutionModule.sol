@@ -0,0 +1,258 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "./PayrollModule.sol";
+
+/**
+ * @title PayrollExecutionModule
+ * @dev Module of ParcelPayroll executing the payrolls with a gas reimbursement or on-chain root approvals, and previewing the payrolls.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract PayrollExecutionModule is PayrollModule {
+    /**
+     * @dev Constructor
+     * @param _nextModule - Address of the next module, address(0) for the last module
+     */
+    constructor(address _nextModule) PayrollModule(_nextModule) {}
+
+    /**
+     * @dev Execute the payroll like executeScheduledPayroll and reimburse the gas of the executor from the org safe
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, empty if no payout of the batch is scheduled
+     * @param validUntil Timestamps after which the payouts expire, empty if no payout of the batch is scheduled
+     * @param proof Merkle proof of the payroll transaction hashes
+     * @param roots Merkle roots of the payroll transaction hashes
+     * @param signatures Signatures of the payroll transaction hashes
+     * @param reimbursement Reimbursement leaf of the batch with its proof in each root, see encodeReimbursementData
+     * @notice The reimbursement leaf is signed in the roots of the batch and approved like a payout of its maxPayment. Its nonce is used once paid, a reimbursement isn't paid twice.
+     * @notice The gas is measured from the start of the call, plus REIMBURSEMENT_GAS_OVERHEAD and the calldata. The payment is capped by the maxPayment of the leaf and of the Org, see GasReimbursementManager.
+     */
+    function executePayrollWithReimbursement(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        bytes32[][][] memory proof,
+        bytes32[] memory roots,
+        bytes[] memory signatures,
+        Reimbursement memory reimbursement
+    ) external nonReentrant whenNotPaused {
+        uint256 gasStart = gasleft();
+
+        uint256[] memory signerMasks = executeSignedPayroll(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            proof,
+            roots,
+            signatures
+        );
+        reimburseGas(reimbursement, roots, signerMasks, gasStart);
+    }
+
+    /**
+     * @dev Execute the payroll against roots approved on-chain with approveRoot / approveRootWithSignature
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, empty if no payout of the batch is scheduled
+     * @param validUntil Timestamps after which the payouts expire, empty if no payout of the batch is scheduled
+     * @param proof Merkle proof of the payroll transaction hashes
+     * @param roots Merkle roots approved on-chain
+     * @notice A payout is approved when the distinct approvers of the roots including it reach the threshold. Expired approvals and approvals of removed approvers are not counted.
+     */
+    function executeApprovedPayroll(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        bytes32[][][] memory proof,
+        bytes32[] memory roots
+    ) external nonReentrant whenNotPaused {
+        // Validate the Input Data
+        validatePayrollData(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            proof
+        );
+
+        // Approvers of each root, as bitmaps of their index in the approver list
+        uint256[] memory approvalMasks = new uint256[](roots.length);
+        for (uint256 j = 0; j < roots.length; j++) {
+            approvalMasks[j] = getRootApprovalMask(roots[j]);
+        }
+
+        // Generate the leaves from the payout data
+        bytes32[] memory leaves = encodePayoutLeaves(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil
+        );
+
+        // Payouts outside of their validity window are not approved, they are not fetched
+        RoleMasks memory roleMasks = getRoleMasks();
+        bool[] memory isApproved = new bool[](to.length);
+        for (uint256 i = 0; i < to.length; i++) {
+            isApproved[i] =
+                isWithinValidity(
+                    validityAt(validAfter, i),
+                    validityAt(validUntil, i)
+                ) &&
+                isPayoutApproved(
+                    tokenAddress[i],
+                    amount[i],
+                    getLeafApprovalMask(
+                        leaves[i],
+                        proof[i],
+                        roots,
+                        approvalMasks
+                    ),
+                    roleMasks
+                );
+        }
+
+        processPayouts(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            isApproved
+        );
+    }
+
+    /**
+     * @dev Preview the execution of a payroll without executing it
+     * @param to Addresses to send the funds to
+     * @param tokenAddress Addresses of the tokens to send
+     * @param amount Amounts of tokens to send
+     * @param payoutNonce Payout nonces to use
+     * @param validAfter Timestamps before which the payouts can't be executed, empty if no payout of the batch is scheduled
+     * @param validUntil Timestamps after which the payouts expire, empty if no payout of the batch is scheduled
+     * @param proof Merkle proof of the payroll transaction hashes
+     * @param roots Merkle roots of the payroll transaction hashes
+     * @param signatures Signatures of the payroll transaction hashes
+     * @return payouts Approvals, nonce status and expected outcome of each payout
+     * @return fetches Amount of each token paid by the batch and pulled from the org safe, in ascending token order
+     * @notice Takes the executeScheduledPayroll arguments and reverts like executeScheduledPayroll on invalid data, signatures or token order. Payouts with a used nonce are reported instead, the rest of the preview assumes they are removed from the batch.
+     * @notice The pause, the allowances of the Safe and the transfers aren't checked, a Paid payout can still fail its transfer.
+     */
+    function previewPayroll(
+        address[] memory to,
+        address[] memory tokenAddress,
+        uint128[] memory amount,
+        uint64[] memory payoutNonce,
+        uint64[] memory validAfter,
+        uint64[] memory validUntil,
+        bytes32[][][] memory proof,
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    )
+        external
+        view
+        returns (PayoutPreview[] memory payouts, TokenFetch[] memory fetches)
+    {
+        // Validate the Input Data
+        validatePayrollData(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+            proof
+        );
+
+        if (roots.length != signatures.length)
+            revert RootSignatureLengthMismatch();
+
+        uint256[] memory signerMasks = validateSignatures(roots, signatures);
+        RoleMasks memory roleMasks = getRoleMasks();
+
+        // Generate the leaves from the payout data
+        bytes32[] memory leaves = encodePayoutLeaves(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil
+        );
+
+        payouts = new PayoutPreview[](to.length);
+        for (uint256 i = 0; i < to.length; i++) {
+            uint256 approvalMask = getLeafApprovalMask(
+                leaves[i],
+                proof[i],
+                roots,
+                signerMasks
+            );
+            payouts[i].approvals = countMaskBits(approvalMask);
+            payouts[i].nonceUsed = isPayoutNonceUsed(payoutNonce[i]);
+
+            if (payouts[i].nonceUsed) {
+                payouts[i].outcome = PayoutOutcome.NonceAlreadyExecuted;
+            } else if (
+                !isWithinValidity(
+                    validityAt(validAfter, i),
+                    validityAt(validUntil, i)
+                )
+            ) {
+                payouts[i].outcome = PayoutOutcome.OutsideValidity;
+            } else if (
+                !isPayoutApproved(
+                    tokenAddress[i],
+                    amount[i],
+                    approvalMask,
+                    roleMasks
+                )
+            ) {
+                payouts[i].outcome = PayoutOutcome.Failed;
+                payouts[i].reason = PayoutFailureReason.InsufficientApprovals;
+            }
+        }
+
+        fetches = previewFetches(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            payouts
+        );
+    }
+
+    /**
+     * @dev Encode the transaction data for the gas reimbursement of a batch
+     * @param tokenAddress Address of the token paying the executor
+     * @param maxPayment Maximum payment approved for the execution
+     * @param payoutNonce Payout nonce of the reimbursement
+     * @return encodedHash Encoded hash of the transaction data
+     */
+    function encodeReimbursementData(
+        address tokenAddress,
+        uint256 maxPayment,
+        uint64 payoutNonce
+    ) external view returns (bytes32) {
+        return encodeReimbursementLeaf(tokenAddress, maxPayment, payoutNonce);
+    }
+}
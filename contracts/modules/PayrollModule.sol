@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "../ParcelPayrollBase.sol";
+
+/**
+ * @title PayrollModule
+ * @dev Base of the modules of ParcelPayroll. ParcelPayroll delegates the calls to the functions it doesn't implement to its first module, each module delegates the calls to the functions it doesn't implement to the next one.
+ * A module only runs in the context of the proxy of an org, its own storage is never initialized.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+abstract contract PayrollModule is ParcelPayrollBase {
+    /**
+     * @dev Next module, address(0) for the last module
+     */
+    address internal immutable nextModule;
+
+    /**
+     * @dev Constructor
+     * @param _nextModule - Address of the next module, address(0) for the last module
+     */
+    constructor(address _nextModule) {
+        nextModule = _nextModule;
+
+        // The storage of the proxy is initialized by ParcelPayroll
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Delegate the calls to the functions implemented by the next modules
+     * @notice The last module reverts without data, like a contract without the function
+     */
+    fallback() external {
+        if (nextModule == address(0)) revert();
+        delegateToModule(nextModule);
+    }
+}
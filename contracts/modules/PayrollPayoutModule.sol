@@ -0,0 +1,522 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "./PayrollModule.sol";
+
+/**
+ * @title PayrollPayoutModule
+ * @dev Module of ParcelPayroll paying the claims, the streams and the fiat payouts, and returning the funds held by the contract through the failed payouts.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract PayrollPayoutModule is PayrollModule {
+    /**
+     * @dev Constructor
+     * @param _nextModule - Address of the next module, address(0) for the last module
+     */
+    constructor(address _nextModule) PayrollModule(_nextModule) {}
+
+    /**
+     * @dev Claim an approved payout, only callable by its recipient
+     * @param tokenAddress Address of the token to claim
+     * @param amount Amount of tokens to claim
+     * @param payoutNonce Payout nonce of the payout
+     * @param validAfter Timestamp before which the payout can't be claimed, 0 if it is valid immediately
+     * @param validUntil Timestamp after which the payout expires, 0 if it never expires
+     * @param proof Merkle proofs of the payout, one per root
+     * @param roots Merkle roots of the payroll transaction hashes
+     * @param signatures Signatures of the payroll transaction hashes
+     * @notice The recipient is the caller. Unlike executePayroll, the claim reverts if the payout can't be paid or exceeds the spending caps of the token.
+     */
+    function claim(
+        address tokenAddress,
+        uint128 amount,
+        uint64 payoutNonce,
+        uint64 validAfter,
+        uint64 validUntil,
+        bytes32[][] memory proof,
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    ) external nonReentrant whenNotPaused {
+        // Validate the Input Data
+        if (roots.length != signatures.length)
+            revert RootSignatureLengthMismatch();
+        if (roots.length != proof.length) revert PayrollDataLengthMismatch();
+
+        // Revert if the payout nonce has already been executed
+        if (isPayoutNonceUsed(payoutNonce))
+            revert PayoutNonceAlreadyExecuted(payoutNonce);
+
+        if (!isWithinValidity(validAfter, validUntil))
+            revert ClaimOutsideValidity(validAfter, validUntil);
+
+        uint256[] memory signerMasks = validateSignatures(roots, signatures);
+
+        bytes32 leaf = encodeScheduledPayoutLeaf(
+            msg.sender,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil
+        );
+        if (
+            !isPayoutApproved(
+                tokenAddress,
+                amount,
+                getLeafApprovalMask(leaf, proof, roots, signerMasks),
+                getRoleMasks()
+            )
+        ) revert InsufficientApprovals(payoutNonce);
+
+        (bool exceeded, ) = exceedsSpendingCap(
+            tokenAddress,
+            msg.sender,
+            amount
+        );
+        if (exceeded)
+            revert SpendingCapExceeded(tokenAddress, msg.sender, amount);
+        recordSpending(tokenAddress, msg.sender, amount);
+
+        // Fetch the payout from Gnosis
+        execTransactionFromGnosis(tokenAddress, uint96(amount));
+
+        packPayoutNonce(payoutNonce);
+        transferFunds(tokenAddress, msg.sender, amount);
+        emit PayoutSuccessful(tokenAddress, msg.sender, amount, payoutNonce);
+    }
+
+    /**
+     * @dev Create vesting streams from approved stream payouts and fetch their funds from the org safe
+     * @param payouts Stream payouts to create
+     * @param proof Merkle proof of the stream transaction hashes
+     * @param roots Merkle roots of the payroll transaction hashes
+     * @param signatures Signatures of the payroll transaction hashes
+     * @notice Stream leaves are signed in the same roots as the payouts. A stream without enough approvals or exceeding the spending caps of its token is skipped after emitting the PayoutFailed event.
+     */
+    function createStreams(
+        StreamPayout[] memory payouts,
+        bytes32[][][] memory proof,
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    ) external nonReentrant whenNotPaused {
+        uint256 payoutLength = payouts.length;
+
+        // Validate the Input Data
+        if (payoutLength == 0 || payoutLength != proof.length)
+            revert PayrollDataLengthMismatch();
+
+        if (roots.length != signatures.length)
+            revert RootSignatureLengthMismatch();
+
+        uint256[] memory signerMasks = validateSignatures(roots, signatures);
+        RoleMasks memory roleMasks = getRoleMasks();
+
+        for (uint256 i = 0; i < payoutLength; i++) {
+            StreamPayout memory payout = payouts[i];
+
+            // Revert if the payout nonce has already been executed
+            if (isPayoutNonceUsed(payout.payoutNonce))
+                revert PayoutNonceAlreadyExecuted(payout.payoutNonce);
+
+            validateStreamSchedule(payout);
+
+            bytes32 leaf = encodeStreamLeaf(
+                payout.to,
+                payout.tokenAddress,
+                payout.amount,
+                payout.payoutNonce,
+                payout.start,
+                payout.cliff,
+                payout.duration
+            );
+
+            if (
+                !isPayoutApproved(
+                    payout.tokenAddress,
+                    payout.amount,
+                    getLeafApprovalMask(leaf, proof[i], roots, signerMasks),
+                    roleMasks
+                )
+            ) {
+                emit PayoutFailed(
+                    payout.tokenAddress,
+                    payout.to,
+                    payout.amount,
+                    payout.payoutNonce,
+                    PayoutFailureReason.InsufficientApprovals,
+                    ""
+                );
+                continue;
+            }
+
+            // The full amount of the stream is counted against the spending caps
+            (bool exceeded, PayoutFailureReason reason) = exceedsSpendingCap(
+                payout.tokenAddress,
+                payout.to,
+                payout.amount
+            );
+            if (exceeded) {
+                emit PayoutFailed(
+                    payout.tokenAddress,
+                    payout.to,
+                    payout.amount,
+                    payout.payoutNonce,
+                    reason,
+                    ""
+                );
+                continue;
+            }
+            recordSpending(payout.tokenAddress, payout.to, payout.amount);
+
+            // Fetch the stream funds from Gnosis, they are locked until claimed or refunded
+            execTransactionFromGnosis(
+                payout.tokenAddress,
+                uint96(payout.amount)
+            );
+            packPayoutNonce(payout.payoutNonce);
+            setupStream(payout);
+        }
+    }
+
+    /**
+     * @dev Claim the vested amount of a stream, only callable by the stream recipient
+     * @param payoutNonce Payout nonce of the stream
+     */
+    function claimStream(
+        uint64 payoutNonce
+    ) external nonReentrant whenNotPaused {
+        Stream storage stream = streams[payoutNonce];
+        if (stream.recipient == address(0))
+            revert StreamDoesNotExist(payoutNonce);
+        if (msg.sender != stream.recipient)
+            revert OnlyStreamRecipient(stream.recipient);
+
+        uint256 amount = getClaimableAmount(payoutNonce);
+        if (amount == 0) revert NothingToClaim(payoutNonce);
+
+        stream.claimed += uint128(amount);
+        lockedStreamBalance[stream.tokenAddress] -= amount;
+
+        transferFunds(stream.tokenAddress, stream.recipient, amount);
+        emit StreamClaimed(payoutNonce, stream.recipient, amount);
+    }
+
+    /**
+     * @dev Cancel a stream, the unvested amount is returned to the org safe and the vested amount stays claimable by the recipient
+     * @param payoutNonce Payout nonce of the stream
+     * @notice Only callable by an approver or the org safe
+     */
+    function cancelStream(uint64 payoutNonce) external nonReentrant {
+        if (msg.sender != owner() && !isActiveApprover(msg.sender))
+            revert OnlyApproverOrOwner();
+
+        Stream storage stream = streams[payoutNonce];
+        if (stream.recipient == address(0))
+            revert StreamDoesNotExist(payoutNonce);
+        if (stream.cancelledAt != 0) revert StreamAlreadyCancelled(payoutNonce);
+
+        stream.cancelledAt = uint64(block.timestamp);
+
+        uint256 vested = getVestedAmount(payoutNonce);
+        uint256 refund = stream.amount - vested;
+        lockedStreamBalance[stream.tokenAddress] -= refund;
+
+        if (refund > 0) transferFunds(stream.tokenAddress, owner(), refund);
+        emit StreamCancelled(payoutNonce, msg.sender, vested, refund);
+    }
+
+    /**
+     * @dev Execute approved fiat payouts, converted to token amounts with the price feeds of the org
+     * @param payouts Fiat payouts to execute
+     * @param proof Merkle proof of the fiat transaction hashes
+     * @param roots Merkle roots of the payroll transaction hashes
+     * @param signatures Signatures of the payroll transaction hashes
+     * @notice Fiat leaves are signed in the same roots as the payouts, approved for the token amount quoted at approval time and for the converted amount when it is larger. A payout without enough approvals, without a fresh price, converted outside its max slippage or exceeding the spending caps of its token is skipped after emitting the PayoutFailed event.
+     */
+    function executeFiatPayroll(
+        FiatPayout[] memory payouts,
+        bytes32[][][] memory proof,
+        bytes32[] memory roots,
+        bytes[] memory signatures
+    ) external nonReentrant whenNotPaused {
+        uint256 payoutLength = payouts.length;
+
+        // Validate the Input Data
+        if (payoutLength == 0 || payoutLength != proof.length)
+            revert PayrollDataLengthMismatch();
+
+        if (roots.length != signatures.length)
+            revert RootSignatureLengthMismatch();
+
+        uint256[] memory signerMasks = validateSignatures(roots, signatures);
+        RoleMasks memory roleMasks = getRoleMasks();
+
+        for (uint256 i = 0; i < payoutLength; i++) {
+            FiatPayout memory payout = payouts[i];
+
+            // Revert if the payout nonce has already been executed
+            if (isPayoutNonceUsed(payout.payoutNonce))
+                revert PayoutNonceAlreadyExecuted(payout.payoutNonce);
+
+            uint256 approvalMask = getLeafApprovalMask(
+                encodeFiatLeaf(
+                    payout.to,
+                    payout.tokenAddress,
+                    payout.amount,
+                    payout.payoutNonce,
+                    payout.currency,
+                    payout.fiatAmount,
+                    payout.maxSlippage
+                ),
+                proof[i],
+                roots,
+                signerMasks
+            );
+
+            if (
+                !isPayoutApproved(
+                    payout.tokenAddress,
+                    payout.amount,
+                    approvalMask,
+                    roleMasks
+                )
+            ) {
+                emit PayoutFailed(
+                    payout.tokenAddress,
+                    payout.to,
+                    payout.amount,
+                    payout.payoutNonce,
+                    PayoutFailureReason.InsufficientApprovals,
+                    ""
+                );
+                continue;
+            }
+
+            (bool priced, uint256 amount) = priceFiatPayout(payout);
+            if (!priced) continue;
+
+            // A conversion above the quote can fall in a higher amount band, it needs the approvals of its band too
+            if (
+                amount > payout.amount &&
+                !isPayoutApproved(
+                    payout.tokenAddress,
+                    amount,
+                    approvalMask,
+                    roleMasks
+                )
+            ) {
+                emit PayoutFailed(
+                    payout.tokenAddress,
+                    payout.to,
+                    amount,
+                    payout.payoutNonce,
+                    PayoutFailureReason.InsufficientApprovals,
+                    ""
+                );
+                continue;
+            }
+
+            (bool exceeded, PayoutFailureReason reason) = exceedsSpendingCap(
+                payout.tokenAddress,
+                payout.to,
+                amount
+            );
+            if (exceeded) {
+                emit PayoutFailed(
+                    payout.tokenAddress,
+                    payout.to,
+                    amount,
+                    payout.payoutNonce,
+                    reason,
+                    ""
+                );
+                continue;
+            }
+            recordSpending(payout.tokenAddress, payout.to, amount);
+
+            // A failed payout executed again at the same amount is paid from its locked funds
+            if (
+                isFailedPayout(
+                    payout.payoutNonce,
+                    payout.tokenAddress,
+                    payout.to,
+                    amount
+                )
+            ) releaseFailedPayout(payout.payoutNonce);
+
+            // Fetch the converted amount from Gnosis
+            execTransactionFromGnosis(payout.tokenAddress, uint96(amount));
+            executePayout(
+                payout.tokenAddress,
+                payout.to,
+                amount,
+                payout.payoutNonce
+            );
+        }
+    }
+
+    /**
+     * @dev Pay a failed payout to its recipient from the funds left on the contract, only callable by the org safe
+     * @param payoutNonce - Payout nonce of the failed payout
+     * @notice Reverts if the transfer fails again, if the payout exceeds the spending caps of its token or if the payout nonce was used since, in which case the payout can only be refunded
+     */
+    function retryFailedPayout(
+        uint64 payoutNonce
+    ) external onlyOwner nonReentrant {
+        if (isPayoutNonceUsed(payoutNonce))
+            revert PayoutNonceAlreadyExecuted(payoutNonce);
+
+        FailedPayout memory failedPayout = releaseFailedPayout(payoutNonce);
+
+        // The retry is a payout of the period, checked against the caps like processPayouts
+        (bool exceeded, ) = exceedsSpendingCap(
+            failedPayout.tokenAddress,
+            failedPayout.to,
+            failedPayout.amount
+        );
+        if (exceeded)
+            revert SpendingCapExceeded(
+                failedPayout.tokenAddress,
+                failedPayout.to,
+                failedPayout.amount
+            );
+        recordSpending(
+            failedPayout.tokenAddress,
+            failedPayout.to,
+            failedPayout.amount
+        );
+
+        packPayoutNonce(payoutNonce);
+        transferFunds(
+            failedPayout.tokenAddress,
+            failedPayout.to,
+            failedPayout.amount
+        );
+        emit FailedPayoutRetried(payoutNonce, failedPayout.amount);
+        emit PayoutSuccessful(
+            failedPayout.tokenAddress,
+            failedPayout.to,
+            failedPayout.amount,
+            payoutNonce
+        );
+    }
+
+    /**
+     * @dev Refund the funds of a failed payout to the org safe and cancel its payout nonce, only callable by the org safe
+     * @param payoutNonce - Payout nonce of the failed payout
+     */
+    function refundFailedPayout(
+        uint64 payoutNonce
+    ) external onlyOwner nonReentrant {
+        FailedPayout memory failedPayout = releaseFailedPayout(payoutNonce);
+
+        packPayoutNonce(payoutNonce);
+        transferFunds(failedPayout.tokenAddress, owner(), failedPayout.amount);
+        emit FailedPayoutRefunded(payoutNonce, failedPayout.amount);
+    }
+
+    /**
+     * @notice Returns the stream of payout nonce `payoutNonce`.
+     * @param payoutNonce Payout nonce of the stream.
+     * @return Stream, with a null recipient if the stream does not exist.
+     */
+    function getStream(uint64 payoutNonce) public view returns (Stream memory) {
+        return streams[payoutNonce];
+    }
+
+    /**
+     * @notice Returns the amount of stream `payoutNonce` vested at the current block.
+     * @param payoutNonce Payout nonce of the stream.
+     * @return Vested amount, including the amount already claimed.
+     */
+    function vestedAmount(uint64 payoutNonce) external view returns (uint256) {
+        return getVestedAmount(payoutNonce);
+    }
+
+    /**
+     * @notice Returns the amount of stream `payoutNonce` the recipient can claim at the current block.
+     * @param payoutNonce Payout nonce of the stream.
+     * @return Claimable amount.
+     */
+    function claimableAmount(
+        uint64 payoutNonce
+    ) external view returns (uint256) {
+        return getClaimableAmount(payoutNonce);
+    }
+
+    /**
+     * @notice Returns the failed payout of payout nonce `payoutNonce`.
+     * @param payoutNonce Payout nonce of the payout.
+     * @return FailedPayout, with a null amount if the payout has no leftover.
+     */
+    function getFailedPayout(
+        uint64 payoutNonce
+    ) public view returns (FailedPayout memory) {
+        return failedPayouts[payoutNonce];
+    }
+
+    /**
+     * @dev Encode the transaction data for a stream payout
+     * @param to Address of the stream recipient
+     * @param tokenAddress Address of the token to stream
+     * @param amount Total amount of tokens to stream
+     * @param payoutNonce Payout nonce to use
+     * @param start Timestamp at which the stream starts vesting
+     * @param cliff Seconds after start before which nothing can be claimed
+     * @param duration Seconds after start at which the full amount is vested
+     * @return encodedHash Encoded hash of the transaction data
+     */
+    function encodeStreamTransactionData(
+        address to,
+        address tokenAddress,
+        uint256 amount,
+        uint64 payoutNonce,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration
+    ) external view returns (bytes32) {
+        return
+            encodeStreamLeaf(
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                start,
+                cliff,
+                duration
+            );
+    }
+
+    /**
+     * @dev Encode the transaction data for a fiat payout
+     * @param to Address of the recipient
+     * @param tokenAddress Address of the token to pay
+     * @param amount Token amount quoted at approval time
+     * @param payoutNonce Payout nonce to use
+     * @param currency Fiat currency of the payout
+     * @param fiatAmount Amount of the currency to pay
+     * @param maxSlippage Maximum deviation of the paid amount from the quoted amount, in basis points
+     * @return encodedHash Encoded hash of the transaction data
+     */
+    function encodeFiatTransactionData(
+        address to,
+        address tokenAddress,
+        uint256 amount,
+        uint64 payoutNonce,
+        bytes32 currency,
+        uint256 fiatAmount,
+        uint16 maxSlippage
+    ) external view returns (bytes32) {
+        return
+            encodeFiatLeaf(
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                currency,
+                fiatAmount,
+                maxSlippage
+            );
+    }
+}
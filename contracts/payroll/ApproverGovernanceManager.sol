@@ -0,0 +1,269 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "./ApproverManager.sol";
+
+// Errors
+error ApproverGovernanceDisabled();
+error InvalidApproverChangeDelay(uint64 delay);
+error ApproverChangeNotProposed(uint256 changeNonce);
+error ApproverChangeTimelocked(uint256 changeNonce, uint64 eta);
+error ApproverChangeDropped(uint256 changeNonce);
+error InsufficientApproverChangeApprovals(uint256 approvals, uint256 required);
+
+/**
+ * @title ApproverGovernanceManager
+ * @notice This contract stores the approver set changes proposed by the Org approvers.
+ * @dev This contract is used by the Parcel Payroll contract. When enabled by the Org, a change signed by the threshold of approvers can be executed by anyone after a timelock, during which the Org can veto it. The Org keeps managing its approvers directly. Removing an approver or disabling governance drops the pending changes, and the signers of a change are recounted against the current approvers and threshold at execution.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract ApproverGovernanceManager is ApproverManager {
+    /**
+     * @dev Operation of an approver set change, mirrors the Org functions of ApproverManager
+     * AddApprover - addApproverWithThreshold(approver, threshold)
+     * RemoveApprover - removeApproverWithThreshold(prevApprover, approver, threshold)
+     * SwapApprover - swapApprover(prevApprover, approver, newApprover)
+     * ChangeThreshold - changeThreshold(threshold)
+     */
+    enum ApproverChangeOperation {
+        AddApprover,
+        RemoveApprover,
+        SwapApprover,
+        ChangeThreshold
+    }
+
+    /**
+     * @dev Approver set change signed by the approvers, unused fields are null
+     * @param operation Operation of the change
+     * @param prevApprover Approver that points to `approver` in the linked list, for RemoveApprover and SwapApprover
+     * @param approver Approver added, removed or swapped out
+     * @param newApprover Approver swapped in, for SwapApprover
+     * @param threshold New threshold, for AddApprover, RemoveApprover and ChangeThreshold
+     */
+    struct ApproverChange {
+        ApproverChangeOperation operation;
+        address prevApprover;
+        address approver;
+        address newApprover;
+        uint128 threshold;
+    }
+
+    /**
+     * @dev Approver set change waiting for its timelock
+     * @param change Approver set change
+     * @param eta Timestamp from which the change can be executed, 0 if there is no pending change
+     */
+    struct PendingApproverChange {
+        ApproverChange change;
+        uint64 eta;
+    }
+
+    /**
+     * @dev - Typehash of the Approver Set Change
+     */
+    bytes32 internal constant APPROVER_CHANGE_TYPEHASH =
+        keccak256(
+            "ApproverChange(uint8 operation,address prevApprover,address approver,address newApprover,uint128 threshold,uint256 changeNonce)"
+        );
+
+    /**
+     * @dev True if the approvers can propose approver set changes.
+     */
+    bool public approverGovernanceEnabled;
+
+    /**
+     * @dev Seconds between the proposal of a change and its execution, during which the Org can veto it.
+     */
+    uint64 public approverChangeDelay;
+
+    /**
+     * @dev Nonce of the next proposed change, signed with the change to prevent replay attacks.
+     */
+    uint256 public approverChangeNonce;
+
+    /**
+     * @dev Changes waiting for their timelock, keyed by change nonce.
+     */
+    mapping(uint256 => PendingApproverChange) internal pendingApproverChanges;
+
+    /**
+     * @dev Approvers who signed each pending change, keyed by change nonce.
+     */
+    mapping(uint256 => address[]) internal approverChangeSigners;
+
+    /**
+     * @dev Changes proposed with a lower nonce were dropped by an approver removal or by disabling governance.
+     */
+    uint256 public minApproverChangeNonce;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[45] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when the Org enables or disables approver governance.
+     * @param enabled True if the approvers can propose changes.
+     * @param delay Timelock of the proposed changes, in seconds.
+     */
+    event ChangedApproverGovernance(bool enabled, uint64 delay);
+
+    /**
+     * @dev Emitted when the approvers propose an approver set change.
+     * @param changeNonce Nonce of the change.
+     * @param operation Operation of the change.
+     * @param prevApprover Approver that points to `approver` in the linked list.
+     * @param approver Approver added, removed or swapped out.
+     * @param newApprover Approver swapped in.
+     * @param threshold New threshold.
+     * @param eta Timestamp from which the change can be executed.
+     */
+    event ApproverChangeProposed(
+        uint256 indexed changeNonce,
+        ApproverChangeOperation operation,
+        address prevApprover,
+        address approver,
+        address newApprover,
+        uint128 threshold,
+        uint64 eta
+    );
+
+    /**
+     * @dev Emitted when a proposed change is executed.
+     * @param changeNonce Nonce of the change.
+     */
+    event ApproverChangeExecuted(uint256 indexed changeNonce);
+
+    /**
+     * @dev Emitted when the Org vetoes a proposed change.
+     * @param changeNonce Nonce of the change.
+     */
+    event ApproverChangeVetoed(uint256 indexed changeNonce);
+
+    /**
+     * @dev Emitted when the pending changes are dropped.
+     * @param changeNonce Nonce of the next proposed change, changes with a lower nonce can't be executed.
+     */
+    event ApproverChangesDropped(uint256 changeNonce);
+
+    /**
+     * @notice Hashes an approver set change for the EIP712 digest.
+     * @param change Approver set change.
+     * @param changeNonce Nonce of the change.
+     * @return Struct hash of the change.
+     */
+    function hashApproverChange(
+        ApproverChange memory change,
+        uint256 changeNonce
+    ) internal pure returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    APPROVER_CHANGE_TYPEHASH,
+                    change.operation,
+                    change.prevApprover,
+                    change.approver,
+                    change.newApprover,
+                    change.threshold,
+                    changeNonce
+                )
+            );
+    }
+
+    /**
+     * @notice Records a change signed by the approvers with the current change nonce and starts its timelock.
+     * @dev The signatures have to be validated against the current change nonce before.
+     * @param change Approver set change.
+     * @param signers Approvers who signed the change.
+     */
+    function recordApproverChange(
+        ApproverChange memory change,
+        address[] memory signers
+    ) internal {
+        if (!approverGovernanceEnabled) revert ApproverGovernanceDisabled();
+
+        uint256 changeNonce = approverChangeNonce++;
+        uint64 eta = uint64(block.timestamp) + approverChangeDelay;
+        pendingApproverChanges[changeNonce] = PendingApproverChange(
+            change,
+            eta
+        );
+        approverChangeSigners[changeNonce] = signers;
+
+        emit ApproverChangeProposed(
+            changeNonce,
+            change.operation,
+            change.prevApprover,
+            change.approver,
+            change.newApprover,
+            change.threshold,
+            eta
+        );
+    }
+
+    /**
+     * @notice Counts the signers of the change `changeNonce` that are still approvers.
+     * @param changeNonce Nonce of the change.
+     * @return approvals Number of signers still approvers.
+     */
+    function countApproverChangeSigners(
+        uint256 changeNonce
+    ) internal view returns (uint256 approvals) {
+        address[] storage signers = approverChangeSigners[changeNonce];
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (isActiveApprover(signers[i])) approvals++;
+        }
+    }
+
+    /**
+     * @notice Drops the pending changes, their signers approved them for an approver set that changed.
+     */
+    function dropApproverChanges() internal {
+        if (minApproverChangeNonce == approverChangeNonce) return;
+
+        minApproverChangeNonce = approverChangeNonce;
+        emit ApproverChangesDropped(approverChangeNonce);
+    }
+
+    /**
+     * @notice Drops the pending changes when an approver is removed.
+     * @param approver Approver address.
+     */
+    function onApproverRemoved(
+        address approver
+    ) internal virtual override {
+        super.onApproverRemoved(approver);
+        dropApproverChanges();
+    }
+
+    /**
+     * @notice Applies an approver set change with the validation of the matching Org function.
+     * @param change Approver set change.
+     */
+    function applyApproverChange(ApproverChange memory change) internal {
+        if (change.operation == ApproverChangeOperation.AddApprover) {
+            addApprover(change.approver, change.threshold);
+        } else if (change.operation == ApproverChangeOperation.RemoveApprover) {
+            removeApprover(
+                change.prevApprover,
+                change.approver,
+                change.threshold
+            );
+        } else if (change.operation == ApproverChangeOperation.SwapApprover) {
+            replaceApprover(
+                change.prevApprover,
+                change.approver,
+                change.newApprover
+            );
+        } else {
+            setThreshold(change.threshold);
+        }
+    }
+}
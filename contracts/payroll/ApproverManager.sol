@@ -11,6 +11,7 @@ error InvalidAddressProvided(address providedAddress);
 error DuplicateAddressProvided(address providedAddress);
 error ApproverDoesNotExist(address approver);
 error ApproverAlreadyExists(address approver);
+error TooManyApprovers(uint256 maxApprovers);
 error OnlyApprover();
 error UintOverflow();
 
@@ -22,6 +23,18 @@ error UintOverflow();
  * @author Krishna Kant Sharma - <krishna@parcel.money>
  */
 contract ApproverManager is OwnableUpgradeable {
+    /**
+     * @dev Policy required to cancel payout nonces, the Org can always cancel
+     * SingleApprover - Any approver can cancel
+     * CancelThreshold - cancelThreshold approvers have to sign the cancelation
+     * OwnerOnly - Only the Org can cancel
+     */
+    enum CancelPolicy {
+        SingleApprover,
+        CancelThreshold,
+        OwnerOnly
+    }
+
     /**
      * @dev Storage layout of the contract.
      *
@@ -44,9 +57,14 @@ contract ApproverManager is OwnableUpgradeable {
     address internal constant SENTINEL_APPROVER = address(0x1);
 
     /**
-     * @dev The address of the AllowanceModule contract.
+     * @dev The maximum number of approvers, approvals are counted in bitmaps of their index in the approver list.
      */
-    address constant ALLOWANCE_MODULE =
+    uint256 internal constant MAX_APPROVERS = 256;
+
+    /**
+     * @dev The address of the AllowanceModule before it was configurable, used by the proxies initialized with it.
+     */
+    address internal constant LEGACY_ALLOWANCE_MODULE =
         0xCFbFaC74C26F8647cBDb8c5caf80BB5b32E43134;
 
     /**
@@ -88,10 +106,31 @@ contract ApproverManager is OwnableUpgradeable {
      */
     address _cachedThis;
 
+    /**
+     * @dev The address of the Safe AllowanceModule used to fetch the payout funds, set at initialisation.
+     * Zero for the proxies initialized before it was configurable, see allowanceModule.
+     */
+    address internal allowanceModuleAddress;
+
+    /**
+     * @dev The policy required to cancel payout nonces.
+     */
+    CancelPolicy public cancelPolicy;
+
+    /**
+     * @dev The number of approvers required to cancel payout nonces with the CancelThreshold policy.
+     */
+    uint128 public cancelThreshold;
+
+    /**
+     * @dev Timestamp at which the Org retired the contract before offboarding it, 0 while it is active.
+     */
+    uint256 public retiredAt;
+
     /**
      * @dev Storage Gaps to prevent upgrade errors
      */
-    uint256[48] __gap;
+    uint256[45] private __gap;
 
     /**
      * @dev - Typehash of the EIP712 Domain
@@ -113,6 +152,18 @@ contract ApproverManager is OwnableUpgradeable {
     bytes32 internal constant CANCEL_NONCE =
         keccak256("CancelNonce(uint64 nonce)");
 
+    /**
+     * @dev - Typehash of the Cancelation of a list of nonces
+     */
+    bytes32 internal constant CANCEL_NONCES =
+        keccak256("CancelNonces(uint64[] nonces)");
+
+    /**
+     * @dev - Typehash of the Cancelation of a range of nonces
+     */
+    bytes32 internal constant CANCEL_NONCE_RANGE =
+        keccak256("CancelNonceRange(uint64 fromNonce,uint64 toNonce)");
+
     /**
      * @dev Events emitted by the contract.
      *
@@ -137,6 +188,22 @@ contract ApproverManager is OwnableUpgradeable {
      */
     event ChangedThreshold(uint256 threshold);
 
+    /**
+     * @dev Emitted when the allowance module is changed.
+     * @param allowanceModule The new allowance module.
+     */
+    event ChangedAllowanceModule(address allowanceModule);
+
+    /**
+     * @dev Emitted when the cancelation policy is changed.
+     * @param cancelPolicy The new cancelation policy.
+     * @param cancelThreshold The new cancelation threshold.
+     */
+    event ChangedCancelPolicy(
+        CancelPolicy cancelPolicy,
+        uint256 cancelThreshold
+    );
+
     /**
      * @dev Approver Management Functions
      *
@@ -144,15 +211,30 @@ contract ApproverManager is OwnableUpgradeable {
      */
 
     /**
-     * @notice Adds the approver `approver` to the Org and updates the threshold to `_threshold`.
-     * @dev This can only be done via a Org transaction.
+     * @notice Returns the allowance module of the Org.
+     * @dev Proxies upgraded from the implementation with a constant module keep using it until the Org changes it.
+     * @return Address of the Safe AllowanceModule.
+     */
+    function getAllowanceModule() internal view returns (address) {
+        address module = allowanceModuleAddress;
+        return module == address(0) ? LEGACY_ALLOWANCE_MODULE : module;
+    }
+
+    /**
+     * @notice Returns if `approver` is an approver of the Org.
+     * @return Boolean if approver is an approver of the Org.
+     */
+    function isActiveApprover(address approver) internal view returns (bool) {
+        return
+            approver != SENTINEL_APPROVER && approvers[approver] != address(0);
+    }
+
+    /**
+     * @notice Adds the approver `newApprover` to the Org and updates the threshold to `_threshold`.
      * @param newApprover New approver address.
      * @param _threshold New threshold.
      */
-    function addApproverWithThreshold(
-        address newApprover,
-        uint128 _threshold
-    ) public onlyOwner {
+    function addApprover(address newApprover, uint128 _threshold) internal {
         // Approver address cannot be null, the sentinel, the contract or the Org itself.
         if (
             newApprover == address(0) ||
@@ -165,26 +247,28 @@ contract ApproverManager is OwnableUpgradeable {
         if (approvers[newApprover] != address(0))
             revert ApproverAlreadyExists(newApprover);
 
+        if (approverCount == MAX_APPROVERS)
+            revert TooManyApprovers(MAX_APPROVERS);
+
         approvers[newApprover] = approvers[SENTINEL_APPROVER];
         approvers[SENTINEL_APPROVER] = newApprover;
         approverCount++;
         emit AddedApprover(newApprover);
         // Change threshold if threshold was changed.
-        if (threshold != _threshold) changeThreshold(_threshold);
+        if (threshold != _threshold) setThreshold(_threshold);
     }
 
     /**
      * @notice Removes the approver `approver` from the Org and updates the threshold to `_threshold`.
-     * @dev This can only be done via a Org transaction.
      * @param prevApprover Approver that pointed to the approver to be removed in the linked list
      * @param approver Approver address to be removed.
      * @param _threshold New threshold.
      */
-    function removeApproverWithThreshold(
+    function removeApprover(
         address prevApprover,
         address approver,
         uint128 _threshold
-    ) public onlyOwner {
+    ) internal {
         // Only allow to remove an approver, if threshold can still be reached.
         if (approverCount < _threshold)
             revert ThresholdTooHigh(_threshold, approverCount);
@@ -199,23 +283,30 @@ contract ApproverManager is OwnableUpgradeable {
         approvers[prevApprover] = approvers[approver];
         delete approvers[approver];
         approverCount--;
+
+        // The cancelation threshold has to remain reachable
+        if (
+            cancelPolicy == CancelPolicy.CancelThreshold &&
+            cancelThreshold > approverCount
+        ) revert ThresholdTooHigh(cancelThreshold, approverCount);
+
+        onApproverRemoved(approver);
         emit RemovedApprover(approver);
         // Change threshold if threshold was changed.
-        if (threshold != _threshold) changeThreshold(_threshold);
+        if (threshold != _threshold) setThreshold(_threshold);
     }
 
     /**
      * @notice Replaces the approver `oldApprover` with `newApprover` in the Org.
-     * @dev This can only be done via a Org transaction.
      * @param prevApprover Approver that pointed to the approver to be replaced in the linked list
      * @param oldApprover Approver address to be replaced.
      * @param newApprover New approver address.
      */
-    function swapApprover(
+    function replaceApprover(
         address prevApprover,
         address oldApprover,
         address newApprover
-    ) public onlyOwner {
+    ) internal {
         // Approver address cannot be null, the sentinel or the Org itself.
         if (
             newApprover == address(0) ||
@@ -238,16 +329,16 @@ contract ApproverManager is OwnableUpgradeable {
         approvers[newApprover] = approvers[oldApprover];
         approvers[prevApprover] = newApprover;
         delete approvers[oldApprover];
+        onApproverRemoved(oldApprover);
         emit RemovedApprover(oldApprover);
         emit AddedApprover(newApprover);
     }
 
     /**
      * @notice Changes the threshold of the Org to `_threshold`.
-     * @dev This can only be done via a Org transaction.
      * @param _threshold New threshold.
      */
-    function changeThreshold(uint128 _threshold) public onlyOwner {
+    function setThreshold(uint128 _threshold) internal {
         // Validate that threshold is less than or equal to the number of approvers.
         if (_threshold > approverCount)
             revert ThresholdTooHigh(_threshold, approverCount);
@@ -260,31 +351,26 @@ contract ApproverManager is OwnableUpgradeable {
     }
 
     /**
-     * @notice Returns if `approver` is an approver of the Org.
-     * @return Boolean if approver is an approver of the Org.
+     * @notice Sets the allowance module of the contract.
+     * @param _allowanceModule Address of the Safe AllowanceModule.
      */
-    function isApprover(address approver) public view returns (bool) {
-        return
-            approver != SENTINEL_APPROVER && approvers[approver] != address(0);
+    function setupAllowanceModule(address _allowanceModule) internal {
+        // Allowance module address cannot be null, the contract or the Org itself.
+        if (
+            _allowanceModule == address(0) ||
+            _allowanceModule == address(this) ||
+            _allowanceModule == owner()
+        ) revert InvalidAddressProvided(_allowanceModule);
+
+        allowanceModuleAddress = _allowanceModule;
+        emit ChangedAllowanceModule(_allowanceModule);
     }
 
     /**
-     * @notice Returns a list of Org approvers.
-     * @return Array of Org approvers.
+     * @notice Hook called when an approver is removed or swapped out of the Org.
+     * @param approver Approver address removed.
      */
-    function getApprovers() public view returns (address[] memory) {
-        address[] memory array = new address[](approverCount);
-
-        // populate return array
-        uint256 index = 0;
-        address currentApprover = approvers[SENTINEL_APPROVER];
-        while (currentApprover != SENTINEL_APPROVER) {
-            array[index] = currentApprover;
-            currentApprover = approvers[currentApprover];
-            index++;
-        }
-        return array;
-    }
+    function onApproverRemoved(address approver) internal virtual {}
 
     /**
      * @notice Sets the initial storage of the contract.
@@ -304,6 +390,9 @@ contract ApproverManager is OwnableUpgradeable {
             revert ThresholdTooHigh(_threshold, _approverLength);
         // There has to be at least one Org approver.
         if (_threshold < 1) revert ThresholdTooLow(_threshold);
+        // Every approver needs a bit in the approval bitmaps.
+        if (_approverLength > MAX_APPROVERS)
+            revert TooManyApprovers(MAX_APPROVERS);
         // Initializing Org approvers.
         address currentApprover = SENTINEL_APPROVER;
         for (uint256 i = 0; i < _approverLength; i++) {
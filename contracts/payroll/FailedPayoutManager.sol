@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+// Errors
+error FailedPayoutDoesNotExist(uint64 payoutNonce);
+
+/**
+ * @title FailedPayoutManager
+ * @notice This contract stores the payouts whose transfer failed after their funds were fetched from the Org.
+ * @dev This contract is used by the Parcel Payroll contract. The funds of a failed payout stay on the contract, locked for its payout nonce, until the Org retries or refunds it. A failed payout executed again is paid from these funds instead of fetching it again.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract FailedPayoutManager {
+    /**
+     * @dev Leftover of a failed payout held by the contract
+     * @param tokenAddress Address of the token, address(0) for native tokens
+     * @param to Address of the recipient
+     * @param amount Amount left on the contract
+     */
+    struct FailedPayout {
+        address tokenAddress;
+        address to;
+        uint256 amount;
+    }
+
+    /**
+     * @dev Failed payouts of the Org, keyed by their payout nonce.
+     */
+    mapping(uint64 => FailedPayout) internal failedPayouts;
+
+    /**
+     * @dev Amount of each token held by the contract for failed payouts.
+     * These funds are excluded from the balance used to pay payouts and from sweeps.
+     */
+    mapping(address => uint256) public lockedFailedBalance;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[48] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when the leftover of a failed payout is recorded.
+     * @param payoutNonce Payout nonce of the payout.
+     * @param tokenAddress Address of the token.
+     * @param to Address of the recipient.
+     * @param amount Amount left on the contract.
+     */
+    event FailedPayoutRecorded(
+        uint64 indexed payoutNonce,
+        address tokenAddress,
+        address to,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when a failed payout is paid to its recipient.
+     * @param payoutNonce Payout nonce of the payout.
+     * @param amount Amount paid.
+     */
+    event FailedPayoutRetried(uint64 indexed payoutNonce, uint256 amount);
+
+    /**
+     * @dev Emitted when a failed payout is refunded to the Org.
+     * @param payoutNonce Payout nonce of the payout.
+     * @param amount Amount refunded.
+     */
+    event FailedPayoutRefunded(uint64 indexed payoutNonce, uint256 amount);
+
+    /**
+     * @notice Records the leftover of a failed payout.
+     * @dev The funds have to be held by the contract. A nonce holds a single leftover, the funds of a later failure of the same nonce are not recorded and stay sweepable.
+     * @param payoutNonce Payout nonce of the payout.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param to Address of the recipient.
+     * @param amount Amount left on the contract.
+     */
+    function recordFailedPayout(
+        uint64 payoutNonce,
+        address tokenAddress,
+        address to,
+        uint256 amount
+    ) internal {
+        if (failedPayouts[payoutNonce].amount != 0) return;
+
+        failedPayouts[payoutNonce] = FailedPayout(tokenAddress, to, amount);
+        lockedFailedBalance[tokenAddress] += amount;
+        emit FailedPayoutRecorded(payoutNonce, tokenAddress, to, amount);
+    }
+
+    /**
+     * @notice Returns if a payout executed again is the failed payout of its nonce, whose funds are already held by the contract.
+     * @param payoutNonce Payout nonce of the payout.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param to Address of the recipient.
+     * @param amount Amount of the payout.
+     * @return Boolean if the failed payout has the same token, recipient and amount.
+     */
+    function isFailedPayout(
+        uint64 payoutNonce,
+        address tokenAddress,
+        address to,
+        uint256 amount
+    ) internal view returns (bool) {
+        FailedPayout storage failedPayout = failedPayouts[payoutNonce];
+        return
+            failedPayout.amount == amount &&
+            amount != 0 &&
+            failedPayout.tokenAddress == tokenAddress &&
+            failedPayout.to == to;
+    }
+
+    /**
+     * @notice Removes a failed payout and unlocks its funds.
+     * @param payoutNonce Payout nonce of the payout.
+     * @return failedPayout Failed payout removed.
+     */
+    function releaseFailedPayout(
+        uint64 payoutNonce
+    ) internal returns (FailedPayout memory failedPayout) {
+        failedPayout = failedPayouts[payoutNonce];
+        if (failedPayout.amount == 0)
+            revert FailedPayoutDoesNotExist(payoutNonce);
+
+        delete failedPayouts[payoutNonce];
+        lockedFailedBalance[failedPayout.tokenAddress] -= failedPayout.amount;
+    }
+}
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+// Errors
+error InvalidGasReimbursement(address tokenAddress);
+error GasReimbursementDisabled(address tokenAddress);
+error ReimbursementNotApproved(uint64 payoutNonce);
+
+/**
+ * @title GasReimbursementManager
+ * @notice This contract stores the gas reimbursement of the Org, refunding the executor of a payroll from the org safe.
+ * @dev This contract is used by the Parcel Payroll contract. A reimbursement is paid through the payment fields of the Allowance Module, only when a reimbursement leaf is approved in the roots of the batch. The payment is capped by the maxPayment of the leaf, signed by the approvers, and by the maxPayment of the Org.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract GasReimbursementManager is OwnableUpgradeable {
+    /**
+     * @dev Gas reimbursement of the Org
+     * @param tokenAddress Address of the token paying the executors, address(0) for native tokens
+     * @param maxPayment Maximum payment of an execution, 0 if reimbursements are disabled
+     * @param gasPrice Price of a unit of gas in the token, the maximum gas price for native tokens (0 for the gas price of the transaction)
+     */
+    struct GasReimbursement {
+        address tokenAddress;
+        uint96 maxPayment;
+        uint128 gasPrice;
+    }
+
+    /**
+     * @dev Reimbursement leaf of a batch, approved like a payout
+     * @param tokenAddress Address of the token paying the executor
+     * @param maxPayment Maximum payment approved for the execution
+     * @param payoutNonce Payout nonce of the reimbursement, used once paid
+     * @param proof Merkle proof of the reimbursement leaf, one per root
+     */
+    struct Reimbursement {
+        address tokenAddress;
+        uint96 maxPayment;
+        uint64 payoutNonce;
+        bytes32[][] proof;
+    }
+
+    /**
+     * @dev Gas of the execution that can't be measured: the base cost of the transaction, the delegation of the call to its module and the payment itself.
+     * The calldata is counted apart at 16 gas per byte, the cost of non-zero bytes.
+     */
+    uint256 internal constant REIMBURSEMENT_GAS_OVERHEAD = 48000;
+
+    /**
+     * @dev Gas reimbursement of the Org.
+     */
+    GasReimbursement internal gasReimbursement;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[48] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when the gas reimbursement of the Org is changed.
+     * @param tokenAddress Address of the token paying the executors.
+     * @param maxPayment Maximum payment of an execution.
+     * @param gasPrice Price of a unit of gas in the token.
+     */
+    event ChangedGasReimbursement(
+        address indexed tokenAddress,
+        uint96 maxPayment,
+        uint128 gasPrice
+    );
+
+    /**
+     * @dev Emitted when the executor of a payroll is reimbursed.
+     * @param executor Address paid by the Allowance Module, the origin of the transaction.
+     * @param tokenAddress Address of the token paid.
+     * @param payment Amount paid.
+     * @param gasUsed Gas measured for the execution.
+     * @param payoutNonce Payout nonce of the reimbursement.
+     */
+    event GasReimbursed(
+        address indexed executor,
+        address indexed tokenAddress,
+        uint256 payment,
+        uint256 gasUsed,
+        uint64 payoutNonce
+    );
+
+    /**
+     * @notice Returns the payment reimbursing `gasUsed` at the current gas price.
+     * @param gasUsed Gas used by the execution.
+     * @param maxPayment Maximum payment approved for the execution.
+     * @return Payment in the reimbursement token, capped by `maxPayment` and the maxPayment of the Org.
+     */
+    function getReimbursementPayment(
+        uint256 gasUsed,
+        uint96 maxPayment
+    ) internal view returns (uint96) {
+        GasReimbursement memory reimbursement = gasReimbursement;
+
+        uint256 gasPrice = reimbursement.gasPrice;
+        if (
+            reimbursement.tokenAddress == address(0) &&
+            (gasPrice == 0 || tx.gasprice < gasPrice)
+        ) gasPrice = tx.gasprice;
+
+        uint256 payment = gasUsed * gasPrice;
+        if (payment > maxPayment) payment = maxPayment;
+        if (payment > reimbursement.maxPayment)
+            payment = reimbursement.maxPayment;
+        return uint96(payment);
+    }
+}
@@ -0,0 +1,212 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20MetadataUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/math/MathUpgradeable.sol";
+import "../interfaces/IAggregatorV3.sol";
+
+// Errors
+error InvalidPriceFeed(address tokenAddress, bytes32 currency);
+error PriceFeedUnavailable(address tokenAddress, bytes32 currency);
+
+/**
+ * @title PriceFeedManager
+ * @notice This contract stores the price feeds of the Org, pricing fiat-denominated payouts in tokens.
+ * @dev This contract is used by the Parcel Payroll contract. A fiat payout is approved with the token amount quoted at approval time, it is converted again at execution with the price feed of its token and currency and only paid if the conversion is within the max slippage of the quote.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract PriceFeedManager is OwnableUpgradeable {
+    /**
+     * @dev Price feed of a token in a fiat currency
+     * @param feed Address of the Chainlink-style aggregator, reporting the price of one token in the currency
+     * @param maxStaleness Maximum age in seconds of the latest answer of the feed
+     */
+    struct PriceFeed {
+        address feed;
+        uint64 maxStaleness;
+    }
+
+    /**
+     * @dev Approved fiat payout, as encoded in the fiat leaf
+     * @param to Address of the recipient
+     * @param tokenAddress Address of the token paid, address(0) for native tokens
+     * @param amount Token amount quoted at approval time, the reference of the slippage
+     * @param payoutNonce Payout nonce of the payout
+     * @param currency Fiat currency of the payout, e.g. bytes32("USD")
+     * @param fiatAmount Amount of the currency to pay, with FIAT_DECIMALS decimals
+     * @param maxSlippage Maximum deviation of the paid amount from the quoted amount, in basis points
+     */
+    struct FiatPayout {
+        address to;
+        address tokenAddress;
+        uint128 amount;
+        uint64 payoutNonce;
+        bytes32 currency;
+        uint128 fiatAmount;
+        uint16 maxSlippage;
+    }
+
+    /**
+     * @dev Type of the fiat leaf, prepended to its fields so it can't match a stream leaf of the same length
+     */
+    bytes32 public constant FIAT_PAYOUT_TYPEHASH =
+        keccak256(
+            "FiatPayout(address owner,address to,address tokenAddress,uint256 amount,uint64 payoutNonce,bytes32 currency,uint256 fiatAmount,uint16 maxSlippage)"
+        );
+
+    /**
+     * @dev Decimals of the fiat amounts
+     */
+    uint256 internal constant FIAT_DECIMALS = 18;
+
+    /**
+     * @dev Denominator of the max slippage, in basis points
+     */
+    uint256 internal constant SLIPPAGE_DENOMINATOR = 10000;
+
+    /**
+     * @dev Maximum decimals of a price feed or a token the conversion supports
+     */
+    uint256 internal constant MAX_DECIMALS = 36;
+
+    /**
+     * @dev Price feeds of the Org, by token and currency.
+     */
+    mapping(address => mapping(bytes32 => PriceFeed)) internal priceFeeds;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[49] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when the price feed of a token in a currency is changed.
+     * @param tokenAddress Address of the token priced.
+     * @param currency Fiat currency of the price.
+     * @param feed Address of the aggregator, address(0) if removed.
+     * @param maxStaleness Maximum age of the latest answer of the feed.
+     */
+    event ChangedPriceFeed(
+        address indexed tokenAddress,
+        bytes32 indexed currency,
+        address feed,
+        uint64 maxStaleness
+    );
+
+    /**
+     * @dev Emitted when a fiat payout is converted to a token amount.
+     * @param payoutNonce Payout nonce of the payout.
+     * @param currency Fiat currency of the payout.
+     * @param fiatAmount Amount of the currency paid.
+     * @param price Answer of the price feed.
+     * @param amount Token amount paid.
+     */
+    event FiatPayoutPriced(
+        uint64 indexed payoutNonce,
+        bytes32 indexed currency,
+        uint256 fiatAmount,
+        uint256 price,
+        uint256 amount
+    );
+
+    /**
+     * @dev Converts a fiat amount to a token amount with the price feed of the token in the currency.
+     * @param tokenAddress Address of the token.
+     * @param currency Fiat currency of the amount.
+     * @param fiatAmount Amount of the currency, with FIAT_DECIMALS decimals.
+     * @return available False if there is no feed, if the feed or the token reverts, if its answer is not positive, from the future or older than its maxStaleness, if the feed or the token has more than MAX_DECIMALS decimals, or if the amount overflows.
+     * @return price Answer of the price feed.
+     * @return amount Token amount, 0 if the price is not available.
+     */
+    function convertFiatAmount(
+        address tokenAddress,
+        bytes32 currency,
+        uint256 fiatAmount
+    ) internal view returns (bool available, uint256 price, uint256 amount) {
+        PriceFeed memory priceFeed = priceFeeds[tokenAddress][currency];
+        if (priceFeed.feed == address(0)) return (false, 0, 0);
+
+        // A reverting feed fails the payouts it prices instead of the batch
+        IAggregatorV3 aggregator = IAggregatorV3(priceFeed.feed);
+        int256 answer;
+        uint256 updatedAt;
+        try aggregator.latestRoundData() returns (
+            uint80,
+            int256 _answer,
+            uint256,
+            uint256 _updatedAt,
+            uint80
+        ) {
+            (answer, updatedAt) = (_answer, _updatedAt);
+        } catch {
+            return (false, 0, 0);
+        }
+        // An answer from the future is as untrusted as a stale one
+        if (
+            answer <= 0 ||
+            updatedAt > block.timestamp ||
+            block.timestamp - updatedAt > priceFeed.maxStaleness
+        ) return (false, 0, 0);
+
+        uint8 feedDecimals;
+        try aggregator.decimals() returns (uint8 _decimals) {
+            feedDecimals = _decimals;
+        } catch {
+            return (false, 0, 0);
+        }
+
+        uint8 tokenDecimals = 18;
+        if (tokenAddress != address(0)) {
+            try IERC20MetadataUpgradeable(tokenAddress).decimals() returns (
+                uint8 _decimals
+            ) {
+                tokenDecimals = _decimals;
+            } catch {
+                return (false, 0, 0);
+            }
+        }
+
+        if (feedDecimals > MAX_DECIMALS || tokenDecimals > MAX_DECIMALS)
+            return (false, 0, 0);
+
+        price = uint256(answer);
+        uint256 scale = 10 ** (uint256(tokenDecimals) + feedDecimals);
+        // fiatAmount * scale / price overflows only if fiatAmount / price reaches type(uint256).max / scale
+        if (fiatAmount / price >= type(uint256).max / scale)
+            return (false, 0, 0);
+
+        amount =
+            MathUpgradeable.mulDiv(fiatAmount, scale, price) /
+            10 ** FIAT_DECIMALS;
+        return (true, price, amount);
+    }
+
+    /**
+     * @dev Check if a converted amount deviates from the quoted amount by more than the max slippage.
+     * @param amount Token amount converted at execution.
+     * @param quotedAmount Token amount quoted at approval.
+     * @param maxSlippage Maximum deviation, in basis points of the quoted amount.
+     * @return exceeded True if the deviation exceeds the max slippage, or if the max slippage is above SLIPPAGE_DENOMINATOR.
+     */
+    function exceedsSlippage(
+        uint256 amount,
+        uint256 quotedAmount,
+        uint16 maxSlippage
+    ) internal pure returns (bool) {
+        // A max slippage over 100% is invalid, the payout can't be paid
+        if (maxSlippage > SLIPPAGE_DENOMINATOR) return true;
+
+        uint256 deviation = amount > quotedAmount
+            ? amount - quotedAmount
+            : quotedAmount - amount;
+        return deviation * SLIPPAGE_DENOMINATOR > quotedAmount * maxSlippage;
+    }
+}
@@ -0,0 +1,277 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "./ApproverManager.sol";
+
+// Errors
+error InvalidRole(bytes32 role);
+error RoleDoesNotExist(bytes32 role);
+error RoleMemberAlreadyExists(bytes32 role, address member);
+error RoleMemberDoesNotExist(bytes32 role, address member);
+error AmountBandsNotSorted(uint128 minAmount1, uint128 minAmount2);
+error AmountBandLengthMismatch();
+error RoleInUse(bytes32 role);
+error RoleMembersMismatch(bytes32 role);
+
+/**
+ * @title RoleManager
+ * @notice This contract stores the approver roles of the Org and the amount bands selecting the roles required by a payout.
+ * @dev This contract is used by the Parcel Payroll contract. A payout whose amount falls in a band of its token has to be approved by the threshold of each role of the band and by the distinct signers of the band, other payouts by the threshold of approvers. Role members are only counted while they are approvers of the Org, the approvers of each role are computed once per batch.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract RoleManager is ApproverManager {
+    /**
+     * @dev Approver role
+     * @param threshold Number of members required to approve a payout, 0 if the role does not exist
+     * @param memberCount Number of members of the role
+     */
+    struct Role {
+        uint128 threshold;
+        uint128 memberCount;
+    }
+
+    /**
+     * @dev Amount band of a token
+     * @param minAmount Smallest amount of the band, the band ends at the minAmount of the next band
+     * @param minSigners Number of distinct approvers of the roles required by the payouts of the band, a member of several roles counts once
+     * @param roles Roles whose threshold has to be reached by the payouts of the band
+     */
+    struct AmountBand {
+        uint128 minAmount;
+        uint128 minSigners;
+        bytes32[] roles;
+    }
+
+    /**
+     * @dev Approvers of the roles of the Org, computed once per batch
+     * @param roles Names of the roles
+     * @param masks Members of each role that are approvers, as bitmaps of their index in the approver list
+     */
+    struct RoleMasks {
+        bytes32[] roles;
+        uint256[] masks;
+    }
+
+    /**
+     * @dev Roles of the Org, keyed by name.
+     */
+    mapping(bytes32 => Role) internal roles;
+
+    /**
+     * @dev Names of the roles of the Org.
+     */
+    bytes32[] internal roleNames;
+
+    /**
+     * @dev Members of each role, keyed by role and member.
+     */
+    mapping(bytes32 => mapping(address => bool)) internal roleMembers;
+
+    /**
+     * @dev Amount bands of each token sorted by ascending minAmount, address(0) for native tokens.
+     */
+    mapping(address => AmountBand[]) internal amountBands;
+
+    /**
+     * @dev Number of amount bands requiring each role, a role can't be removed while a band requires it.
+     */
+    mapping(bytes32 => uint256) internal roleBandCount;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[45] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when a role is created or its threshold is changed.
+     * @param role Name of the role.
+     * @param threshold Number of members required to approve a payout.
+     */
+    event ChangedRoleThreshold(bytes32 indexed role, uint128 threshold);
+
+    /**
+     * @dev Emitted when a role is removed.
+     * @param role Name of the role.
+     */
+    event RemovedRole(bytes32 indexed role);
+
+    /**
+     * @dev Emitted when a member is added to a role.
+     * @param role Name of the role.
+     * @param member Address of the member.
+     */
+    event AddedRoleMember(bytes32 indexed role, address indexed member);
+
+    /**
+     * @dev Emitted when a member is removed from a role.
+     * @param role Name of the role.
+     * @param member Address of the member.
+     */
+    event RemovedRoleMember(bytes32 indexed role, address indexed member);
+
+    /**
+     * @dev Emitted when the amount bands of a token are changed.
+     * @param tokenAddress Address of the token.
+     * @param minAmounts Smallest amount of each band.
+     */
+    event ChangedAmountBands(address indexed tokenAddress, uint128[] minAmounts);
+
+    /**
+     * @notice Returns if the approvers of a payout reach the thresholds required by its amount.
+     * @dev The members of the required roles are counted once against the minSigners of the band, whatever their number of roles.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param amount Amount of the payout.
+     * @param approvalMask Approvers of the payout as a bitmap of their index in the approver list.
+     * @param roleMasks Approvers of the roles of the Org, from getRoleMasks.
+     * @return Boolean if the payout is approved.
+     */
+    function isPayoutApproved(
+        address tokenAddress,
+        uint256 amount,
+        uint256 approvalMask,
+        RoleMasks memory roleMasks
+    ) internal view returns (bool) {
+        uint256 bandIndex = getAmountBandIndex(tokenAddress, amount);
+        if (
+            bandIndex == 0 ||
+            amountBands[tokenAddress][bandIndex - 1].roles.length == 0
+        ) return countMaskBits(approvalMask) >= threshold;
+
+        AmountBand storage band = amountBands[tokenAddress][bandIndex - 1];
+        uint256 signerMask;
+        for (uint256 i = 0; i < band.roles.length; i++) {
+            uint256 roleApprovals = approvalMask &
+                getRoleMask(roleMasks, band.roles[i]);
+            if (countMaskBits(roleApprovals) < roles[band.roles[i]].threshold)
+                return false;
+            signerMask |= roleApprovals;
+        }
+        return countMaskBits(signerMask) >= band.minSigners;
+    }
+
+    /**
+     * @notice Returns the band of the payouts of `amount` of the token `tokenAddress`.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param amount Amount of the payout.
+     * @return Index of the band in amountBands plus one, 0 if the amount is under the first band.
+     */
+    function getAmountBandIndex(
+        address tokenAddress,
+        uint256 amount
+    ) internal view returns (uint256) {
+        AmountBand[] storage bands = amountBands[tokenAddress];
+
+        // Bands are sorted, the last band starting under the amount applies
+        for (uint256 i = bands.length; i > 0; i--) {
+            if (bands[i - 1].minAmount <= amount) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * @notice Returns the approvers members of each role as bitmaps of their index in the approver list.
+     * @dev Walks the approver list once, a batch computes the masks before checking its payouts.
+     * @return roleMasks Names of the roles and their bitmaps of approvers.
+     */
+    function getRoleMasks() internal view returns (RoleMasks memory roleMasks) {
+        roleMasks.roles = roleNames;
+        roleMasks.masks = new uint256[](roleMasks.roles.length);
+        if (roleMasks.roles.length == 0) return roleMasks;
+
+        uint256 index = 0;
+        address currentApprover = approvers[SENTINEL_APPROVER];
+        while (currentApprover != SENTINEL_APPROVER) {
+            for (uint256 i = 0; i < roleMasks.roles.length; i++) {
+                if (roleMembers[roleMasks.roles[i]][currentApprover])
+                    roleMasks.masks[i] |= 1 << index;
+            }
+            currentApprover = approvers[currentApprover];
+            index++;
+        }
+    }
+
+    /**
+     * @notice Returns the approvers members of the role `role` from the masks of a batch.
+     * @param roleMasks Approvers of the roles of the Org, from getRoleMasks.
+     * @param role Name of the role.
+     * @return Bitmap of the approvers, 0 if the role does not exist.
+     */
+    function getRoleMask(
+        RoleMasks memory roleMasks,
+        bytes32 role
+    ) internal pure returns (uint256) {
+        for (uint256 i = 0; i < roleMasks.roles.length; i++) {
+            if (roleMasks.roles[i] == role) return roleMasks.masks[i];
+        }
+        return 0;
+    }
+
+    /**
+     * @notice Returns the bit of `approver` in the bitmaps of approvers.
+     * @param approver Address of the approver.
+     * @return mask Bitmap with the bit of the approver set, 0 if it is not an approver.
+     */
+    function getApproverMask(
+        address approver
+    ) internal view returns (uint256 mask) {
+        uint256 index = 0;
+        address currentApprover = approvers[SENTINEL_APPROVER];
+        while (currentApprover != SENTINEL_APPROVER) {
+            if (currentApprover == approver) return 1 << index;
+            currentApprover = approvers[currentApprover];
+            index++;
+        }
+    }
+
+    /**
+     * @notice Counts the approvers of a bitmap.
+     * @param mask Bitmap of approvers.
+     * @return count Number of bits set.
+     */
+    function countMaskBits(uint256 mask) internal pure returns (uint256 count) {
+        while (mask != 0) {
+            mask &= mask - 1;
+            ++count;
+        }
+    }
+
+    /**
+     * @notice Adds `member` to the role `role`.
+     * @param role Name of the role.
+     * @param member Address of the member.
+     */
+    function addMember(bytes32 role, address member) internal {
+        if (member == address(0) || member == SENTINEL_APPROVER)
+            revert InvalidAddressProvided(member);
+        if (roleMembers[role][member])
+            revert RoleMemberAlreadyExists(role, member);
+
+        roleMembers[role][member] = true;
+        roles[role].memberCount++;
+        emit AddedRoleMember(role, member);
+    }
+
+    /**
+     * @notice Changes the threshold of the role `role` to `_threshold`.
+     * @param role Name of the role.
+     * @param _threshold New threshold of the role.
+     */
+    function setRoleThreshold(bytes32 role, uint128 _threshold) internal {
+        // Validate that the threshold can be reached by the members.
+        if (_threshold > roles[role].memberCount)
+            revert ThresholdTooHigh(_threshold, roles[role].memberCount);
+
+        // A role needs at least one approval.
+        if (_threshold == 0) revert ThresholdTooLow(_threshold);
+
+        roles[role].threshold = _threshold;
+        emit ChangedRoleThreshold(role, _threshold);
+    }
+}
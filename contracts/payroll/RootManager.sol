@@ -0,0 +1,190 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "./ApproverManager.sol";
+
+// Errors
+error InvalidRootExpiry(uint64 expiry);
+error RootNotApproved(bytes32 root, address approver);
+error RootSignatureAlreadyUsed(bytes32 digest);
+
+/**
+ * @title RootManager
+ * @notice This contract stores the payroll roots approved on-chain by the Org approvers.
+ * @dev This contract is used by the Parcel Payroll contract. An approval is valid until its expiry, until it is revoked by its approver or until the approver is removed from the Org.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract RootManager is ApproverManager {
+    /**
+     * @dev Approval of a root by an approver
+     * @param expiry Timestamp after which the approval is not valid anymore, 0 if the root is not approved
+     * @param epoch Epoch of the approver when the root was approved, see approverEpochs
+     * @param listed True once the root has been added to the roots of the approver
+     */
+    struct RootApproval {
+        uint64 expiry;
+        uint64 epoch;
+        bool listed;
+    }
+
+    /**
+     * @dev - Typehash of the Root Approval
+     */
+    bytes32 internal constant APPROVE_ROOT_TYPEHASH =
+        keccak256("ApproveRoot(bytes32 rootHash,uint64 expiry)");
+
+    /**
+     * @dev Approvals of each root, keyed by root and approver.
+     */
+    mapping(bytes32 => mapping(address => RootApproval)) internal rootApprovals;
+
+    /**
+     * @dev Epoch of each approver, incremented when the approver is removed.
+     * Approvals recorded in a previous epoch are not valid anymore.
+     */
+    mapping(address => uint64) internal approverEpochs;
+
+    /**
+     * @dev Roots approved by each approver, including expired and revoked approvals.
+     */
+    mapping(address => bytes32[]) internal approverRoots;
+
+    /**
+     * @dev Roots approved by at least one approver, including expired and revoked approvals.
+     */
+    bytes32[] internal approvedRoots;
+
+    /**
+     * @dev True once a root has been added to approvedRoots.
+     */
+    mapping(bytes32 => bool) internal isRootListed;
+
+    /**
+     * @dev Digests of the ApproveRoot signatures already used, keyed by approver and digest.
+     * A signature can't be replayed to restore a revoked approval.
+     */
+    mapping(address => mapping(bytes32 => bool)) internal usedRootSignatures;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[44] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when an approver approves a root.
+     * @param root The root approved.
+     * @param approver The approver.
+     * @param expiry Timestamp after which the approval is not valid anymore.
+     */
+    event RootApproved(
+        bytes32 indexed root,
+        address indexed approver,
+        uint64 expiry
+    );
+
+    /**
+     * @dev Emitted when an approver revokes the approval of a root.
+     * @param root The root revoked.
+     * @param approver The approver.
+     */
+    event RootRevoked(bytes32 indexed root, address indexed approver);
+
+    /**
+     * @dev Emitted when the root approvals of a removed approver are revoked.
+     * @param approver The approver removed.
+     */
+    event ApproverRootsRevoked(address indexed approver);
+
+    /**
+     * @notice Returns if the root `root` is approved by `approver`.
+     * @param root Merkle root of the payroll transaction hashes.
+     * @param approver Approver address.
+     * @return Boolean, true if the approval is valid.
+     */
+    function hasApprovedRoot(
+        bytes32 root,
+        address approver
+    ) internal view returns (bool) {
+        RootApproval memory approval = rootApprovals[root][approver];
+        return
+            approval.expiry >= block.timestamp &&
+            approval.epoch == approverEpochs[approver] &&
+            isActiveApprover(approver);
+    }
+
+    /**
+     * @notice Records the approval of a root.
+     * @param approver Approver address.
+     * @param root Merkle root of the payroll transaction hashes.
+     * @param expiry Timestamp after which the approval is not valid anymore.
+     */
+    function recordRootApproval(
+        address approver,
+        bytes32 root,
+        uint64 expiry
+    ) internal {
+        if (expiry < block.timestamp) revert InvalidRootExpiry(expiry);
+
+        RootApproval storage approval = rootApprovals[root][approver];
+        approval.expiry = expiry;
+        approval.epoch = approverEpochs[approver];
+
+        if (!approval.listed) {
+            approval.listed = true;
+            approverRoots[approver].push(root);
+        }
+        if (!isRootListed[root]) {
+            isRootListed[root] = true;
+            approvedRoots.push(root);
+        }
+
+        emit RootApproved(root, approver, expiry);
+    }
+
+    /**
+     * @notice Marks an ApproveRoot signature as used.
+     * @param approver Approver address.
+     * @param digest Digest of the ApproveRoot typed data signed.
+     */
+    function useRootSignature(address approver, bytes32 digest) internal {
+        if (usedRootSignatures[approver][digest])
+            revert RootSignatureAlreadyUsed(digest);
+        usedRootSignatures[approver][digest] = true;
+    }
+
+    /**
+     * @notice Returns the approvers of the root `root` as a bitmap of their index in the approver list.
+     * @dev The approver list is capped at MAX_APPROVERS, every approver has a bit.
+     * @param root Merkle root of the payroll transaction hashes.
+     * @return mask Bitmap of the approvers.
+     */
+    function getRootApprovalMask(
+        bytes32 root
+    ) internal view returns (uint256 mask) {
+        uint256 index = 0;
+        address currentApprover = approvers[SENTINEL_APPROVER];
+        while (currentApprover != SENTINEL_APPROVER) {
+            if (hasApprovedRoot(root, currentApprover)) mask |= 1 << index;
+            currentApprover = approvers[currentApprover];
+            index++;
+        }
+    }
+
+    /**
+     * @notice Revokes the root approvals of a removed approver.
+     * @param approver Approver address.
+     */
+    function onApproverRemoved(
+        address approver
+    ) internal virtual override {
+        approverEpochs[approver]++;
+        emit ApproverRootsRevoked(approver);
+    }
+}
@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+// Errors
+error InvalidSpendingCap(address tokenAddress);
+error SpendingCapExceeded(address tokenAddress, address to, uint256 amount);
+
+/**
+ * @title SpendingCapManager
+ * @notice This contract stores the spending caps of the Org and the amounts spent against them.
+ * @dev This contract is used by the Parcel Payroll contract. Caps are enforced on top of the Allowance Module limits, a cap set to 0 is disabled. Periods are fixed windows of `period` seconds aligned on the unix epoch.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract SpendingCapManager is OwnableUpgradeable {
+    /**
+     * @dev Spending caps of a token
+     * @param payoutCap Maximum amount of a single payout
+     * @param periodCap Maximum amount paid in a period
+     * @param recipientCap Maximum amount paid to a single recipient in a period
+     * @param period Length of a period in seconds, e.g. 1 days or 30 days
+     */
+    struct SpendingCap {
+        uint128 payoutCap;
+        uint128 periodCap;
+        uint128 recipientCap;
+        uint64 period;
+    }
+
+    /**
+     * @dev Spending caps of each token, address(0) for native tokens.
+     */
+    mapping(address => SpendingCap) internal spendingCaps;
+
+    /**
+     * @dev Amount of each token paid in a period, keyed by token and period start.
+     */
+    mapping(address => mapping(uint256 => uint256)) internal periodSpending;
+
+    /**
+     * @dev Amount of each token paid to a recipient in a period, keyed by token, recipient and period start.
+     */
+    mapping(address => mapping(address => mapping(uint256 => uint256)))
+        internal recipientSpending;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[47] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when the spending caps of a token are changed.
+     * @param tokenAddress Address of the token.
+     * @param payoutCap Maximum amount of a single payout.
+     * @param periodCap Maximum amount paid in a period.
+     * @param recipientCap Maximum amount paid to a single recipient in a period.
+     * @param period Length of a period in seconds.
+     */
+    event ChangedSpendingCap(
+        address indexed tokenAddress,
+        uint128 payoutCap,
+        uint128 periodCap,
+        uint128 recipientCap,
+        uint64 period
+    );
+
+    /**
+     * @notice Returns the bounds of the current period of the token `tokenAddress`.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @return start Timestamp at which the period started, 0 if the token has no period.
+     * @return end Timestamp at which the next period starts, 0 if the token has no period.
+     */
+    function getPeriod(
+        address tokenAddress
+    ) internal view returns (uint256 start, uint256 end) {
+        uint256 period = spendingCaps[tokenAddress].period;
+        if (period == 0) return (0, 0);
+
+        start = block.timestamp - (block.timestamp % period);
+        end = start + period;
+    }
+
+    /**
+     * @notice Returns the amount of `tokenAddress` that can still be paid in the current period.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @return Remaining budget, type(uint256).max if the token has no period cap.
+     */
+    function getPeriodBudget(
+        address tokenAddress
+    ) internal view returns (uint256) {
+        uint256 cap = spendingCaps[tokenAddress].periodCap;
+        if (cap == 0) return type(uint256).max;
+
+        (uint256 start, ) = getPeriod(tokenAddress);
+        uint256 spent = periodSpending[tokenAddress][start];
+        return cap > spent ? cap - spent : 0;
+    }
+
+    /**
+     * @notice Returns the amount of `tokenAddress` that can still be paid to `recipient` in the current period.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param recipient Address of the recipient.
+     * @return Remaining budget, type(uint256).max if the token has no recipient cap.
+     */
+    function getRecipientBudget(
+        address tokenAddress,
+        address recipient
+    ) internal view returns (uint256) {
+        uint256 cap = spendingCaps[tokenAddress].recipientCap;
+        if (cap == 0) return type(uint256).max;
+
+        (uint256 start, ) = getPeriod(tokenAddress);
+        uint256 spent = recipientSpending[tokenAddress][recipient][start];
+        return cap > spent ? cap - spent : 0;
+    }
+
+    /**
+     * @notice Records a payout against the spending of the current period.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param recipient Address of the recipient.
+     * @param amount Amount paid.
+     */
+    function recordSpending(
+        address tokenAddress,
+        address recipient,
+        uint256 amount
+    ) internal {
+        // Tokens without period don't track their spending
+        if (spendingCaps[tokenAddress].period == 0) return;
+
+        (uint256 start, ) = getPeriod(tokenAddress);
+        periodSpending[tokenAddress][start] += amount;
+        recipientSpending[tokenAddress][recipient][start] += amount;
+    }
+
+    /**
+     * @notice Releases a payout recorded with recordSpending in the same transaction, when it couldn't be paid.
+     * @param tokenAddress Address of the token, address(0) for native tokens.
+     * @param recipient Address of the recipient.
+     * @param amount Amount not paid.
+     */
+    function releaseSpending(
+        address tokenAddress,
+        address recipient,
+        uint256 amount
+    ) internal {
+        if (spendingCaps[tokenAddress].period == 0) return;
+
+        (uint256 start, ) = getPeriod(tokenAddress);
+        periodSpending[tokenAddress][start] -= amount;
+        recipientSpending[tokenAddress][recipient][start] -= amount;
+    }
+}
@@ -0,0 +1,217 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+// Errors
+error InvalidStreamSchedule(uint64 start, uint64 cliff, uint64 duration);
+error StreamDoesNotExist(uint64 payoutNonce);
+error StreamAlreadyCancelled(uint64 payoutNonce);
+error OnlyStreamRecipient(address recipient);
+error OnlyApproverOrOwner();
+error NothingToClaim(uint64 payoutNonce);
+
+/**
+ * @title StreamManager
+ * @notice This contract stores the vesting streams of the Org.
+ * @dev This contract is used by the Parcel Payroll contract. A stream is created from an approved stream leaf, its full amount is fetched from the Org and held by the contract until it is claimed by the recipient or refunded on cancellation.
+ * @author Sriram Kasyap Meduri - <sriram@parcel.money>
+ * @author Krishna Kant Sharma - <krishna@parcel.money>
+ */
+contract StreamManager {
+    /**
+     * @dev Approved stream payout, as encoded in the stream leaf
+     * @param to Address of the recipient
+     * @param tokenAddress Address of the token streamed, address(0) for native tokens
+     * @param amount Total amount streamed
+     * @param payoutNonce Payout nonce of the stream, also used as the stream id
+     * @param start Timestamp at which the stream starts vesting
+     * @param cliff Seconds after start before which nothing can be claimed
+     * @param duration Seconds after start at which the full amount is vested
+     */
+    struct StreamPayout {
+        address to;
+        address tokenAddress;
+        uint128 amount;
+        uint64 payoutNonce;
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+    }
+
+    /**
+     * @dev Vesting stream held by the contract
+     * @param recipient Address allowed to claim the stream
+     * @param tokenAddress Address of the token streamed, address(0) for native tokens
+     * @param amount Total amount streamed
+     * @param claimed Amount already claimed by the recipient
+     * @param start Timestamp at which the stream starts vesting
+     * @param cliff Seconds after start before which nothing can be claimed
+     * @param duration Seconds after start at which the full amount is vested
+     * @param cancelledAt Timestamp at which the stream was cancelled, 0 if it is active
+     */
+    struct Stream {
+        address recipient;
+        address tokenAddress;
+        uint128 amount;
+        uint128 claimed;
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+        uint64 cancelledAt;
+    }
+
+    /**
+     * @dev Streams of the Org, keyed by their payout nonce.
+     */
+    mapping(uint64 => Stream) internal streams;
+
+    /**
+     * @dev Amount of each token held by the contract for unclaimed streams.
+     * These funds are excluded from the balance used to pay payouts and from sweeps.
+     */
+    mapping(address => uint256) public lockedStreamBalance;
+
+    /**
+     * @dev Storage Gaps to prevent upgrade errors
+     */
+    uint256[48] private __gap;
+
+    /**
+     * @dev Events emitted by the contract.
+     *
+     *
+     */
+
+    /**
+     * @dev Emitted when a stream is created.
+     * @param payoutNonce Payout nonce of the stream.
+     * @param recipient Address of the recipient.
+     * @param tokenAddress Address of the token streamed.
+     * @param amount Total amount streamed.
+     * @param start Timestamp at which the stream starts vesting.
+     * @param cliff Seconds after start before which nothing can be claimed.
+     * @param duration Seconds after start at which the full amount is vested.
+     */
+    event StreamCreated(
+        uint64 indexed payoutNonce,
+        address indexed recipient,
+        address tokenAddress,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration
+    );
+
+    /**
+     * @dev Emitted when the recipient claims the vested amount of a stream.
+     * @param payoutNonce Payout nonce of the stream.
+     * @param recipient Address of the recipient.
+     * @param amount Amount claimed.
+     */
+    event StreamClaimed(
+        uint64 indexed payoutNonce,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when a stream is cancelled.
+     * @param payoutNonce Payout nonce of the stream.
+     * @param cancelledBy Address of the approver or Org cancelling the stream.
+     * @param vestedAmount Amount vested at cancellation, still claimable by the recipient.
+     * @param refundedAmount Unvested amount returned to the Org.
+     */
+    event StreamCancelled(
+        uint64 indexed payoutNonce,
+        address indexed cancelledBy,
+        uint256 vestedAmount,
+        uint256 refundedAmount
+    );
+
+    /**
+     * @notice Returns the amount of stream `payoutNonce` vested at the current block.
+     * @param payoutNonce Payout nonce of the stream.
+     * @return Vested amount, including the amount already claimed.
+     */
+    function getVestedAmount(
+        uint64 payoutNonce
+    ) internal view returns (uint256) {
+        return vestedAmountAt(streams[payoutNonce], uint64(block.timestamp));
+    }
+
+    /**
+     * @notice Returns the amount of stream `payoutNonce` the recipient can claim at the current block.
+     * @param payoutNonce Payout nonce of the stream.
+     * @return Claimable amount.
+     */
+    function getClaimableAmount(
+        uint64 payoutNonce
+    ) internal view returns (uint256) {
+        Stream storage stream = streams[payoutNonce];
+        return
+            vestedAmountAt(stream, uint64(block.timestamp)) - stream.claimed;
+    }
+
+    /**
+     * @notice Creates a stream from an approved stream payout.
+     * @dev The stream funds have to be held by the contract, they are locked until claimed or refunded.
+     * @param payout Approved stream payout.
+     */
+    function setupStream(StreamPayout memory payout) internal {
+        streams[payout.payoutNonce] = Stream({
+            recipient: payout.to,
+            tokenAddress: payout.tokenAddress,
+            amount: payout.amount,
+            claimed: 0,
+            start: payout.start,
+            cliff: payout.cliff,
+            duration: payout.duration,
+            cancelledAt: 0
+        });
+        lockedStreamBalance[payout.tokenAddress] += payout.amount;
+
+        emit StreamCreated(
+            payout.payoutNonce,
+            payout.to,
+            payout.tokenAddress,
+            payout.amount,
+            payout.start,
+            payout.cliff,
+            payout.duration
+        );
+    }
+
+    /**
+     * @notice Validates the vesting schedule of a stream payout.
+     * @param payout Stream payout.
+     */
+    function validateStreamSchedule(StreamPayout memory payout) internal pure {
+        // The cliff has to be reached before the end of the stream.
+        if (payout.duration == 0 || payout.cliff > payout.duration)
+            revert InvalidStreamSchedule(
+                payout.start,
+                payout.cliff,
+                payout.duration
+            );
+    }
+
+    /**
+     * @notice Returns the amount of a stream vested at `timestamp`.
+     * @dev Vesting is linear from start to start + duration, nothing is vested before the cliff. A cancelled stream stops vesting at cancellation.
+     * @param stream Stream.
+     * @param timestamp Timestamp.
+     * @return Vested amount.
+     */
+    function vestedAmountAt(
+        Stream memory stream,
+        uint64 timestamp
+    ) internal pure returns (uint256) {
+        if (stream.cancelledAt != 0 && stream.cancelledAt < timestamp)
+            timestamp = stream.cancelledAt;
+
+        uint256 start = stream.start;
+        if (timestamp < start + stream.cliff) return 0;
+        if (timestamp >= start + stream.duration) return stream.amount;
+
+        return (uint256(stream.amount) * (timestamp - start)) / stream.duration;
+    }
+}
@@ -5,6 +5,7 @@ import "@openzeppelin/contracts/access/Ownable2Step.sol";
 
 // Errors
 error InvalidImplementationProvided(address implementation);
+error InvalidOwnerProvided(address owner);
 
 /**
  * @title AddressRegistry
@@ -20,7 +21,15 @@ contract AddressRegistry is Ownable2Step {
         bool isActive
     );
 
-    constructor() Ownable2Step() {}
+    /**
+     * @dev Constructor for AddressRegistry
+     * @param _owner - Address of the owner, the deployer isn't the owner of a CREATE2 deployment
+     */
+    constructor(address _owner) Ownable2Step() {
+        if (_owner == address(0)) revert InvalidOwnerProvided(_owner);
+
+        _transferOwnership(_owner);
+    }
 
     function setImplementationWhitelist(
         address _implementation,
@@ -2,6 +2,7 @@ require("@nomicfoundation/hardhat-toolbox");
 require("@nomiclabs/hardhat-etherscan");
 require("hardhat-gas-reporter");
 require("dotenv").config();
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -15,13 +16,13 @@ module.exports = {
 
     networks: {
         hardhat: {
-            forking: {
-                url: process.env.TENDERLY_FORKING_HARDHAT,
-            },
-            allowUnlimitedContractSize: true,
+            // Tests run against a local network, forking is optional
+            forking: process.env.TENDERLY_FORKING_HARDHAT
+                ? { url: process.env.TENDERLY_FORKING_HARDHAT }
+                : undefined,
         },
         goerli: {
-            url: process.env.GOERLI_RPC,
+            url: process.env.GOERLI_RPC || "",
             accounts: process.env.MNEMONIC
                 ? { mnemonic: process.env.MNEMONIC }
                 : [],
@@ -35,6 +36,12 @@ module.exports = {
                 enabled: true,
                 runs: 100,
             },
+            // Storage layouts are compared before whitelisting an upgrade, see scripts/upgrade.js
+            outputSelection: {
+                "*": {
+                    "*": ["storageLayout"],
+                },
+            },
         },
     },
 
@@ -0,0 +1,119 @@
+// Gas benchmark of executePayroll against executePayrollWithMultiProofs
+//
+// Run with `npx hardhat run scripts/benchmark-multiproof.js`, on the hardhat network only.
+// Each batch is approved by the three approvers of the test fixture, one tree per approver, and executed twice from
+// the same state: once with a proof per payout and root, once with a multiproof per root. Token payouts go to fresh
+// recipients, so both paths pay for the same cold transfers.
+const hre = require("hardhat");
+const { deployPayrollFixture, signPayouts } = require("../test/fixtures");
+const { getDomain, assemblePayroll } = require("../sdk");
+
+const { ethers } = hre;
+
+// Sizes of the benchmarked batches
+const BATCH_SIZES = [10, 100, 500];
+
+// Large batches exceed the default block gas limit of the hardhat network
+const BLOCK_GAS_LIMIT = 1_000_000_000;
+
+/**
+ * @dev Gas used by a transaction sending calldata to the payroll contract, the state is reverted after it
+ * @param signer - Executor of the payroll
+ * @param to - Address of the payroll contract
+ * @param data - Calldata of the execution
+ * @return BigNumber gas used
+ */
+async function measureGas(signer, to, data) {
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    const tx = await signer.sendTransaction({
+        to,
+        data,
+        gasLimit: BLOCK_GAS_LIMIT,
+    });
+    const receipt = await tx.wait();
+    await ethers.provider.send("evm_revert", [snapshot]);
+
+    if (receipt.status !== 1) throw new Error(`Execution of ${tx.hash} failed`);
+    return receipt.gasUsed;
+}
+
+async function main() {
+    if (hre.network.name !== "hardhat")
+        throw new Error("The benchmark only runs on the hardhat network");
+    await ethers.provider.send("evm_setBlockGasLimit", [
+        ethers.utils.hexValue(BLOCK_GAS_LIMIT),
+    ]);
+
+    const { payroll, token, approvers, signers } = await deployPayrollFixture();
+    const [executor] = signers;
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = getDomain(chainId, payroll.address);
+    const owner = await payroll.owner();
+    const threshold = await payroll.threshold();
+
+    const results = [];
+    for (const size of BATCH_SIZES) {
+        const payouts = Array.from({ length: size }, (_, i) => ({
+            to: ethers.utils.getAddress(
+                ethers.utils.hexZeroPad(
+                    ethers.utils.hexlify(size * 1000 + i + 1),
+                    20
+                )
+            ),
+            tokenAddress: token.address,
+            amount: 1,
+            payoutNonce: i + 1,
+        }));
+        const approvals = await signPayouts(payroll, approvers, payouts);
+
+        const proofs = assemblePayroll(
+            domain,
+            owner,
+            threshold,
+            approvals,
+            payouts
+        );
+        const multiProofs = assemblePayroll(
+            domain,
+            owner,
+            threshold,
+            approvals,
+            payouts,
+            { multiProof: true }
+        );
+
+        const proofGas = await measureGas(
+            executor,
+            payroll.address,
+            proofs.calldata
+        );
+        const multiProofGas = await measureGas(
+            executor,
+            payroll.address,
+            multiProofs.calldata
+        );
+
+        results.push({
+            payouts: size,
+            "executePayroll gas": proofGas.toString(),
+            "executePayrollWithMultiProofs gas": multiProofGas.toString(),
+            "gas per payout": `${proofGas.div(size)} / ${multiProofGas.div(
+                size
+            )}`,
+            "calldata bytes": `${ethers.utils.hexDataLength(
+                proofs.calldata
+            )} / ${ethers.utils.hexDataLength(multiProofs.calldata)}`,
+            saving: `${(
+                (1 - multiProofGas.toNumber() / proofGas.toNumber()) *
+                100
+            ).toFixed(1)}%`,
+        });
+    }
+
+    console.table(results);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,343 @@
+// Deterministic deployment of the Parcel Payroll stack
+//
+// Run with `npx hardhat run scripts/deploy.js --network <network>`, or `npx hardhat deploy-stack` for the options.
+// Every contract is deployed through the CREATE2 deployment proxy, so a same salt and owner give the same addresses
+// on every chain. The addresses and code hashes are written to deployments/<network>.json; re-running the script
+// skips the deployed contracts and checks their code against the manifest. The storage layout of the singleton is
+// recorded for the upgrade checks of scripts/upgrade.js. The singleton delegates the functions it doesn't implement to
+// its modules (see contracts/modules), they are deployed first and recorded with it.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+    CREATE2_DEPLOYER,
+    CREATE2_DEPLOYER_CODE,
+    getAllowanceModule,
+} = require("../utils/constant");
+const { getStorageLayout } = require("./storage-layout");
+
+// Salt of the deployments, unless overridden
+const DEFAULT_SALT = ethers.utils.id("parcel-payroll");
+
+const DEFAULT_MANIFEST_DIR = path.join(__dirname, "..", "deployments");
+
+// EIP-170 limit of the runtime code of a contract, larger contracts fail to deploy
+const MAX_CODE_SIZE = 24576;
+
+// Modules of the ParcelPayroll implementations, in the order the calls are delegated to them
+const PAYROLL_MODULES = [
+    "PayrollExecutionModule",
+    "PayrollPayoutModule",
+    "PayrollApprovalModule",
+    "PayrollAdminModule",
+];
+
+/**
+ * @dev Get the path of the manifest of a network
+ * @param manifestDir - Directory of the manifests
+ * @param network - Name of the network
+ * @return Path of deployments/<network>.json
+ */
+function getManifestPath(manifestDir, network) {
+    return path.join(manifestDir, `${network}.json`);
+}
+
+/**
+ * @dev Read the manifest of a network
+ * @param manifestDir - Directory of the manifests
+ * @param network - Name of the network
+ * @return Manifest, undefined if the network has no deployment
+ */
+function readManifest(manifestDir, network) {
+    const file = getManifestPath(manifestDir, network);
+    if (!fs.existsSync(file)) return undefined;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Write the manifest of a network
+ * @param manifestDir - Directory of the manifests
+ * @param manifest - Manifest, written to <manifestDir>/<manifest.network>.json
+ */
+function writeManifest(manifestDir, manifest) {
+    fs.mkdirSync(manifestDir, { recursive: true });
+    fs.writeFileSync(
+        getManifestPath(manifestDir, manifest.network),
+        `${JSON.stringify(manifest, null, 2)}\n`
+    );
+}
+
+/**
+ * @dev Make sure the CREATE2 deployment proxy is available, it is set on the local Hardhat network
+ * @param hre - Hardhat Runtime Environment
+ */
+async function ensureCreate2Deployer(hre) {
+    const code = await hre.ethers.provider.getCode(CREATE2_DEPLOYER);
+    if (code !== "0x") return;
+
+    if (hre.network.name !== "hardhat")
+        throw new Error(
+            `The CREATE2 deployment proxy ${CREATE2_DEPLOYER} isn't deployed on ${hre.network.name}`
+        );
+    await hre.network.provider.send("hardhat_setCode", [
+        CREATE2_DEPLOYER,
+        CREATE2_DEPLOYER_CODE,
+    ]);
+}
+
+/**
+ * @dev Deploy a contract through the CREATE2 deployment proxy, or check the code of an existing deployment
+ * Throws if the runtime code exceeds MAX_CODE_SIZE, the address doesn't match the manifest (the init code changed)
+ * or the code doesn't match the manifest
+ * @param hre - Hardhat Runtime Environment
+ * @param signer - ethers Signer sending the deployment
+ * @param salt - bytes32 salt
+ * @param name - Name of the contract artifact
+ * @param constructorArguments - Arguments of the constructor
+ * @param expected - Entry of the contract in the manifest, optional
+ * @return { address, constructorArguments, initCodeHash, codeHash, deployed }
+ */
+async function deployContract(
+    hre,
+    signer,
+    salt,
+    name,
+    constructorArguments,
+    expected
+) {
+    const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+    const codeSize = ethers.utils.hexDataLength(deployedBytecode);
+    if (codeSize > MAX_CODE_SIZE)
+        throw new Error(
+            `${name} is ${codeSize} bytes, over the ${MAX_CODE_SIZE} bytes limit of EIP-170`
+        );
+
+    const factory = await hre.ethers.getContractFactory(name, signer);
+    const initCode = factory.getDeployTransaction(...constructorArguments).data;
+    const initCodeHash = ethers.utils.keccak256(initCode);
+    const address = ethers.utils.getCreate2Address(
+        CREATE2_DEPLOYER,
+        salt,
+        initCodeHash
+    );
+
+    if (expected && expected.address !== address)
+        throw new Error(
+            `${name} would be deployed to ${address} instead of ${expected.address}, its init code changed`
+        );
+
+    let code = await hre.ethers.provider.getCode(address);
+    const deployed = code === "0x";
+    if (deployed) {
+        const tx = await signer.sendTransaction({
+            to: CREATE2_DEPLOYER,
+            data: ethers.utils.hexConcat([salt, initCode]),
+        });
+        await tx.wait();
+
+        code = await hre.ethers.provider.getCode(address);
+        if (code === "0x") throw new Error(`${name} deployment failed`);
+        console.log(`${name} deployed to ${address}`);
+    }
+
+    const codeHash = ethers.utils.keccak256(code);
+    if (expected && expected.codeHash !== codeHash)
+        throw new Error(
+            `The code of ${name} at ${address} doesn't match the manifest`
+        );
+    if (!deployed) console.log(`${name} verified at ${address}`);
+
+    return {
+        address,
+        constructorArguments,
+        initCodeHash,
+        codeHash,
+        deployed,
+    };
+}
+
+/**
+ * @dev Deploy the modules of a ParcelPayroll implementation, the last one first as each module takes the address of the next one
+ * @param deploy - async (name, constructorArguments) => address of the deployed contract
+ * @return Address of the first module, the constructor argument of the implementation
+ */
+async function deployPayrollModules(deploy) {
+    let nextModule = ethers.constants.AddressZero;
+    for (const name of [...PAYROLL_MODULES].reverse())
+        nextModule = await deploy(name, [nextModule]);
+    return nextModule;
+}
+
+/**
+ * @dev Get the ABI of a ParcelPayroll implementation and of the functions, events and errors of its modules
+ * @param hre - Hardhat Runtime Environment
+ * @param name - Name of the implementation artifact
+ * @return ABI, the constructor and fallback are the ones of the implementation
+ */
+async function getPayrollAbi(hre, name = "ParcelPayroll") {
+    const fragments = new Map();
+    for (const contractName of [name, ...PAYROLL_MODULES]) {
+        const { abi } = await hre.artifacts.readArtifact(contractName);
+        for (const fragment of abi) {
+            const key = fragment.name
+                ? ethers.utils.Fragment.from(fragment).format()
+                : fragment.type;
+            if (!fragments.has(key)) fragments.set(key, fragment);
+        }
+    }
+    return [...fragments.values()];
+}
+
+/**
+ * @dev Submit the source of the deployed contracts to the block explorer
+ * @param hre - Hardhat Runtime Environment
+ * @param contracts - Contracts of the manifest
+ */
+async function verifySources(hre, contracts) {
+    for (const [name, { address, constructorArguments }] of Object.entries(
+        contracts
+    )) {
+        try {
+            await hre.run("verify:verify", { address, constructorArguments });
+        } catch (e) {
+            if (!e.message.toLowerCase().includes("already verified")) throw e;
+            console.log(`${name} is already verified`);
+        }
+    }
+}
+
+/**
+ * @dev Deploy the stack in order: registry, SafeERC20 library, singleton modules, singleton, registry whitelist, factory and its default allowance module
+ * @param hre - Hardhat Runtime Environment
+ * @param options - { signer?, salt?, owner?, manifestDir?, verify? }
+ * salt and owner default to the ones of the manifest, then to DEFAULT_SALT and the signer, they set the addresses
+ * @return Manifest { network, chainId, deployer, salt, owner, contracts, implementations }
+ */
+async function deployStack(hre, options = {}) {
+    const signer = options.signer || (await hre.ethers.getSigners())[0];
+    const manifestDir = options.manifestDir || DEFAULT_MANIFEST_DIR;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const previous = readManifest(manifestDir, hre.network.name);
+    const salt = options.salt || (previous && previous.salt) || DEFAULT_SALT;
+    const owner = ethers.utils.getAddress(
+        options.owner || (previous && previous.owner) || signer.address
+    );
+    // A different salt or owner is a new deployment
+    const isRedeployment =
+        previous && previous.salt === salt && previous.owner === owner;
+    const expected = isRedeployment ? previous.contracts : {};
+
+    await ensureCreate2Deployer(hre);
+
+    const contracts = {};
+    const deploy = async (name, constructorArguments) => {
+        contracts[name] = await deployContract(
+            hre,
+            signer,
+            salt,
+            name,
+            constructorArguments,
+            expected[name]
+        );
+        return contracts[name].address;
+    };
+
+    const addressRegistry = await deploy("AddressRegistry", [owner]);
+    await deploy("SafeERC20Upgradeable", []);
+    const singleton = await deploy("ParcelPayroll", [
+        await deployPayrollModules(deploy),
+    ]);
+
+    // Proxies can only point to whitelisted implementations
+    const registry = await hre.ethers.getContractAt(
+        "AddressRegistry",
+        addressRegistry,
+        signer
+    );
+    if (!(await registry.isWhitelisted(singleton))) {
+        if (owner !== signer.address)
+            throw new Error(
+                `${singleton} has to be whitelisted by the registry owner ${owner}`
+            );
+        await (
+            await registry.setImplementationWhitelist(singleton, true)
+        ).wait();
+        console.log(`ParcelPayroll ${singleton} whitelisted`);
+    }
+
+    const factoryAddress = await deploy("ParcelPayrollFactory", [
+        singleton,
+        addressRegistry,
+        owner,
+    ]);
+
+    // Orgs onboard with the allowance module of the network by default, it isn't part of the init code
+    const allowanceModule = getAllowanceModule(chainId);
+    const factory = await hre.ethers.getContractAt(
+        "ParcelPayrollFactory",
+        factoryAddress,
+        signer
+    );
+    if ((await factory.defaultAllowanceModule()) !== allowanceModule) {
+        if (owner !== signer.address)
+            throw new Error(
+                `The default allowance module ${allowanceModule} has to be set by the factory owner ${owner}`
+            );
+        await (await factory.setDefaultAllowanceModule(allowanceModule)).wait();
+        console.log(`Default AllowanceModule set to ${allowanceModule}`);
+    }
+    contracts.ParcelPayroll.storageLayout = await getStorageLayout(
+        hre,
+        "ParcelPayroll"
+    );
+
+    const manifest = {
+        network: hre.network.name,
+        chainId,
+        deployer: CREATE2_DEPLOYER,
+        salt,
+        owner,
+        contracts: Object.fromEntries(
+            Object.entries(contracts).map(([name, { deployed, ...entry }]) => [
+                name,
+                entry,
+            ])
+        ),
+        // Implementations whitelisted since, see scripts/upgrade.js
+        implementations: (isRedeployment && previous.implementations) || [],
+    };
+    writeManifest(manifestDir, manifest);
+
+    if (options.verify) await verifySources(hre, manifest.contracts);
+    return manifest;
+}
+
+async function main() {
+    // Required here, the module is also loaded by the tasks while the config is loading
+    const hre = require("hardhat");
+    await deployStack(hre);
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    DEFAULT_SALT,
+    DEFAULT_MANIFEST_DIR,
+    MAX_CODE_SIZE,
+    PAYROLL_MODULES,
+    readManifest,
+    writeManifest,
+    ensureCreate2Deployer,
+    deployContract,
+    deployPayrollModules,
+    getPayrollAbi,
+    deployStack,
+};
@@ -1,27 +0,0 @@
-// We require the Hardhat Runtime Environment explicitly here. This is optional
-// but useful for running the script in a standalone fashion through `node <script>`.
-//
-// You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
-// will compile your contracts, add the Hardhat Runtime Environment's members to the
-// global scope, and execute the script.
-const hre = require("hardhat");
-
-async function main() {
-    const AddressRegistry = await hre.ethers.getContractFactory(
-        "AddressRegistry"
-    );
-    const addressRegistry = await AddressRegistry.deploy();
-
-    await addressRegistry.deployed();
-
-    console.log(`addressRegistry is Deployed to ${addressRegistry.address}`);
-
-    // Deployed Goerli Address : 0xd97eEe2c1FD746c55B37Ffe93Cf1b0655fC3C397
-}
-
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main().catch((error) => {
-    console.error(error);
-    process.exitCode = 1;
-});
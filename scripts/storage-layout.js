@@ -0,0 +1,241 @@
+// Storage layouts of the compiled contracts and the rules of a safe upgrade
+//
+// Layouts are read from the `storageLayout` compiler output (see the outputSelection of hardhat.config.js) and
+// normalized without AST ids, so that they can be stored in the deployment manifest and compared across compilations.
+
+// Name of the storage gaps reserved by the upgradeable contracts
+const GAP_LABEL = "__gap";
+
+/**
+ * @dev Normalize a type of the compiler storage layout
+ * @param types - Types of the compiler storage layout, keyed by type id
+ * @param typeId - Id of the type, e.g. t_mapping(t_address,t_address)
+ * @return { label, encoding, numberOfBytes, key?, value?, base?, members? }
+ */
+function normalizeType(types, typeId) {
+    const type = types[typeId];
+    const normalized = {
+        // Structs and enums keep their name without the contract declaring them
+        label: type.label.replace(/^(struct|enum) \w+\./, "$1 "),
+        encoding: type.encoding,
+        numberOfBytes: Number(type.numberOfBytes),
+    };
+
+    if (type.key) normalized.key = normalizeType(types, type.key);
+    if (type.value) normalized.value = normalizeType(types, type.value);
+    if (type.base) normalized.base = normalizeType(types, type.base);
+    if (type.members)
+        normalized.members = type.members.map((member) => ({
+            label: member.label,
+            slot: Number(member.slot),
+            offset: member.offset,
+            type: normalizeType(types, member.type),
+        }));
+    return normalized;
+}
+
+/**
+ * @dev Normalize a compiler storage layout
+ * @param storageLayout - { storage, types } compiler output
+ * @return Array of { label, slot, offset, type }, see normalizeType
+ */
+function normalizeStorageLayout({ storage, types }) {
+    return storage.map((variable) => ({
+        label: variable.label,
+        slot: Number(variable.slot),
+        offset: variable.offset,
+        type: normalizeType(types || {}, variable.type),
+    }));
+}
+
+/**
+ * @dev Get the normalized storage layout of a compiled contract
+ * @param hre - Hardhat Runtime Environment
+ * @param name - Name of the contract artifact
+ * @return Array of { label, slot, offset, type }
+ */
+async function getStorageLayout(hre, name) {
+    const { sourceName, contractName } = await hre.artifacts.readArtifact(name);
+    const buildInfo = await hre.artifacts.getBuildInfo(
+        `${sourceName}:${contractName}`
+    );
+    const { storageLayout } =
+        buildInfo.output.contracts[sourceName][contractName];
+    if (!storageLayout)
+        throw new Error(
+            `${name} was compiled without its storage layout, see the outputSelection of hardhat.config.js`
+        );
+
+    return normalizeStorageLayout(storageLayout);
+}
+
+/**
+ * @dev Number of slots used by a variable
+ * @param variable - Normalized variable
+ * @return Number of slots, 1 for packed variables
+ */
+function getSlotCount(variable) {
+    return Math.max(1, Math.ceil(variable.type.numberOfBytes / 32));
+}
+
+/**
+ * @dev Check if a type can replace another one without corrupting the stored values
+ * Members can only be appended to structs stored in mappings or dynamic arrays, where their size doesn't shift other values
+ * @param previous - Normalized type of the previous layout
+ * @param next - Normalized type of the next layout
+ * @param canGrow - True if the type is a mapping value or a dynamic array item
+ * @return Boolean
+ */
+function isCompatibleType(previous, next, canGrow = false) {
+    if (previous.encoding !== next.encoding) return false;
+
+    if (previous.key || previous.value)
+        return (
+            isCompatibleType(previous.key, next.key) &&
+            isCompatibleType(previous.value, next.value, true)
+        );
+
+    if (previous.base)
+        return (
+            isCompatibleType(
+                previous.base,
+                next.base,
+                previous.encoding === "dynamic_array"
+            ) &&
+            (previous.encoding === "dynamic_array" ||
+                previous.numberOfBytes === next.numberOfBytes)
+        );
+
+    if (previous.members) {
+        if (previous.label !== next.label || !next.members) return false;
+        if (canGrow) {
+            if (next.members.length < previous.members.length) return false;
+        } else if (
+            next.members.length !== previous.members.length ||
+            next.numberOfBytes !== previous.numberOfBytes
+        ) {
+            return false;
+        }
+        return previous.members.every((member, i) => {
+            const nextMember = next.members[i];
+            return (
+                member.label === nextMember.label &&
+                member.slot === nextMember.slot &&
+                member.offset === nextMember.offset &&
+                isCompatibleType(member.type, nextMember.type)
+            );
+        });
+    }
+
+    return (
+        previous.label === next.label &&
+        previous.numberOfBytes === next.numberOfBytes
+    );
+}
+
+/**
+ * @dev Compare the storage layouts of two implementations of a proxy
+ * Every variable of the previous layout has to keep its slot, offset and a compatible type. New variables can only
+ * use the slots of a previous storage gap or the slots after the previous layout. Renamed variables are warnings.
+ * @param previous - Normalized layout of the current implementation
+ * @param next - Normalized layout of the new implementation
+ * @return { safe, issues: [{ severity, kind, label, message }] }, kind being deleted, moved, replaced, typeChanged, inserted or renamed
+ */
+function compareStorageLayouts(previous, next) {
+    const issues = [];
+    const position = ({ slot, offset }) => `${slot}:${offset}`;
+    const isGap = ({ label }) => label === GAP_LABEL;
+
+    const nextAt = new Map(
+        next.filter((v) => !isGap(v)).map((v) => [position(v), v])
+    );
+    const matched = new Set();
+
+    for (const variable of previous.filter((v) => !isGap(v))) {
+        const { label, slot, offset } = variable;
+        const candidate = nextAt.get(position(variable));
+        const moved = next.find(
+            (v) => v.label === label && v !== candidate && !isGap(v)
+        );
+
+        if (moved && !(candidate && candidate.label === label)) {
+            issues.push({
+                severity: "error",
+                kind: "moved",
+                label,
+                message: `${label} moves from slot ${slot}:${offset} to slot ${moved.slot}:${moved.offset}`,
+            });
+            continue;
+        }
+        if (!candidate) {
+            issues.push({
+                severity: "error",
+                kind: "deleted",
+                label,
+                message: `${label} is deleted from slot ${slot}:${offset}`,
+            });
+            continue;
+        }
+
+        matched.add(candidate);
+        const compatible = isCompatibleType(variable.type, candidate.type);
+        if (compatible && candidate.label === label) continue;
+        if (compatible) {
+            issues.push({
+                severity: "warning",
+                kind: "renamed",
+                label,
+                message: `${label} is renamed to ${candidate.label} at slot ${slot}`,
+            });
+        } else if (candidate.label === label) {
+            issues.push({
+                severity: "error",
+                kind: "typeChanged",
+                label,
+                message: `${label} changes from ${variable.type.label} to ${candidate.type.label}`,
+            });
+        } else {
+            issues.push({
+                severity: "error",
+                kind: "replaced",
+                label,
+                message: `${label} is replaced by ${candidate.label} at slot ${slot}:${offset}`,
+            });
+        }
+    }
+
+    // New variables can use the slots reserved by the gaps or append to the layout
+    const reserved = previous.filter(isGap).map((gap) => ({
+        start: gap.slot,
+        end: gap.slot + getSlotCount(gap),
+    }));
+    const end = Math.max(0, ...previous.map((v) => v.slot + getSlotCount(v)));
+    for (const variable of next.filter((v) => !isGap(v) && !matched.has(v))) {
+        const variableEnd = variable.slot + getSlotCount(variable);
+        const isReserved =
+            variable.slot >= end ||
+            reserved.some(
+                ({ start, end: gapEnd }) =>
+                    variable.slot >= start && variableEnd <= gapEnd
+            );
+        if (!isReserved)
+            issues.push({
+                severity: "error",
+                kind: "inserted",
+                label: variable.label,
+                message: `${variable.label} is inserted at slot ${variable.slot}:${variable.offset}, outside of a storage gap`,
+            });
+    }
+
+    return {
+        safe: issues.every(({ severity }) => severity !== "error"),
+        issues,
+    };
+}
+
+module.exports = {
+    normalizeStorageLayout,
+    getStorageLayout,
+    isCompatibleType,
+    compareStorageLayouts,
+};
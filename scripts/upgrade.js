@@ -0,0 +1,398 @@
+// Upgrade safety checks of the ParcelPayroll implementations
+//
+// Run with `npx hardhat check-upgrade` and `npx hardhat whitelist-implementation`, see tasks/upgrade.js.
+// A new implementation is compared to the storage layout of the last whitelisted implementation of the manifest, and
+// optionally upgraded on the Hardhat network (a fork of the network with TENDERLY_FORKING_HARDHAT) to check that the
+// state of an org proxy survives the upgrade. An implementation failing a check is never whitelisted.
+const { ethers } = require("ethers");
+const {
+    DEFAULT_MANIFEST_DIR,
+    readManifest,
+    writeManifest,
+    ensureCreate2Deployer,
+    deployContract,
+    deployPayrollModules,
+    getPayrollAbi,
+} = require("./deploy");
+const { getStorageLayout, compareStorageLayouts } = require("./storage-layout");
+
+// EIP1967 slots of the proxy
+const ADMIN_SLOT =
+    "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const IMPLEMENTATION_SLOT =
+    "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Reads changed by the upgrade itself, the implementation slot is checked instead
+const UPGRADED_READS = ["getImplementation"];
+
+/**
+ * @dev Get the storage layout the new implementation is compared to
+ * @param hre - Hardhat Runtime Environment
+ * @param options - { reference?, manifestDir?, manifestNetwork? }
+ * The reference contract artifact takes precedence over the last implementation of the manifest
+ * @return { name, storageLayout }
+ */
+async function getReferenceLayout(hre, options) {
+    if (options.reference)
+        return {
+            name: options.reference,
+            storageLayout: await getStorageLayout(hre, options.reference),
+        };
+
+    const manifestNetwork = options.manifestNetwork || hre.network.name;
+    const manifest = readManifest(
+        options.manifestDir || DEFAULT_MANIFEST_DIR,
+        manifestNetwork
+    );
+    if (!manifest)
+        throw new Error(
+            `No deployment manifest for ${manifestNetwork}, a reference contract is required`
+        );
+
+    const implementations = manifest.implementations || [];
+    const last = implementations[implementations.length - 1];
+    return last
+        ? { name: last.contract, storageLayout: last.storageLayout }
+        : {
+              name: "ParcelPayroll",
+              storageLayout: manifest.contracts.ParcelPayroll.storageLayout,
+          };
+}
+
+/**
+ * @dev Read an address from a storage slot
+ * @param provider - ethers Provider
+ * @param address - Address of the contract
+ * @param slot - bytes32 slot
+ * @return Checksummed address
+ */
+async function getAddressAt(provider, address, slot) {
+    const value = await provider.getStorageAt(address, slot);
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(value, 12));
+}
+
+/**
+ * @dev Impersonate an account of the Hardhat network, funded for the gas
+ * @param hre - Hardhat Runtime Environment
+ * @param address - Address of the account
+ * @return ethers Signer
+ */
+async function impersonate(hre, address) {
+    await hre.network.provider.send("hardhat_impersonateAccount", [address]);
+    await hre.network.provider.send("hardhat_setBalance", [
+        address,
+        ethers.utils.hexValue(ethers.utils.parseEther("10")),
+    ]);
+    return hre.ethers.getSigner(address);
+}
+
+/**
+ * @dev Build the read calls checked before and after an upgrade
+ * Every view function without parameters of the ABIs but the implementation, the domain separated hash of a zero payload and the given payout nonces
+ * @param iface - ethers Interface of the implementations
+ * @param nonces - Payout nonces to read
+ * @return Array of { name, data }
+ */
+function getProbes(iface, nonces = []) {
+    const probes = Object.values(iface.functions)
+        .filter(
+            ({ name, inputs, stateMutability }) =>
+                inputs.length === 0 &&
+                !UPGRADED_READS.includes(name) &&
+                (stateMutability === "view" || stateMutability === "pure")
+        )
+        .map((fragment) => ({
+            name: fragment.name,
+            data: iface.encodeFunctionData(fragment),
+        }));
+
+    if (iface.functions["generateTransactionHash(bytes32)"])
+        probes.push({
+            name: "generateTransactionHash",
+            data: iface.encodeFunctionData("generateTransactionHash", [
+                ethers.constants.HashZero,
+            ]),
+        });
+    if (iface.functions["getPayoutNonce(uint256)"])
+        for (const nonce of nonces)
+            probes.push({
+                name: `getPayoutNonce(${nonce})`,
+                data: iface.encodeFunctionData("getPayoutNonce", [nonce]),
+            });
+    return probes;
+}
+
+/**
+ * @dev Read the probes of a proxy
+ * @param provider - ethers Provider
+ * @param proxy - Address of the proxy
+ * @param probes - Array of { name, data }
+ * @return Map of the probe names to the returned data, undefined for reverted calls and functions the implementation lacks
+ */
+async function readProbes(provider, proxy, probes) {
+    const results = new Map();
+    for (const { name, data } of probes) {
+        try {
+            const result = await provider.call({ to: proxy, data });
+            results.set(name, result === "0x" ? undefined : result);
+        } catch (e) {
+            results.set(name, undefined);
+        }
+    }
+    return results;
+}
+
+/**
+ * @dev Upgrade an org proxy to a new implementation on the Hardhat network, then revert the upgrade
+ * The proxy admin and the registry owner are impersonated. The state read by the probes before the upgrade has to be
+ * read identically after it.
+ * @param hre - Hardhat Runtime Environment
+ * @param options - { proxy, registry, implementation, nonces? }
+ * implementation is the name of the contract artifact to deploy
+ * @return { success, implementation, checked, errors }
+ */
+async function simulateUpgrade(hre, options) {
+    if (hre.network.name !== "hardhat")
+        throw new Error(
+            "Upgrades are simulated on the Hardhat network, fork the network with TENDERLY_FORKING_HARDHAT"
+        );
+
+    const { provider } = hre.ethers;
+    const proxy = ethers.utils.getAddress(options.proxy);
+    const [reference, candidate] = await Promise.all(
+        ["ParcelPayroll", options.implementation].map((name) =>
+            getPayrollAbi(hre, name)
+        )
+    );
+    const iface = new ethers.utils.Interface(
+        Object.values(
+            Object.fromEntries(
+                [...reference, ...candidate]
+                    .filter(({ type }) => type === "function")
+                    .map((fragment) => [
+                        ethers.utils.Fragment.from(fragment).format(),
+                        fragment,
+                    ])
+            )
+        )
+    );
+    const probes = getProbes(iface, options.nonces);
+
+    const snapshot = await provider.send("evm_snapshot", []);
+    const impersonated = [];
+    try {
+        const [deployer] = await hre.ethers.getSigners();
+        const deploy = async (name, constructorArguments) => {
+            const factory = await hre.ethers.getContractFactory(name, deployer);
+            return (await factory.deploy(...constructorArguments)).address;
+        };
+        const implementation = await deploy(options.implementation, [
+            await deployPayrollModules(deploy),
+        ]);
+
+        const before = await readProbes(provider, proxy, probes);
+
+        // Whitelist the implementation and upgrade the proxy
+        const registry = await hre.ethers.getContractAt(
+            "AddressRegistry",
+            options.registry
+        );
+        const registryOwner = await registry.owner();
+        impersonated.push(registryOwner);
+        await registry
+            .connect(await impersonate(hre, registryOwner))
+            .setImplementationWhitelist(implementation, true);
+
+        const admin = await getAddressAt(provider, proxy, ADMIN_SLOT);
+        impersonated.push(admin);
+        const proxyContract = await hre.ethers.getContractAt(
+            "ParcelTransparentProxy",
+            proxy,
+            await impersonate(hre, admin)
+        );
+        await (await proxyContract.upgradeTo(implementation)).wait();
+
+        const errors = [];
+        if (
+            (await getAddressAt(provider, proxy, IMPLEMENTATION_SLOT)) !==
+            implementation
+        )
+            errors.push(`The proxy doesn't point to ${implementation}`);
+
+        const after = await readProbes(provider, proxy, probes);
+        const checked = [];
+        for (const [name, value] of before) {
+            // Calls failing before the upgrade don't read any state
+            if (value === undefined) continue;
+            checked.push(name);
+
+            if (after.get(name) === undefined)
+                errors.push(`${name} fails after the upgrade`);
+            else if (after.get(name) !== value)
+                errors.push(
+                    `${name} returns ${after.get(name)} instead of ${value}`
+                );
+        }
+
+        return {
+            success: errors.length === 0,
+            implementation,
+            checked,
+            errors,
+        };
+    } finally {
+        await provider.send("evm_revert", [snapshot]);
+        for (const address of impersonated)
+            await provider.send("hardhat_stopImpersonatingAccount", [address]);
+    }
+}
+
+/**
+ * @dev Check the upgrade to a new implementation
+ * @param hre - Hardhat Runtime Environment
+ * @param options - { implementation, reference?, manifestDir?, manifestNetwork?, proxy?, registry?, nonces? }
+ * The upgrade of the proxy is simulated when given, registry defaults to the AddressRegistry of the manifest
+ * @return { safe, reference, layout: { safe, issues }, simulation? }
+ */
+async function checkUpgrade(hre, options) {
+    const reference = await getReferenceLayout(hre, options);
+    const layout = compareStorageLayouts(
+        reference.storageLayout,
+        await getStorageLayout(hre, options.implementation)
+    );
+
+    let simulation;
+    if (options.proxy) {
+        const manifest = readManifest(
+            options.manifestDir || DEFAULT_MANIFEST_DIR,
+            options.manifestNetwork || hre.network.name
+        );
+        const registry =
+            options.registry ||
+            (manifest && manifest.contracts.AddressRegistry.address);
+        if (!registry)
+            throw new Error(
+                "The AddressRegistry is required to simulate the upgrade"
+            );
+
+        simulation = await simulateUpgrade(hre, {
+            proxy: options.proxy,
+            registry,
+            implementation: options.implementation,
+            nonces: options.nonces,
+        });
+    }
+
+    return {
+        safe: layout.safe && (!simulation || simulation.success),
+        reference: reference.name,
+        layout,
+        simulation,
+    };
+}
+
+/**
+ * @dev Check a new implementation, deploy it at its CREATE2 address and whitelist it in the registry
+ * The implementation is recorded in the implementations of the manifest, it is the reference of the next upgrade.
+ * Its modules are deployed first, a module whose code didn't change keeps its address.
+ * @param hre - Hardhat Runtime Environment
+ * @param options - { implementation, signer?, manifestDir?, proxy?, nonces? }, see checkUpgrade
+ * @return { check, implementation: { contract, address, initCodeHash, codeHash, modules, storageLayout } }
+ */
+async function whitelistImplementation(hre, options) {
+    const signer = options.signer || (await hre.ethers.getSigners())[0];
+    const manifestDir = options.manifestDir || DEFAULT_MANIFEST_DIR;
+    const manifest = readManifest(manifestDir, hre.network.name);
+    if (!manifest)
+        throw new Error(
+            `No deployment manifest for ${hre.network.name}, deploy the stack first`
+        );
+
+    const check = await checkUpgrade(hre, {
+        ...options,
+        manifestDir,
+        manifestNetwork: hre.network.name,
+        reference: undefined,
+        registry: undefined,
+    });
+    if (!check.safe) {
+        const errors = [
+            ...check.layout.issues
+                .filter(({ severity }) => severity === "error")
+                .map(({ message }) => message),
+            ...((check.simulation && check.simulation.errors) || []),
+        ];
+        throw new Error(
+            `Refusing to whitelist ${options.implementation}:\n${errors.join(
+                "\n"
+            )}`
+        );
+    }
+
+    await ensureCreate2Deployer(hre);
+    const implementations = manifest.implementations || [];
+    const previous = implementations.find(
+        ({ contract }) => contract === options.implementation
+    );
+    const modules = {};
+    const firstModule = await deployPayrollModules(
+        async (name, constructorArguments) => {
+            const { address, initCodeHash, codeHash } = await deployContract(
+                hre,
+                signer,
+                manifest.salt,
+                name,
+                constructorArguments
+            );
+            modules[name] = { address, initCodeHash, codeHash };
+            return address;
+        }
+    );
+    const { deployed, constructorArguments, ...deployment } =
+        await deployContract(
+            hre,
+            signer,
+            manifest.salt,
+            options.implementation,
+            [firstModule],
+            previous
+        );
+
+    const registry = await hre.ethers.getContractAt(
+        "AddressRegistry",
+        manifest.contracts.AddressRegistry.address,
+        signer
+    );
+    if (!(await registry.isWhitelisted(deployment.address))) {
+        if ((await registry.owner()) !== signer.address)
+            throw new Error(
+                `${deployment.address} has to be whitelisted by the registry owner`
+            );
+        await (
+            await registry.setImplementationWhitelist(deployment.address, true)
+        ).wait();
+        console.log(
+            `${options.implementation} ${deployment.address} whitelisted`
+        );
+    }
+
+    const implementation = {
+        contract: options.implementation,
+        ...deployment,
+        modules,
+        storageLayout: await getStorageLayout(hre, options.implementation),
+    };
+    manifest.implementations = [
+        ...implementations.filter((entry) => entry !== previous),
+        implementation,
+    ];
+    writeManifest(manifestDir, manifest);
+
+    return { check, implementation };
+}
+
+module.exports = {
+    simulateUpgrade,
+    checkUpgrade,
+    whitelistImplementation,
+};
@@ -0,0 +1,203 @@
+/**
+ * @dev Human readable ABI of the ParcelPayroll functions and errors used by the SDK
+ */
+const PARCEL_PAYROLL_ABI = [
+    "function owner() view returns (address)",
+    "function threshold() view returns (uint128)",
+    "function allowanceModule() view returns (address)",
+    "function cancelPolicy() view returns (uint8)",
+    "function cancelThreshold() view returns (uint128)",
+    "function changeCancelPolicy(uint8 _cancelPolicy, uint128 _cancelThreshold)",
+    "function paused() view returns (bool)",
+    "function retiredAt() view returns (uint256)",
+    "function retire()",
+    "function getRoles() view returns (bytes32[])",
+    "function getRole(bytes32 role) view returns (tuple(uint128 threshold, uint128 memberCount))",
+    "function isRoleMember(bytes32 role, address member) view returns (bool)",
+    "function getMemberRoles(address member) view returns (bytes32[])",
+    "function getAmountBands(address tokenAddress) view returns (tuple(uint128 minAmount, uint128 minSigners, bytes32[] roles)[])",
+    "function getRequiredRoles(address tokenAddress, uint256 amount) view returns (bytes32[])",
+    "function isApprovedBy(address tokenAddress, uint256 amount, address[] _approvers) view returns (bool)",
+    "function approverGovernanceEnabled() view returns (bool)",
+    "function approverChangeDelay() view returns (uint64)",
+    "function approverChangeNonce() view returns (uint256)",
+    "function minApproverChangeNonce() view returns (uint256)",
+    "function getPendingApproverChange(uint256 changeNonce) view returns (tuple(tuple(uint8 operation, address prevApprover, address approver, address newApprover, uint128 threshold) change, uint64 eta))",
+    "function getApproverChangeSigners(uint256 changeNonce) view returns (address[])",
+    "function getApproverChangeTransactionHash(tuple(uint8 operation, address prevApprover, address approver, address newApprover, uint128 threshold) change, uint256 changeNonce) view returns (bytes32)",
+    "function proposeApproverChange(tuple(uint8 operation, address prevApprover, address approver, address newApprover, uint128 threshold) change, bytes[] signatures)",
+    "function executeApproverChange(uint256 changeNonce)",
+    "function isApprover(address approver) view returns (bool)",
+    "function getApprovers() view returns (address[])",
+    "function getPayoutNonce(uint256 payoutNonce) view returns (bool)",
+    "function encodeTransactionData(address to, address tokenAddress, uint256 amount, uint64 payoutNonce) view returns (bytes32)",
+    "function encodeScheduledTransactionData(address to, address tokenAddress, uint256 amount, uint64 payoutNonce, uint64 validAfter, uint64 validUntil) view returns (bytes32)",
+    "function generateTransactionHash(bytes32 rootHash) view returns (bytes32)",
+    "function getCancelTransactionHash(uint64 nonce) view returns (bytes32)",
+    "function executePayroll(address[] to, address[] tokenAddress, uint128[] amount, uint64[] payoutNonce, bytes32[][][] proof, bytes32[] roots, bytes[] signatures)",
+    "function executeScheduledPayroll(address[] to, address[] tokenAddress, uint128[] amount, uint64[] payoutNonce, uint64[] validAfter, uint64[] validUntil, bytes32[][][] proof, bytes32[] roots, bytes[] signatures)",
+    "function executePayrollWithMultiProofs(address[] to, address[] tokenAddress, uint128[] amount, uint64[] payoutNonce, uint64[] validAfter, uint64[] validUntil, tuple(uint256[] leafIndices, bytes32[] proof, bool[] proofFlags)[] proofs, bytes32[] roots, bytes[] signatures)",
+    "function executePayrollWithReimbursement(address[] to, address[] tokenAddress, uint128[] amount, uint64[] payoutNonce, uint64[] validAfter, uint64[] validUntil, bytes32[][][] proof, bytes32[] roots, bytes[] signatures, tuple(address tokenAddress, uint96 maxPayment, uint64 payoutNonce, bytes32[][] proof) reimbursement)",
+    "function previewPayroll(address[] to, address[] tokenAddress, uint128[] amount, uint64[] payoutNonce, uint64[] validAfter, uint64[] validUntil, bytes32[][][] proof, bytes32[] roots, bytes[] signatures) view returns (tuple(uint256 approvals, bool nonceUsed, uint8 outcome, uint8 reason)[] payouts, tuple(address tokenAddress, uint256 amount, uint256 fetched)[] fetches)",
+    "function getCancelNoncesTransactionHash(uint64[] nonces) view returns (bytes32)",
+    "function getCancelNonceRangeTransactionHash(uint64 fromNonce, uint64 toNonce) view returns (bytes32)",
+    "function invalidateNonce(uint64 nonce, bytes signature)",
+    "function invalidateNonceWithSignatures(uint64 nonce, bytes[] signatures)",
+    "function invalidateNonces(uint64[] nonces, bytes[] signatures)",
+    "function invalidateNonceRange(uint64 fromNonce, uint64 toNonce, bytes[] signatures)",
+    "function getApproveRootTransactionHash(bytes32 rootHash, uint64 expiry) view returns (bytes32)",
+    "function approveRoot(bytes32 root, uint64 expiry)",
+    "function approveRootWithSignature(bytes32 root, uint64 expiry, bytes signature)",
+    "function revokeRoot(bytes32 root)",
+    "function isRootApprovedBy(bytes32 root, address approver) view returns (bool)",
+    "function getRootApprovalCount(bytes32 root) view returns (uint256)",
+    "function getApprovedRoots(address approver) view returns (bytes32[])",
+    "function getListedRootCount() view returns (uint256)",
+    "function getPendingRoots(address approver, address tokenAddress, uint256 amount, uint256 offset, uint256 limit) view returns (bytes32[])",
+    "function setSpendingCap(address tokenAddress, uint128 payoutCap, uint128 periodCap, uint128 recipientCap, uint64 period)",
+    "function getSpendingCap(address tokenAddress) view returns (tuple(uint128 payoutCap, uint128 periodCap, uint128 recipientCap, uint64 period))",
+    "function getCurrentPeriod(address tokenAddress) view returns (uint256 start, uint256 end)",
+    "function getRemainingPeriodBudget(address tokenAddress) view returns (uint256)",
+    "function getRemainingRecipientBudget(address tokenAddress, address recipient) view returns (uint256)",
+    "function executeApprovedPayroll(address[] to, address[] tokenAddress, uint128[] amount, uint64[] payoutNonce, uint64[] validAfter, uint64[] validUntil, bytes32[][][] proof, bytes32[] roots)",
+    "function claim(address tokenAddress, uint128 amount, uint64 payoutNonce, uint64 validAfter, uint64 validUntil, bytes32[][] proof, bytes32[] roots, bytes[] signatures)",
+    "function encodeStreamTransactionData(address to, address tokenAddress, uint256 amount, uint64 payoutNonce, uint64 start, uint64 cliff, uint64 duration) view returns (bytes32)",
+    "function encodeReimbursementData(address tokenAddress, uint256 maxPayment, uint64 payoutNonce) view returns (bytes32)",
+    "function setGasReimbursement(address tokenAddress, uint96 maxPayment, uint128 gasPrice)",
+    "function getGasReimbursement() view returns (tuple(address tokenAddress, uint96 maxPayment, uint128 gasPrice))",
+    "function encodeFiatTransactionData(address to, address tokenAddress, uint256 amount, uint64 payoutNonce, bytes32 currency, uint256 fiatAmount, uint16 maxSlippage) view returns (bytes32)",
+    "function executeFiatPayroll(tuple(address to, address tokenAddress, uint128 amount, uint64 payoutNonce, bytes32 currency, uint128 fiatAmount, uint16 maxSlippage)[] payouts, bytes32[][][] proof, bytes32[] roots, bytes[] signatures)",
+    "function setPriceFeed(address tokenAddress, bytes32 currency, address feed, uint64 maxStaleness)",
+    "function getPriceFeed(address tokenAddress, bytes32 currency) view returns (tuple(address feed, uint64 maxStaleness))",
+    "function quoteFiatAmount(address tokenAddress, bytes32 currency, uint256 fiatAmount) view returns (uint256)",
+    "function createStreams(tuple(address to, address tokenAddress, uint128 amount, uint64 payoutNonce, uint64 start, uint64 cliff, uint64 duration)[] payouts, bytes32[][][] proof, bytes32[] roots, bytes[] signatures)",
+    "function claimStream(uint64 payoutNonce)",
+    "function cancelStream(uint64 payoutNonce)",
+    "function getStream(uint64 payoutNonce) view returns (tuple(address recipient, address tokenAddress, uint128 amount, uint128 claimed, uint64 start, uint64 cliff, uint64 duration, uint64 cancelledAt))",
+    "function vestedAmount(uint64 payoutNonce) view returns (uint256)",
+    "function claimableAmount(uint64 payoutNonce) view returns (uint256)",
+    "function lockedStreamBalance(address tokenAddress) view returns (uint256)",
+    "function getFailedPayout(uint64 payoutNonce) view returns (tuple(address tokenAddress, address to, uint256 amount))",
+    "function lockedFailedBalance(address tokenAddress) view returns (uint256)",
+    "function retryFailedPayout(uint64 payoutNonce)",
+    "function refundFailedPayout(uint64 payoutNonce)",
+    "function sweepTo(address[] tokenAddresses, uint256[] amounts, address to)",
+    "event PayoutSuccessful(address tokenAddress, address to, uint256 amount, uint256 payoutNonce)",
+    "event PayoutFailed(address tokenAddress, address to, uint256 amount, uint256 payoutNonce, uint8 reason, bytes revertData)",
+    "event PayoutOutsideValidity(address tokenAddress, address to, uint256 amount, uint256 payoutNonce, uint64 validAfter, uint64 validUntil)",
+    "event StreamCreated(uint64 indexed payoutNonce, address indexed recipient, address tokenAddress, uint256 amount, uint64 start, uint64 cliff, uint64 duration)",
+    "event GasReimbursed(address indexed executor, address indexed tokenAddress, uint256 payment, uint256 gasUsed, uint64 payoutNonce)",
+    "event FiatPayoutPriced(uint64 indexed payoutNonce, bytes32 indexed currency, uint256 fiatAmount, uint256 price, uint256 amount)",
+    "error InvalidPayoutSignature(bytes signature)",
+    "error PayrollDataLengthMismatch()",
+    "error RootSignatureLengthMismatch()",
+    "error PayoutNonceAlreadyExecuted(uint64 nonce)",
+    "error TokensNotSorted(address tokenAddress1, address tokenAddress2)",
+    "error InvalidSignatureLength()",
+    "error OnlyApprover()",
+    "error InsufficientApprovals(uint64 payoutNonce)",
+    "error ClaimOutsideValidity(uint64 validAfter, uint64 validUntil)",
+    "error TransferFailed(address tokenAddress, uint256 amount)",
+    "error InvalidStreamSchedule(uint64 start, uint64 cliff, uint64 duration)",
+    "error StreamDoesNotExist(uint64 payoutNonce)",
+    "error StreamAlreadyCancelled(uint64 payoutNonce)",
+    "error OnlyStreamRecipient(address recipient)",
+    "error OnlyApproverOrOwner()",
+    "error NothingToClaim(uint64 payoutNonce)",
+    "error InvalidRootExpiry(uint64 expiry)",
+    "error RootNotApproved(bytes32 root, address approver)",
+    "error RootSignatureAlreadyUsed(bytes32 digest)",
+    "error InvalidNonceRange(uint64 fromNonce, uint64 toNonce)",
+    "error InvalidCancelSignature(bytes signature)",
+    "error InsufficientCancelApprovals(uint256 approvals, uint256 required)",
+    "error OnlyOwnerCanCancel()",
+    "error InvalidSpendingCap(address tokenAddress)",
+    "error InvalidRole(bytes32 role)",
+    "error RoleDoesNotExist(bytes32 role)",
+    "error RoleMemberAlreadyExists(bytes32 role, address member)",
+    "error RoleMemberDoesNotExist(bytes32 role, address member)",
+    "error RoleInUse(bytes32 role)",
+    "error RoleMembersMismatch(bytes32 role)",
+    "error AmountBandsNotSorted(uint128 minAmount1, uint128 minAmount2)",
+    "error AmountBandLengthMismatch()",
+    "error ApproverGovernanceDisabled()",
+    "error ApproverChangeNotProposed(uint256 changeNonce)",
+    "error ApproverChangeTimelocked(uint256 changeNonce, uint64 eta)",
+    "error ApproverChangeDropped(uint256 changeNonce)",
+    "error InvalidApproverChangeSignature(bytes signature)",
+    "error InsufficientApproverChangeApprovals(uint256 approvals, uint256 required)",
+    "error ThresholdTooHigh(uint256 threshold, uint256 approverCount)",
+    "error ThresholdTooLow(uint256 threshold)",
+    "error ApproverDoesNotExist(address approver)",
+    "error ApproverAlreadyExists(address approver)",
+    "error InvalidAddressProvided(address providedAddress)",
+    "error FailedPayoutDoesNotExist(uint64 payoutNonce)",
+    "error SweepFailed(address tokenAddress, uint256 amount)",
+    "error SweepDataLengthMismatch()",
+    "error InvalidSweepDestination()",
+    "error SpendingCapExceeded(address tokenAddress, address to, uint256 amount)",
+    "error MultiProofLengthMismatch()",
+    "error InvalidMultiProof(bytes32 root)",
+    "error InvalidGasReimbursement(address tokenAddress)",
+    "error GasReimbursementDisabled(address tokenAddress)",
+    "error ReimbursementNotApproved(uint64 payoutNonce)",
+    "error InvalidPriceFeed(address tokenAddress, bytes32 currency)",
+    "error PriceFeedUnavailable(address tokenAddress, bytes32 currency)",
+];
+
+/**
+ * @dev Human readable ABI of the ParcelPayrollFactory functions used by the SDK
+ */
+const PAYROLL_FACTORY_ABI = [
+    "function parcelAddress(address safeAddress) view returns (address)",
+    "function payrollAddress(address safeAddress, bytes32 name) view returns (address)",
+    "function getPayrollNames(address safeAddress) view returns (bytes32[])",
+    "function computeAddress(bytes32 name, bytes32 salt, address[] _approvers, uint128 approvalsRequired, address safeAddress, address allowanceModule) view returns (address)",
+    "function onboard(bytes32 name, bytes32 salt, address[] _approvers, uint128 approvalsRequired, address allowanceModule)",
+    "function offboard(bytes32 name)",
+    "function logic() view returns (address)",
+    "function addressRegistry() view returns (address)",
+    "function implementationVersion(address implementation) view returns (uint256)",
+    "function versionCount() view returns (uint256)",
+    "function defaultAllowanceModule() view returns (address)",
+    "function getOrgCount() view returns (uint256)",
+    "function getOrgs(uint256 start, uint256 count) view returns (tuple(address safeAddress, bytes32 name, address proxy, address implementation, uint256 version, bool retired)[])",
+    "function getOrg(address proxy) view returns (tuple(address safeAddress, bytes32 name, address proxy, address implementation, uint256 version, bool retired))",
+    "function registerOrgs(address[] safeAddresses, bytes32[] names, address[] _proxies)",
+    "function owner() view returns (address)",
+    "event OrgRegistered(address indexed safeAddress, bytes32 name, address indexed proxy)",
+    "error OrgOnboardedAlready(address orgAddress)",
+    "error PayrollDoesNotExist(address orgAddress, bytes32 name)",
+    "error PayrollNotRetired(address proxy)",
+    "error OrgRegisteredAlready(address proxy)",
+    "error ProxyNotOwnedBySafe(address proxy, address safeAddress)",
+    "error RegistrationLengthMismatch()",
+];
+
+/**
+ * @dev Human readable ABI of the legacy factory, onboarding a single payroll per safe
+ */
+const LEGACY_PAYROLL_FACTORY_ABI = [
+    "function parcelAddress(address safeAddress) view returns (address)",
+    "event OrgOnboarded(address safeAddress, address indexed proxy, address indexed implementation, bytes initData)",
+];
+
+/**
+ * @dev Human readable ABI of the ParcelTransparentProxy admin functions and the AddressRegistry used by the SDK
+ */
+const PARCEL_PROXY_ABI = [
+    "function upgradeTo(address newImplementation)",
+    "error ImplementationNotWhitelisted(address implementation)",
+];
+
+const ADDRESS_REGISTRY_ABI = [
+    "function isWhitelisted(address implementation) view returns (bool)",
+];
+
+module.exports = {
+    PARCEL_PAYROLL_ABI,
+    PAYROLL_FACTORY_ABI,
+    LEGACY_PAYROLL_FACTORY_ABI,
+    PARCEL_PROXY_ABI,
+    ADDRESS_REGISTRY_ABI,
+};
@@ -0,0 +1,519 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const { PAYOUT_FAILURE_REASONS, PAYOUT_OUTCOMES } = require("./constants");
+const {
+    normalizePayout,
+    isScheduled,
+    encodeLeaf,
+    buildTree,
+    buildLegacyTree,
+    getRoot,
+    includesLeaf,
+    getProof,
+    getMultiProof,
+} = require("./tree");
+const {
+    getDomain,
+    getPayrollTxTypedData,
+    recoverTypedDataSigner,
+} = require("./signatures");
+
+const payrollInterface = new ethers.utils.Interface(PARCEL_PAYROLL_ABI);
+
+/**
+ * @dev Compare two addresses numerically, as solidity does
+ */
+function compareAddresses(a, b) {
+    const x = ethers.BigNumber.from(a);
+    const y = ethers.BigNumber.from(b);
+    if (x.eq(y)) return 0;
+    return x.lt(y) ? -1 : 1;
+}
+
+/**
+ * @dev Decode the custom error of a reverted call
+ * @param error - Error thrown by the provider
+ * @return String, error signature with its arguments or the error message
+ */
+function decodeRevert(error) {
+    let data = error.data || (error.error && error.error.data);
+    if (data && typeof data === "object") data = data.data;
+
+    if (typeof data === "string" && data.length >= 10) {
+        try {
+            const parsed = payrollInterface.parseError(data);
+            return `${parsed.name}(${parsed.args.join(", ")})`;
+        } catch (e) {
+            // Unknown error selector, fallback to the error message
+        }
+    }
+    return error.reason || error.message;
+}
+
+/**
+ * @dev Resolve the merkle tree of an approval, either given as a tree or as its leaves
+ * Leaves signed before complete trees are rebuilt with the legacy layout, see buildLegacyTree
+ * @param approval - { root, signature, tree } or { root, signature, leaves }
+ * @return Tree, see buildTree
+ */
+function resolveTree(approval) {
+    let tree = approval.tree
+        ? approval.tree.tree || approval.tree
+        : buildTree(approval.leaves || []);
+
+    const root = (approval.root || getRoot(tree)).toLowerCase();
+    if (!approval.tree && getRoot(tree) !== root)
+        tree = buildLegacyTree(approval.leaves);
+    if (getRoot(tree) !== root)
+        throw new Error(`Tree doesn't match root ${root}`);
+
+    return tree;
+}
+
+/**
+ * @dev Order approvals by ascending signer address, as enforced by validateSignatures
+ * @param domain - EIP712 domain of the payroll contract
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @return Array of { approver, root, signature, tree } sorted by approver
+ */
+function sortApprovals(domain, approvals) {
+    const resolved = approvals.map((approval) => {
+        const tree = resolveTree(approval);
+        const root = getRoot(tree);
+        const approver = recoverTypedDataSigner(
+            getPayrollTxTypedData(domain, root),
+            approval.signature
+        );
+        return { approver, root, signature: approval.signature, tree };
+    });
+
+    resolved.sort((a, b) => compareAddresses(a.approver, b.approver));
+
+    for (let i = 1; i < resolved.length; i++) {
+        if (resolved[i].approver === resolved[i - 1].approver)
+            throw new Error(
+                `Duplicate signature from approver ${resolved[i].approver}`
+            );
+    }
+
+    return resolved;
+}
+
+/**
+ * @dev Sum the amounts of the approved payouts by token
+ * @param payouts - Array of report payouts sorted by token address
+ * @return Array of { tokenAddress, amount }
+ */
+function sumApprovedTokens(payouts) {
+    const tokens = [];
+    for (const payout of payouts.filter(({ approved }) => approved)) {
+        const last = tokens[tokens.length - 1];
+        if (last && last.tokenAddress === payout.tokenAddress) {
+            last.amount = last.amount.add(payout.amount);
+        } else {
+            tokens.push({
+                tokenAddress: payout.tokenAddress,
+                amount: payout.amount,
+            });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * @dev Order the executePayroll arguments as the function expects them
+ * @param args - Arguments of executePayroll, see assemblePayroll
+ * @return Array of arguments
+ */
+function toExecuteArgs(args) {
+    return [
+        args.to,
+        args.tokenAddress,
+        args.amount,
+        args.payoutNonce,
+        args.proof,
+        args.roots,
+        args.signatures,
+    ];
+}
+
+/**
+ * @dev Order the executeScheduledPayroll arguments as the function expects them, previewPayroll and
+ * executePayrollWithReimbursement take them too
+ * @param args - Arguments of executePayroll with the validity windows, see assemblePayroll
+ * @return Array of arguments
+ */
+function toScheduledArgs(args) {
+    return [
+        args.to,
+        args.tokenAddress,
+        args.amount,
+        args.payoutNonce,
+        args.validAfter,
+        args.validUntil,
+        args.proof,
+        args.roots,
+        args.signatures,
+    ];
+}
+
+/**
+ * @dev Order the executePayrollWithMultiProofs arguments as the function expects them
+ * @param args - Arguments of executePayroll with multiProofs, see assemblePayroll
+ * @return Array of arguments
+ */
+function toMultiProofArgs(args) {
+    return [
+        args.to,
+        args.tokenAddress,
+        args.amount,
+        args.payoutNonce,
+        args.validAfter,
+        args.validUntil,
+        args.multiProofs,
+        args.roots,
+        args.signatures,
+    ];
+}
+
+/**
+ * @dev Get the multiproof of each root for the leaves of a batch
+ * @param trees - Trees of the roots, in the order of the roots
+ * @param leaves - Leaves of the batch, in the order of the payouts
+ * @return Array of { leafIndices, proof, proofFlags }, leafIndices are empty if a root includes no payout of the batch
+ */
+function getBatchMultiProofs(trees, leaves) {
+    return trees.map((tree) => {
+        const included = leaves.filter((leaf) => includesLeaf(tree, leaf));
+        if (included.length === 0)
+            return { leafIndices: [], proof: [], proofFlags: [] };
+
+        const multiProof = getMultiProof(tree, included);
+        return {
+            leafIndices: multiProof.leaves.map((leaf) => leaves.indexOf(leaf)),
+            proof: multiProof.proof,
+            proofFlags: multiProof.proofFlags,
+        };
+    });
+}
+
+/**
+ * @dev Assemble the arguments of executePayroll, satisfying every on-chain ordering rule
+ * - payouts are sorted by ascending token address (TokensNotSorted)
+ * - roots and signatures are sorted by ascending signer address (InvalidPayoutSignature)
+ * - proof[i][j] is the proof of payout i in the tree of root j, empty if root j doesn't include it
+ * - validAfter / validUntil are left empty when no payout of the batch has a validity window, the calldata calls
+ *   executePayroll then, executeScheduledPayroll otherwise
+ * - with options.multiProof, multiProofs[j] proves every payout included in the tree of root j at once
+ *   and the calldata calls executePayrollWithMultiProofs, the trees must be complete trees (see buildTree)
+ * - a payout with reimbursement set is the gas reimbursement of the batch, at most one per batch: it is moved to
+ *   args.reimbursement with its proof in each root and the calldata calls executePayrollWithReimbursement
+ * @param domain - EIP712 domain of the payroll contract
+ * @param owner - Address of the org safe (owner of the payroll contract)
+ * @param threshold - Number of approvals required for a payout to be executed
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil?, reimbursement? } to execute
+ * @param options - { multiProof? }
+ * @return { args, calldata, report }
+ */
+function assemblePayroll(
+    domain,
+    owner,
+    threshold,
+    approvals,
+    payouts,
+    options = {}
+) {
+    const reimbursements = payouts
+        .map(normalizePayout)
+        .filter(({ reimbursement }) => reimbursement);
+    if (reimbursements.length > 1)
+        throw new Error("Only one reimbursement per batch");
+    if (reimbursements.length > 0 && options.multiProof)
+        throw new Error("Reimbursements can't be executed with multiproofs");
+
+    const batch = payouts.filter(({ reimbursement }) => !reimbursement);
+    if (batch.length === 0) throw new Error("No payouts provided");
+
+    const sortedApprovals = sortApprovals(domain, approvals);
+
+    const nonces = new Set(
+        reimbursements.map(({ payoutNonce }) => payoutNonce.toString())
+    );
+    const sortedPayouts = batch.map(normalizePayout).map((payout, index) => {
+        if (payout.stream)
+            throw new Error(
+                `Payout ${payout.payoutNonce} is a stream, see assembleStreams`
+            );
+        if (payout.fiat)
+            throw new Error(
+                `Payout ${payout.payoutNonce} is a fiat payout, see assembleFiatPayroll`
+            );
+
+        const key = payout.payoutNonce.toString();
+        if (nonces.has(key)) throw new Error(`Duplicate payout nonce: ${key}`);
+        nonces.add(key);
+        return { ...payout, index };
+    });
+
+    // Stable sort, payouts of a same token keep their relative order
+    sortedPayouts.sort(
+        (a, b) =>
+            compareAddresses(a.tokenAddress, b.tokenAddress) ||
+            a.index - b.index
+    );
+
+    const args = {
+        to: [],
+        tokenAddress: [],
+        amount: [],
+        payoutNonce: [],
+        validAfter: [],
+        validUntil: [],
+        proof: [],
+        roots: sortedApprovals.map(({ root }) => root),
+        signatures: sortedApprovals.map(({ signature }) => signature),
+    };
+
+    const report = {
+        approvers: sortedApprovals.map(({ approver }) => approver),
+        threshold: Number(threshold),
+        payouts: [],
+        tokens: [],
+    };
+
+    for (const payout of sortedPayouts) {
+        const leaf = encodeLeaf(owner, payout);
+        const proofs = sortedApprovals.map(({ tree }) => getProof(tree, leaf));
+        const approvedBy = sortedApprovals
+            .filter(({ tree }) => includesLeaf(tree, leaf))
+            .map(({ approver }) => approver);
+
+        args.to.push(payout.to);
+        args.tokenAddress.push(payout.tokenAddress);
+        args.amount.push(payout.amount);
+        args.payoutNonce.push(payout.payoutNonce);
+        args.validAfter.push(payout.validAfter);
+        args.validUntil.push(payout.validUntil);
+        args.proof.push(proofs);
+
+        const approved = approvedBy.length >= report.threshold;
+        report.payouts.push({
+            to: payout.to,
+            tokenAddress: payout.tokenAddress,
+            amount: payout.amount,
+            payoutNonce: payout.payoutNonce,
+            validAfter: payout.validAfter,
+            validUntil: payout.validUntil,
+            leaf,
+            approvedBy,
+            approvals: approvedBy.length,
+            approved,
+        });
+    }
+    report.tokens = sumApprovedTokens(report.payouts);
+
+    if (!sortedPayouts.some(isScheduled)) {
+        args.validAfter = [];
+        args.validUntil = [];
+    }
+
+    for (const reimbursement of reimbursements) {
+        const leaf = encodeLeaf(owner, reimbursement);
+        const approvedBy = sortedApprovals
+            .filter(({ tree }) => includesLeaf(tree, leaf))
+            .map(({ approver }) => approver);
+
+        args.reimbursement = {
+            tokenAddress: reimbursement.tokenAddress,
+            maxPayment: reimbursement.amount,
+            payoutNonce: reimbursement.payoutNonce,
+            proof: sortedApprovals.map(({ tree }) => getProof(tree, leaf)),
+        };
+        report.reimbursement = {
+            tokenAddress: reimbursement.tokenAddress,
+            maxPayment: reimbursement.amount,
+            payoutNonce: reimbursement.payoutNonce,
+            leaf,
+            approvedBy,
+            approvals: approvedBy.length,
+            approved: approvedBy.length >= report.threshold,
+        };
+    }
+
+    if (options.multiProof) {
+        args.multiProofs = getBatchMultiProofs(
+            sortedApprovals.map(({ tree }) => tree),
+            report.payouts.map(({ leaf }) => leaf)
+        );
+    }
+
+    let calldata;
+    if (options.multiProof)
+        calldata = payrollInterface.encodeFunctionData(
+            "executePayrollWithMultiProofs",
+            toMultiProofArgs(args)
+        );
+    else if (args.reimbursement)
+        calldata = payrollInterface.encodeFunctionData(
+            "executePayrollWithReimbursement",
+            [...toScheduledArgs(args), args.reimbursement]
+        );
+    else if (args.validAfter.length > 0)
+        calldata = payrollInterface.encodeFunctionData(
+            "executeScheduledPayroll",
+            toScheduledArgs(args)
+        );
+    else
+        calldata = payrollInterface.encodeFunctionData(
+            "executePayroll",
+            toExecuteArgs(args)
+        );
+
+    return { args, calldata, report };
+}
+
+/**
+ * @dev Preview the execution of a payroll with ParcelPayroll.previewPayroll, at the latest block
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param args - Arguments of executePayroll, see assemblePayroll
+ * @return { payouts: [{ approvals, nonceUsed, outcome, reason }], tokens: [{ tokenAddress, amount, fetched }] }, reason is only set for Failed payouts
+ * The amount of a token is paid by the batch, fetched is the part pulled from the safe through the allowance module
+ */
+async function previewPayroll(payroll, args) {
+    const result = await payroll.provider.call({
+        to: payroll.address,
+        data: payrollInterface.encodeFunctionData(
+            "previewPayroll",
+            toScheduledArgs(args)
+        ),
+    });
+    const { payouts, fetches } = payrollInterface.decodeFunctionResult(
+        "previewPayroll",
+        result
+    );
+
+    return {
+        payouts: payouts.map(({ approvals, nonceUsed, outcome, reason }) => {
+            const preview = {
+                approvals: approvals.toNumber(),
+                nonceUsed,
+                outcome: PAYOUT_OUTCOMES[outcome],
+            };
+            if (preview.outcome === "Failed")
+                preview.reason = PAYOUT_FAILURE_REASONS[reason];
+            return preview;
+        }),
+        tokens: fetches.map(({ tokenAddress, amount, fetched }) => ({
+            tokenAddress,
+            amount,
+            fetched,
+        })),
+    };
+}
+
+/**
+ * @dev Assemble an executePayroll call for an org's payroll contract and dry-run it
+ * The report is completed with on-chain data: approver status, role approvals, validity at the latest block, the previewPayroll outcome of each payout with the amounts fetched from the safe, and the result of an eth_call
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? } to execute
+ * @param from - Optional address used to simulate the call
+ * @param options - { multiProof? }, see assemblePayroll
+ * @return { to, args, calldata, report }
+ */
+async function buildExecutePayroll(
+    payroll,
+    approvals,
+    payouts,
+    from,
+    options = {}
+) {
+    const [owner, threshold, network] = await Promise.all([
+        payroll.owner(),
+        payroll.threshold(),
+        payroll.provider.getNetwork(),
+    ]);
+    const domain = getDomain(network.chainId, payroll.address);
+
+    const { args, calldata, report } = assemblePayroll(
+        domain,
+        owner,
+        threshold,
+        approvals,
+        payouts,
+        options
+    );
+
+    for (const approver of report.approvers) {
+        if (!(await payroll.isApprover(approver)))
+            throw new Error(`${approver} is not an approver`);
+    }
+
+    // Payouts in an amount band need the thresholds of its roles instead
+    for (const payout of report.payouts) {
+        payout.approved = await payroll.isApprovedBy(
+            payout.tokenAddress,
+            payout.amount,
+            payout.approvedBy
+        );
+    }
+    report.tokens = sumApprovedTokens(report.payouts);
+
+    if (report.reimbursement) {
+        report.reimbursement.approved = await payroll.isApprovedBy(
+            report.reimbursement.tokenAddress,
+            report.reimbursement.maxPayment,
+            report.reimbursement.approvedBy
+        );
+        report.reimbursement.nonceUsed = await payroll.getPayoutNonce(
+            report.reimbursement.payoutNonce
+        );
+    }
+
+    const { timestamp } = await payroll.provider.getBlock("latest");
+    for (const payout of report.payouts) {
+        payout.withinValidity =
+            payout.validAfter.lte(timestamp) &&
+            (payout.validUntil.isZero() || payout.validUntil.gte(timestamp));
+    }
+
+    // The preview reverts like the execution, the simulation below reports the error
+    try {
+        const preview = await previewPayroll(payroll, args);
+        preview.payouts.forEach((payoutPreview, i) => {
+            Object.assign(report.payouts[i], payoutPreview, {
+                executable: payoutPreview.outcome === "Paid",
+            });
+        });
+        report.tokens = preview.tokens;
+    } catch (e) {
+        report.preview = { success: false, error: decodeRevert(e) };
+    }
+
+    // executePayroll doesn't return data, anything returned by the call is revert data
+    try {
+        const result = await payroll.provider.call({
+            from,
+            to: payroll.address,
+            data: calldata,
+        });
+        report.simulation =
+            result === "0x"
+                ? { success: true }
+                : { success: false, error: decodeRevert({ data: result }) };
+    } catch (e) {
+        report.simulation = { success: false, error: decodeRevert(e) };
+    }
+
+    return { to: payroll.address, args, calldata, report };
+}
+
+module.exports = {
+    compareAddresses,
+    decodeRevert,
+    sortApprovals,
+    assemblePayroll,
+    previewPayroll,
+    buildExecutePayroll,
+};
@@ -0,0 +1,196 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const {
+    getDomain,
+    getCancelNonceTypedData,
+    getCancelNoncesTypedData,
+    getCancelNonceRangeTypedData,
+    signTypedData,
+} = require("./signatures");
+const { compareAddresses } = require("./assembler");
+
+const payrollInterface = new ethers.utils.Interface(PARCEL_PAYROLL_ABI);
+
+const MAX_NONCE = ethers.BigNumber.from(2).pow(64).sub(1);
+
+/**
+ * @dev Get the range of payout nonces packed in a slot of packedPayoutNonces
+ * @param slot - Slot index, nonce / 256
+ * @return { fromNonce, toNonce } as BigNumbers
+ */
+function getNonceSlotRange(slot) {
+    const fromNonce = ethers.BigNumber.from(slot).mul(256);
+    const toNonce = fromNonce.add(255);
+    if (toNonce.gt(MAX_NONCE)) throw new Error(`Invalid nonce slot: ${slot}`);
+
+    return { fromNonce, toNonce };
+}
+
+/**
+ * @dev Normalize a cancelation to a single nonce, a list of nonces or a range of nonces
+ * A slot is cancelled as the range of its 256 nonces
+ * @param cancellation - { nonce } | { nonces } | { fromNonce, toNonce } | { slot }
+ * @return { nonce } | { nonces } | { fromNonce, toNonce } with BigNumber values
+ */
+function normalizeCancellation(cancellation) {
+    if (cancellation.slot !== undefined)
+        return getNonceSlotRange(cancellation.slot);
+
+    if (cancellation.nonces !== undefined) {
+        if (cancellation.nonces.length === 0)
+            throw new Error("No nonces provided");
+        return {
+            nonces: cancellation.nonces.map((nonce) =>
+                ethers.BigNumber.from(nonce)
+            ),
+        };
+    }
+
+    if (cancellation.fromNonce !== undefined) {
+        const fromNonce = ethers.BigNumber.from(cancellation.fromNonce);
+        const toNonce = ethers.BigNumber.from(cancellation.toNonce);
+        if (fromNonce.gt(toNonce))
+            throw new Error(`Invalid nonce range: ${fromNonce}-${toNonce}`);
+        return { fromNonce, toNonce };
+    }
+
+    if (cancellation.nonce !== undefined)
+        return { nonce: ethers.BigNumber.from(cancellation.nonce) };
+
+    throw new Error("Cancelation requires a nonce, nonces, a range or a slot");
+}
+
+/**
+ * @dev Build the typed data payload of a cancelation
+ * @param domain - EIP712 domain of the payroll contract
+ * @param cancellation - Normalized cancelation, see normalizeCancellation
+ * @return { domain, types, primaryType, message }
+ */
+function getCancellationTypedData(domain, cancellation) {
+    if (cancellation.nonces !== undefined)
+        return getCancelNoncesTypedData(domain, cancellation.nonces);
+    if (cancellation.fromNonce !== undefined)
+        return getCancelNonceRangeTypedData(
+            domain,
+            cancellation.fromNonce,
+            cancellation.toNonce
+        );
+    return getCancelNonceTypedData(domain, cancellation.nonce);
+}
+
+/**
+ * @dev Sign the cancelation of payout nonces as an approver
+ * @param signer - ethers Signer of the approver
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param cancellation - { nonce } | { nonces } | { fromNonce, toNonce } | { slot }
+ * @return Normalized cancelation with its approvals: [{ approver, signature }]
+ */
+async function signNonceCancellation(signer, payroll, cancellation) {
+    const { chainId } = await payroll.provider.getNetwork();
+    const normalized = normalizeCancellation(cancellation);
+
+    const signature = await signTypedData(
+        signer,
+        getCancellationTypedData(
+            getDomain(chainId, payroll.address),
+            normalized
+        )
+    );
+
+    return {
+        ...normalized,
+        approvals: [{ approver: await signer.getAddress(), signature }],
+    };
+}
+
+/**
+ * @dev Merge the approvals of a same cancelation signed by several approvers
+ * Required by the CancelThreshold policy, see ApproverManager.changeCancelPolicy
+ * @param cancellations - Array of signed cancelations, see signNonceCancellation
+ * @return Normalized cancelation with the approvals of every approver
+ */
+function mergeNonceCancellations(cancellations) {
+    if (cancellations.length === 0) throw new Error("No cancelations provided");
+
+    const normalized = normalizeCancellation(cancellations[0]);
+    const key = JSON.stringify(normalized);
+    const approvals = [];
+    for (const cancellation of cancellations) {
+        if (JSON.stringify(normalizeCancellation(cancellation)) !== key)
+            throw new Error("Cancelations don't cancel the same nonces");
+        approvals.push(...(cancellation.approvals || []));
+    }
+
+    return { ...normalized, approvals };
+}
+
+/**
+ * @dev Encode the invalidateNonce, invalidateNonceWithSignatures, invalidateNonces or invalidateNonceRange call of a cancelation
+ * Signatures are sorted by ascending approver address, as enforced by validateCancelSignatures
+ * A nonce signed by a single approver is canceled with invalidateNonce, by several approvers with invalidateNonceWithSignatures
+ * A cancelation without approvals can only be submitted by the org safe
+ * @param cancellation - Cancelation with its approvals, see signNonceCancellation / mergeNonceCancellations
+ * @return calldata
+ */
+function encodeNonceCancellation(cancellation) {
+    const normalized = normalizeCancellation(cancellation);
+
+    const approvals = [...(cancellation.approvals || [])].sort((a, b) =>
+        compareAddresses(a.approver, b.approver)
+    );
+    for (let i = 1; i < approvals.length; i++) {
+        if (
+            compareAddresses(
+                approvals[i].approver,
+                approvals[i - 1].approver
+            ) === 0
+        )
+            throw new Error(
+                `Duplicate signature from approver ${approvals[i].approver}`
+            );
+    }
+    const signatures = approvals.map(({ signature }) => signature);
+
+    if (normalized.nonces !== undefined)
+        return payrollInterface.encodeFunctionData("invalidateNonces", [
+            normalized.nonces,
+            signatures,
+        ]);
+    if (normalized.fromNonce !== undefined)
+        return payrollInterface.encodeFunctionData("invalidateNonceRange", [
+            normalized.fromNonce,
+            normalized.toNonce,
+            signatures,
+        ]);
+    if (signatures.length === 1)
+        return payrollInterface.encodeFunctionData("invalidateNonce", [
+            normalized.nonce,
+            signatures[0],
+        ]);
+    return payrollInterface.encodeFunctionData(
+        "invalidateNonceWithSignatures",
+        [normalized.nonce, signatures]
+    );
+}
+
+/**
+ * @dev Submit a signed cancelation, the sender doesn't have to be one of the approvers who signed it
+ * @param sender - ethers Signer sending the transaction
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param cancellation - Cancelation with its approvals, see signNonceCancellation / mergeNonceCancellations
+ * @return ethers TransactionResponse
+ */
+function submitNonceCancellation(sender, payroll, cancellation) {
+    return sender.sendTransaction({
+        to: payroll.address,
+        data: encodeNonceCancellation(cancellation),
+    });
+}
+
+module.exports = {
+    getNonceSlotRange,
+    signNonceCancellation,
+    mergeNonceCancellations,
+    encodeNonceCancellation,
+    submitNonceCancellation,
+};
@@ -0,0 +1,144 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const {
+    normalizePayout,
+    encodeLeaf,
+    includesLeaf,
+    getProof,
+} = require("./tree");
+const { getDomain } = require("./signatures");
+const { sortApprovals, decodeRevert } = require("./assembler");
+
+const payrollInterface = new ethers.utils.Interface(PARCEL_PAYROLL_ABI);
+
+/**
+ * @dev Assemble the arguments of claim for a recipient's payout
+ * Only the roots including the payout are submitted, sorted by ascending signer address (InvalidPayoutSignature)
+ * @param domain - EIP712 domain of the payroll contract
+ * @param owner - Address of the org safe (owner of the payroll contract)
+ * @param threshold - Number of approvals required for a payout to be claimed
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payout - { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? }, to being the recipient claiming
+ * @return { args, calldata, report }
+ */
+function assembleClaim(domain, owner, threshold, approvals, payout) {
+    const normalized = normalizePayout(payout);
+    if (normalized.stream)
+        throw new Error(
+            `Payout ${normalized.payoutNonce} is a stream, see assembleStreams`
+        );
+    if (normalized.fiat)
+        throw new Error(
+            `Payout ${normalized.payoutNonce} is a fiat payout, see assembleFiatPayroll`
+        );
+
+    const leaf = encodeLeaf(owner, normalized);
+    const approving = sortApprovals(domain, approvals).filter(({ tree }) =>
+        includesLeaf(tree, leaf)
+    );
+
+    const args = {
+        tokenAddress: normalized.tokenAddress,
+        amount: normalized.amount,
+        payoutNonce: normalized.payoutNonce,
+        validAfter: normalized.validAfter,
+        validUntil: normalized.validUntil,
+        proof: approving.map(({ tree }) => getProof(tree, leaf)),
+        roots: approving.map(({ root }) => root),
+        signatures: approving.map(({ signature }) => signature),
+    };
+
+    const calldata = payrollInterface.encodeFunctionData("claim", [
+        args.tokenAddress,
+        args.amount,
+        args.payoutNonce,
+        args.validAfter,
+        args.validUntil,
+        args.proof,
+        args.roots,
+        args.signatures,
+    ]);
+
+    const report = {
+        ...normalized,
+        leaf,
+        threshold: Number(threshold),
+        approvedBy: approving.map(({ approver }) => approver),
+        approvals: approving.length,
+        approved: approving.length >= Number(threshold),
+    };
+
+    return { args, calldata, report };
+}
+
+/**
+ * @dev Assemble a claim call for an org's payroll contract and dry-run it from the recipient
+ * The report is completed with the role approvals, the nonce usage and the result of an eth_call
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payout - { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? }
+ * @return { to, from, args, calldata, report }
+ */
+async function buildClaim(payroll, approvals, payout) {
+    const [owner, threshold, network] = await Promise.all([
+        payroll.owner(),
+        payroll.threshold(),
+        payroll.provider.getNetwork(),
+    ]);
+
+    const { args, calldata, report } = assembleClaim(
+        getDomain(network.chainId, payroll.address),
+        owner,
+        threshold,
+        approvals,
+        payout
+    );
+    // Payouts in an amount band need the thresholds of its roles instead
+    report.approved = await payroll.isApprovedBy(
+        report.tokenAddress,
+        report.amount,
+        report.approvedBy
+    );
+    report.nonceUsed = await payroll.getPayoutNonce(report.payoutNonce);
+
+    // claim doesn't return data, anything returned by the call is revert data
+    try {
+        const result = await payroll.provider.call({
+            from: report.to,
+            to: payroll.address,
+            data: calldata,
+        });
+        report.simulation =
+            result === "0x"
+                ? { success: true }
+                : { success: false, error: decodeRevert({ data: result }) };
+    } catch (e) {
+        report.simulation = { success: false, error: decodeRevert(e) };
+    }
+
+    return { to: payroll.address, from: report.to, args, calldata, report };
+}
+
+/**
+ * @dev Claim a payout as its recipient
+ * Throws if the signer is not the recipient of the payout
+ * @param signer - ethers Signer of the recipient
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payout - { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? }
+ * @return ethers TransactionResponse
+ */
+async function claimPayout(signer, payroll, approvals, payout) {
+    const recipient = await signer.getAddress();
+    if (ethers.utils.getAddress(payout.to) !== recipient)
+        throw new Error(`${recipient} is not the recipient of the payout`);
+
+    const { to, calldata } = await buildClaim(payroll, approvals, payout);
+    return signer.sendTransaction({ to, data: calldata });
+}
+
+module.exports = {
+    assembleClaim,
+    buildClaim,
+    claimPayout,
+};
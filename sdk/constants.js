@@ -0,0 +1,185 @@
+const { ethers } = require("ethers");
+
+/**
+ * @dev EIP712 domain values of the ParcelPayroll contract, see ApproverManager.NAME / ApproverManager.VERSION
+ */
+const EIP712_NAME = "ParcelPayroll";
+const EIP712_VERSION = "1.0.0";
+
+/**
+ * @dev Typed data definition signed by approvers, see ApproverManager.PAYROLL_TX_TYPEHASH
+ */
+const PAYROLL_TX_TYPES = {
+    PayrollTx: [{ name: "rootHash", type: "bytes32" }],
+};
+
+/**
+ * @dev Typed data definition of a nonce cancelation, see ApproverManager.CANCEL_NONCE
+ */
+const CANCEL_NONCE_TYPES = {
+    CancelNonce: [{ name: "nonce", type: "uint64" }],
+};
+
+/**
+ * @dev Typed data definition of the cancelation of a list of nonces, see ApproverManager.CANCEL_NONCES
+ */
+const CANCEL_NONCES_TYPES = {
+    CancelNonces: [{ name: "nonces", type: "uint64[]" }],
+};
+
+/**
+ * @dev Typed data definition of the cancelation of a range of nonces, see ApproverManager.CANCEL_NONCE_RANGE
+ */
+const CANCEL_NONCE_RANGE_TYPES = {
+    CancelNonceRange: [
+        { name: "fromNonce", type: "uint64" },
+        { name: "toNonce", type: "uint64" },
+    ],
+};
+
+/**
+ * @dev Typed data definition of a root approved on-chain, see RootManager.APPROVE_ROOT_TYPEHASH
+ */
+const APPROVE_ROOT_TYPES = {
+    ApproveRoot: [
+        { name: "rootHash", type: "bytes32" },
+        { name: "expiry", type: "uint64" },
+    ],
+};
+
+/**
+ * @dev Typed data definition of an approver set change, see ApproverGovernanceManager.APPROVER_CHANGE_TYPEHASH
+ */
+const APPROVER_CHANGE_TYPES = {
+    ApproverChange: [
+        { name: "operation", type: "uint8" },
+        { name: "prevApprover", type: "address" },
+        { name: "approver", type: "address" },
+        { name: "newApprover", type: "address" },
+        { name: "threshold", type: "uint128" },
+        { name: "changeNonce", type: "uint256" },
+    ],
+};
+
+/**
+ * @dev ABI types of a payroll leaf, see ParcelPayroll.encodeTransactionData
+ * abi.encode(owner, to, tokenAddress, amount, payoutNonce)
+ */
+const LEAF_TYPES = ["address", "address", "address", "uint256", "uint64"];
+
+/**
+ * @dev ABI types of a scheduled payroll leaf, see ParcelPayroll.encodeScheduledTransactionData
+ * abi.encode(owner, to, tokenAddress, amount, payoutNonce, validAfter, validUntil)
+ */
+const SCHEDULED_LEAF_TYPES = [...LEAF_TYPES, "uint64", "uint64"];
+
+/**
+ * @dev ABI types of a stream leaf, see ParcelPayroll.encodeStreamTransactionData
+ * abi.encode(owner, to, tokenAddress, amount, payoutNonce, start, cliff, duration)
+ */
+const STREAM_LEAF_TYPES = [...LEAF_TYPES, "uint64", "uint64", "uint64"];
+
+/**
+ * @dev ABI types of a gas reimbursement leaf, see ParcelPayroll.encodeReimbursementData
+ * abi.encode(owner, tokenAddress, maxPayment, payoutNonce)
+ */
+const REIMBURSEMENT_LEAF_TYPES = ["address", "address", "uint256", "uint64"];
+
+/**
+ * @dev Type prepended to the fields of a fiat leaf, see PriceFeedManager.FIAT_PAYOUT_TYPEHASH
+ */
+const FIAT_PAYOUT_TYPEHASH = ethers.utils.id(
+    "FiatPayout(address owner,address to,address tokenAddress,uint256 amount,uint64 payoutNonce,bytes32 currency,uint256 fiatAmount,uint16 maxSlippage)"
+);
+
+/**
+ * @dev ABI types of a fiat leaf, see ParcelPayroll.encodeFiatTransactionData
+ * abi.encode(FIAT_PAYOUT_TYPEHASH, owner, to, tokenAddress, amount, payoutNonce, currency, fiatAmount, maxSlippage)
+ */
+const FIAT_LEAF_TYPES = [
+    "bytes32",
+    ...LEAF_TYPES,
+    "bytes32",
+    "uint256",
+    "uint16",
+];
+
+/**
+ * @dev Decimals of the fiat amounts, see PriceFeedManager.FIAT_DECIMALS
+ */
+const FIAT_DECIMALS = 18;
+
+/**
+ * @dev Denominator of the max slippage of fiat payouts, in basis points, see PriceFeedManager.SLIPPAGE_DENOMINATOR
+ */
+const SLIPPAGE_DENOMINATOR = 10000;
+
+/**
+ * @dev Reasons of the PayoutFailed event, indexed by their value, see ParcelPayroll.PayoutFailureReason
+ */
+const PAYOUT_FAILURE_REASONS = [
+    "InsufficientApprovals",
+    "NonceAlreadyUsed",
+    "NativeTransferFailed",
+    "TokenTransferFailed",
+    "PayoutCapExceeded",
+    "PeriodCapExceeded",
+    "RecipientCapExceeded",
+    "PriceUnavailable",
+    "SlippageExceeded",
+    "AmountOverflow",
+];
+
+/**
+ * @dev Expected outcomes of a payout, indexed by their value, see ParcelPayroll.PayoutOutcome
+ */
+const PAYOUT_OUTCOMES = [
+    "Paid",
+    "Failed",
+    "OutsideValidity",
+    "NonceAlreadyExecuted",
+];
+
+/**
+ * @dev Cancelation policies, indexed by their value, see ApproverManager.CancelPolicy
+ */
+const CANCEL_POLICIES = ["SingleApprover", "CancelThreshold", "OwnerOnly"];
+
+/**
+ * @dev Operations of an approver set change, indexed by their value, see ApproverGovernanceManager.ApproverChangeOperation
+ */
+const APPROVER_CHANGE_OPERATIONS = [
+    "AddApprover",
+    "RemoveApprover",
+    "SwapApprover",
+    "ChangeThreshold",
+];
+
+/**
+ * @dev Sentinel of the linked list of approvers, see ApproverManager.SENTINEL_APPROVER
+ */
+const SENTINEL_APPROVER = "0x0000000000000000000000000000000000000001";
+
+module.exports = {
+    EIP712_NAME,
+    EIP712_VERSION,
+    PAYROLL_TX_TYPES,
+    CANCEL_NONCE_TYPES,
+    CANCEL_NONCES_TYPES,
+    CANCEL_NONCE_RANGE_TYPES,
+    APPROVE_ROOT_TYPES,
+    APPROVER_CHANGE_TYPES,
+    LEAF_TYPES,
+    SCHEDULED_LEAF_TYPES,
+    STREAM_LEAF_TYPES,
+    REIMBURSEMENT_LEAF_TYPES,
+    FIAT_PAYOUT_TYPEHASH,
+    FIAT_LEAF_TYPES,
+    FIAT_DECIMALS,
+    SLIPPAGE_DENOMINATOR,
+    PAYOUT_FAILURE_REASONS,
+    PAYOUT_OUTCOMES,
+    CANCEL_POLICIES,
+    APPROVER_CHANGE_OPERATIONS,
+    SENTINEL_APPROVER,
+};
@@ -0,0 +1,188 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const {
+    normalizePayout,
+    encodeCurrency,
+    encodeLeaf,
+    includesLeaf,
+    getProof,
+} = require("./tree");
+const { getDomain } = require("./signatures");
+const { sortApprovals } = require("./assembler");
+const { SLIPPAGE_DENOMINATOR } = require("./constants");
+
+const payrollInterface = new ethers.utils.Interface(PARCEL_PAYROLL_ABI);
+
+/**
+ * @dev Quote the token amount of fiat payouts at the current price, the amount approved in their leaves
+ * Throws if a token has no fresh price in the currency of its payout (PriceFeedUnavailable)
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param payouts - Array of { to, tokenAddress, payoutNonce, fiat: { currency, fiatAmount, maxSlippage } }
+ * @return payouts with their quoted amount
+ */
+async function quoteFiatPayouts(payroll, payouts) {
+    const quoted = [];
+    for (const payout of payouts) {
+        if (!payout.fiat)
+            throw new Error(
+                `Payout ${payout.payoutNonce} is not a fiat payout`
+            );
+
+        const amount = await payroll.quoteFiatAmount(
+            payout.tokenAddress,
+            encodeCurrency(payout.fiat.currency),
+            payout.fiat.fiatAmount
+        );
+        quoted.push({ ...payout, amount });
+    }
+    return quoted;
+}
+
+/**
+ * @dev Check if a converted amount is within the max slippage of a quoted amount, mirrors PriceFeedManager.exceedsSlippage
+ * @param amount - Token amount converted at execution
+ * @param quotedAmount - Token amount quoted at approval
+ * @param maxSlippage - Maximum deviation, in basis points of the quoted amount
+ * @return Boolean, false if the max slippage is above SLIPPAGE_DENOMINATOR
+ */
+function isWithinSlippage(amount, quotedAmount, maxSlippage) {
+    if (ethers.BigNumber.from(maxSlippage).gt(SLIPPAGE_DENOMINATOR))
+        return false;
+
+    const converted = ethers.BigNumber.from(amount);
+    const quoted = ethers.BigNumber.from(quotedAmount);
+    const deviation = converted.gt(quoted)
+        ? converted.sub(quoted)
+        : quoted.sub(converted);
+
+    return deviation.mul(SLIPPAGE_DENOMINATOR).lte(quoted.mul(maxSlippage));
+}
+
+/**
+ * @dev Assemble the arguments of executeFiatPayroll
+ * - roots and signatures are sorted by ascending signer address (InvalidPayoutSignature)
+ * - proof[i][j] is the proof of payout i in the tree of root j, empty if root j doesn't include it
+ * @param domain - EIP712 domain of the payroll contract
+ * @param owner - Address of the org safe (owner of the payroll contract)
+ * @param threshold - Number of approvals required for a payout to be executed
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, fiat: { currency, fiatAmount, maxSlippage } }
+ * @return { args, calldata, report }
+ */
+function assembleFiatPayroll(domain, owner, threshold, approvals, payouts) {
+    if (payouts.length === 0) throw new Error("No payouts provided");
+
+    const sortedApprovals = sortApprovals(domain, approvals);
+
+    const args = {
+        payouts: [],
+        proof: [],
+        roots: sortedApprovals.map(({ root }) => root),
+        signatures: sortedApprovals.map(({ signature }) => signature),
+    };
+
+    const report = {
+        approvers: sortedApprovals.map(({ approver }) => approver),
+        threshold: Number(threshold),
+        payouts: [],
+    };
+
+    const nonces = new Set();
+    for (const payout of payouts.map(normalizePayout)) {
+        if (!payout.fiat)
+            throw new Error(
+                `Payout ${payout.payoutNonce} is not a fiat payout`
+            );
+
+        const key = payout.payoutNonce.toString();
+        if (nonces.has(key)) throw new Error(`Duplicate payout nonce: ${key}`);
+        nonces.add(key);
+
+        const leaf = encodeLeaf(owner, payout);
+        const approvedBy = sortedApprovals
+            .filter(({ tree }) => includesLeaf(tree, leaf))
+            .map(({ approver }) => approver);
+
+        args.payouts.push({
+            to: payout.to,
+            tokenAddress: payout.tokenAddress,
+            amount: payout.amount,
+            payoutNonce: payout.payoutNonce,
+            ...payout.fiat,
+        });
+        args.proof.push(
+            sortedApprovals.map(({ tree }) => getProof(tree, leaf))
+        );
+
+        report.payouts.push({
+            ...payout,
+            leaf,
+            approvedBy,
+            approvals: approvedBy.length,
+            approved: approvedBy.length >= report.threshold,
+        });
+    }
+
+    const calldata = payrollInterface.encodeFunctionData("executeFiatPayroll", [
+        args.payouts,
+        args.proof,
+        args.roots,
+        args.signatures,
+    ]);
+
+    return { args, calldata, report };
+}
+
+/**
+ * @dev Assemble an executeFiatPayroll call for an org's payroll contract
+ * The report is completed with the nonce usage of each payout and its conversion at the current price:
+ * convertedAmount is null if the price is unavailable, withinSlippage tells if it would be paid
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, fiat: { currency, fiatAmount, maxSlippage } }
+ * @return { to, args, calldata, report }
+ */
+async function buildExecuteFiatPayroll(payroll, approvals, payouts) {
+    const [owner, threshold, network] = await Promise.all([
+        payroll.owner(),
+        payroll.threshold(),
+        payroll.provider.getNetwork(),
+    ]);
+
+    const { args, calldata, report } = assembleFiatPayroll(
+        getDomain(network.chainId, payroll.address),
+        owner,
+        threshold,
+        approvals,
+        payouts
+    );
+
+    for (const payout of report.payouts) {
+        payout.nonceUsed = await payroll.getPayoutNonce(payout.payoutNonce);
+        payout.convertedAmount = await payroll
+            .quoteFiatAmount(
+                payout.tokenAddress,
+                payout.fiat.currency,
+                payout.fiat.fiatAmount
+            )
+            .catch(() => null);
+        payout.withinSlippage =
+            payout.convertedAmount !== null &&
+            isWithinSlippage(
+                payout.convertedAmount,
+                payout.amount,
+                payout.fiat.maxSlippage
+            );
+        payout.executable =
+            payout.approved && !payout.nonceUsed && payout.withinSlippage;
+    }
+
+    return { to: payroll.address, args, calldata, report };
+}
+
+module.exports = {
+    quoteFiatPayouts,
+    isWithinSlippage,
+    assembleFiatPayroll,
+    buildExecuteFiatPayroll,
+};
@@ -0,0 +1,156 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const {
+    APPROVER_CHANGE_OPERATIONS,
+    SENTINEL_APPROVER,
+} = require("./constants");
+const {
+    getDomain,
+    getApproverChangeTypedData,
+    signTypedData,
+} = require("./signatures");
+const { compareAddresses } = require("./assembler");
+
+const payrollInterface = new ethers.utils.Interface(PARCEL_PAYROLL_ABI);
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+
+/**
+ * @dev Get the approver pointing to `approver` in the linked list of approvers, as required to remove or swap it
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param approver - Address of the approver
+ * @return address of the previous approver, the sentinel for the first approver
+ */
+async function getPrevApprover(payroll, approver) {
+    const approvers = await payroll.getApprovers();
+    const index = approvers.findIndex(
+        (address) => compareAddresses(address, approver) === 0
+    );
+    if (index === -1) throw new Error(`${approver} is not an approver`);
+
+    return index === 0 ? SENTINEL_APPROVER : approvers[index - 1];
+}
+
+/**
+ * @dev Normalize an approver set change, unused fields are set to null values
+ * @param change - { operation, prevApprover, approver, newApprover, threshold }, operation as a name or an index
+ * @return { operation, prevApprover, approver, newApprover, threshold } with the operation index
+ */
+function normalizeApproverChange(change) {
+    const operation =
+        typeof change.operation === "string"
+            ? APPROVER_CHANGE_OPERATIONS.indexOf(change.operation)
+            : change.operation;
+    if (APPROVER_CHANGE_OPERATIONS[operation] === undefined)
+        throw new Error(
+            `Invalid approver change operation: ${change.operation}`
+        );
+
+    return {
+        operation,
+        prevApprover: change.prevApprover || ADDRESS_ZERO,
+        approver: change.approver || ADDRESS_ZERO,
+        newApprover: change.newApprover || ADDRESS_ZERO,
+        threshold: ethers.BigNumber.from(change.threshold || 0),
+    };
+}
+
+/**
+ * @dev Sign an approver set change as an approver
+ * @param signer - ethers Signer of the approver
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param change - { operation, prevApprover, approver, newApprover, threshold }, see normalizeApproverChange
+ * @param changeNonce - Nonce of the change, defaults to the current approverChangeNonce of the contract
+ * @return { change, changeNonce, approvals: [{ approver, signature }] }
+ */
+async function signApproverChange(signer, payroll, change, changeNonce) {
+    const { chainId } = await payroll.provider.getNetwork();
+    const normalized = normalizeApproverChange(change);
+    const nonce = ethers.BigNumber.from(
+        changeNonce === undefined
+            ? await payroll.approverChangeNonce()
+            : changeNonce
+    );
+
+    const signature = await signTypedData(
+        signer,
+        getApproverChangeTypedData(
+            getDomain(chainId, payroll.address),
+            normalized,
+            nonce
+        )
+    );
+
+    return {
+        change: normalized,
+        changeNonce: nonce,
+        approvals: [{ approver: await signer.getAddress(), signature }],
+    };
+}
+
+/**
+ * @dev Merge the approvals of a same approver set change signed by several approvers
+ * @param signedChanges - Array of signed changes, see signApproverChange
+ * @return { change, changeNonce, approvals } with the approvals of every approver
+ */
+function mergeApproverChanges(signedChanges) {
+    if (signedChanges.length === 0)
+        throw new Error("No approver changes provided");
+
+    const { change, changeNonce } = signedChanges[0];
+    const key = JSON.stringify([change, changeNonce]);
+    const approvals = [];
+    for (const signed of signedChanges) {
+        if (JSON.stringify([signed.change, signed.changeNonce]) !== key)
+            throw new Error("Approver changes don't match");
+        approvals.push(...signed.approvals);
+    }
+
+    return { change, changeNonce, approvals };
+}
+
+/**
+ * @dev Encode the proposeApproverChange call of a signed approver set change
+ * Signatures are sorted by ascending approver address, as enforced by validateApproverChangeSignatures
+ * @param signedChange - { change, approvals }, see signApproverChange / mergeApproverChanges
+ * @return calldata
+ */
+function encodeApproverChangeProposal({ change, approvals }) {
+    const sorted = [...approvals].sort((a, b) =>
+        compareAddresses(a.approver, b.approver)
+    );
+    for (let i = 1; i < sorted.length; i++) {
+        if (compareAddresses(sorted[i].approver, sorted[i - 1].approver) === 0)
+            throw new Error(
+                `Duplicate signature from approver ${sorted[i].approver}`
+            );
+    }
+
+    return payrollInterface.encodeFunctionData("proposeApproverChange", [
+        change,
+        sorted.map(({ signature }) => signature),
+    ]);
+}
+
+/**
+ * @dev Submit a signed approver set change, the sender doesn't have to be one of the approvers who signed it
+ * The change must have been signed with the current approverChangeNonce of the contract
+ * @param sender - ethers Signer sending the transaction
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param signedChange - { change, approvals }, see signApproverChange / mergeApproverChanges
+ * @return ethers TransactionResponse
+ */
+function submitApproverChange(sender, payroll, signedChange) {
+    return sender.sendTransaction({
+        to: payroll.address,
+        data: encodeApproverChangeProposal(signedChange),
+    });
+}
+
+module.exports = {
+    getPrevApprover,
+    signApproverChange,
+    mergeApproverChanges,
+    encodeApproverChangeProposal,
+    submitApproverChange,
+};
@@ -0,0 +1,18 @@
+module.exports = {
+    ...require("./constants"),
+    ...require("./abi"),
+    ...require("./tree"),
+    ...require("./signatures"),
+    ...require("./payroll"),
+    ...require("./assembler"),
+    ...require("./streams"),
+    ...require("./fiat"),
+    ...require("./claims"),
+    ...require("./cancellations"),
+    ...require("./governance"),
+    ...require("./roles"),
+    ...require("./receipts"),
+    ...require("./onboarding"),
+    ...require("./migration"),
+    ...require("./safe"),
+};
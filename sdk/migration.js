@@ -0,0 +1,175 @@
+const { ethers } = require("ethers");
+const {
+    PAYROLL_FACTORY_ABI,
+    LEGACY_PAYROLL_FACTORY_ABI,
+    PARCEL_PROXY_ABI,
+    ADDRESS_REGISTRY_ABI,
+} = require("./abi");
+
+const proxyInterface = new ethers.utils.Interface(PARCEL_PROXY_ABI);
+const factoryInterface = new ethers.utils.Interface(PAYROLL_FACTORY_ABI);
+
+/**
+ * @dev Get every org onboarded on the factory with the implementation of its proxy
+ * @param factory - ethers Contract of the ParcelPayrollFactory, see getFactoryContract
+ * @param pageSize - Number of orgs read per call
+ * @return Array of { safeAddress, name, proxy, implementation, version, retired }, in onboarding order
+ */
+async function getOrgs(factory, pageSize = 100) {
+    const count = (await factory.getOrgCount()).toNumber();
+
+    const orgs = [];
+    for (let start = 0; start < count; start += pageSize) {
+        const page = await factory.getOrgs(start, pageSize);
+        orgs.push(
+            ...page.map(
+                ({
+                    safeAddress,
+                    name,
+                    proxy,
+                    implementation,
+                    version,
+                    retired,
+                }) => ({
+                    safeAddress,
+                    name,
+                    proxy,
+                    implementation,
+                    version: version.toNumber(),
+                    retired,
+                })
+            )
+        );
+    }
+    return orgs;
+}
+
+/**
+ * @dev Get the orgs onboarded on the legacy factory from its OrgOnboarded events
+ * @param legacyFactory - Address of the legacy factory
+ * @param provider - ethers Provider
+ * @param fromBlock - Block of the legacy factory deployment, optional
+ * @return Array of { safeAddress, name, proxy }, in onboarding order, the name of a legacy payroll is zero
+ */
+async function getLegacyOrgs(legacyFactory, provider, fromBlock = 0) {
+    const factory = new ethers.Contract(
+        legacyFactory,
+        LEGACY_PAYROLL_FACTORY_ABI,
+        provider
+    );
+    const events = await factory.queryFilter(
+        factory.filters.OrgOnboarded(),
+        fromBlock
+    );
+    return events.map(({ args }) => ({
+        safeAddress: args.safeAddress,
+        name: ethers.constants.HashZero,
+        proxy: args.proxy,
+    }));
+}
+
+/**
+ * @dev Prepare the registration of the orgs of the legacy factory missing from the factory, see registerOrgs
+ * Orgs whose safe onboarded a default payroll on the factory since can't be registered under the zero name, they
+ * are reported as conflicting
+ * @param factory - ethers Contract of the ParcelPayrollFactory, see getFactoryContract
+ * @param legacyFactory - Address of the legacy factory
+ * @param fromBlock - Block of the legacy factory deployment, optional
+ * @return { registered, conflicting, missing, transaction }, transaction of the factory owner registering the missing
+ * orgs, undefined if none is missing
+ */
+async function prepareOrgRegistration(factory, legacyFactory, fromBlock = 0) {
+    const orgs = await getLegacyOrgs(
+        legacyFactory,
+        factory.provider,
+        fromBlock
+    );
+
+    const registered = [];
+    const conflicting = [];
+    const missing = [];
+    for (const org of orgs) {
+        const { safeAddress } = await factory.getOrg(org.proxy);
+        if (safeAddress !== ethers.constants.AddressZero) registered.push(org);
+        else if (
+            (await factory.payrollAddress(org.safeAddress, org.name)) !==
+            ethers.constants.AddressZero
+        )
+            conflicting.push(org);
+        else missing.push(org);
+    }
+
+    const transaction =
+        missing.length === 0
+            ? undefined
+            : {
+                  to: factory.address,
+                  value: 0,
+                  data: factoryInterface.encodeFunctionData("registerOrgs", [
+                      missing.map(({ safeAddress }) => safeAddress),
+                      missing.map(({ name }) => name),
+                      missing.map(({ proxy }) => proxy),
+                  ]),
+              };
+    return { registered, conflicting, missing, transaction };
+}
+
+/**
+ * @dev Build the transaction of an org safe upgrading its proxy, the safe is the proxy admin
+ * @param proxy - Address of the ParcelPayroll proxy
+ * @param implementation - Address of the new implementation, whitelisted in the AddressRegistry
+ * @return { to, value, data }
+ */
+function buildUpgradeTransaction(proxy, implementation) {
+    return {
+        to: proxy,
+        value: 0,
+        data: proxyInterface.encodeFunctionData("upgradeTo", [implementation]),
+    };
+}
+
+/**
+ * @dev Prepare the upgrade of the orgs behind an implementation, the implementation of the factory by default
+ * Orgs whose implementation can't be read are outdated, their proxy predates the version tracking. Retired payrolls
+ * aren't upgraded.
+ * @param factory - ethers Contract of the ParcelPayrollFactory, see getFactoryContract
+ * @param implementation - Address of the target implementation, optional
+ * @return { implementation, version, upToDate, outdated, retired }, outdated orgs have the upgrade transaction of their safe
+ */
+async function prepareMigration(factory, implementation) {
+    const target = ethers.utils.getAddress(
+        implementation || (await factory.logic())
+    );
+
+    // The proxies refuse to upgrade to implementations missing from the whitelist
+    const registry = new ethers.Contract(
+        await factory.addressRegistry(),
+        ADDRESS_REGISTRY_ABI,
+        factory.provider
+    );
+    if (!(await registry.isWhitelisted(target)))
+        throw new Error(`${target} isn't whitelisted in the AddressRegistry`);
+
+    const orgs = await getOrgs(factory);
+    const active = orgs.filter(({ retired }) => !retired);
+    return {
+        implementation: target,
+        version: (await factory.implementationVersion(target)).toNumber(),
+        upToDate: active.filter((org) => org.implementation === target),
+        outdated: active
+            .filter((org) => org.implementation !== target)
+            .map((org) => ({
+                ...org,
+                transaction: buildUpgradeTransaction(org.proxy, target),
+            })),
+        retired: orgs.filter(({ retired }) => retired),
+    };
+}
+
+module.exports = {
+    getOrgs,
+    getLegacyOrgs,
+    prepareOrgRegistration,
+    buildUpgradeTransaction,
+    prepareMigration,
+};
@@ -0,0 +1,108 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI, PAYROLL_FACTORY_ABI } = require("./abi");
+const { getAllowanceModule } = require("../utils/constant");
+
+/**
+ * @dev Get an ethers contract instance of the ParcelPayrollFactory
+ * @param address - Address of the factory
+ * @param signerOrProvider - ethers Signer or Provider
+ * @return ethers Contract
+ */
+function getFactoryContract(address, signerOrProvider) {
+    return new ethers.Contract(address, PAYROLL_FACTORY_ABI, signerOrProvider);
+}
+
+/**
+ * @dev Encode the name of a payroll of an org
+ * @param name - Name of at most 31 characters or bytes32 name, the empty name is the default payroll
+ * @return bytes32 name
+ */
+function encodePayrollName(name = "") {
+    return ethers.utils.isHexString(name, 32)
+        ? name
+        : ethers.utils.formatBytes32String(name);
+}
+
+/**
+ * @dev Prepare the Safe transaction onboarding an org on the factory
+ * The allowance module defaults to the default allowance module of the factory, then to the one configured for the
+ * network in utils/constant.js
+ * @param factory - ethers Contract of the ParcelPayrollFactory
+ * @param onboarding - { safeAddress, approvers, threshold, salt, name?, allowanceModule? }, name defaults to the default payroll
+ * @return { to, value, data, predictedAddress, allowanceModule }
+ */
+async function prepareOnboarding(factory, onboarding) {
+    const { safeAddress, approvers, threshold, salt } = onboarding;
+    const name = encodePayrollName(onboarding.name);
+    let allowanceModule =
+        onboarding.allowanceModule || (await factory.defaultAllowanceModule());
+    if (allowanceModule === ethers.constants.AddressZero)
+        allowanceModule = getAllowanceModule(
+            (await factory.provider.getNetwork()).chainId
+        );
+
+    const predictedAddress = await factory.computeAddress(
+        name,
+        salt,
+        approvers,
+        threshold,
+        safeAddress,
+        allowanceModule
+    );
+
+    return {
+        to: factory.address,
+        value: 0,
+        data: factory.interface.encodeFunctionData("onboard", [
+            name,
+            salt,
+            approvers,
+            threshold,
+            allowanceModule,
+        ]),
+        predictedAddress,
+        allowanceModule,
+    };
+}
+
+/**
+ * @dev Prepare the Safe transactions retiring a payroll of an org: retire the payroll, which pauses it for good, then offboard it from the factory
+ * The name is free for a new onboarding once the transactions are executed
+ * @param factory - ethers Contract of the ParcelPayrollFactory
+ * @param offboarding - { safeAddress, name? }, name defaults to the default payroll
+ * @return { proxy, transactions: [{ to, value, data }] }
+ */
+async function prepareOffboarding(factory, offboarding) {
+    const name = encodePayrollName(offboarding.name);
+    const proxy = await factory.payrollAddress(offboarding.safeAddress, name);
+    if (proxy === ethers.constants.AddressZero)
+        throw new Error(
+            `${offboarding.safeAddress} has no active payroll named ${name}`
+        );
+
+    const payroll = new ethers.Contract(
+        proxy,
+        PARCEL_PAYROLL_ABI,
+        factory.provider
+    );
+    const transactions = [];
+    if ((await payroll.retiredAt()).isZero())
+        transactions.push({
+            to: proxy,
+            value: 0,
+            data: payroll.interface.encodeFunctionData("retire"),
+        });
+    transactions.push({
+        to: factory.address,
+        value: 0,
+        data: factory.interface.encodeFunctionData("offboard", [name]),
+    });
+    return { proxy, transactions };
+}
+
+module.exports = {
+    getFactoryContract,
+    encodePayrollName,
+    prepareOnboarding,
+    prepareOffboarding,
+};
@@ -0,0 +1,190 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const { buildPayrollTree } = require("./tree");
+const {
+    getDomain,
+    getPayrollTxTypedData,
+    hashTypedData,
+    signTypedData,
+} = require("./signatures");
+
+/**
+ * @dev Get an ethers contract instance of an org's ParcelPayroll proxy
+ * @param address - Address of the ParcelPayroll proxy
+ * @param signerOrProvider - ethers Signer or Provider
+ * @return ethers Contract
+ */
+function getPayrollContract(address, signerOrProvider) {
+    return new ethers.Contract(address, PARCEL_PAYROLL_ABI, signerOrProvider);
+}
+
+/**
+ * @dev Build the tree, proofs and typed data of an approver's payroll batch
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? }
+ * @return { owner, payouts, leaves, tree, root, proofs, domain, typedData, digest }
+ */
+async function preparePayroll(payroll, payouts) {
+    const [owner, network] = await Promise.all([
+        payroll.owner(),
+        payroll.provider.getNetwork(),
+    ]);
+
+    const payrollTree = buildPayrollTree(owner, payouts);
+    const domain = getDomain(network.chainId, payroll.address);
+    const typedData = getPayrollTxTypedData(domain, payrollTree.root);
+
+    return {
+        ...payrollTree,
+        domain,
+        typedData,
+        digest: hashTypedData(typedData),
+    };
+}
+
+/**
+ * @dev Cross check a prepared payroll against the on-chain view functions
+ * Throws if a leaf or the typed data digest doesn't match the contract
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param prepared - Output of preparePayroll
+ */
+async function verifyPayroll(payroll, prepared) {
+    const owner = await payroll.owner();
+    if (owner !== prepared.owner)
+        throw new Error(`Owner mismatch: ${prepared.owner} != ${owner}`);
+
+    for (let i = 0; i < prepared.payouts.length; i++) {
+        if (prepared.payouts[i].reimbursement) {
+            const { tokenAddress, amount, payoutNonce } = prepared.payouts[i];
+            const leaf = await payroll.encodeReimbursementData(
+                tokenAddress,
+                amount,
+                payoutNonce
+            );
+            if (leaf !== prepared.leaves[i])
+                throw new Error(
+                    `Leaf mismatch for reimbursement nonce ${payoutNonce}`
+                );
+            continue;
+        }
+
+        if (prepared.payouts[i].stream) {
+            const { to, tokenAddress, amount, payoutNonce, stream } =
+                prepared.payouts[i];
+            const leaf = await payroll.encodeStreamTransactionData(
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                stream.start,
+                stream.cliff,
+                stream.duration
+            );
+            if (leaf !== prepared.leaves[i])
+                throw new Error(
+                    `Leaf mismatch for stream nonce ${payoutNonce}`
+                );
+            continue;
+        }
+
+        if (prepared.payouts[i].fiat) {
+            const { to, tokenAddress, amount, payoutNonce, fiat } =
+                prepared.payouts[i];
+            const leaf = await payroll.encodeFiatTransactionData(
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                fiat.currency,
+                fiat.fiatAmount,
+                fiat.maxSlippage
+            );
+            if (leaf !== prepared.leaves[i])
+                throw new Error(
+                    `Leaf mismatch for fiat payout nonce ${payoutNonce}`
+                );
+            continue;
+        }
+
+        const {
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil,
+        } = prepared.payouts[i];
+        const leaf = await payroll.encodeScheduledTransactionData(
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            validAfter,
+            validUntil
+        );
+        if (leaf !== prepared.leaves[i])
+            throw new Error(`Leaf mismatch for payout nonce ${payoutNonce}`);
+    }
+
+    const digest = await payroll.generateTransactionHash(prepared.root);
+    if (digest !== prepared.digest)
+        throw new Error(`Digest mismatch for root ${prepared.root}`);
+}
+
+/**
+ * @dev Sign the root of a prepared payroll
+ * Throws if the signer is not an approver of the payroll contract
+ * @param signer - ethers Signer of the approver
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param prepared - Output of preparePayroll
+ * @return { approver, root, signature }
+ */
+async function signPayroll(signer, payroll, prepared) {
+    const approver = await signer.getAddress();
+    if (!(await payroll.isApprover(approver)))
+        throw new Error(`${approver} is not an approver`);
+
+    const signature = await signTypedData(signer, prepared.typedData);
+    return { approver, root: prepared.root, signature };
+}
+
+/**
+ * @dev Get the roots waiting for the approval of an approver, reading every page of ParcelPayroll.getPendingRoots
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param approver - Address of the approver
+ * @param tokenAddress - Address of the token of the payout the roots have to approve, address(0) for native tokens
+ * @param amount - Amount of the payout the roots have to approve
+ * @param pageSize - Number of roots read per call
+ * @return Array of roots, in approval order
+ */
+async function getPendingRoots(
+    payroll,
+    approver,
+    tokenAddress,
+    amount,
+    pageSize = 100
+) {
+    const count = (await payroll.getListedRootCount()).toNumber();
+
+    const roots = [];
+    for (let offset = 0; offset < count; offset += pageSize) {
+        roots.push(
+            ...(await payroll.getPendingRoots(
+                approver,
+                tokenAddress,
+                amount,
+                offset,
+                pageSize
+            ))
+        );
+    }
+    return roots;
+}
+
+module.exports = {
+    getPayrollContract,
+    preparePayroll,
+    verifyPayroll,
+    signPayroll,
+    getPendingRoots,
+};
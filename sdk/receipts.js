@@ -0,0 +1,192 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const { PAYOUT_FAILURE_REASONS } = require("./constants");
+
+const payrollInterface = new ethers.utils.Interface(PARCEL_PAYROLL_ABI);
+
+// Selectors of the built-in solidity errors
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+/**
+ * @dev Decode the revert data of a failed transfer
+ * @param revertData - Revert data captured by the PayoutFailed event
+ * @return String, revert reason, panic code or custom error, null if there is no revert data
+ */
+function decodeRevertData(revertData) {
+    if (!revertData || revertData === "0x") return null;
+
+    const selector = revertData.slice(0, 10);
+    const data = ethers.utils.hexDataSlice(revertData, 4);
+    try {
+        if (selector === ERROR_SELECTOR)
+            return ethers.utils.defaultAbiCoder.decode(["string"], data)[0];
+        if (selector === PANIC_SELECTOR)
+            return `Panic(${ethers.utils.defaultAbiCoder
+                .decode(["uint256"], data)[0]
+                .toHexString()})`;
+
+        const parsed = payrollInterface.parseError(revertData);
+        return `${parsed.name}(${parsed.args.join(", ")})`;
+    } catch (e) {
+        // Unknown or malformed error, fallback to the raw data
+        return revertData;
+    }
+}
+
+/**
+ * @dev Decode the payout events of an executePayroll, executeApprovedPayroll, claim or createStreams receipt
+ * The gas reimbursement of executePayrollWithReimbursement is reported with the executor as recipient and the payment as amount
+ * @param receipt - ethers TransactionReceipt of the execution
+ * @param payrollAddress - Address of the org's ParcelPayroll proxy, logs of other contracts are ignored
+ * @return Array of { payoutNonce, tokenAddress, to, amount, status, reason, revertData, error } in log order
+ * status is one of "paid", "streamed", "reimbursed", "failed" or "outsideValidity", reason is the PayoutFailureReason of a failed payout
+ */
+function decodePayoutStatuses(receipt, payrollAddress) {
+    const address = ethers.utils.getAddress(payrollAddress);
+    const statuses = [];
+
+    for (const log of receipt.logs) {
+        if (ethers.utils.getAddress(log.address) !== address) continue;
+
+        let event;
+        try {
+            event = payrollInterface.parseLog(log);
+        } catch (e) {
+            // Not a payout event
+            continue;
+        }
+        const { args } = event;
+
+        switch (event.name) {
+            case "PayoutSuccessful":
+                statuses.push({
+                    payoutNonce: args.payoutNonce,
+                    tokenAddress: args.tokenAddress,
+                    to: args.to,
+                    amount: args.amount,
+                    status: "paid",
+                });
+                break;
+            case "StreamCreated":
+                statuses.push({
+                    payoutNonce: ethers.BigNumber.from(args.payoutNonce),
+                    tokenAddress: args.tokenAddress,
+                    to: args.recipient,
+                    amount: args.amount,
+                    status: "streamed",
+                });
+                break;
+            case "GasReimbursed":
+                statuses.push({
+                    payoutNonce: ethers.BigNumber.from(args.payoutNonce),
+                    tokenAddress: args.tokenAddress,
+                    to: args.executor,
+                    amount: args.payment,
+                    status: "reimbursed",
+                    gasUsed: args.gasUsed,
+                });
+                break;
+            case "PayoutFailed":
+                statuses.push({
+                    payoutNonce: args.payoutNonce,
+                    tokenAddress: args.tokenAddress,
+                    to: args.to,
+                    amount: args.amount,
+                    status: "failed",
+                    reason:
+                        PAYOUT_FAILURE_REASONS[args.reason] ||
+                        `Unknown(${args.reason})`,
+                    revertData: args.revertData,
+                    error: decodeRevertData(args.revertData),
+                });
+                break;
+            case "PayoutOutsideValidity":
+                statuses.push({
+                    payoutNonce: args.payoutNonce,
+                    tokenAddress: args.tokenAddress,
+                    to: args.to,
+                    amount: args.amount,
+                    status: "outsideValidity",
+                    validAfter: args.validAfter,
+                    validUntil: args.validUntil,
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    return statuses;
+}
+
+/**
+ * @dev Format payout statuses as a table of strings keyed by payout nonce, e.g. for console.table
+ * @param statuses - Array of statuses, see decodePayoutStatuses
+ * @return Object of { [payoutNonce]: { token, to, amount, status, reason, error } }
+ */
+function formatPayoutStatusTable(statuses) {
+    const table = {};
+    for (const status of statuses) {
+        table[status.payoutNonce.toString()] = {
+            token: status.tokenAddress,
+            to: status.to,
+            amount: status.amount.toString(),
+            status: status.status,
+            reason: status.reason || "",
+            error: status.error || "",
+        };
+    }
+    return table;
+}
+
+/**
+ * @dev Fetch the receipt of an execution and decode its payout statuses
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param txHash - Hash of the execution transaction
+ * @return Array of statuses, see decodePayoutStatuses
+ */
+async function getPayoutStatuses(payroll, txHash) {
+    const receipt = await payroll.provider.getTransactionReceipt(txHash);
+    if (!receipt) throw new Error(`Transaction ${txHash} is not mined`);
+
+    return decodePayoutStatuses(receipt, payroll.address);
+}
+
+/**
+ * @dev Fetch the funds left on the contract by the failed transfers of an execution
+ * Leftovers already retried or refunded by the org safe are skipped
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param statuses - Array of statuses, see decodePayoutStatuses
+ * @return Array of { payoutNonce, tokenAddress, to, amount }, see retryFailedPayout / refundFailedPayout
+ */
+async function getFailedPayouts(payroll, statuses) {
+    const failedPayouts = [];
+    const fetched = new Set();
+    for (const { status, reason, payoutNonce } of statuses) {
+        // Only failed transfers leave their funds on the contract
+        if (
+            status !== "failed" ||
+            (reason !== "NativeTransferFailed" &&
+                reason !== "TokenTransferFailed") ||
+            fetched.has(payoutNonce.toString())
+        )
+            continue;
+        fetched.add(payoutNonce.toString());
+
+        const { tokenAddress, to, amount } = await payroll.getFailedPayout(
+            payoutNonce
+        );
+        if (amount.isZero()) continue;
+        failedPayouts.push({ payoutNonce, tokenAddress, to, amount });
+    }
+    return failedPayouts;
+}
+
+module.exports = {
+    decodeRevertData,
+    decodePayoutStatuses,
+    formatPayoutStatusTable,
+    getPayoutStatuses,
+    getFailedPayouts,
+};
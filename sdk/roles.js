@@ -0,0 +1,115 @@
+const { ethers } = require("ethers");
+const { normalizePayout } = require("./tree");
+
+/**
+ * @dev Encode a role name as the bytes32 used by RoleManager
+ * @param name - Role name, at most 31 bytes
+ * @return bytes32 role
+ */
+function encodeRoleName(name) {
+    return ethers.utils.formatBytes32String(name);
+}
+
+/**
+ * @dev Decode a bytes32 role to its name
+ * @param role - bytes32 role
+ * @return Role name, the hex role if it isn't a string
+ */
+function decodeRoleName(role) {
+    try {
+        return ethers.utils.parseBytes32String(role);
+    } catch (e) {
+        return role;
+    }
+}
+
+/**
+ * @dev Fetch the roles of an org with their members among the approvers
+ * Members that are not approvers can't approve payouts, they are not listed
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @return Array of { role, name, threshold, members }
+ */
+async function getRoles(payroll) {
+    const [roles, approvers] = await Promise.all([
+        payroll.getRoles(),
+        payroll.getApprovers(),
+    ]);
+
+    return Promise.all(
+        roles.map(async (role) => {
+            const { threshold } = await payroll.getRole(role);
+            const members = [];
+            for (const approver of approvers) {
+                if (await payroll.isRoleMember(role, approver))
+                    members.push(approver);
+            }
+            return { role, name: decodeRoleName(role), threshold, members };
+        })
+    );
+}
+
+/**
+ * @dev Fetch the roles whose threshold a payout has to reach, see RoleManager.getRequiredRoles
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param tokenAddress - Address of the token, address(0) for native tokens
+ * @param amount - Amount of the payout
+ * @return Array of { role, name, threshold }, empty if the payout needs the threshold of approvers
+ */
+async function getRequiredRoles(payroll, tokenAddress, amount) {
+    const roles = await payroll.getRequiredRoles(tokenAddress, amount);
+
+    return Promise.all(
+        roles.map(async (role) => ({
+            role,
+            name: decodeRoleName(role),
+            threshold: (await payroll.getRole(role)).threshold,
+        }))
+    );
+}
+
+/**
+ * @dev Tell a signer which roles they sign each payout under
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param signer - Address of the approver signing the payouts
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, ... }
+ * @return Array of { payoutNonce, tokenAddress, amount, requiredRoles, signingAs, counts }
+ * signingAs lists the names of the required roles of the signer, counts is false when the signature doesn't count towards the approval of the payout
+ */
+async function getSigningRoles(payroll, signer, payouts) {
+    const [isApprover, memberRoles] = await Promise.all([
+        payroll.isApprover(signer),
+        payroll.getMemberRoles(signer),
+    ]);
+
+    const result = [];
+    for (const payout of payouts.map(normalizePayout)) {
+        const requiredRoles = await getRequiredRoles(
+            payroll,
+            payout.tokenAddress,
+            payout.amount
+        );
+        const signingAs = requiredRoles
+            .filter(({ role }) => memberRoles.includes(role))
+            .map(({ name }) => name);
+
+        result.push({
+            payoutNonce: payout.payoutNonce,
+            tokenAddress: payout.tokenAddress,
+            amount: payout.amount,
+            requiredRoles,
+            signingAs,
+            counts:
+                isApprover &&
+                (requiredRoles.length === 0 || signingAs.length > 0),
+        });
+    }
+    return result;
+}
+
+module.exports = {
+    encodeRoleName,
+    decodeRoleName,
+    getRoles,
+    getRequiredRoles,
+    getSigningRoles,
+};
@@ -0,0 +1,40 @@
+const { ethers } = require("ethers");
+
+// Version of the Safe Transaction Builder batch format
+const SAFE_BATCH_VERSION = "1.0";
+
+/**
+ * @dev Build a Safe Transaction Builder batch, to be imported in the Safe web app by the org owners
+ * Transactions of the org safe, e.g. onboarding or approver changes, can't be sent directly by an approver
+ * @param chainId - Chain id of the network
+ * @param safeAddress - Address of the org safe executing the batch
+ * @param name - Name of the batch, shown in the Transaction Builder
+ * @param transactions - Array of { to, value, data }, executed in order
+ * @return { version, chainId, createdAt, meta, transactions }
+ */
+function buildSafeBatch(chainId, safeAddress, name, transactions) {
+    if (transactions.length === 0) throw new Error("No transactions provided");
+
+    return {
+        version: SAFE_BATCH_VERSION,
+        chainId: chainId.toString(),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            description: "",
+            createdFromSafeAddress: ethers.utils.getAddress(safeAddress),
+        },
+        transactions: transactions.map(({ to, value, data }) => ({
+            to: ethers.utils.getAddress(to),
+            value: ethers.BigNumber.from(value || 0).toString(),
+            data,
+            contractMethod: null,
+            contractInputsValues: null,
+        })),
+    };
+}
+
+module.exports = {
+    SAFE_BATCH_VERSION,
+    buildSafeBatch,
+};
@@ -0,0 +1,196 @@
+const { ethers } = require("ethers");
+const {
+    EIP712_NAME,
+    EIP712_VERSION,
+    PAYROLL_TX_TYPES,
+    CANCEL_NONCE_TYPES,
+    CANCEL_NONCES_TYPES,
+    CANCEL_NONCE_RANGE_TYPES,
+    APPROVE_ROOT_TYPES,
+    APPROVER_CHANGE_TYPES,
+} = require("./constants");
+
+/**
+ * @dev Build the EIP712 domain of a payroll contract, mirrors ParcelPayroll._buildDomainSeparator
+ * @param chainId - Chain id of the network
+ * @param verifyingContract - Address of the org's ParcelPayroll proxy
+ * @return EIP712 domain
+ */
+function getDomain(chainId, verifyingContract) {
+    return {
+        name: EIP712_NAME,
+        version: EIP712_VERSION,
+        chainId,
+        verifyingContract: ethers.utils.getAddress(verifyingContract),
+    };
+}
+
+/**
+ * @dev Build the typed data payload of a payroll root, as signed by an approver
+ * @param domain - EIP712 domain, see getDomain
+ * @param rootHash - Merkle root of the approver's payroll tree
+ * @return { domain, types, primaryType, message }
+ */
+function getPayrollTxTypedData(domain, rootHash) {
+    return {
+        domain,
+        types: PAYROLL_TX_TYPES,
+        primaryType: "PayrollTx",
+        message: { rootHash },
+    };
+}
+
+/**
+ * @dev Build the typed data payload of a nonce cancelation
+ * @param domain - EIP712 domain, see getDomain
+ * @param nonce - Payout nonce to cancel
+ * @return { domain, types, primaryType, message }
+ */
+function getCancelNonceTypedData(domain, nonce) {
+    return {
+        domain,
+        types: CANCEL_NONCE_TYPES,
+        primaryType: "CancelNonce",
+        message: { nonce },
+    };
+}
+
+/**
+ * @dev Build the typed data payload of the cancelation of a list of nonces
+ * @param domain - EIP712 domain, see getDomain
+ * @param nonces - Payout nonces to cancel
+ * @return { domain, types, primaryType, message }
+ */
+function getCancelNoncesTypedData(domain, nonces) {
+    return {
+        domain,
+        types: CANCEL_NONCES_TYPES,
+        primaryType: "CancelNonces",
+        message: { nonces },
+    };
+}
+
+/**
+ * @dev Build the typed data payload of the cancelation of a range of nonces
+ * @param domain - EIP712 domain, see getDomain
+ * @param fromNonce - First payout nonce to cancel
+ * @param toNonce - Last payout nonce to cancel, included
+ * @return { domain, types, primaryType, message }
+ */
+function getCancelNonceRangeTypedData(domain, fromNonce, toNonce) {
+    return {
+        domain,
+        types: CANCEL_NONCE_RANGE_TYPES,
+        primaryType: "CancelNonceRange",
+        message: { fromNonce, toNonce },
+    };
+}
+
+/**
+ * @dev Build the typed data payload of a root approval, submitted with approveRootWithSignature
+ * @param domain - EIP712 domain, see getDomain
+ * @param rootHash - Merkle root of the approver's payroll tree
+ * @param expiry - Timestamp after which the approval is not valid anymore
+ * @return { domain, types, primaryType, message }
+ */
+function getApproveRootTypedData(domain, rootHash, expiry) {
+    return {
+        domain,
+        types: APPROVE_ROOT_TYPES,
+        primaryType: "ApproveRoot",
+        message: { rootHash, expiry },
+    };
+}
+
+/**
+ * @dev Build the typed data payload of an approver set change, submitted with proposeApproverChange
+ * @param domain - EIP712 domain, see getDomain
+ * @param change - { operation, prevApprover, approver, newApprover, threshold } with the operation index
+ * @param changeNonce - Nonce of the change, see ApproverGovernanceManager.approverChangeNonce
+ * @return { domain, types, primaryType, message }
+ */
+function getApproverChangeTypedData(domain, change, changeNonce) {
+    return {
+        domain,
+        types: APPROVER_CHANGE_TYPES,
+        primaryType: "ApproverChange",
+        message: { ...change, changeNonce },
+    };
+}
+
+/**
+ * @dev Hash a typed data payload, mirrors the ParcelPayroll.generateTransactionHash / get*TransactionHash functions
+ * @param typedData - { domain, types, message }
+ * @return bytes32 digest
+ */
+function hashTypedData({ domain, types, message }) {
+    return ethers.utils._TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * @dev Sign a typed data payload with an ethers signer
+ * @param signer - ethers Signer of the approver
+ * @param typedData - { domain, types, message }
+ * @return 65 bytes signature
+ */
+function signTypedData(signer, { domain, types, message }) {
+    return signer._signTypedData(domain, types, message);
+}
+
+/**
+ * @dev Encode the signature of an approver that is a smart contract wallet, e.g. a Safe
+ * The payroll contract checks it with the EIP-1271 isValidSignature of the wallet, see ParcelPayroll.recoverContractSigner
+ * @param signer - Address of the contract wallet
+ * @param signature - Signature of the typed data digest accepted by the wallet
+ * @return Contract signature: the signer as r, an unused s, v = 0, then the signature of the wallet
+ */
+function encodeContractSignature(signer, signature) {
+    return ethers.utils.hexConcat([
+        ethers.utils.hexZeroPad(ethers.utils.getAddress(signer), 32),
+        ethers.constants.HashZero,
+        "0x00",
+        signature,
+    ]);
+}
+
+/**
+ * @dev Check if a signature is a contract signature, see encodeContractSignature
+ * @param signature - Signature
+ * @return Boolean
+ */
+function isContractSignature(signature) {
+    return (
+        ethers.utils.hexDataLength(signature) >= 65 &&
+        ethers.utils.hexDataSlice(signature, 64, 65) === "0x00"
+    );
+}
+
+/**
+ * @dev Recover the signer of a typed data payload
+ * The signer of a contract signature is read from the signature, the wallet only checks it on-chain
+ * @param typedData - { domain, types, message }
+ * @param signature - 65 bytes signature or contract signature
+ * @return address of the signer
+ */
+function recoverTypedDataSigner({ domain, types, message }, signature) {
+    if (isContractSignature(signature))
+        return ethers.utils.getAddress(
+            ethers.utils.hexDataSlice(signature, 12, 32)
+        );
+    return ethers.utils.verifyTypedData(domain, types, message, signature);
+}
+
+module.exports = {
+    getDomain,
+    getPayrollTxTypedData,
+    getCancelNonceTypedData,
+    getCancelNoncesTypedData,
+    getCancelNonceRangeTypedData,
+    getApproveRootTypedData,
+    getApproverChangeTypedData,
+    hashTypedData,
+    signTypedData,
+    encodeContractSignature,
+    isContractSignature,
+    recoverTypedDataSigner,
+};
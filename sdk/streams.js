@@ -0,0 +1,144 @@
+const { ethers } = require("ethers");
+const { PARCEL_PAYROLL_ABI } = require("./abi");
+const {
+    normalizePayout,
+    encodeLeaf,
+    includesLeaf,
+    getProof,
+} = require("./tree");
+const { getDomain } = require("./signatures");
+const { sortApprovals } = require("./assembler");
+
+const payrollInterface = new ethers.utils.Interface(PARCEL_PAYROLL_ABI);
+
+/**
+ * @dev Amount of a stream vested at a timestamp, mirrors StreamManager.vestedAmountAt
+ * @param stream - { amount, start, cliff, duration, cancelledAt? }, as returned by getStream
+ * @param timestamp - Unix timestamp
+ * @return BigNumber vested amount
+ */
+function getVestedAmount(stream, timestamp) {
+    const amount = ethers.BigNumber.from(stream.amount);
+    const start = ethers.BigNumber.from(stream.start);
+    const cliff = ethers.BigNumber.from(stream.cliff);
+    const duration = ethers.BigNumber.from(stream.duration);
+    const cancelledAt = ethers.BigNumber.from(stream.cancelledAt || 0);
+
+    let at = ethers.BigNumber.from(timestamp);
+    if (!cancelledAt.isZero() && cancelledAt.lt(at)) at = cancelledAt;
+
+    if (at.lt(start.add(cliff))) return ethers.constants.Zero;
+    if (at.gte(start.add(duration))) return amount;
+
+    return amount.mul(at.sub(start)).div(duration);
+}
+
+/**
+ * @dev Assemble the arguments of createStreams
+ * - roots and signatures are sorted by ascending signer address (InvalidPayoutSignature)
+ * - proof[i][j] is the proof of stream i in the tree of root j, empty if root j doesn't include it
+ * @param domain - EIP712 domain of the payroll contract
+ * @param owner - Address of the org safe (owner of the payroll contract)
+ * @param threshold - Number of approvals required for a stream to be created
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, stream: { start, cliff, duration } }
+ * @return { args, calldata, report }
+ */
+function assembleStreams(domain, owner, threshold, approvals, payouts) {
+    if (payouts.length === 0) throw new Error("No payouts provided");
+
+    const sortedApprovals = sortApprovals(domain, approvals);
+
+    const args = {
+        payouts: [],
+        proof: [],
+        roots: sortedApprovals.map(({ root }) => root),
+        signatures: sortedApprovals.map(({ signature }) => signature),
+    };
+
+    const report = {
+        approvers: sortedApprovals.map(({ approver }) => approver),
+        threshold: Number(threshold),
+        payouts: [],
+    };
+
+    const nonces = new Set();
+    for (const payout of payouts.map(normalizePayout)) {
+        if (!payout.stream)
+            throw new Error(`Payout ${payout.payoutNonce} is not a stream`);
+
+        const key = payout.payoutNonce.toString();
+        if (nonces.has(key)) throw new Error(`Duplicate payout nonce: ${key}`);
+        nonces.add(key);
+
+        const leaf = encodeLeaf(owner, payout);
+        const approvedBy = sortedApprovals
+            .filter(({ tree }) => includesLeaf(tree, leaf))
+            .map(({ approver }) => approver);
+
+        args.payouts.push({
+            to: payout.to,
+            tokenAddress: payout.tokenAddress,
+            amount: payout.amount,
+            payoutNonce: payout.payoutNonce,
+            ...payout.stream,
+        });
+        args.proof.push(
+            sortedApprovals.map(({ tree }) => getProof(tree, leaf))
+        );
+
+        report.payouts.push({
+            ...payout,
+            leaf,
+            approvedBy,
+            approvals: approvedBy.length,
+            approved: approvedBy.length >= report.threshold,
+        });
+    }
+
+    const calldata = payrollInterface.encodeFunctionData("createStreams", [
+        args.payouts,
+        args.proof,
+        args.roots,
+        args.signatures,
+    ]);
+
+    return { args, calldata, report };
+}
+
+/**
+ * @dev Assemble a createStreams call for an org's payroll contract
+ * The report is completed with the nonce usage of each stream
+ * @param payroll - ethers Contract of the org's ParcelPayroll proxy
+ * @param approvals - Array of { root, signature, tree | leaves }
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, stream: { start, cliff, duration } }
+ * @return { to, args, calldata, report }
+ */
+async function buildCreateStreams(payroll, approvals, payouts) {
+    const [owner, threshold, network] = await Promise.all([
+        payroll.owner(),
+        payroll.threshold(),
+        payroll.provider.getNetwork(),
+    ]);
+
+    const { args, calldata, report } = assembleStreams(
+        getDomain(network.chainId, payroll.address),
+        owner,
+        threshold,
+        approvals,
+        payouts
+    );
+
+    for (const payout of report.payouts) {
+        payout.nonceUsed = await payroll.getPayoutNonce(payout.payoutNonce);
+        payout.executable = payout.approved && !payout.nonceUsed;
+    }
+
+    return { to: payroll.address, args, calldata, report };
+}
+
+module.exports = {
+    getVestedAmount,
+    assembleStreams,
+    buildCreateStreams,
+};
@@ -0,0 +1,488 @@
+const { ethers } = require("ethers");
+const { default: MerkleTree } = require("merkletreejs");
+const {
+    LEAF_TYPES,
+    SCHEDULED_LEAF_TYPES,
+    STREAM_LEAF_TYPES,
+    REIMBURSEMENT_LEAF_TYPES,
+    FIAT_PAYOUT_TYPEHASH,
+    FIAT_LEAF_TYPES,
+    SLIPPAGE_DENOMINATOR,
+} = require("./constants");
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+
+/**
+ * @dev Normalize a payout object and validate its fields
+ * validAfter and validUntil are optional unix timestamps, 0 (default) means no bound
+ * stream is set for stream payouts, start is a unix timestamp, cliff and duration are in seconds after start
+ * reimbursement is set for the gas reimbursement of a batch, its amount is the maximum payment and it has no recipient
+ * fiat is set for fiat payouts, their amount is the token amount quoted at approval time, see normalizeFiat
+ * @param payout - { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil?, stream?: { start, cliff, duration }, reimbursement?, fiat?: { currency, fiatAmount, maxSlippage } }
+ * @return normalized payout with checksummed addresses and BigNumber amount / nonce / validity
+ */
+function normalizePayout(payout) {
+    if (payout.reimbursement) return normalizeReimbursement(payout);
+    if (!ethers.utils.isAddress(payout.to))
+        throw new Error(`Invalid recipient address: ${payout.to}`);
+    if (!ethers.utils.isAddress(payout.tokenAddress))
+        throw new Error(`Invalid token address: ${payout.tokenAddress}`);
+
+    const amount = ethers.BigNumber.from(payout.amount);
+    if (amount.lte(0) || amount.gt(ethers.constants.MaxUint256.shr(128)))
+        throw new Error(`Invalid amount for nonce ${payout.payoutNonce}`);
+
+    const payoutNonce = ethers.BigNumber.from(payout.payoutNonce);
+    if (
+        payoutNonce.lt(0) ||
+        payoutNonce.gt(ethers.constants.MaxUint256.shr(192))
+    )
+        throw new Error(`Invalid payout nonce: ${payout.payoutNonce}`);
+
+    const [validAfter, validUntil] = [payout.validAfter, payout.validUntil].map(
+        (timestamp) => {
+            const value = ethers.BigNumber.from(timestamp || 0);
+            if (value.lt(0) || value.gt(ethers.constants.MaxUint256.shr(192)))
+                throw new Error(
+                    `Invalid validity timestamp for nonce ${payout.payoutNonce}`
+                );
+            return value;
+        }
+    );
+    if (!validUntil.isZero() && validUntil.lt(validAfter))
+        throw new Error(
+            `Invalid validity window for nonce ${payout.payoutNonce}`
+        );
+
+    const normalized = {
+        to: ethers.utils.getAddress(payout.to),
+        tokenAddress: ethers.utils.getAddress(payout.tokenAddress),
+        amount,
+        payoutNonce,
+        validAfter,
+        validUntil,
+    };
+    if (payout.fiat) return normalizeFiat(payout, normalized);
+    if (!payout.stream) return normalized;
+
+    if (isScheduled(normalized))
+        throw new Error(
+            `Stream ${payout.payoutNonce} can't have a validity window`
+        );
+
+    const [start, cliff, duration] = ["start", "cliff", "duration"].map(
+        (key) => {
+            const value = ethers.BigNumber.from(payout.stream[key] || 0);
+            if (value.lt(0) || value.gt(ethers.constants.MaxUint256.shr(192)))
+                throw new Error(
+                    `Invalid stream ${key} for nonce ${payout.payoutNonce}`
+                );
+            return value;
+        }
+    );
+    // Mirrors StreamManager.validateStreamSchedule
+    if (duration.isZero() || cliff.gt(duration))
+        throw new Error(
+            `Invalid stream schedule for nonce ${payout.payoutNonce}`
+        );
+
+    return { ...normalized, stream: { start, cliff, duration } };
+}
+
+/**
+ * @dev Normalize the gas reimbursement leaf of a batch, see normalizePayout
+ * @param payout - { tokenAddress, amount, payoutNonce, reimbursement: true }
+ * @return { tokenAddress, amount, payoutNonce, validAfter, validUntil, reimbursement: true }
+ */
+function normalizeReimbursement(payout) {
+    if (payout.to !== undefined || payout.stream || payout.fiat)
+        throw new Error(
+            `Reimbursement ${payout.payoutNonce} can't have a recipient, a stream or a fiat amount`
+        );
+    if (
+        [payout.validAfter, payout.validUntil].some(
+            (timestamp) => !ethers.BigNumber.from(timestamp || 0).isZero()
+        )
+    )
+        throw new Error(
+            `Reimbursement ${payout.payoutNonce} can't have a validity window`
+        );
+    if (!ethers.utils.isAddress(payout.tokenAddress))
+        throw new Error(`Invalid token address: ${payout.tokenAddress}`);
+
+    // Payments of the allowance module are uint96
+    const amount = ethers.BigNumber.from(payout.amount);
+    if (amount.lte(0) || amount.gt(ethers.constants.MaxUint256.shr(160)))
+        throw new Error(`Invalid amount for nonce ${payout.payoutNonce}`);
+
+    const payoutNonce = ethers.BigNumber.from(payout.payoutNonce);
+    if (
+        payoutNonce.lt(0) ||
+        payoutNonce.gt(ethers.constants.MaxUint256.shr(192))
+    )
+        throw new Error(`Invalid payout nonce: ${payout.payoutNonce}`);
+
+    return {
+        tokenAddress: ethers.utils.getAddress(payout.tokenAddress),
+        amount,
+        payoutNonce,
+        validAfter: ethers.constants.Zero,
+        validUntil: ethers.constants.Zero,
+        reimbursement: true,
+    };
+}
+
+/**
+ * @dev Normalize the fiat fields of a payout, see normalizePayout
+ * currency is a currency code ("USD") or its bytes32 encoding, fiatAmount has FIAT_DECIMALS decimals
+ * maxSlippage is the maximum deviation of the paid amount from the quoted amount, in basis points
+ * @param payout - { to, tokenAddress, amount, payoutNonce, fiat: { currency, fiatAmount, maxSlippage } }
+ * @param normalized - payout normalized by normalizePayout, without its fiat fields
+ * @return normalized payout with fiat: { currency, fiatAmount, maxSlippage }
+ */
+function normalizeFiat(payout, normalized) {
+    if (payout.stream)
+        throw new Error(`Fiat payout ${payout.payoutNonce} can't be a stream`);
+    if (isScheduled(normalized))
+        throw new Error(
+            `Fiat payout ${payout.payoutNonce} can't have a validity window`
+        );
+
+    const { fiat } = payout;
+    const currency = encodeCurrency(fiat.currency);
+    if (currency === ethers.constants.HashZero)
+        throw new Error(`Invalid currency for nonce ${payout.payoutNonce}`);
+
+    const fiatAmount = ethers.BigNumber.from(fiat.fiatAmount);
+    if (
+        fiatAmount.lte(0) ||
+        fiatAmount.gt(ethers.constants.MaxUint256.shr(128))
+    )
+        throw new Error(`Invalid fiat amount for nonce ${payout.payoutNonce}`);
+
+    const maxSlippage = ethers.BigNumber.from(fiat.maxSlippage || 0);
+    if (maxSlippage.lt(0) || maxSlippage.gt(SLIPPAGE_DENOMINATOR))
+        throw new Error(`Invalid max slippage for nonce ${payout.payoutNonce}`);
+
+    return { ...normalized, fiat: { currency, fiatAmount, maxSlippage } };
+}
+
+/**
+ * @dev Encode a fiat currency as the bytes32 of PriceFeedManager, e.g. "USD" to bytes32("USD")
+ * @param currency - Currency code, or its bytes32 encoding
+ * @return bytes32 currency
+ */
+function encodeCurrency(currency) {
+    if (ethers.utils.isHexString(currency, 32)) return currency;
+    return ethers.utils.formatBytes32String(currency || "");
+}
+
+/**
+ * @dev Check if a payout has a validity window
+ * @param payout - normalized payout
+ * @return Boolean
+ */
+function isScheduled(payout) {
+    return !payout.validAfter.isZero() || !payout.validUntil.isZero();
+}
+
+/**
+ * @dev Encode a payout into a leaf, mirrors ParcelPayroll.encodeScheduledTransactionData
+ * Payouts without validity window keep the encoding of ParcelPayroll.encodeTransactionData
+ * Stream payouts are encoded as ParcelPayroll.encodeStreamTransactionData, reimbursements as ParcelPayroll.encodeReimbursementData
+ * and fiat payouts as ParcelPayroll.encodeFiatTransactionData
+ * @param owner - Address of the org safe (owner of the payroll contract)
+ * @param payout - { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil?, stream?, reimbursement?, fiat? }
+ * @return bytes32 leaf
+ */
+function encodeLeaf(owner, payout) {
+    const normalized = normalizePayout(payout);
+    const { to, tokenAddress, amount, payoutNonce, stream, fiat } = normalized;
+
+    if (normalized.reimbursement)
+        return ethers.utils.keccak256(
+            abiCoder.encode(REIMBURSEMENT_LEAF_TYPES, [
+                owner,
+                tokenAddress,
+                amount,
+                payoutNonce,
+            ])
+        );
+
+    if (fiat)
+        return ethers.utils.keccak256(
+            abiCoder.encode(FIAT_LEAF_TYPES, [
+                FIAT_PAYOUT_TYPEHASH,
+                owner,
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                fiat.currency,
+                fiat.fiatAmount,
+                fiat.maxSlippage,
+            ])
+        );
+
+    if (stream)
+        return ethers.utils.keccak256(
+            abiCoder.encode(STREAM_LEAF_TYPES, [
+                owner,
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+                stream.start,
+                stream.cliff,
+                stream.duration,
+            ])
+        );
+
+    if (!isScheduled(normalized))
+        return ethers.utils.keccak256(
+            abiCoder.encode(LEAF_TYPES, [
+                owner,
+                to,
+                tokenAddress,
+                amount,
+                payoutNonce,
+            ])
+        );
+
+    return ethers.utils.keccak256(
+        abiCoder.encode(SCHEDULED_LEAF_TYPES, [
+            owner,
+            to,
+            tokenAddress,
+            amount,
+            payoutNonce,
+            normalized.validAfter,
+            normalized.validUntil,
+        ])
+    );
+}
+
+/**
+ * @dev Hash a pair of nodes in ascending order, mirrors MerkleProofUpgradeable._hashPair
+ * @param a - bytes32 node
+ * @param b - bytes32 node
+ * @return bytes32 parent node
+ */
+function hashPair(a, b) {
+    return ethers.utils.keccak256(
+        ethers.utils.hexConcat(
+            a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]
+        )
+    );
+}
+
+/**
+ * @dev Build a complete merkle tree of sorted pairs, as verified by MerkleProofUpgradeable
+ * The nodes are a heap, the root first and leaf i at nodes[nodes.length - 1 - i], as in OpenZeppelin's StandardMerkleTree
+ * Every set of leaves of a complete tree admits a multiproof, see getMultiProof
+ * @param leaves - Array of bytes32 leaves
+ * @return { leaves, nodes }
+ */
+function buildTree(leaves) {
+    if (leaves.length === 0) throw new Error("No leaves provided");
+
+    const hexLeaves = leaves.map((leaf) =>
+        ethers.utils.hexlify(leaf).toLowerCase()
+    );
+    const nodes = new Array(2 * hexLeaves.length - 1);
+    hexLeaves.forEach((leaf, i) => {
+        nodes[nodes.length - 1 - i] = leaf;
+    });
+    for (let i = nodes.length - 1 - hexLeaves.length; i >= 0; i--) {
+        nodes[i] = hashPair(nodes[2 * i + 1], nodes[2 * i + 2]);
+    }
+
+    return { leaves: hexLeaves, nodes };
+}
+
+/**
+ * @dev Build a tree with the layout of the SDK before complete trees, odd nodes moving up a layer unhashed
+ * Only used to execute approvals signed on such trees, they don't admit multiproofs
+ * @param leaves - Array of bytes32 leaves
+ * @return MerkleTree
+ */
+function buildLegacyTree(leaves) {
+    return new MerkleTree(leaves, ethers.utils.keccak256, {
+        sortPairs: true,
+    });
+}
+
+/**
+ * @dev Get the root of a tree
+ * @param tree - Tree built by buildTree or buildLegacyTree
+ * @return bytes32 root
+ */
+function getRoot(tree) {
+    return tree instanceof MerkleTree ? tree.getHexRoot() : tree.nodes[0];
+}
+
+/**
+ * @dev Get the index of a leaf in the nodes of a complete tree
+ * @param tree - Tree built by buildTree
+ * @param leaf - bytes32 leaf
+ * @return Index of the node, -1 if the leaf is not part of the tree
+ */
+function getNodeIndex(tree, leaf) {
+    const index = tree.leaves.indexOf(leaf.toLowerCase());
+    return index === -1 ? -1 : tree.nodes.length - 1 - index;
+}
+
+/**
+ * @dev Build the payroll merkle tree of an approver
+ * @param owner - Address of the org safe (owner of the payroll contract)
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil?, stream?, reimbursement?, fiat? }
+ * @return { owner, payouts, leaves, tree, root, proofs } where proofs[i] is the proof of payouts[i]
+ */
+function buildPayrollTree(owner, payouts) {
+    if (!ethers.utils.isAddress(owner))
+        throw new Error(`Invalid owner address: ${owner}`);
+    if (payouts.length === 0) throw new Error("No payouts provided");
+
+    const normalized = payouts.map(normalizePayout);
+
+    const nonces = new Set();
+    for (const payout of normalized) {
+        const key = payout.payoutNonce.toString();
+        if (nonces.has(key)) throw new Error(`Duplicate payout nonce: ${key}`);
+        nonces.add(key);
+    }
+
+    const leaves = normalized.map((payout) => encodeLeaf(owner, payout));
+    const tree = buildTree(leaves);
+
+    return {
+        owner: ethers.utils.getAddress(owner),
+        payouts: normalized,
+        leaves,
+        tree,
+        root: getRoot(tree),
+        proofs: leaves.map((leaf) => getProof(tree, leaf)),
+    };
+}
+
+/**
+ * @dev Check if a leaf is part of a tree
+ * @param tree - Tree built by buildTree or buildLegacyTree
+ * @param leaf - bytes32 leaf
+ * @return Boolean
+ */
+function includesLeaf(tree, leaf) {
+    if (tree instanceof MerkleTree)
+        return tree.getLeafIndex(Buffer.from(leaf.slice(2), "hex")) !== -1;
+    return getNodeIndex(tree, leaf) !== -1;
+}
+
+/**
+ * @dev Get the proof of a leaf in a tree, empty if the leaf is not part of the tree
+ * @param tree - Tree built by buildTree or buildLegacyTree
+ * @param leaf - bytes32 leaf
+ * @return bytes32[] proof
+ */
+function getProof(tree, leaf) {
+    if (!includesLeaf(tree, leaf)) return [];
+    if (tree instanceof MerkleTree) return tree.getHexProof(leaf);
+
+    // Siblings from the leaf up to the root
+    const proof = [];
+    for (let i = getNodeIndex(tree, leaf); i > 0; i = (i - 1) >> 1) {
+        proof.push(tree.nodes[i % 2 === 1 ? i + 1 : i - 1]);
+    }
+    return proof;
+}
+
+/**
+ * @dev Get the multiproof of leaves of a complete tree, as verified by MerkleProofUpgradeable.multiProofVerify
+ * @param tree - Tree built by buildTree
+ * @param leaves - bytes32 leaves of the tree
+ * @return { leaves, proof, proofFlags }, leaves being ordered as the multiproof consumes them
+ */
+function getMultiProof(tree, leaves) {
+    if (tree instanceof MerkleTree)
+        throw new Error(
+            `Tree ${getRoot(tree)} isn't a complete tree, it has no multiproofs`
+        );
+
+    const indices = leaves.map((leaf) => {
+        const index = getNodeIndex(tree, leaf);
+        if (index === -1)
+            throw new Error(`Leaf ${leaf} isn't part of the tree`);
+        return index;
+    });
+
+    // processMultiProof hashes the deepest nodes first, each parent is queued after the nodes of its layer
+    const queue = [...new Set(indices)].sort((a, b) => b - a);
+    const proofLeaves = queue.map((index) => tree.nodes[index]);
+    const proof = [];
+    const proofFlags = [];
+    while (queue.length > 0 && queue[0] > 0) {
+        const index = queue.shift();
+        const sibling = index % 2 === 1 ? index + 1 : index - 1;
+        if (queue[0] === sibling) {
+            proofFlags.push(true);
+            queue.shift();
+        } else {
+            proofFlags.push(false);
+            proof.push(tree.nodes[sibling]);
+        }
+        queue.push((index - 1) >> 1);
+    }
+
+    return { leaves: proofLeaves, proof, proofFlags };
+}
+
+/**
+ * @dev Verify a proof against a root, mirrors MerkleProofUpgradeable.verify
+ * @param proof - bytes32[] proof
+ * @param root - bytes32 root
+ * @param leaf - bytes32 leaf
+ * @return Boolean
+ */
+function verifyProof(proof, root, leaf) {
+    return proof.reduce(hashPair, leaf).toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * @dev Verify a multiproof against a root, mirrors MerkleProofUpgradeable.multiProofVerify
+ * @param multiProof - { leaves, proof, proofFlags }, see getMultiProof
+ * @param root - bytes32 root
+ * @return Boolean
+ */
+function verifyMultiProof({ leaves, proof, proofFlags }, root) {
+    if (leaves.length + proof.length - 1 !== proofFlags.length) return false;
+
+    // The queue of leaves, then of the hashes computed from them
+    const queue = [...leaves];
+    let proofPosition = 0;
+    let computed = leaves.length > 0 ? leaves[0] : proof[0];
+    for (const flag of proofFlags) {
+        const a = queue.shift();
+        const b = flag ? queue.shift() : proof[proofPosition++];
+        if (a === undefined || b === undefined) return false;
+        computed = hashPair(a, b);
+        queue.push(computed);
+    }
+
+    return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+    normalizePayout,
+    encodeCurrency,
+    isScheduled,
+    encodeLeaf,
+    hashPair,
+    buildTree,
+    buildLegacyTree,
+    getRoot,
+    buildPayrollTree,
+    includesLeaf,
+    getProof,
+    getMultiProof,
+    verifyProof,
+    verifyMultiProof,
+};
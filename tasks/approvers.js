@@ -0,0 +1,104 @@
+const { task, types } = require("hardhat/config");
+const { getPrevApprover, getRoles } = require("../sdk");
+const { writeOutput, getPayroll, outputSafeBatch } = require("./utils");
+
+task("list-approvers", "List the approvers, threshold and roles of an org")
+    .addParam("payroll", "Address of the org's ParcelPayroll proxy")
+    .setAction(async (args, hre) => {
+        const payroll = await getPayroll(hre, args.payroll);
+        const [owner, approvers, threshold, roles] = await Promise.all([
+            payroll.owner(),
+            payroll.getApprovers(),
+            payroll.threshold(),
+            getRoles(payroll),
+        ]);
+
+        const summary = {
+            safe: owner,
+            threshold: threshold.toNumber(),
+            approvers,
+            roles: roles.map(({ name, threshold, members }) => ({
+                name,
+                threshold: threshold.toNumber(),
+                members,
+            })),
+        };
+        writeOutput(undefined, summary);
+        return summary;
+    });
+
+task(
+    "rotate-approver",
+    "Output the Safe transaction adding, removing or swapping an approver, or changing the threshold"
+)
+    .addParam("payroll", "Address of the org's ParcelPayroll proxy")
+    .addParam("action", "One of add, remove, swap or threshold")
+    .addOptionalParam(
+        "approver",
+        "Approver added, removed or swapped out, not used to change the threshold"
+    )
+    .addOptionalParam("newApprover", "Approver swapped in")
+    .addOptionalParam(
+        "threshold",
+        "New threshold, required to add or remove an approver and to change the threshold",
+        undefined,
+        types.int
+    )
+    .addOptionalParam("out", "File to write the Safe transaction batch to")
+    .setAction(async (args, hre) => {
+        const payroll = await getPayroll(hre, args.payroll);
+        const { approver, newApprover, threshold } = args;
+
+        const requireArgs = (names) => {
+            for (const name of names) {
+                if (args[name] === undefined)
+                    throw new Error(`--${name} is required to ${args.action}`);
+            }
+        };
+
+        let data;
+        switch (args.action) {
+            case "add":
+                requireArgs(["approver", "threshold"]);
+                data = payroll.interface.encodeFunctionData(
+                    "addApproverWithThreshold",
+                    [approver, threshold]
+                );
+                break;
+            case "remove":
+                requireArgs(["approver", "threshold"]);
+                data = payroll.interface.encodeFunctionData(
+                    "removeApproverWithThreshold",
+                    [
+                        await getPrevApprover(payroll, approver),
+                        approver,
+                        threshold,
+                    ]
+                );
+                break;
+            case "swap":
+                requireArgs(["approver", "newApprover"]);
+                data = payroll.interface.encodeFunctionData("swapApprover", [
+                    await getPrevApprover(payroll, approver),
+                    approver,
+                    newApprover,
+                ]);
+                break;
+            case "threshold":
+                requireArgs(["threshold"]);
+                data = payroll.interface.encodeFunctionData("changeThreshold", [
+                    threshold,
+                ]);
+                break;
+            default:
+                throw new Error(`Unknown approver action: ${args.action}`);
+        }
+
+        return outputSafeBatch(
+            hre,
+            await payroll.owner(),
+            `Parcel Payroll approvers: ${args.action}`,
+            [{ to: payroll.address, value: 0, data }],
+            args.out
+        );
+    });
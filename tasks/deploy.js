@@ -0,0 +1,120 @@
+const { task, types } = require("hardhat/config");
+const {
+    prepareOnboarding,
+    prepareOffboarding,
+    getFactoryContract,
+} = require("../sdk");
+const { deployStack } = require("../scripts/deploy");
+const { parseList, getSigner, outputSafeBatch } = require("./utils");
+
+task(
+    "deploy-stack",
+    "Deploy the stack at deterministic addresses and write the deployment manifest, or verify an existing deployment against it"
+)
+    .addOptionalParam(
+        "salt",
+        "bytes32 salt of the CREATE2 deployments, defaults to the salt of the manifest"
+    )
+    .addOptionalParam(
+        "owner",
+        "Owner of the registry and the factory, defaults to the owner of the manifest then to the deployer"
+    )
+    .addOptionalParam("signer", "Address of the deployer account")
+    .addOptionalParam(
+        "manifestDir",
+        "Directory of the deployment manifests, deployments/ by default"
+    )
+    .addFlag("verify", "Submit the sources to the block explorer")
+    .setAction(async (args, hre) =>
+        deployStack(hre, {
+            signer: await getSigner(hre, args.signer),
+            salt: args.salt,
+            owner: args.owner,
+            manifestDir: args.manifestDir,
+            verify: args.verify,
+        })
+    );
+
+task(
+    "onboard",
+    "Output the Safe transaction onboarding an org on the ParcelPayrollFactory"
+)
+    .addParam("factory", "Address of the ParcelPayrollFactory")
+    .addParam("safe", "Address of the org safe")
+    .addParam("approvers", "Comma separated addresses of the approvers")
+    .addParam(
+        "threshold",
+        "Number of approvals required for a payout",
+        undefined,
+        types.int
+    )
+    .addOptionalParam(
+        "salt",
+        "Salt of the proxy address, a bytes32 or a string of at most 31 characters",
+        "parcel"
+    )
+    .addOptionalParam(
+        "name",
+        "Name of the payroll within the org, a bytes32 or a string of at most 31 characters, the default payroll by default"
+    )
+    .addOptionalParam(
+        "allowanceModule",
+        "Address of the Safe AllowanceModule, defaults to the module of the network in utils/constant.js"
+    )
+    .addOptionalParam("out", "File to write the Safe transaction batch to")
+    .setAction(async (args, hre) => {
+        const factory = getFactoryContract(args.factory, hre.ethers.provider);
+        const salt = hre.ethers.utils.isHexString(args.salt, 32)
+            ? args.salt
+            : hre.ethers.utils.formatBytes32String(args.salt);
+
+        const onboarding = await prepareOnboarding(factory, {
+            safeAddress: args.safe,
+            approvers: parseList(args.approvers),
+            threshold: args.threshold,
+            salt,
+            name: args.name,
+            allowanceModule: args.allowanceModule,
+        });
+        console.log(
+            `The org payroll will be deployed to ${onboarding.predictedAddress}`
+        );
+
+        const batch = await outputSafeBatch(
+            hre,
+            args.safe,
+            "Onboard Parcel Payroll",
+            [onboarding],
+            args.out
+        );
+        return { ...batch, predictedAddress: onboarding.predictedAddress };
+    });
+
+task(
+    "offboard",
+    "Output the Safe transactions retiring a payroll of an org and offboarding it from the ParcelPayrollFactory"
+)
+    .addParam("factory", "Address of the ParcelPayrollFactory")
+    .addParam("safe", "Address of the org safe")
+    .addOptionalParam(
+        "name",
+        "Name of the payroll within the org, a bytes32 or a string of at most 31 characters, the default payroll by default"
+    )
+    .addOptionalParam("out", "File to write the Safe transaction batch to")
+    .setAction(async (args, hre) => {
+        const factory = getFactoryContract(args.factory, hre.ethers.provider);
+        const { proxy, transactions } = await prepareOffboarding(factory, {
+            safeAddress: args.safe,
+            name: args.name,
+        });
+        console.log(`The org payroll ${proxy} will be retired`);
+
+        const batch = await outputSafeBatch(
+            hre,
+            args.safe,
+            "Offboard Parcel Payroll",
+            transactions,
+            args.out
+        );
+        return { ...batch, proxy };
+    });
@@ -0,0 +1,7 @@
+// Hardhat tasks of the Parcel Payroll stack, see `npx hardhat help`
+require("./deploy");
+require("./approvers");
+require("./payroll");
+require("./maintenance");
+require("./upgrade");
+require("./migration");
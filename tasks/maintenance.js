@@ -0,0 +1,136 @@
+const { task } = require("hardhat/config");
+const {
+    signNonceCancellation,
+    mergeNonceCancellations,
+    encodeNonceCancellation,
+} = require("../sdk");
+const {
+    parseList,
+    readJson,
+    writeOutput,
+    getSigner,
+    getPayroll,
+    outputSafeBatch,
+} = require("./utils");
+
+task(
+    "invalidate-nonces",
+    "Cancel payout nonces: sign the cancelation as an approver, submit the signed cancelations, or output the Safe transaction"
+)
+    .addParam("payroll", "Address of the org's ParcelPayroll proxy")
+    .addOptionalParam("nonces", "Comma separated payout nonces to cancel")
+    .addOptionalParam("fromNonce", "First nonce of a range to cancel")
+    .addOptionalParam("toNonce", "Last nonce of a range to cancel")
+    .addOptionalParam(
+        "approvals",
+        "Comma separated JSON files of the signed cancelations to submit"
+    )
+    .addOptionalParam("signer", "Address of the approver or sender account")
+    .addOptionalParam(
+        "out",
+        "File to write the signed cancelation or the Safe transaction batch to"
+    )
+    .addFlag("sign", "Sign the cancelation as an approver")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre, args.signer);
+        const payroll = await getPayroll(hre, args.payroll, signer);
+
+        let cancellation;
+        if (args.approvals) {
+            cancellation = mergeNonceCancellations(
+                parseList(args.approvals).map(readJson)
+            );
+        } else if (args.nonces) {
+            cancellation = { nonces: parseList(args.nonces) };
+        } else if (args.fromNonce !== undefined) {
+            cancellation = { fromNonce: args.fromNonce, toNonce: args.toNonce };
+        } else {
+            throw new Error("--nonces, --fromNonce or --approvals is required");
+        }
+
+        if (args.sign) {
+            const signed = await signNonceCancellation(
+                signer,
+                payroll,
+                cancellation
+            );
+            writeOutput(args.out, signed);
+            return signed;
+        }
+
+        const data = encodeNonceCancellation(cancellation);
+
+        // Only the org safe can cancel nonces without the signatures of the approvers
+        if (!args.approvals)
+            return outputSafeBatch(
+                hre,
+                await payroll.owner(),
+                "Parcel Payroll nonce cancelation",
+                [{ to: payroll.address, value: 0, data }],
+                args.out
+            );
+
+        const tx = await signer.sendTransaction({ to: payroll.address, data });
+        console.log(`Sent ${tx.hash}`);
+        await tx.wait();
+        return { txHash: tx.hash };
+    });
+
+task(
+    "sweep",
+    "Sweep the available balance of tokens to the org safe, or output the Safe transaction sweeping them to another address"
+)
+    .addParam("payroll", "Address of the org's ParcelPayroll proxy")
+    .addParam(
+        "tokens",
+        "Comma separated token addresses, 0x0000000000000000000000000000000000000000 for native tokens"
+    )
+    .addOptionalParam(
+        "to",
+        "Destination of the tokens, only the org safe can sweep to another address"
+    )
+    .addOptionalParam(
+        "amounts",
+        "Comma separated amounts to sweep to --to, one per token"
+    )
+    .addOptionalParam("signer", "Address of the sender account")
+    .addOptionalParam("out", "File to write the Safe transaction batch to")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre, args.signer);
+        const payroll = await getPayroll(hre, args.payroll, signer);
+        const tokens = parseList(args.tokens);
+
+        if (args.to) {
+            const amounts = parseList(args.amounts);
+            if (amounts.length !== tokens.length)
+                throw new Error("--amounts needs one amount per token");
+
+            return outputSafeBatch(
+                hre,
+                await payroll.owner(),
+                "Parcel Payroll sweep",
+                [
+                    {
+                        to: payroll.address,
+                        value: 0,
+                        data: payroll.interface.encodeFunctionData("sweepTo", [
+                            tokens,
+                            amounts,
+                            args.to,
+                        ]),
+                    },
+                ],
+                args.out
+            );
+        }
+
+        // Anyone can sweep the available balances to the org safe
+        const txHashes = [];
+        for (const token of tokens) {
+            const tx = await payroll.sweep(token);
+            console.log(`Sweeping ${token}: ${tx.hash}`);
+            await tx.wait();
+            txHashes.push(tx.hash);
+        }
+        return { txHashes };
+    });
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+    getFactoryContract,
+    prepareMigration,
+    prepareOrgRegistration,
+} = require("../sdk");
+const { writeOutput, outputSafeBatch } = require("./utils");
+
+task(
+    "list-orgs",
+    "List the orgs onboarded on the factory with the implementation of their proxy, and the orgs behind an implementation"
+)
+    .addParam("factory", "Address of the ParcelPayrollFactory")
+    .addOptionalParam(
+        "implementation",
+        "Address of the target implementation, defaults to the implementation of the factory"
+    )
+    .setAction(async (args, hre) => {
+        const factory = getFactoryContract(args.factory, hre.ethers.provider);
+        const migration = await prepareMigration(factory, args.implementation);
+
+        const report = {
+            implementation: migration.implementation,
+            version: migration.version,
+            upToDate: migration.upToDate,
+            behind: migration.outdated.map(({ transaction, ...org }) => org),
+            retired: migration.retired,
+        };
+        writeOutput(undefined, report);
+        return report;
+    });
+
+task(
+    "migrate-orgs",
+    "Write the Safe transaction upgrading the payrolls of each org behind an implementation"
+)
+    .addParam("factory", "Address of the ParcelPayrollFactory")
+    .addParam(
+        "outDir",
+        "Directory of the Safe transaction batches, one per org"
+    )
+    .addOptionalParam(
+        "implementation",
+        "Address of the target implementation, defaults to the implementation of the factory"
+    )
+    .setAction(async (args, hre) => {
+        const factory = getFactoryContract(args.factory, hre.ethers.provider);
+        const migration = await prepareMigration(factory, args.implementation);
+
+        // An org upgrades all of its payrolls in one batch
+        const outdated = new Map();
+        for (const org of migration.outdated) {
+            outdated.set(org.safeAddress, [
+                ...(outdated.get(org.safeAddress) || []),
+                org,
+            ]);
+        }
+
+        fs.mkdirSync(args.outDir, { recursive: true });
+        const batches = [];
+        for (const [safeAddress, payrolls] of outdated) {
+            const out = path.join(args.outDir, `${safeAddress}.json`);
+            const batch = await outputSafeBatch(
+                hre,
+                safeAddress,
+                "Upgrade Parcel Payroll",
+                payrolls.map(({ transaction }) => transaction),
+                out
+            );
+            batches.push({
+                safeAddress,
+                proxies: payrolls.map(({ proxy }) => proxy),
+                out,
+                batch,
+            });
+        }
+        console.log(
+            `${batches.length} orgs behind ${migration.implementation}, ${migration.upToDate.length} payrolls up to date`
+        );
+        return { ...migration, batches };
+    });
+
+task(
+    "register-orgs",
+    "Write the transaction of the factory owner registering the orgs of the legacy factory missing from the factory"
+)
+    .addParam("factory", "Address of the ParcelPayrollFactory")
+    .addParam("legacyFactory", "Address of the legacy factory")
+    .addOptionalParam(
+        "fromBlock",
+        "Block of the legacy factory deployment",
+        0,
+        types.int
+    )
+    .addOptionalParam("out", "Path of the Safe transaction batch")
+    .setAction(async (args, hre) => {
+        const factory = getFactoryContract(args.factory, hre.ethers.provider);
+        const registration = await prepareOrgRegistration(
+            factory,
+            args.legacyFactory,
+            args.fromBlock
+        );
+
+        console.log(
+            `${registration.missing.length} orgs to register, ${registration.registered.length} registered, ${registration.conflicting.length} conflicting`
+        );
+        if (!registration.transaction) return registration;
+
+        const batch = await outputSafeBatch(
+            hre,
+            await factory.owner(),
+            "Register Parcel Payrolls",
+            [registration.transaction],
+            args.out
+        );
+        return { ...registration, batch };
+    });
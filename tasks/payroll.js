@@ -0,0 +1,142 @@
+const { task, types } = require("hardhat/config");
+const {
+    preparePayroll,
+    verifyPayroll,
+    signPayroll,
+    getSigningRoles,
+    buildExecutePayroll,
+    getPayoutStatuses,
+    formatPayoutStatusTable,
+} = require("../sdk");
+const {
+    parseList,
+    readPayouts,
+    readJson,
+    writeOutput,
+    getSigner,
+    getPayroll,
+} = require("./utils");
+
+task("sign-root", "Sign the root of a payroll batch as an approver")
+    .addParam("payroll", "Address of the org's ParcelPayroll proxy")
+    .addParam("payouts", "CSV or JSON file of the payouts")
+    .addOptionalParam("signer", "Address of the approver account")
+    .addOptionalParam("out", "File to write the signed approval to")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre, args.signer);
+        const payroll = await getPayroll(hre, args.payroll, signer);
+
+        const prepared = await preparePayroll(
+            payroll,
+            readPayouts(args.payouts)
+        );
+        await verifyPayroll(payroll, prepared);
+
+        const roles = await getSigningRoles(
+            payroll,
+            signer.address,
+            prepared.payouts
+        );
+        for (const { payoutNonce, signingAs, counts } of roles) {
+            if (!counts)
+                console.warn(
+                    `Warning: the signature doesn't count towards payout ${payoutNonce}`
+                );
+            else if (signingAs.length > 0)
+                console.log(
+                    `Payout ${payoutNonce} signed as ${signingAs.join(", ")}`
+                );
+        }
+
+        // The leaves let the executor rebuild the tree of the approver
+        const approval = {
+            ...(await signPayroll(signer, payroll, prepared)),
+            leaves: prepared.leaves,
+        };
+        writeOutput(args.out, approval);
+        return approval;
+    });
+
+task(
+    "execute-payroll",
+    "Execute the approved payouts of a payroll batch from the signed approvals"
+)
+    .addParam("payroll", "Address of the org's ParcelPayroll proxy")
+    .addParam("payouts", "CSV or JSON file of the payouts to execute")
+    .addParam(
+        "approvals",
+        "Comma separated JSON files of the approvals, see sign-root"
+    )
+    .addOptionalParam("signer", "Address of the executor account")
+    .addOptionalParam(
+        "gasLimit",
+        "Gas limit of the transaction, estimated by default",
+        undefined,
+        types.int
+    )
+    .addFlag("dryRun", "Only simulate the execution")
+    .addFlag(
+        "multiProof",
+        "Prove the payouts of each root with one multiproof, cheaper on large batches"
+    )
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre, args.signer);
+        const payroll = await getPayroll(hre, args.payroll, signer);
+        const approvals = parseList(args.approvals).map(readJson);
+
+        const { to, calldata, report } = await buildExecutePayroll(
+            payroll,
+            approvals,
+            readPayouts(args.payouts),
+            signer.address,
+            { multiProof: args.multiProof }
+        );
+
+        const table = {};
+        for (const payout of report.payouts) {
+            table[payout.payoutNonce.toString()] = {
+                token: payout.tokenAddress,
+                to: payout.to,
+                amount: payout.amount.toString(),
+                approvals: payout.approvals,
+                outcome: payout.reason
+                    ? `${payout.outcome} (${payout.reason})`
+                    : payout.outcome,
+            };
+        }
+        console.table(table);
+        console.table(
+            report.tokens.map(({ tokenAddress, amount, fetched }) => ({
+                token: tokenAddress,
+                amount: amount.toString(),
+                fetched: fetched ? fetched.toString() : "",
+            }))
+        );
+
+        if (report.reimbursement)
+            console.log(
+                `Gas reimbursed up to ${report.reimbursement.maxPayment} of ${
+                    report.reimbursement.tokenAddress
+                } (nonce ${report.reimbursement.payoutNonce}, ${
+                    report.reimbursement.approved ? "approved" : "not approved"
+                })`
+            );
+
+        if (!report.simulation.success)
+            throw new Error(
+                `The execution reverts: ${report.simulation.error}`
+            );
+        if (args.dryRun) return { report };
+
+        const tx = await signer.sendTransaction({
+            to,
+            data: calldata,
+            gasLimit: args.gasLimit,
+        });
+        console.log(`Sent ${tx.hash}`);
+        await tx.wait();
+
+        const statuses = await getPayoutStatuses(payroll, tx.hash);
+        console.table(formatPayoutStatusTable(statuses));
+        return { report, txHash: tx.hash, statuses };
+    });
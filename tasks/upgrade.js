@@ -0,0 +1,97 @@
+const { task } = require("hardhat/config");
+const { checkUpgrade, whitelistImplementation } = require("../scripts/upgrade");
+const { parseList, writeOutput, getSigner } = require("./utils");
+
+/**
+ * @dev Print the issues of an upgrade check
+ * @param check - Result of checkUpgrade
+ */
+function printCheck({ reference, layout, simulation }) {
+    console.log(`Storage layout compared to ${reference}`);
+    for (const { severity, message } of layout.issues)
+        console.log(`  ${severity}: ${message}`);
+    if (simulation) {
+        console.log(
+            `Upgrade simulated, ${simulation.checked.length} reads checked`
+        );
+        for (const error of simulation.errors) console.log(`  error: ${error}`);
+    }
+}
+
+task(
+    "check-upgrade",
+    "Compare the storage layout of a new ParcelPayroll implementation to the last whitelisted one, and simulate the upgrade of an org proxy"
+)
+    .addParam("implementation", "Name of the new implementation contract")
+    .addOptionalParam(
+        "reference",
+        "Name of the contract to compare to, defaults to the last implementation of the manifest"
+    )
+    .addOptionalParam(
+        "manifestDir",
+        "Directory of the deployment manifests, deployments/ by default"
+    )
+    .addOptionalParam(
+        "manifestNetwork",
+        "Network of the manifest, e.g. the forked network, defaults to the current network"
+    )
+    .addOptionalParam(
+        "proxy",
+        "Address of an org ParcelPayroll proxy to upgrade on the Hardhat network"
+    )
+    .addOptionalParam(
+        "registry",
+        "Address of the AddressRegistry, defaults to the registry of the manifest"
+    )
+    .addOptionalParam(
+        "nonces",
+        "Comma separated payout nonces read before and after the upgrade"
+    )
+    .addOptionalParam("out", "File to write the report to")
+    .setAction(async (args, hre) => {
+        const check = await checkUpgrade(hre, {
+            implementation: args.implementation,
+            reference: args.reference,
+            manifestDir: args.manifestDir,
+            manifestNetwork: args.manifestNetwork,
+            proxy: args.proxy,
+            registry: args.registry,
+            nonces: args.nonces && parseList(args.nonces),
+        });
+        printCheck(check);
+        if (args.out) writeOutput(args.out, check);
+
+        if (!check.safe)
+            throw new Error(`${args.implementation} isn't upgrade safe`);
+        return check;
+    });
+
+task(
+    "whitelist-implementation",
+    "Check a new ParcelPayroll implementation, deploy it at its CREATE2 address and whitelist it in the AddressRegistry"
+)
+    .addParam("implementation", "Name of the new implementation contract")
+    .addOptionalParam(
+        "manifestDir",
+        "Directory of the deployment manifests, deployments/ by default"
+    )
+    .addOptionalParam(
+        "proxy",
+        "Address of an org ParcelPayroll proxy to upgrade first, on a fork of the network"
+    )
+    .addOptionalParam(
+        "nonces",
+        "Comma separated payout nonces read before and after the upgrade"
+    )
+    .addOptionalParam("signer", "Address of the registry owner account")
+    .setAction(async (args, hre) => {
+        const result = await whitelistImplementation(hre, {
+            implementation: args.implementation,
+            manifestDir: args.manifestDir,
+            proxy: args.proxy,
+            nonces: args.nonces && parseList(args.nonces),
+            signer: await getSigner(hre, args.signer),
+        });
+        printCheck(result.check);
+        return result;
+    });
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const { buildSafeBatch } = require("../sdk");
+const { getPayrollAbi } = require("../scripts/deploy");
+
+// Columns of a payouts CSV file, validAfter and validUntil are optional
+const PAYOUT_COLUMNS = [
+    "to",
+    "tokenAddress",
+    "amount",
+    "payoutNonce",
+    "validAfter",
+    "validUntil",
+];
+
+/**
+ * @dev Parse a comma separated list of a task argument
+ * @param list - Comma separated values, e.g. "0xabc,0xdef"
+ * @return Array of trimmed values, empty for an empty list
+ */
+function parseList(list) {
+    if (!list) return [];
+    return list
+        .split(",")
+        .map((value) => value.trim())
+        .filter((value) => value !== "");
+}
+
+/**
+ * @dev Read payouts from a JSON or CSV file
+ * JSON files hold an array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? }
+ * CSV files have a header line naming the same columns, amounts are in the smallest unit of the token
+ * @param file - Path of the file, the format is picked from the extension
+ * @return Array of payouts
+ */
+function readPayouts(file) {
+    const content = fs.readFileSync(file, "utf8");
+    if (file.toLowerCase().endsWith(".json")) {
+        const payouts = JSON.parse(content);
+        if (!Array.isArray(payouts))
+            throw new Error(`${file} doesn't hold an array of payouts`);
+        return payouts;
+    }
+
+    const [header, ...lines] = content
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== "" && !line.startsWith("#"));
+    if (!header) throw new Error(`${file} is empty`);
+
+    const columns = parseList(header);
+    for (const column of columns) {
+        if (!PAYOUT_COLUMNS.includes(column))
+            throw new Error(`Unknown payout column: ${column}`);
+    }
+
+    return lines.map((line, index) => {
+        const values = line.split(",").map((value) => value.trim());
+        if (values.length !== columns.length)
+            throw new Error(`Invalid payout on line ${index + 2} of ${file}`);
+
+        const payout = {};
+        columns.forEach((column, i) => {
+            if (values[i] !== "") payout[column] = values[i];
+        });
+        return payout;
+    });
+}
+
+/**
+ * @dev Read a JSON file
+ * @param file - Path of the file
+ * @return Parsed content
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Write the output of a task to a file, or print it when no file is given
+ * @param out - Path of the output file, optional
+ * @param output - JSON serializable output
+ */
+function writeOutput(out, output) {
+    const json = JSON.stringify(output, null, 2);
+    if (out) {
+        fs.writeFileSync(out, `${json}\n`);
+        console.log(`Written to ${out}`);
+    } else {
+        console.log(json);
+    }
+}
+
+/**
+ * @dev Get the signer of a task, the first account of the network by default
+ * @param hre - Hardhat Runtime Environment
+ * @param address - Address of one of the accounts of the network, optional
+ * @return ethers Signer
+ */
+async function getSigner(hre, address) {
+    const signers = await hre.ethers.getSigners();
+    if (!address) return signers[0];
+
+    const signer = signers.find(
+        (account) => account.address.toLowerCase() === address.toLowerCase()
+    );
+    if (!signer) throw new Error(`${address} is not an account of the network`);
+    return signer;
+}
+
+/**
+ * @dev Get the ParcelPayroll proxy of an org, with the functions of the modules of its implementation
+ * @param hre - Hardhat Runtime Environment
+ * @param address - Address of the ParcelPayroll proxy
+ * @param signer - ethers Signer, optional
+ * @return ethers Contract
+ */
+async function getPayroll(hre, address, signer) {
+    return hre.ethers.getContractAt(await getPayrollAbi(hre), address, signer);
+}
+
+/**
+ * @dev Output the Safe transaction batch of an action only the org safe can take
+ * @param hre - Hardhat Runtime Environment
+ * @param safeAddress - Address of the org safe
+ * @param name - Name of the batch
+ * @param transactions - Array of { to, value, data }
+ * @param out - Path of the output file, optional
+ * @return Safe Transaction Builder batch, see buildSafeBatch
+ */
+async function outputSafeBatch(hre, safeAddress, name, transactions, out) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const batch = buildSafeBatch(chainId, safeAddress, name, transactions);
+    writeOutput(out, batch);
+    return batch;
+}
+
+module.exports = {
+    parseList,
+    readPayouts,
+    readJson,
+    writeOutput,
+    getSigner,
+    getPayroll,
+    outputSafeBatch,
+};
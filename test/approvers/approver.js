@@ -1,246 +1,273 @@
 const { expect } = require("chai");
-const { ALLOWANCE_MODULE } = require("../../utils/constant");
-require("@nomiclabs/hardhat-ethers");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    threshold,
+    execSafeTransaction,
+    deployAllowanceModule,
+    deployStackFixture,
+    deployPayrollFixture,
+    getPayrollAt,
+} = require("../fixtures");
 
 describe("ApprovalManager Contract", () => {
     describe("Approver Manager", function () {
-        let organizer;
-        let signers;
-        const threshold = 2;
         const SENTINEL_ADDRESS = "0x0000000000000000000000000000000000000001";
-        const ADDRESS_ZERO = "0x0000000000000000000000000000000000000000";
-
-        it("fetch signers", async function () {
-            signers = await ethers.getSigners();
-        });
-
-        it("deploy", async function () {
-            const [
-                multisig,
-                operator_1,
-                operator_2,
-                operator_3,
-                masterOperator,
-            ] = signers;
-            const Organizer = await hre.ethers.getContractFactory("Organizer");
-            organizer = await Organizer.deploy(ALLOWANCE_MODULE);
-            await organizer.connect(multisig).deployed();
-
-            // onboard a dao
-            await organizer
-                .connect(multisig)
-                .onboard(
-                    [
-                        operator_1.address,
-                        operator_2.address,
-                        operator_3.address,
-                    ],
-                    threshold
-                );
-        });
+        const ADDRESS_ZERO = ethers.constants.AddressZero;
 
         it("Approves Metadata Should be Valid After Onboarding", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
-            // Checking the Approval Counts
-            expect(await organizer.getApproverCount(multisig.address)).to.equal(
-                3
+            const { payroll, approvers } = await loadFixture(
+                deployPayrollFixture
             );
+            const [operator_1, operator_2, operator_3] = approvers;
 
             // Verifying Threshold
-            expect(await organizer.getThreshold(multisig.address)).to.equal(
-                threshold
-            );
+            expect(await payroll.threshold()).to.equal(threshold);
 
-            const approvers = await organizer.getApprovers(multisig.address);
+            const approverList = await payroll.getApprovers();
 
             // Verifying Approver Addresses
-            expect(approvers).to.include(operator_1.address);
-            expect(approvers).to.include(operator_2.address);
-            expect(approvers).to.include(operator_3.address);
-
-            // Verifying Approvers Length
-            expect(approvers.length).to.equals(3);
+            expect(approverList).to.deep.equal([
+                operator_1.address,
+                operator_2.address,
+                operator_3.address,
+            ]);
+            expect(await payroll.isApprover(operator_1.address)).to.equal(true);
+            expect(await payroll.isApprover(SENTINEL_ADDRESS)).to.equal(false);
         });
 
         it("Should add the approver with threshold", async function () {
-            const [
-                multisig,
-                operator_1,
-                operator_2,
-                operator_3,
-                operator_4,
-                operator_5,
-            ] = signers;
-
-            await organizer
-                .connect(multisig)
-                .addApproverWithThreshold(operator_5.address, 3);
-
-            // Checking the Approval Counts
-            expect(await organizer.getApproverCount(multisig.address)).to.equal(
-                4
+            const { payroll, safe, signers } = await loadFixture(
+                deployPayrollFixture
             );
+            const operator_5 = signers[5];
+
+            await expect(
+                execSafeTransaction(safe, payroll, "addApproverWithThreshold", [
+                    operator_5.address,
+                    3,
+                ])
+            )
+                .to.emit(payroll, "AddedApprover")
+                .withArgs(operator_5.address)
+                .and.to.emit(payroll, "ChangedThreshold")
+                .withArgs(3);
 
             // Verifying Threshold
-            expect(await organizer.getThreshold(multisig.address)).to.equal(3);
+            expect(await payroll.threshold()).to.equal(3);
 
-            const approvers = await organizer.getApprovers(multisig.address);
+            const approverList = await payroll.getApprovers();
+            expect(approverList.length).to.equal(4);
+            expect(approverList).to.include(operator_5.address);
+        });
 
-            // Verifying Approver Addresses
-            expect(approvers).to.include(operator_1.address);
-            expect(approvers).to.include(operator_2.address);
-            expect(approvers).to.include(operator_3.address);
-            expect(approvers).to.include(operator_5.address);
+        it("Should not add the approver if not called by the safe", async function () {
+            const { payroll, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+
+            await expect(
+                payroll
+                    .connect(approvers[0])
+                    .addApproverWithThreshold(signers[5].address, 2)
+            ).to.revertedWith("Ownable: caller is not the owner");
         });
 
         it("Should not add the approver with threshold = 0", async function () {
-            const [
-                multisig,
-                operator_1,
-                operator_2,
-                operator_3,
-                operator_4,
-                operator_5,
-            ] = signers;
+            const { payroll, safe, signers } = await loadFixture(
+                deployPayrollFixture
+            );
 
-            expect(
-                organizer
-                    .connect(multisig)
-                    .addApproverWithThreshold(operator_4.address, 0)
-            ).to.revertedWith("CS015");
+            await expect(
+                execSafeTransaction(safe, payroll, "addApproverWithThreshold", [
+                    signers[5].address,
+                    0,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "ThresholdTooLow")
+                .withArgs(0);
         });
 
         it("Should not add the approver with duplicate address", async function () {
-            const [
-                multisig,
-                operator_1,
-                operator_2,
-                operator_3,
-                operator_4,
-                operator_5,
-            ] = signers;
+            const { payroll, safe, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
 
-            expect(
-                organizer
-                    .connect(multisig)
-                    .addApproverWithThreshold(operator_5.address, 0)
-            ).to.revertedWith("CS002");
+            await expect(
+                execSafeTransaction(safe, payroll, "addApproverWithThreshold", [
+                    approvers[0].address,
+                    2,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "ApproverAlreadyExists")
+                .withArgs(approvers[0].address);
         });
 
-        it("Should not add the approver if invalid Address is provider", async function () {
-            const [
-                multisig,
-                operator_1,
-                operator_2,
-                operator_3,
-                operator_4,
-                operator_5,
-            ] = signers;
-
-            expect(
-                organizer
-                    .connect(multisig)
-                    .addApproverWithThreshold(ADDRESS_ZERO, 3)
-            ).to.revertedWith("CS003");
+        it("Should not add the approver if invalid Address is provided", async function () {
+            const { payroll, safe } = await loadFixture(deployPayrollFixture);
+
+            for (const invalidAddress of [
+                ADDRESS_ZERO,
+                SENTINEL_ADDRESS,
+                safe.address,
+                payroll.address,
+            ]) {
+                await expect(
+                    execSafeTransaction(
+                        safe,
+                        payroll,
+                        "addApproverWithThreshold",
+                        [invalidAddress, 2]
+                    )
+                )
+                    .to.be.revertedWithCustomError(
+                        payroll,
+                        "InvalidAddressProvided"
+                    )
+                    .withArgs(invalidAddress);
+            }
         });
 
         it("Should change the threshold", async function () {
-            const [multisig] = signers;
+            const { payroll, safe } = await loadFixture(deployPayrollFixture);
 
-            await organizer.connect(multisig).changeThreshold(1);
+            await execSafeTransaction(safe, payroll, "changeThreshold", [1]);
 
             // Verifying Threshold
-            expect(await organizer.getThreshold(multisig.address)).to.equal(1);
+            expect(await payroll.threshold()).to.equal(1);
         });
 
         it("Should not change the threshold for zero", async function () {
-            const [multisig] = signers;
+            const { payroll, safe } = await loadFixture(deployPayrollFixture);
 
-            expect(
-                organizer.connect(multisig).changeThreshold(0)
-            ).to.revertedWith("CS015");
+            await expect(
+                execSafeTransaction(safe, payroll, "changeThreshold", [0])
+            ).to.be.revertedWithCustomError(payroll, "ThresholdTooLow");
         });
 
         it("Should not change the threshold for threshold greater than approver Count", async function () {
-            const [multisig] = signers;
+            const { payroll, safe } = await loadFixture(deployPayrollFixture);
 
-            expect(
-                organizer.connect(multisig).changeThreshold(7)
-            ).to.revertedWith("CS016");
+            await expect(
+                execSafeTransaction(safe, payroll, "changeThreshold", [7])
+            )
+                .to.be.revertedWithCustomError(payroll, "ThresholdTooHigh")
+                .withArgs(7, 3);
         });
 
         it("Should remove the approver address", async function () {
-            const [
-                multisig,
-                operator_1,
-                operator_2,
-                operator_3,
-                operator_4,
-                operator_5,
-            ] = signers;
-
-            await organizer
-                .connect(multisig)
-                .removeApprover(SENTINEL_ADDRESS, operator_5.address, 2);
-
-            // Checking the Approval Counts
-            expect(await organizer.getApproverCount(multisig.address)).to.equal(
-                3
+            const { payroll, safe, approvers } = await loadFixture(
+                deployPayrollFixture
             );
+            const [operator_1, operator_2, operator_3] = approvers;
+
+            await expect(
+                execSafeTransaction(
+                    safe,
+                    payroll,
+                    "removeApproverWithThreshold",
+                    [operator_1.address, operator_2.address, 1]
+                )
+            )
+                .to.emit(payroll, "RemovedApprover")
+                .withArgs(operator_2.address);
 
             // Verifying Threshold
-            expect(await organizer.getThreshold(multisig.address)).to.equal(2);
+            expect(await payroll.threshold()).to.equal(1);
 
-            const approvers = await organizer.getApprovers(multisig.address);
-
-            // Verifying Approver Addresses
-            expect(approvers).to.include(operator_1.address);
-            expect(approvers).to.include(operator_2.address);
-            expect(approvers).to.include(operator_3.address);
-            expect(approvers).not.to.include(operator_5.address);
+            expect(await payroll.getApprovers()).to.deep.equal([
+                operator_1.address,
+                operator_3.address,
+            ]);
         });
 
         it("Should not remove the approver address if invalid pair provided", async function () {
-            const [
-                multisig,
-                operator_1,
-                operator_2,
-                operator_3,
-                operator_4,
-                operator_5,
-            ] = signers;
-
-            expect(
-                organizer
-                    .connect(multisig)
-                    .removeApprover(operator_1.address, operator_5.address, 2)
-            ).to.revertedWith("CS017");
+            const { payroll, safe, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const [operator_1, __, operator_3] = approvers;
+
+            await expect(
+                execSafeTransaction(
+                    safe,
+                    payroll,
+                    "removeApproverWithThreshold",
+                    [SENTINEL_ADDRESS, operator_3.address, 2]
+                )
+            )
+                .to.be.revertedWithCustomError(payroll, "ApproverDoesNotExist")
+                .withArgs(operator_3.address);
+
+            expect(await payroll.isApprover(operator_1.address)).to.equal(true);
         });
 
         it("Should swap the approver", async function () {
-            const [multisig, operator_1, operator_2, operator_3, operator_4] =
-                signers;
-
-            await organizer
-                .connect(multisig)
-                .swapApprover(
-                    SENTINEL_ADDRESS,
-                    operator_1.address,
-                    operator_4.address
-                );
-
-            // Verifying Threshold
-            expect(await organizer.getApproverCount(multisig.address)).to.equal(
-                3
+            const { payroll, safe, approvers, signers } = await loadFixture(
+                deployPayrollFixture
             );
+            const [operator_1, operator_2, operator_3] = approvers;
+            const operator_4 = signers[4];
+
+            await execSafeTransaction(safe, payroll, "swapApprover", [
+                SENTINEL_ADDRESS,
+                operator_1.address,
+                operator_4.address,
+            ]);
+
+            expect(await payroll.getApprovers()).to.deep.equal([
+                operator_4.address,
+                operator_2.address,
+                operator_3.address,
+            ]);
+            expect(await payroll.isApprover(operator_1.address)).to.equal(
+                false
+            );
+        });
 
-            const approvers = await organizer.getApprovers(multisig.address);
+        it("Should cap the approvers at 256, every approver having a bit in the approval masks", async function () {
+            const { factory } = await loadFixture(deployStackFixture);
+            const [safe] = await ethers.getSigners();
+            const allowanceModule = await deployAllowanceModule();
+            const addresses = Array.from({ length: 258 }, (_, i) =>
+                ethers.utils.hexZeroPad(ethers.utils.hexlify(0x100 + i), 20)
+            );
+            const onboard = (_approvers) =>
+                factory
+                    .connect(safe)
+                    .onboard(
+                        ethers.constants.HashZero,
+                        ethers.utils.formatBytes32String("approvers"),
+                        _approvers,
+                        1,
+                        allowanceModule.address
+                    );
+            const payroll = await getPayrollAt(factory.address);
+
+            await expect(onboard(addresses.slice(0, 257)))
+                .to.be.revertedWithCustomError(payroll, "TooManyApprovers")
+                .withArgs(256);
+
+            await onboard(addresses.slice(0, 256));
+            const orgPayroll = payroll.attach(
+                await factory.parcelAddress(safe.address)
+            );
 
-            // Verifying Approver Addresses
-            expect(approvers).to.include(operator_2.address);
-            expect(approvers).to.include(operator_3.address);
-            expect(approvers).to.include(operator_4.address);
-            expect(approvers).not.to.include(operator_1.address);
+            // The last approver of the list has the last bit of the masks
+            const approverList = await orgPayroll.getApprovers();
+            expect(approverList.length).to.equal(256);
+            expect(
+                await orgPayroll.isApprovedBy(ADDRESS_ZERO, 1, [
+                    approverList[255],
+                ])
+            ).to.equal(true);
+
+            await expect(
+                orgPayroll
+                    .connect(safe)
+                    .addApproverWithThreshold(addresses[256], 1)
+            )
+                .to.be.revertedWithCustomError(payroll, "TooManyApprovers")
+                .withArgs(256);
         });
     });
 });
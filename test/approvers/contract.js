@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    execSafeTransaction,
+    deployPayrollFixture,
+    signPayouts,
+    getExecuteArgs,
+} = require("../fixtures");
+const {
+    getDomain,
+    getPayrollTxTypedData,
+    signTypedData,
+    encodeContractSignature,
+    recoverTypedDataSigner,
+    signNonceCancellation,
+    submitNonceCancellation,
+} = require("../../sdk");
+
+describe("ApprovalManager Contract", () => {
+    describe("Contract Approvers", function () {
+        /**
+         * @dev Add a contract wallet owned by a signer as an approver of the payroll
+         */
+        async function deployContractApproverFixture() {
+            const fixture = await deployPayrollFixture();
+            const { payroll, safe, signers } = fixture;
+            const walletOwner = signers[6];
+
+            const MockContractWallet = await ethers.getContractFactory(
+                "MockContractWallet"
+            );
+            const wallet = await MockContractWallet.deploy(walletOwner.address);
+            await execSafeTransaction(
+                safe,
+                payroll,
+                "addApproverWithThreshold",
+                [wallet.address, 2]
+            );
+
+            return { ...fixture, wallet, walletOwner };
+        }
+
+        /**
+         * @dev Sign payouts through the contract wallet, the wallet owner signs the typed data
+         */
+        async function signContractPayouts(payroll, wallet, owner, payouts) {
+            const [approval] = await signPayouts(payroll, [owner], payouts);
+            return {
+                ...approval,
+                signature: encodeContractSignature(
+                    wallet.address,
+                    approval.signature
+                ),
+            };
+        }
+
+        it("Should execute payouts approved by a contract wallet", async function () {
+            const { payroll, token, approvers, signers, wallet, walletOwner } =
+                await loadFixture(deployContractApproverFixture);
+            const recipient = signers[5];
+            const payouts = [
+                {
+                    to: recipient.address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+
+            const approvals = [
+                ...(await signPayouts(payroll, approvers.slice(0, 1), payouts)),
+                await signContractPayouts(
+                    payroll,
+                    wallet,
+                    walletOwner,
+                    payouts
+                ),
+            ];
+
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, payouts))
+                )
+            )
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, recipient.address, 100, 1);
+            expect(await token.balanceOf(recipient.address)).to.equal(100);
+        });
+
+        it("Should not accept a signature the contract wallet rejects", async function () {
+            const { payroll, token, approvers, signers, wallet } =
+                await loadFixture(deployContractApproverFixture);
+            const recipient = signers[5];
+            const payouts = [
+                {
+                    to: recipient.address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+
+            // Signed by an approver who doesn't own the wallet
+            const approvals = [
+                ...(await signPayouts(payroll, approvers.slice(0, 1), payouts)),
+                await signContractPayouts(
+                    payroll,
+                    wallet,
+                    approvers[1],
+                    payouts
+                ),
+            ];
+
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, payouts))
+                )
+            ).to.be.revertedWithCustomError(payroll, "InvalidPayoutSignature");
+        });
+
+        it("Should only accept extra signature data from contract signatures", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployContractApproverFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const args = await getExecuteArgs(payroll, approvals, payouts);
+            args[6] = args[6].map((signature) =>
+                ethers.utils.hexConcat([signature, "0x00"])
+            );
+
+            await expect(
+                payroll.executePayroll(...args)
+            ).to.be.revertedWithCustomError(payroll, "InvalidSignatureLength");
+        });
+
+        it("Should cancel a nonce with a contract signature", async function () {
+            const { payroll, signers, wallet, walletOwner } = await loadFixture(
+                deployContractApproverFixture
+            );
+            const sender = signers[5];
+
+            /**
+             * @dev Sign the cancelation through the contract wallet
+             */
+            async function signContractCancellation(owner) {
+                const cancellation = await signNonceCancellation(
+                    owner,
+                    payroll,
+                    { nonce: 7 }
+                );
+                return {
+                    ...cancellation,
+                    approvals: [
+                        {
+                            approver: wallet.address,
+                            signature: encodeContractSignature(
+                                wallet.address,
+                                cancellation.approvals[0].signature
+                            ),
+                        },
+                    ],
+                };
+            }
+
+            // The wallet only accepts signatures of its owner
+            await expect(
+                submitNonceCancellation(
+                    sender,
+                    payroll,
+                    await signContractCancellation(sender)
+                )
+            ).to.be.revertedWithCustomError(payroll, "OnlyApprover");
+
+            // Duplicated signers are rejected like ECDSA signers
+            const cancellation = await signContractCancellation(walletOwner);
+            const { signature } = cancellation.approvals[0];
+            await expect(
+                payroll
+                    .connect(sender)
+                    .invalidateNonceWithSignatures(7, [signature, signature])
+            ).to.be.revertedWithCustomError(payroll, "InvalidCancelSignature");
+
+            await expect(submitNonceCancellation(sender, payroll, cancellation))
+                .to.emit(payroll, "NonceInvalidated")
+                .withArgs(7);
+            expect(await payroll.getPayoutNonce(7)).to.equal(true);
+        });
+
+        it("Should read the signer of a contract signature in the SDK", async function () {
+            const { payroll, wallet, walletOwner } = await loadFixture(
+                deployContractApproverFixture
+            );
+            const typedData = getPayrollTxTypedData(
+                getDomain(
+                    (await ethers.provider.getNetwork()).chainId,
+                    payroll.address
+                ),
+                ethers.constants.HashZero
+            );
+            const signature = await signTypedData(walletOwner, typedData);
+
+            expect(recoverTypedDataSigner(typedData, signature)).to.equal(
+                walletOwner.address
+            );
+            expect(
+                recoverTypedDataSigner(
+                    typedData,
+                    encodeContractSignature(wallet.address, signature)
+                )
+            ).to.equal(wallet.address);
+        });
+    });
+});
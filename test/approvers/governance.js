@@ -0,0 +1,457 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { execSafeTransaction, deployPayrollFixture } = require("../fixtures");
+const {
+    getDomain,
+    getApproverChangeTypedData,
+    hashTypedData,
+    getPrevApprover,
+    signApproverChange,
+    mergeApproverChanges,
+    encodeApproverChangeProposal,
+    submitApproverChange,
+} = require("../../sdk");
+
+const DAY = 24 * 60 * 60;
+
+// ApproverChangeOperation
+const ADD_APPROVER = 0;
+const REMOVE_APPROVER = 1;
+const SWAP_APPROVER = 2;
+
+describe("ApprovalManager Contract", () => {
+    describe("Approver Governance", function () {
+        /**
+         * @dev Enable approver governance with a timelock of a day
+         */
+        async function governanceFixture() {
+            const fixture = await deployPayrollFixture();
+            await execSafeTransaction(
+                fixture.safe,
+                fixture.payroll,
+                "setApproverGovernance",
+                [true, DAY]
+            );
+            return fixture;
+        }
+
+        /**
+         * @dev Sign a change by each approver and merge the approvals
+         */
+        async function signChange(payroll, approvers, change) {
+            return mergeApproverChanges(
+                await Promise.all(
+                    approvers.map((approver) =>
+                        signApproverChange(approver, payroll, change)
+                    )
+                )
+            );
+        }
+
+        it("Should only let the safe enable approver governance", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
+
+            expect(await payroll.approverGovernanceEnabled()).to.equal(false);
+            await expect(
+                submitApproverChange(
+                    approvers[0],
+                    payroll,
+                    await signChange(payroll, approvers.slice(0, 2), {
+                        operation: "ChangeThreshold",
+                        threshold: 1,
+                    })
+                )
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "ApproverGovernanceDisabled"
+            );
+
+            await expect(
+                payroll.setApproverGovernance(true, DAY)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            // The safe needs a timelock to veto the changes
+            await expect(
+                execSafeTransaction(safe, payroll, "setApproverGovernance", [
+                    true,
+                    0,
+                ])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "InvalidApproverChangeDelay"
+                )
+                .withArgs(0);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "setApproverGovernance", [
+                    true,
+                    DAY,
+                ])
+            )
+                .to.emit(payroll, "ChangedApproverGovernance")
+                .withArgs(true, DAY);
+            expect(await payroll.approverGovernanceEnabled()).to.equal(true);
+            expect(await payroll.approverChangeDelay()).to.equal(DAY);
+        });
+
+        it("Should hash the approver changes like the SDK", async function () {
+            const { payroll, signers } = await loadFixture(governanceFixture);
+            const domain = getDomain(
+                (await ethers.provider.getNetwork()).chainId,
+                payroll.address
+            );
+            const change = {
+                operation: ADD_APPROVER,
+                prevApprover: ethers.constants.AddressZero,
+                approver: signers[5].address,
+                newApprover: ethers.constants.AddressZero,
+                threshold: 3,
+            };
+
+            expect(
+                await payroll.getApproverChangeTransactionHash(change, 4)
+            ).to.equal(
+                hashTypedData(getApproverChangeTypedData(domain, change, 4))
+            );
+        });
+
+        it("Should add an approver signed by the threshold of approvers after the timelock", async function () {
+            const { payroll, approvers, signers } = await loadFixture(
+                governanceFixture
+            );
+            const signedChange = await signChange(
+                payroll,
+                approvers.slice(0, 2),
+                {
+                    operation: "AddApprover",
+                    approver: signers[5].address,
+                    threshold: 3,
+                }
+            );
+
+            const proposal = await submitApproverChange(
+                signers[6],
+                payroll,
+                signedChange
+            );
+            const eta = (await time.latest()) + DAY;
+            await expect(proposal)
+                .to.emit(payroll, "ApproverChangeProposed")
+                .withArgs(
+                    0,
+                    ADD_APPROVER,
+                    ethers.constants.AddressZero,
+                    signers[5].address,
+                    ethers.constants.AddressZero,
+                    3,
+                    eta
+                );
+            expect(await payroll.approverChangeNonce()).to.equal(1);
+            expect((await payroll.getPendingApproverChange(0)).eta).to.equal(
+                eta
+            );
+
+            // The signatures can't be replayed with the next change nonce
+            await expect(
+                submitApproverChange(signers[6], payroll, signedChange)
+            ).to.be.revertedWithCustomError(payroll, "OnlyApprover");
+
+            await expect(payroll.executeApproverChange(0))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "ApproverChangeTimelocked"
+                )
+                .withArgs(0, eta);
+
+            await time.increaseTo(eta);
+            await expect(payroll.connect(signers[6]).executeApproverChange(0))
+                .to.emit(payroll, "AddedApprover")
+                .withArgs(signers[5].address)
+                .and.to.emit(payroll, "ChangedThreshold")
+                .withArgs(3)
+                .and.to.emit(payroll, "ApproverChangeExecuted")
+                .withArgs(0);
+            expect(await payroll.isApprover(signers[5].address)).to.equal(true);
+            expect(await payroll.threshold()).to.equal(3);
+
+            await expect(payroll.executeApproverChange(0))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "ApproverChangeNotProposed"
+                )
+                .withArgs(0);
+        });
+
+        it("Should require the threshold of sorted approver signatures", async function () {
+            const { payroll, approvers } = await loadFixture(governanceFixture);
+            const change = {
+                operation: "ChangeThreshold",
+                threshold: 1,
+            };
+
+            await expect(
+                submitApproverChange(
+                    approvers[0],
+                    payroll,
+                    await signChange(payroll, [approvers[0]], change)
+                )
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "InsufficientApproverChangeApprovals"
+                )
+                .withArgs(1, 2);
+
+            const signedChange = await signChange(
+                payroll,
+                approvers.slice(0, 2),
+                change
+            );
+            const signatures = [...signedChange.approvals]
+                .sort((a, b) => (a.approver < b.approver ? 1 : -1))
+                .map(({ signature }) => signature);
+            await expect(
+                payroll.proposeApproverChange(signedChange.change, signatures)
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "InvalidApproverChangeSignature"
+            );
+            expect(() =>
+                encodeApproverChangeProposal({
+                    ...signedChange,
+                    approvals: [
+                        signedChange.approvals[0],
+                        signedChange.approvals[0],
+                    ],
+                })
+            ).to.throw("Duplicate signature");
+        });
+
+        it("Should let the safe veto a proposed change", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                governanceFixture
+            );
+            const prevApprover = await getPrevApprover(
+                payroll,
+                approvers[1].address
+            );
+            expect(prevApprover).to.equal(approvers[0].address);
+
+            await submitApproverChange(
+                approvers[0],
+                payroll,
+                await signChange(payroll, approvers.slice(1), {
+                    operation: "RemoveApprover",
+                    prevApprover,
+                    approver: approvers[0].address,
+                    threshold: 2,
+                })
+            );
+            const pending = await payroll.getPendingApproverChange(0);
+            expect(pending.change.operation).to.equal(REMOVE_APPROVER);
+
+            await expect(
+                payroll.connect(approvers[1]).vetoApproverChange(0)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(
+                execSafeTransaction(safe, payroll, "vetoApproverChange", [0])
+            )
+                .to.emit(payroll, "ApproverChangeVetoed")
+                .withArgs(0);
+
+            await time.increase(DAY);
+            await expect(payroll.executeApproverChange(0))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "ApproverChangeNotProposed"
+                )
+                .withArgs(0);
+            expect(await payroll.isApprover(approvers[0].address)).to.equal(
+                true
+            );
+        });
+
+        it("Should swap an approver and block execution once governance is disabled", async function () {
+            const { payroll, safe, approvers, signers } = await loadFixture(
+                governanceFixture
+            );
+
+            for (const approver of [approvers[0], approvers[2]]) {
+                await submitApproverChange(
+                    signers[6],
+                    payroll,
+                    await signChange(payroll, approvers.slice(0, 2), {
+                        operation: "SwapApprover",
+                        prevApprover: await getPrevApprover(
+                            payroll,
+                            approver.address
+                        ),
+                        approver: approver.address,
+                        newApprover: signers[5].address,
+                    })
+                );
+            }
+            expect(
+                (await payroll.getPendingApproverChange(1)).change.operation
+            ).to.equal(SWAP_APPROVER);
+            await time.increase(DAY);
+
+            await expect(payroll.executeApproverChange(1))
+                .to.emit(payroll, "RemovedApprover")
+                .withArgs(approvers[2].address)
+                .and.to.emit(payroll, "AddedApprover")
+                .withArgs(signers[5].address);
+            expect(await payroll.getApprovers()).to.deep.equal([
+                approvers[0].address,
+                approvers[1].address,
+                signers[5].address,
+            ]);
+
+            await execSafeTransaction(safe, payroll, "setApproverGovernance", [
+                false,
+                0,
+            ]);
+            await expect(
+                payroll.executeApproverChange(0)
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "ApproverGovernanceDisabled"
+            );
+        });
+
+        it("Should drop the pending changes when an approver is removed", async function () {
+            const { payroll, safe, approvers, signers } = await loadFixture(
+                governanceFixture
+            );
+
+            await submitApproverChange(
+                signers[6],
+                payroll,
+                await signChange(payroll, approvers.slice(0, 2), {
+                    operation: "AddApprover",
+                    approver: signers[5].address,
+                    threshold: 2,
+                })
+            );
+            expect(await payroll.getApproverChangeSigners(0)).to.deep.equal(
+                [approvers[0].address, approvers[1].address].sort((a, b) =>
+                    a.toLowerCase() < b.toLowerCase() ? -1 : 1
+                )
+            );
+
+            await expect(
+                execSafeTransaction(
+                    safe,
+                    payroll,
+                    "removeApproverWithThreshold",
+                    [
+                        await getPrevApprover(payroll, approvers[2].address),
+                        approvers[2].address,
+                        2,
+                    ]
+                )
+            )
+                .to.emit(payroll, "ApproverChangesDropped")
+                .withArgs(1);
+            expect(await payroll.minApproverChangeNonce()).to.equal(1);
+            expect((await payroll.getPendingApproverChange(0)).eta).to.equal(0);
+
+            await time.increase(DAY);
+            await expect(payroll.executeApproverChange(0))
+                .to.be.revertedWithCustomError(payroll, "ApproverChangeDropped")
+                .withArgs(0);
+            await expect(
+                execSafeTransaction(safe, payroll, "vetoApproverChange", [0])
+            ).to.be.reverted;
+            expect(await payroll.isApprover(signers[5].address)).to.equal(
+                false
+            );
+        });
+
+        it("Should drop the pending changes when governance is disabled and enabled again", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                governanceFixture
+            );
+
+            await submitApproverChange(
+                approvers[0],
+                payroll,
+                await signChange(payroll, approvers.slice(0, 2), {
+                    operation: "ChangeThreshold",
+                    threshold: 1,
+                })
+            );
+
+            await expect(
+                execSafeTransaction(safe, payroll, "setApproverGovernance", [
+                    false,
+                    0,
+                ])
+            )
+                .to.emit(payroll, "ApproverChangesDropped")
+                .withArgs(1);
+            await execSafeTransaction(safe, payroll, "setApproverGovernance", [
+                true,
+                DAY,
+            ]);
+
+            await time.increase(DAY);
+            await expect(payroll.executeApproverChange(0))
+                .to.be.revertedWithCustomError(payroll, "ApproverChangeDropped")
+                .withArgs(0);
+            expect(await payroll.threshold()).to.equal(2);
+
+            // The changes proposed after the drop can be executed
+            await submitApproverChange(
+                approvers[0],
+                payroll,
+                await signChange(payroll, approvers.slice(0, 2), {
+                    operation: "ChangeThreshold",
+                    threshold: 1,
+                })
+            );
+            await time.increase(DAY);
+            await expect(payroll.executeApproverChange(1))
+                .to.emit(payroll, "ApproverChangeExecuted")
+                .withArgs(1);
+            expect(await payroll.threshold()).to.equal(1);
+        });
+
+        it("Should recount the approvals of a change against the current threshold at execution", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                governanceFixture
+            );
+
+            await submitApproverChange(
+                approvers[0],
+                payroll,
+                await signChange(payroll, approvers.slice(0, 2), {
+                    operation: "ChangeThreshold",
+                    threshold: 1,
+                })
+            );
+            await execSafeTransaction(safe, payroll, "changeThreshold", [3]);
+
+            await time.increase(DAY);
+            await expect(payroll.executeApproverChange(0))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "InsufficientApproverChangeApprovals"
+                )
+                .withArgs(2, 3);
+
+            await execSafeTransaction(safe, payroll, "changeThreshold", [2]);
+            await expect(payroll.executeApproverChange(0))
+                .to.emit(payroll, "ApproverChangeExecuted")
+                .withArgs(0);
+            expect(await payroll.getApproverChangeSigners(0)).to.deep.equal([]);
+        });
+    });
+});
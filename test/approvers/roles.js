@@ -0,0 +1,588 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getExecuteArgs,
+} = require("../fixtures");
+const {
+    encodeRoleName,
+    getRoles,
+    getRequiredRoles,
+    getSigningRoles,
+    buildExecutePayroll,
+    buildClaim,
+} = require("../../sdk");
+
+const FINANCE = encodeRoleName("finance");
+const DIRECTOR = encodeRoleName("director");
+const BOARD = encodeRoleName("board");
+
+describe("ApprovalManager Contract", () => {
+    describe("Approver Roles", function () {
+        /**
+         * @dev Create the roles of the org and the bands of its token
+         * finance - operator_1, operator_2, threshold 1
+         * director - operator_3, threshold 1
+         * board - every approver, threshold 3
+         * Payouts from 10 tokens need 1 finance approval, payouts from 50 tokens need the board including the director,
+         * 3 distinct approvers
+         */
+        async function rolesFixture() {
+            const fixture = await deployPayrollFixture();
+            const { payroll, safe, token, approvers } = fixture;
+
+            for (const [role, members, threshold] of [
+                [FINANCE, approvers.slice(0, 2), 1],
+                [DIRECTOR, approvers.slice(2), 1],
+                [BOARD, approvers, 3],
+            ]) {
+                await execSafeTransaction(safe, payroll, "createRole", [
+                    role,
+                    members.map(({ address }) => address),
+                    threshold,
+                ]);
+            }
+            await execSafeTransaction(safe, payroll, "setAmountBands", [
+                token.address,
+                [10, 50],
+                [[FINANCE], [BOARD, DIRECTOR]],
+                [1, 3],
+            ]);
+
+            return fixture;
+        }
+
+        it("Should only let the safe create roles with reachable thresholds", async function () {
+            const { payroll, safe, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+
+            await expect(
+                payroll.createRole(FINANCE, [approvers[0].address], 1)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            await expect(
+                execSafeTransaction(safe, payroll, "createRole", [
+                    FINANCE,
+                    [approvers[0].address],
+                    2,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "ThresholdTooHigh")
+                .withArgs(2, 1);
+            await expect(
+                execSafeTransaction(safe, payroll, "createRole", [
+                    ethers.constants.HashZero,
+                    [approvers[0].address],
+                    1,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "InvalidRole")
+                .withArgs(ethers.constants.HashZero);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "createRole", [
+                    FINANCE,
+                    [approvers[0].address, approvers[1].address],
+                    1,
+                ])
+            )
+                .to.emit(payroll, "AddedRoleMember")
+                .withArgs(FINANCE, approvers[0].address)
+                .and.to.emit(payroll, "AddedRoleMember")
+                .withArgs(FINANCE, approvers[1].address)
+                .and.to.emit(payroll, "ChangedRoleThreshold")
+                .withArgs(FINANCE, 1);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "createRole", [
+                    FINANCE,
+                    [approvers[2].address],
+                    1,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "InvalidRole")
+                .withArgs(FINANCE);
+
+            expect(await payroll.getRoles()).to.deep.equal([FINANCE]);
+            const role = await payroll.getRole(FINANCE);
+            expect(role.threshold).to.equal(1);
+            expect(role.memberCount).to.equal(2);
+            expect(
+                await payroll.isRoleMember(FINANCE, approvers[1].address)
+            ).to.equal(true);
+            expect(
+                await payroll.isRoleMember(FINANCE, signers[5].address)
+            ).to.equal(false);
+        });
+
+        it("Should manage the members and the threshold of a role", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                rolesFixture
+            );
+
+            await expect(
+                execSafeTransaction(safe, payroll, "addRoleMember", [
+                    FINANCE,
+                    approvers[0].address,
+                ])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "RoleMemberAlreadyExists"
+                )
+                .withArgs(FINANCE, approvers[0].address);
+            await expect(
+                execSafeTransaction(safe, payroll, "addRoleMember", [
+                    encodeRoleName("legal"),
+                    approvers[0].address,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "RoleDoesNotExist")
+                .withArgs(encodeRoleName("legal"));
+
+            await expect(
+                execSafeTransaction(safe, payroll, "addRoleMember", [
+                    DIRECTOR,
+                    approvers[0].address,
+                ])
+            )
+                .to.emit(payroll, "AddedRoleMember")
+                .withArgs(DIRECTOR, approvers[0].address);
+            expect(
+                await payroll.getMemberRoles(approvers[0].address)
+            ).to.deep.equal([FINANCE, DIRECTOR, BOARD]);
+
+            // The threshold has to stay reachable by the remaining members
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRoleMember", [
+                    BOARD,
+                    approvers[0].address,
+                    3,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "ThresholdTooHigh")
+                .withArgs(3, 2);
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRoleMember", [
+                    BOARD,
+                    approvers[0].address,
+                    2,
+                ])
+            )
+                .to.emit(payroll, "RemovedRoleMember")
+                .withArgs(BOARD, approvers[0].address)
+                .and.to.emit(payroll, "ChangedRoleThreshold")
+                .withArgs(BOARD, 2);
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRoleMember", [
+                    BOARD,
+                    approvers[0].address,
+                    2,
+                ])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "RoleMemberDoesNotExist"
+                )
+                .withArgs(BOARD, approvers[0].address);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "changeRoleThreshold", [
+                    FINANCE,
+                    2,
+                ])
+            )
+                .to.emit(payroll, "ChangedRoleThreshold")
+                .withArgs(FINANCE, 2);
+            expect((await payroll.getRole(FINANCE)).threshold).to.equal(2);
+        });
+
+        it("Should select the required roles from sorted amount bands", async function () {
+            const { payroll, safe, token } = await loadFixture(rolesFixture);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "setAmountBands", [
+                    token.address,
+                    [50, 10],
+                    [[FINANCE], [BOARD]],
+                    [1, 3],
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "AmountBandsNotSorted")
+                .withArgs(50, 10);
+            await expect(
+                execSafeTransaction(safe, payroll, "setAmountBands", [
+                    token.address,
+                    [10],
+                    [[FINANCE], [BOARD]],
+                    [1],
+                ])
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "AmountBandLengthMismatch"
+            );
+            await expect(
+                execSafeTransaction(safe, payroll, "setAmountBands", [
+                    token.address,
+                    [10],
+                    [[encodeRoleName("legal")]],
+                    [1],
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "RoleDoesNotExist")
+                .withArgs(encodeRoleName("legal"));
+
+            const bands = await payroll.getAmountBands(token.address);
+            expect(bands.map(({ minAmount }) => minAmount)).to.deep.equal([
+                ethers.BigNumber.from(10),
+                ethers.BigNumber.from(50),
+            ]);
+            expect(bands[1].roles).to.deep.equal([BOARD, DIRECTOR]);
+            expect(bands[1].minSigners).to.equal(3);
+
+            // Payouts under the first band need the threshold of approvers
+            expect(
+                await payroll.getRequiredRoles(token.address, 9)
+            ).to.deep.equal([]);
+            expect(
+                await payroll.getRequiredRoles(token.address, 49)
+            ).to.deep.equal([FINANCE]);
+            expect(
+                await payroll.getRequiredRoles(token.address, 50)
+            ).to.deep.equal([BOARD, DIRECTOR]);
+            expect(
+                await payroll.getRequiredRoles(ethers.constants.AddressZero, 50)
+            ).to.deep.equal([]);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "setAmountBands", [
+                    token.address,
+                    [],
+                    [],
+                    [],
+                ])
+            )
+                .to.emit(payroll, "ChangedAmountBands")
+                .withArgs(token.address, []);
+            expect(
+                await payroll.getRequiredRoles(token.address, 50)
+            ).to.deep.equal([]);
+        });
+
+        it("Should execute small payouts approved by one finance operator", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                rolesFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 20,
+                    payoutNonce: 1,
+                },
+                {
+                    to: signers[6].address,
+                    tokenAddress: token.address,
+                    amount: 5,
+                    payoutNonce: 2,
+                },
+            ];
+
+            expect(
+                await payroll.isApprovedBy(token.address, 20, [
+                    approvers[0].address,
+                ])
+            ).to.equal(true);
+            expect(
+                await payroll.isApprovedBy(token.address, 20, [
+                    approvers[2].address,
+                ])
+            ).to.equal(false);
+
+            // The payout under the bands still needs the threshold of approvers
+            const approvals = await signPayouts(
+                payroll,
+                [approvers[1]],
+                payouts
+            );
+            await payroll.executePayroll(
+                ...(await getExecuteArgs(payroll, approvals, payouts))
+            );
+            expect(await token.balanceOf(signers[5].address)).to.equal(20);
+            expect(await token.balanceOf(signers[6].address)).to.equal(0);
+            expect(await payroll.getPayoutNonce(2)).to.equal(false);
+        });
+
+        it("Should require the board and a director for large payouts", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                rolesFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 60,
+                    payoutNonce: 1,
+                },
+            ];
+
+            // Two approvers reach the threshold of approvers but not the board
+            let approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            await payroll.executePayroll(
+                ...(await getExecuteArgs(payroll, approvals, payouts))
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equal(false);
+            const { calldata, report: claimReport } = await buildClaim(
+                payroll,
+                approvals,
+                payouts[0]
+            );
+            expect(claimReport.approved).to.equal(false);
+            await expect(
+                signers[5].sendTransaction({
+                    to: payroll.address,
+                    data: calldata,
+                })
+            )
+                .to.be.revertedWithCustomError(payroll, "InsufficientApprovals")
+                .withArgs(1);
+
+            approvals = await signPayouts(payroll, approvers, payouts);
+            const { report } = await buildExecutePayroll(
+                payroll,
+                approvals,
+                payouts
+            );
+            expect(report.payouts[0].approved).to.equal(true);
+            await payroll.executePayroll(
+                ...(await getExecuteArgs(payroll, approvals, payouts))
+            );
+            expect(await token.balanceOf(signers[5].address)).to.equal(60);
+        });
+
+        it("Should only count role members while they are approvers", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(rolesFixture);
+            await execSafeTransaction(safe, payroll, "addRoleMember", [
+                FINANCE,
+                signers[5].address,
+            ]);
+
+            expect(
+                await payroll.isApprovedBy(token.address, 20, [
+                    signers[5].address,
+                ])
+            ).to.equal(false);
+
+            await execSafeTransaction(
+                safe,
+                payroll,
+                "addApproverWithThreshold",
+                [signers[5].address, 2]
+            );
+            expect(
+                await payroll.isApprovedBy(token.address, 20, [
+                    signers[5].address,
+                ])
+            ).to.equal(true);
+
+            // The director stops counting once removed from the approvers
+            await execSafeTransaction(
+                safe,
+                payroll,
+                "removeApproverWithThreshold",
+                [approvers[1].address, approvers[2].address, 2]
+            );
+            expect(
+                await payroll.isApprovedBy(
+                    token.address,
+                    50,
+                    approvers.map(({ address }) => address)
+                )
+            ).to.equal(false);
+        });
+
+        it("Should count a member of several required roles once", async function () {
+            const { payroll, safe, token, approvers } = await loadFixture(
+                rolesFixture
+            );
+
+            // operator_1 holds both roles of the band
+            await execSafeTransaction(safe, payroll, "addRoleMember", [
+                DIRECTOR,
+                approvers[0].address,
+            ]);
+            await execSafeTransaction(safe, payroll, "setAmountBands", [
+                token.address,
+                [10],
+                [[FINANCE, DIRECTOR]],
+                [2],
+            ]);
+
+            expect(
+                await payroll.isApprovedBy(token.address, 20, [
+                    approvers[0].address,
+                ])
+            ).to.equal(false);
+            expect(
+                await payroll.isApprovedBy(token.address, 20, [
+                    approvers[0].address,
+                    approvers[2].address,
+                ])
+            ).to.equal(true);
+            expect(
+                await payroll.isApprovedBy(token.address, 20, [
+                    approvers[0].address,
+                    approvers[1].address,
+                ])
+            ).to.equal(true);
+        });
+
+        it("Should only remove roles no band requires", async function () {
+            const { payroll, safe, token, approvers } = await loadFixture(
+                rolesFixture
+            );
+            const directors = [approvers[2].address];
+
+            await expect(
+                payroll.removeRole(DIRECTOR, directors)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRole", [
+                    DIRECTOR,
+                    directors,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "RoleInUse")
+                .withArgs(DIRECTOR);
+
+            await execSafeTransaction(safe, payroll, "setAmountBands", [
+                token.address,
+                [10],
+                [[FINANCE]],
+                [1],
+            ]);
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRole", [DIRECTOR, []])
+            )
+                .to.be.revertedWithCustomError(payroll, "RoleMembersMismatch")
+                .withArgs(DIRECTOR);
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRole", [
+                    DIRECTOR,
+                    [approvers[0].address],
+                ])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "RoleMemberDoesNotExist"
+                )
+                .withArgs(DIRECTOR, approvers[0].address);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRole", [
+                    DIRECTOR,
+                    directors,
+                ])
+            )
+                .to.emit(payroll, "RemovedRoleMember")
+                .withArgs(DIRECTOR, approvers[2].address)
+                .and.to.emit(payroll, "RemovedRole")
+                .withArgs(DIRECTOR);
+            expect(await payroll.getRoles()).to.deep.equal([FINANCE, BOARD]);
+            expect((await payroll.getRole(DIRECTOR)).threshold).to.equal(0);
+            await expect(
+                execSafeTransaction(safe, payroll, "removeRole", [
+                    DIRECTOR,
+                    directors,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "RoleDoesNotExist")
+                .withArgs(DIRECTOR);
+
+            // A role created under the same name starts without the former members
+            await execSafeTransaction(safe, payroll, "createRole", [
+                DIRECTOR,
+                [approvers[1].address],
+                1,
+            ]);
+            expect(
+                await payroll.isRoleMember(DIRECTOR, approvers[2].address)
+            ).to.equal(false);
+            expect((await payroll.getRole(DIRECTOR)).memberCount).to.equal(1);
+        });
+
+        it("Should tell a signer which roles they sign under", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                rolesFixture
+            );
+            const payouts = [5, 20, 60].map((amount, i) => ({
+                to: signers[5].address,
+                tokenAddress: token.address,
+                amount,
+                payoutNonce: i,
+            }));
+
+            const roles = await getRoles(payroll);
+            expect(roles.map(({ name }) => name)).to.deep.equal([
+                "finance",
+                "director",
+                "board",
+            ]);
+            expect(roles[0].members).to.deep.equal([
+                approvers[0].address,
+                approvers[1].address,
+            ]);
+            expect(roles[2].threshold).to.equal(3);
+
+            const required = await getRequiredRoles(payroll, token.address, 60);
+            expect(required.map(({ name }) => name)).to.deep.equal([
+                "board",
+                "director",
+            ]);
+
+            const financeRoles = await getSigningRoles(
+                payroll,
+                approvers[0].address,
+                payouts
+            );
+            expect(
+                financeRoles.map(({ signingAs }) => signingAs)
+            ).to.deep.equal([[], ["finance"], ["board"]]);
+            expect(financeRoles.map(({ counts }) => counts)).to.deep.equal([
+                true,
+                true,
+                true,
+            ]);
+
+            const directorRoles = await getSigningRoles(
+                payroll,
+                approvers[2].address,
+                payouts
+            );
+            expect(
+                directorRoles.map(({ signingAs }) => signingAs)
+            ).to.deep.equal([[], [], ["board", "director"]]);
+            expect(directorRoles[1].counts).to.equal(false);
+
+            const outsider = await getSigningRoles(
+                payroll,
+                signers[5].address,
+                payouts
+            );
+            expect(outsider.map(({ counts }) => counts)).to.deep.equal([
+                false,
+                false,
+                false,
+            ]);
+        });
+    });
+});
@@ -0,0 +1,346 @@
+const hre = require("hardhat");
+const {
+    buildPayrollTree,
+    getDomain,
+    getPayrollTxTypedData,
+    signTypedData,
+    assemblePayroll,
+    assembleStreams,
+    assembleFiatPayroll,
+} = require("../sdk");
+const { deployPayrollModules, getPayrollAbi } = require("../scripts/deploy");
+
+const { ethers } = hre;
+
+const threshold = 2;
+const allowanceAmount = ethers.utils.parseEther("100");
+
+/**
+ * @dev Execute a transaction from the mock safe
+ * @param safe - MockSafe contract connected to its owner
+ * @param contract - Target contract
+ * @param method - Method name
+ * @param args - Method arguments
+ * @param value - Native token value
+ */
+function execSafeTransaction(safe, contract, method, args = [], value = 0) {
+    return safe.execTransaction(
+        contract.address,
+        value,
+        contract.interface.encodeFunctionData(method, args)
+    );
+}
+
+/**
+ * @dev Deploy the allowance module mock
+ * @return AllowanceModule contract
+ */
+async function deployAllowanceModule() {
+    const MockAllowanceModule = await ethers.getContractFactory(
+        "MockAllowanceModule"
+    );
+    return MockAllowanceModule.deploy();
+}
+
+/**
+ * @dev Deploy a ParcelPayroll implementation and its modules
+ * @param name - Name of the implementation artifact
+ * @return Implementation contract
+ */
+async function deployPayrollImplementation(name = "ParcelPayroll") {
+    const modules = await deployPayrollModules(async (moduleName, args) => {
+        const Module = await ethers.getContractFactory(moduleName);
+        return (await Module.deploy(...args)).address;
+    });
+    const Implementation = await ethers.getContractFactory(name);
+    return Implementation.deploy(modules);
+}
+
+/**
+ * @dev Get a ParcelPayroll proxy with the functions of the modules of its implementation
+ * @param address - Address of the ParcelPayroll proxy
+ * @param signer - ethers Signer, optional
+ * @return ParcelPayroll contract
+ */
+async function getPayrollAt(address, signer) {
+    return ethers.getContractAt(await getPayrollAbi(hre), address, signer);
+}
+
+/**
+ * @dev Deploy the registry, singleton and factory of the Parcel stack
+ * @return { addressRegistry, singleton, factory }
+ */
+async function deployStackFixture() {
+    const [deployer] = await ethers.getSigners();
+
+    const AddressRegistry = await ethers.getContractFactory("AddressRegistry");
+    const addressRegistry = await AddressRegistry.deploy(deployer.address);
+
+    const singleton = await deployPayrollImplementation();
+    await addressRegistry.setImplementationWhitelist(singleton.address, true);
+
+    const Factory = await ethers.getContractFactory("ParcelPayrollFactory");
+    const factory = await Factory.deploy(
+        singleton.address,
+        addressRegistry.address,
+        deployer.address
+    );
+
+    return { addressRegistry, singleton, factory };
+}
+
+/**
+ * @dev Deploy a safe with the allowance module enabled, a test token and an onboarded ParcelPayroll proxy.
+ * The payroll contract is a delegate of the safe with an allowance of 100 tokens and 100 native tokens.
+ * Approvers are operator_1, operator_2 and operator_3 with a threshold of 2.
+ * @return { signers, safeOwner, approvers, safe, allowanceModule, token, addressRegistry, singleton, factory, payroll }
+ */
+async function deployPayrollFixture() {
+    const signers = await ethers.getSigners();
+    const [safeOwner, operator_1, operator_2, operator_3] = signers;
+    const approvers = [operator_1, operator_2, operator_3];
+
+    const allowanceModule = await deployAllowanceModule();
+    const { addressRegistry, singleton, factory } = await deployStackFixture();
+
+    const MockSafe = await ethers.getContractFactory("MockSafe");
+    const safe = await MockSafe.deploy(safeOwner.address);
+    await execSafeTransaction(safe, safe, "enableModule", [
+        allowanceModule.address,
+    ]);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Parcel Token", "PRCL");
+    await token.mint(safe.address, allowanceAmount.mul(10));
+    await safeOwner.sendTransaction({
+        to: safe.address,
+        value: allowanceAmount.mul(10),
+    });
+
+    await execSafeTransaction(safe, factory, "onboard", [
+        ethers.constants.HashZero,
+        ethers.utils.formatBytes32String("parcel"),
+        approvers.map(({ address }) => address),
+        threshold,
+        allowanceModule.address,
+    ]);
+    const payroll = await getPayrollAt(
+        await factory.parcelAddress(safe.address)
+    );
+
+    await execSafeTransaction(safe, allowanceModule, "addDelegate", [
+        payroll.address,
+    ]);
+    for (const tokenAddress of [token.address, ethers.constants.AddressZero]) {
+        await execSafeTransaction(safe, allowanceModule, "setAllowance", [
+            payroll.address,
+            tokenAddress,
+            allowanceAmount,
+            0,
+            0,
+        ]);
+    }
+
+    return {
+        signers,
+        safeOwner,
+        approvers,
+        safe,
+        allowanceModule,
+        token,
+        addressRegistry,
+        singleton,
+        factory,
+        payroll,
+    };
+}
+
+/**
+ * @dev Build and sign the payroll tree of each approver
+ * @param payroll - ParcelPayroll contract
+ * @param approvers - Array of approver signers
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? } approved by every approver
+ * @return Array of { root, tree, signature }
+ */
+async function signPayouts(payroll, approvers, payouts) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = getDomain(chainId, payroll.address);
+    const { root, tree } = buildPayrollTree(await payroll.owner(), payouts);
+
+    return Promise.all(
+        approvers.map(async (approver) => ({
+            root,
+            tree,
+            signature: await signTypedData(
+                approver,
+                getPayrollTxTypedData(domain, root)
+            ),
+        }))
+    );
+}
+
+/**
+ * @dev Assemble the executePayroll arguments from signed approvals
+ * @param payroll - ParcelPayroll contract
+ * @param approvals - Array of { root, tree, signature }, see signPayouts
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce } to execute
+ * @return Array of executePayroll arguments
+ */
+async function getExecuteArgs(payroll, approvals, payouts) {
+    const [to, tokenAddress, amount, payoutNonce, validAfter, , ...rest] =
+        await getScheduledArgs(payroll, approvals, payouts);
+    if (validAfter.length > 0)
+        throw new Error("Scheduled payouts need getScheduledArgs");
+
+    return [to, tokenAddress, amount, payoutNonce, ...rest];
+}
+
+/**
+ * @dev Assemble the executeScheduledPayroll arguments from signed approvals, also taken by previewPayroll
+ * @param payroll - ParcelPayroll contract
+ * @param approvals - Array of { root, tree, signature }, see signPayouts
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? } to execute
+ * @return Array of executeScheduledPayroll arguments
+ */
+async function getScheduledArgs(payroll, approvals, payouts) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { args } = assemblePayroll(
+        getDomain(chainId, payroll.address),
+        await payroll.owner(),
+        await payroll.threshold(),
+        approvals,
+        payouts
+    );
+
+    return [
+        args.to,
+        args.tokenAddress,
+        args.amount,
+        args.payoutNonce,
+        args.validAfter,
+        args.validUntil,
+        args.proof,
+        args.roots,
+        args.signatures,
+    ];
+}
+
+/**
+ * @dev Assemble the executePayrollWithReimbursement arguments from signed approvals
+ * @param payroll - ParcelPayroll contract
+ * @param approvals - Array of { root, tree, signature }, see signPayouts
+ * @param payouts - Array of payouts to execute and the reimbursement of the batch, { tokenAddress, amount, payoutNonce, reimbursement: true }
+ * @return Array of executePayrollWithReimbursement arguments
+ */
+async function getReimbursementArgs(payroll, approvals, payouts) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { args } = assemblePayroll(
+        getDomain(chainId, payroll.address),
+        await payroll.owner(),
+        await payroll.threshold(),
+        approvals,
+        payouts
+    );
+
+    return [
+        args.to,
+        args.tokenAddress,
+        args.amount,
+        args.payoutNonce,
+        args.validAfter,
+        args.validUntil,
+        args.proof,
+        args.roots,
+        args.signatures,
+        args.reimbursement,
+    ];
+}
+
+/**
+ * @dev Assemble the executePayrollWithMultiProofs arguments from signed approvals
+ * @param payroll - ParcelPayroll contract
+ * @param approvals - Array of { root, tree, signature }, see signPayouts
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, validAfter?, validUntil? } to execute
+ * @return Array of executePayrollWithMultiProofs arguments
+ */
+async function getMultiProofArgs(payroll, approvals, payouts) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { args } = assemblePayroll(
+        getDomain(chainId, payroll.address),
+        await payroll.owner(),
+        await payroll.threshold(),
+        approvals,
+        payouts,
+        { multiProof: true }
+    );
+
+    return [
+        args.to,
+        args.tokenAddress,
+        args.amount,
+        args.payoutNonce,
+        args.validAfter,
+        args.validUntil,
+        args.multiProofs,
+        args.roots,
+        args.signatures,
+    ];
+}
+
+/**
+ * @dev Assemble the createStreams arguments from signed approvals
+ * @param payroll - ParcelPayroll contract
+ * @param approvals - Array of { root, tree, signature }, see signPayouts
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, stream } to create
+ * @return Array of createStreams arguments
+ */
+async function getStreamArgs(payroll, approvals, payouts) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { args } = assembleStreams(
+        getDomain(chainId, payroll.address),
+        await payroll.owner(),
+        await payroll.threshold(),
+        approvals,
+        payouts
+    );
+
+    return [args.payouts, args.proof, args.roots, args.signatures];
+}
+
+/**
+ * @dev Assemble the executeFiatPayroll arguments from signed approvals
+ * @param payroll - ParcelPayroll contract
+ * @param approvals - Array of { root, tree, signature }, see signPayouts
+ * @param payouts - Array of { to, tokenAddress, amount, payoutNonce, fiat } to execute
+ * @return Array of executeFiatPayroll arguments
+ */
+async function getFiatArgs(payroll, approvals, payouts) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { args } = assembleFiatPayroll(
+        getDomain(chainId, payroll.address),
+        await payroll.owner(),
+        await payroll.threshold(),
+        approvals,
+        payouts
+    );
+
+    return [args.payouts, args.proof, args.roots, args.signatures];
+}
+
+module.exports = {
+    threshold,
+    allowanceAmount,
+    execSafeTransaction,
+    deployAllowanceModule,
+    deployPayrollImplementation,
+    getPayrollAt,
+    deployStackFixture,
+    deployPayrollFixture,
+    signPayouts,
+    getExecuteArgs,
+    getScheduledArgs,
+    getMultiProofArgs,
+    getReimbursementArgs,
+    getStreamArgs,
+    getFiatArgs,
+};
@@ -1,108 +1,676 @@
 const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+    threshold,
+    execSafeTransaction,
+    deployAllowanceModule,
+    deployStackFixture,
+    deployPayrollFixture,
+    signPayouts,
+    getExecuteArgs,
+    getPayrollAt,
+    deployPayrollImplementation,
+} = require("../fixtures");
 const { ALLOWANCE_MODULE } = require("../../utils/constant");
+const { getFactoryContract, prepareOrgRegistration } = require("../../sdk");
 
-describe("Organizer Contract", () => {
+describe("Payroll Factory Contract", () => {
     describe("Onboarding Process", function () {
-        let organizer;
-        let signers;
-        const threshold = 2;
+        const salt = ethers.utils.formatBytes32String("onboarding");
+        const name = ethers.constants.HashZero;
 
-        it("fetch signers", async function () {
-            signers = await ethers.getSigners();
+        it("Should Onboard A Multisig Organisation at the predicted address", async function () {
+            const { factory, singleton } = await loadFixture(
+                deployStackFixture
+            );
+            const allowanceModule = await deployAllowanceModule();
+            const [safe, operator_1, operator_2, operator_3] =
+                await ethers.getSigners();
+            const approvers = [
+                operator_1.address,
+                operator_2.address,
+                operator_3.address,
+            ];
+
+            const prediction = await factory.computeAddress(
+                name,
+                salt,
+                approvers,
+                threshold,
+                safe.address,
+                allowanceModule.address
+            );
+
+            await expect(
+                factory
+                    .connect(safe)
+                    .onboard(
+                        name,
+                        salt,
+                        approvers,
+                        threshold,
+                        allowanceModule.address
+                    )
+            )
+                .to.emit(factory, "OrgOnboarded")
+                .withArgs(
+                    safe.address,
+                    name,
+                    prediction,
+                    singleton.address,
+                    singleton.interface.encodeFunctionData("initialize", [
+                        safe.address,
+                        allowanceModule.address,
+                        approvers,
+                        threshold,
+                    ])
+                );
+
+            expect(await factory.parcelAddress(safe.address)).to.equal(
+                prediction
+            );
+
+            const payroll = await getPayrollAt(prediction);
+            expect(await payroll.owner()).to.equal(safe.address);
+            expect(await payroll.threshold()).to.equal(threshold);
+            expect(await payroll.getApprovers()).to.deep.equal(approvers);
+            expect(await payroll.allowanceModule()).to.equal(
+                allowanceModule.address
+            );
         });
 
-        it("deploy", async function () {
-            const [multisig, __, ___, ____, masterOperator] = signers;
-            const Organizer = await hre.ethers.getContractFactory("Organizer");
-            organizer = await Organizer.deploy(ALLOWANCE_MODULE);
-            await organizer.connect(multisig).deployed();
+        it("Should Not Onboard An Organisation Without Allowance Module", async function () {
+            const { factory } = await loadFixture(deployStackFixture);
+            const [safe, operator_1] = await ethers.getSigners();
+            const payroll = await getPayrollAt(factory.address);
+
+            await expect(
+                factory
+                    .connect(safe)
+                    .onboard(
+                        name,
+                        salt,
+                        [operator_1.address],
+                        1,
+                        ethers.constants.AddressZero
+                    )
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "InvalidAddressProvided"
+                )
+                .withArgs(ethers.constants.AddressZero);
         });
 
-        it("Should Onboard A Multisig Organisation", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
+        it("Should Change The Allowance Module", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const allowanceModule = await deployAllowanceModule();
 
-            // onboard a dao
-            await organizer
-                .connect(multisig)
-                .onboard(
-                    [
-                        operator_1.address,
-                        operator_2.address,
-                        operator_3.address,
-                    ],
-                    threshold
+            await expect(
+                payroll
+                    .connect(approvers[0])
+                    .changeAllowanceModule(allowanceModule.address)
+            ).to.revertedWith("Ownable: caller is not the owner");
+
+            await expect(
+                execSafeTransaction(safe, payroll, "changeAllowanceModule", [
+                    allowanceModule.address,
+                ])
+            )
+                .to.emit(payroll, "ChangedAllowanceModule")
+                .withArgs(allowanceModule.address);
+            expect(await payroll.allowanceModule()).to.equal(
+                allowanceModule.address
+            );
+        });
+
+        it("Should Onboard With The Default Allowance Module Of The Factory", async function () {
+            const { factory } = await loadFixture(deployStackFixture);
+            const allowanceModule = await deployAllowanceModule();
+            const [owner, safe, operator_1] = await ethers.getSigners();
+
+            await expect(
+                factory
+                    .connect(safe)
+                    .setDefaultAllowanceModule(allowanceModule.address)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(
+                factory
+                    .connect(owner)
+                    .setDefaultAllowanceModule(allowanceModule.address)
+            )
+                .to.emit(factory, "DefaultAllowanceModuleChanged")
+                .withArgs(
+                    ethers.constants.AddressZero,
+                    allowanceModule.address
                 );
 
-            const dao = await organizer.orgs(multisig.address);
+            // A zero allowance module resolves to the default one, in the prediction too
+            const args = [
+                name,
+                salt,
+                [operator_1.address],
+                1,
+                ethers.constants.AddressZero,
+            ];
+            const prediction = await factory.computeAddress(
+                ...args.slice(0, 4),
+                safe.address,
+                ethers.constants.AddressZero
+            );
+            expect(prediction).to.equal(
+                await factory.computeAddress(
+                    ...args.slice(0, 4),
+                    safe.address,
+                    allowanceModule.address
+                )
+            );
+            await factory.connect(safe).onboard(...args);
 
-            // verify is dao is onboarded
-            expect(dao.approverCount).to.greaterThan(0);
+            const payroll = await getPayrollAt(prediction);
+            expect(await payroll.allowanceModule()).to.equal(
+                allowanceModule.address
+            );
         });
 
-        it("Should Not Offboard A Multisig Organisation If Transaction Not Send By Multisig", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
+        it("Should Keep The Legacy Allowance Module Of Upgraded Proxies", async function () {
+            const { payroll, safe, token, approvers, addressRegistry } =
+                await loadFixture(deployPayrollFixture);
+            const [recipient] = await ethers.getSigners();
+            const proxy = await ethers.getContractAt(
+                "ParcelTransparentProxy",
+                payroll.address
+            );
 
-            // verify is dao is offboarded
-            expect(organizer.connect(operator_1).offboard()).to.rejectedWith(
-                "CS010"
+            // Proxies initialized before the module was configurable have no module in their storage
+            const legacy = await deployPayrollImplementation(
+                "MockLegacyParcelPayroll"
             );
+            const newSingleton = await deployPayrollImplementation();
+            for (const implementation of [legacy, newSingleton])
+                await addressRegistry.setImplementationWhitelist(
+                    implementation.address,
+                    true
+                );
+            await execSafeTransaction(safe, proxy, "upgradeTo", [
+                legacy.address,
+            ]);
+            await legacy.attach(payroll.address).clearAllowanceModule();
+            await execSafeTransaction(safe, proxy, "upgradeTo", [
+                newSingleton.address,
+            ]);
+
+            expect(await payroll.allowanceModule()).to.equal(ALLOWANCE_MODULE);
+
+            // The payouts are fetched from the module at the legacy address
+            const mockModule = await deployAllowanceModule();
+            await ethers.provider.send("hardhat_setCode", [
+                ALLOWANCE_MODULE,
+                await ethers.provider.getCode(mockModule.address),
+            ]);
+            const allowanceModule = mockModule.attach(ALLOWANCE_MODULE);
+            await execSafeTransaction(safe, safe, "enableModule", [
+                ALLOWANCE_MODULE,
+            ]);
+            await execSafeTransaction(safe, allowanceModule, "addDelegate", [
+                payroll.address,
+            ]);
+            await execSafeTransaction(safe, allowanceModule, "setAllowance", [
+                payroll.address,
+                token.address,
+                100,
+                0,
+                0,
+            ]);
+
+            const payouts = [
+                {
+                    to: recipient.address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(
+                        payroll,
+                        await signPayouts(
+                            payroll,
+                            approvers.slice(0, 2),
+                            payouts
+                        ),
+                        payouts
+                    ))
+                )
+            ).to.changeTokenBalances(token, [safe, recipient], [-100, 100]);
         });
 
-        it("Should Offboard A Multisig Organisation", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
+        it("Should Not Onboard An Organisation Twice", async function () {
+            const { factory, safe, payroll } = await loadFixture(
+                deployPayrollFixture
+            );
+            const [__, operator_1] = await ethers.getSigners();
 
-            // onboard a dao
-            await organizer.connect(multisig).offboard();
+            await expect(
+                execSafeTransaction(safe, factory, "onboard", [
+                    name,
+                    salt,
+                    [operator_1.address],
+                    1,
+                    await payroll.allowanceModule(),
+                ])
+            )
+                .to.be.revertedWithCustomError(factory, "OrgOnboardedAlready")
+                .withArgs(safe.address);
+        });
 
-            const dao = await organizer.orgs(multisig.address);
+        it("Should Not be Able to Initialize the Singleton", async function () {
+            const { singleton } = await loadFixture(deployStackFixture);
+            const [safe, operator_1] = await ethers.getSigners();
 
-            // verify is dao is offboarded
-            expect(dao.approverCount).to.equal(0);
+            await expect(
+                singleton.initialize(
+                    safe.address,
+                    operator_1.address,
+                    [operator_1.address],
+                    1
+                )
+            ).to.revertedWith("Initializable: contract is already initialized");
         });
 
-        it("Should Not be Able to Reannounce Ownership", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
+        it("Should Not be Able to Renounce Ownership", async function () {
+            const { payroll, safe } = await loadFixture(deployPayrollFixture);
 
-            // onboard a dao
-            expect(
-                organizer.connect(multisig).renounceOwnership()
-            ).to.revertedWith("Ownable: cannot renounce ownership");
+            await expect(
+                execSafeTransaction(safe, payroll, "renounceOwnership")
+            ).to.be.revertedWithCustomError(payroll, "CannotRenounceOwnership");
         });
 
-        it("Should be able to pause the Contract", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
+        it("Only Owner be able to change the factory implementation", async function () {
+            const { factory, singleton } = await loadFixture(
+                deployStackFixture
+            );
+            const [owner, other] = await ethers.getSigners();
+
+            await expect(
+                factory
+                    .connect(other)
+                    .setNewImplementationAddress(other.address)
+            ).to.revertedWith("Ownable: caller is not the owner");
+
+            await expect(factory.setNewImplementationAddress(singleton.address))
+                .to.be.revertedWithCustomError(
+                    factory,
+                    "InvalidLogicAddressProvided"
+                )
+                .withArgs(singleton.address);
+
+            const newSingleton = await deployPayrollImplementation();
+            await expect(
+                factory
+                    .connect(owner)
+                    .setNewImplementationAddress(newSingleton.address)
+            )
+                .to.emit(factory, "LogicAddressChanged")
+                .withArgs(singleton.address, newSingleton.address);
+        });
+
+        it("Should track the onboarded orgs and the version of their implementation", async function () {
+            const { factory, singleton, addressRegistry, payroll, safe } =
+                await loadFixture(deployPayrollFixture);
+            const [owner, , , , other] = await ethers.getSigners();
+
+            await factory
+                .connect(other)
+                .onboard(
+                    name,
+                    salt,
+                    [owner.address],
+                    1,
+                    await payroll.allowanceModule()
+                );
+            const otherPayroll = await factory.parcelAddress(other.address);
+
+            expect(await factory.getOrgCount()).to.equal(2);
+            expect(await factory.versionCount()).to.equal(1);
+            expect(await factory.getOrgs(1, 10)).to.deep.equal([
+                [
+                    other.address,
+                    name,
+                    otherPayroll,
+                    singleton.address,
+                    1,
+                    false,
+                ],
+            ]);
+            expect(await factory.getOrgs(2, 10)).to.deep.equal([]);
 
-            // onboard a dao
+            const newSingleton = await deployPayrollImplementation();
+            await addressRegistry.setImplementationWhitelist(
+                newSingleton.address,
+                true
+            );
+            await factory.setNewImplementationAddress(newSingleton.address);
+            expect(
+                await factory.implementationVersion(newSingleton.address)
+            ).to.equal(2);
+
+            // Upgrades by the org safe are read from the proxy
+            const proxy = await ethers.getContractAt(
+                "ParcelTransparentProxy",
+                payroll.address
+            );
+            await execSafeTransaction(safe, proxy, "upgradeTo", [
+                newSingleton.address,
+            ]);
+            expect(await factory.getOrgs(0, 2)).to.deep.equal([
+                [
+                    safe.address,
+                    name,
+                    payroll.address,
+                    newSingleton.address,
+                    2,
+                    false,
+                ],
+                [
+                    other.address,
+                    name,
+                    otherPayroll,
+                    singleton.address,
+                    1,
+                    false,
+                ],
+            ]);
+
+            // Rolling back the factory keeps the versions
+            await factory.setNewImplementationAddress(singleton.address);
+            expect(await factory.versionCount()).to.equal(2);
+            expect(await factory.getOrg(owner.address)).to.deep.equal([
+                ethers.constants.AddressZero,
+                name,
+                owner.address,
+                ethers.constants.AddressZero,
+                0,
+                false,
+            ]);
+        });
 
-            await organizer.connect(multisig).pause();
+        it("Should Onboard Several Named Payrolls Under One Safe", async function () {
+            const { factory, safe, payroll, singleton } = await loadFixture(
+                deployPayrollFixture
+            );
+            const [, operator_1] = await ethers.getSigners();
+            const department = ethers.utils.formatBytes32String("engineering");
+            const args = [
+                salt,
+                [operator_1.address],
+                1,
+                await payroll.allowanceModule(),
+            ];
 
-            const isPaused = await organizer.paused();
-            expect(isPaused).to.equals(true);
+            const prediction = await factory.computeAddress(
+                department,
+                ...args.slice(0, 3),
+                safe.address,
+                args[3]
+            );
+            await expect(
+                execSafeTransaction(safe, factory, "onboard", [
+                    department,
+                    ...args,
+                ])
+            )
+                .to.emit(factory, "OrgOnboarded")
+                .withArgs(
+                    safe.address,
+                    department,
+                    prediction,
+                    singleton.address,
+                    singleton.interface.encodeFunctionData("initialize", [
+                        safe.address,
+                        args[3],
+                        args[1],
+                        1,
+                    ])
+                );
 
             expect(
-                organizer.connect(operator_1).onboard([operator_1.address], 1)
-            ).to.revertedWith("Pausable: paused");
+                await factory.payrollAddress(safe.address, department)
+            ).to.equal(prediction);
+            expect(await factory.parcelAddress(safe.address)).to.equal(
+                payroll.address
+            );
+            expect(await factory.getPayrollNames(safe.address)).to.deep.equal([
+                name,
+                department,
+            ]);
+
+            // The same salt gives another address under another name
+            expect(
+                await factory.computeAddress(
+                    name,
+                    ...args.slice(0, 3),
+                    safe.address,
+                    args[3]
+                )
+            ).to.not.equal(prediction);
+            await expect(
+                execSafeTransaction(safe, factory, "onboard", [
+                    department,
+                    ...args,
+                ])
+            )
+                .to.be.revertedWithCustomError(factory, "OrgOnboardedAlready")
+                .withArgs(safe.address);
+        });
+
+        it("Should Offboard A Retired Payroll And Re-onboard Under Its Name", async function () {
+            const { factory, safe, payroll, singleton } = await loadFixture(
+                deployPayrollFixture
+            );
+            const [, operator_1] = await ethers.getSigners();
+
+            // A paused payroll could be unpaused after its offboarding
+            await execSafeTransaction(safe, payroll, "pause");
+            await expect(execSafeTransaction(safe, factory, "offboard", [name]))
+                .to.be.revertedWithCustomError(factory, "PayrollNotRetired")
+                .withArgs(payroll.address);
+            await expect(
+                execSafeTransaction(safe, factory, "offboard", [
+                    ethers.utils.formatBytes32String("unknown"),
+                ])
+            ).to.be.revertedWithCustomError(factory, "PayrollDoesNotExist");
+
+            await expect(execSafeTransaction(safe, payroll, "retire"))
+                .to.emit(payroll, "PayrollRetired")
+                .withArgs(anyValue);
+            await expect(execSafeTransaction(safe, factory, "offboard", [name]))
+                .to.emit(factory, "OrgOffboarded")
+                .withArgs(safe.address, name, payroll.address);
+
+            // The retired payroll stays paused
+            await expect(
+                execSafeTransaction(safe, payroll, "unpause")
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "CannotUnpauseRetiredPayroll"
+            );
+            await expect(
+                execSafeTransaction(safe, payroll, "retire")
+            ).to.be.revertedWithCustomError(payroll, "PayrollAlreadyRetired");
+            expect(await payroll.paused()).to.equal(true);
+
+            expect(await factory.parcelAddress(safe.address)).to.equal(
+                ethers.constants.AddressZero
+            );
+            expect(await factory.getPayrollNames(safe.address)).to.deep.equal(
+                []
+            );
+            const retired = await factory.getOrg(payroll.address);
+            expect(retired.retired).to.equal(true);
+            expect(retired.implementation).to.equal(singleton.address);
+
+            // The name is free for a new payroll, at a new salt
+            await execSafeTransaction(safe, factory, "onboard", [
+                name,
+                ethers.utils.formatBytes32String("fresh"),
+                [operator_1.address],
+                1,
+                await payroll.allowanceModule(),
+            ]);
+            const fresh = await factory.parcelAddress(safe.address);
+            expect(fresh).to.not.equal(payroll.address);
+            expect(await factory.getOrgCount()).to.equal(2);
+            expect((await factory.getOrg(fresh)).retired).to.equal(false);
         });
 
-        it("Should be able to unpause the Contract", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
+        it("Should Register The Orgs Of The Legacy Factory", async function () {
+            const { factory, safe, payroll, singleton, addressRegistry } =
+                await loadFixture(deployPayrollFixture);
+            const [owner, operator_1, , , other] = await ethers.getSigners();
 
-            // onboard a dao
+            const MockLegacyPayrollFactory = await ethers.getContractFactory(
+                "MockLegacyPayrollFactory"
+            );
+            const legacyFactory = await MockLegacyPayrollFactory.deploy(
+                singleton.address,
+                addressRegistry.address
+            );
+            const legacyArgs = [
+                salt,
+                [operator_1.address],
+                1,
+                await payroll.allowanceModule(),
+            ];
+            await legacyFactory.connect(other).onboard(...legacyArgs);
+            await execSafeTransaction(
+                safe,
+                legacyFactory,
+                "onboard",
+                legacyArgs
+            );
+            const legacyProxy = await legacyFactory.parcelAddress(
+                other.address
+            );
+            const conflictingProxy = await legacyFactory.parcelAddress(
+                safe.address
+            );
 
-            await organizer.connect(multisig).unpause();
+            // The safe onboarded its default payroll on the factory since
+            const registration = await prepareOrgRegistration(
+                getFactoryContract(factory.address, ethers.provider),
+                legacyFactory.address
+            );
+            expect(registration.registered).to.deep.equal([]);
+            expect(registration.conflicting).to.deep.equal([
+                { safeAddress: safe.address, name, proxy: conflictingProxy },
+            ]);
+            expect(registration.missing).to.deep.equal([
+                { safeAddress: other.address, name, proxy: legacyProxy },
+            ]);
 
-            const isPaused = await organizer.paused();
-            expect(isPaused).to.equals(false);
+            await expect(
+                other.sendTransaction(registration.transaction)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(owner.sendTransaction(registration.transaction))
+                .to.emit(factory, "OrgRegistered")
+                .withArgs(other.address, name, legacyProxy);
+
+            expect(await factory.parcelAddress(other.address)).to.equal(
+                legacyProxy
+            );
+            expect(await factory.getOrgCount()).to.equal(2);
+            expect(await factory.getOrg(legacyProxy)).to.deep.equal([
+                other.address,
+                name,
+                legacyProxy,
+                singleton.address,
+                1,
+                false,
+            ]);
+            const registered = await prepareOrgRegistration(
+                getFactoryContract(factory.address, ethers.provider),
+                legacyFactory.address
+            );
+            expect(registered.registered.length).to.equal(1);
+            expect(registered.transaction).to.equal(undefined);
+
+            await expect(
+                factory.registerOrgs([other.address], [name], [legacyProxy])
+            )
+                .to.be.revertedWithCustomError(factory, "OrgRegisteredAlready")
+                .withArgs(legacyProxy);
+            const named = ethers.utils.formatBytes32String("legacy");
+            await expect(
+                factory.registerOrgs(
+                    [other.address],
+                    [named],
+                    [conflictingProxy]
+                )
+            )
+                .to.be.revertedWithCustomError(factory, "ProxyNotOwnedBySafe")
+                .withArgs(conflictingProxy, other.address);
+            await expect(
+                factory.registerOrgs([safe.address], [], [conflictingProxy])
+            ).to.be.revertedWithCustomError(
+                factory,
+                "RegistrationLengthMismatch"
+            );
+
+            // The safe keeps its legacy payroll under another name
+            await expect(
+                factory.registerOrgs(
+                    [safe.address],
+                    [named],
+                    [conflictingProxy]
+                )
+            )
+                .to.emit(factory, "OrgRegistered")
+                .withArgs(safe.address, named, conflictingProxy);
+            expect(await factory.getPayrollNames(safe.address)).to.deep.equal([
+                name,
+                named,
+            ]);
         });
 
-        it("Only Owner be able to pause the Contract", async function () {
-            const [multisig, operator_1, operator_2, operator_3] = signers;
+        it("Should only upgrade the proxy to whitelisted implementations", async function () {
+            const { payroll, safe, addressRegistry } = await loadFixture(
+                deployPayrollFixture
+            );
+            const proxy = await ethers.getContractAt(
+                "ParcelTransparentProxy",
+                payroll.address
+            );
+
+            const newSingleton = await deployPayrollImplementation();
 
-            // onboard a dao
+            await expect(
+                execSafeTransaction(safe, proxy, "upgradeTo", [
+                    newSingleton.address,
+                ])
+            )
+                .to.be.revertedWithCustomError(
+                    proxy,
+                    "ImplementationNotWhitelisted"
+                )
+                .withArgs(newSingleton.address);
 
-            expect(organizer.connect(operator_1).pause()).to.revertedWith(
-                "Ownable: caller is not the owner"
+            await addressRegistry.setImplementationWhitelist(
+                newSingleton.address,
+                true
             );
+            await expect(
+                execSafeTransaction(safe, proxy, "upgradeTo", [
+                    newSingleton.address,
+                ])
+            )
+                .to.emit(proxy, "Upgraded")
+                .withArgs(newSingleton.address);
         });
     });
 });
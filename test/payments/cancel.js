@@ -0,0 +1,414 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getExecuteArgs,
+} = require("../fixtures");
+const {
+    getDomain,
+    getCancelNoncesTypedData,
+    getCancelNonceRangeTypedData,
+    hashTypedData,
+    getNonceSlotRange,
+    signNonceCancellation,
+    mergeNonceCancellations,
+    encodeNonceCancellation,
+    submitNonceCancellation,
+} = require("../../sdk");
+
+// CancelPolicy
+const SINGLE_APPROVER = 0;
+const CANCEL_THRESHOLD = 1;
+const OWNER_ONLY = 2;
+
+describe("Payroll Contract", () => {
+    describe("Nonce Cancelation", function () {
+        /**
+         * @dev Check the usage status of a list of nonces
+         */
+        async function expectNonces(payroll, nonces, used) {
+            for (const nonce of nonces) {
+                expect(await payroll.getPayoutNonce(nonce)).to.equal(
+                    used,
+                    `nonce ${nonce}`
+                );
+            }
+        }
+
+        it("Should hash the cancelations like the SDK", async function () {
+            const { payroll } = await loadFixture(deployPayrollFixture);
+            const domain = getDomain(
+                (await ethers.provider.getNetwork()).chainId,
+                payroll.address
+            );
+
+            expect(
+                await payroll.getCancelNoncesTransactionHash([1, 2, 3])
+            ).to.equal(
+                hashTypedData(getCancelNoncesTypedData(domain, [1, 2, 3]))
+            );
+            expect(
+                await payroll.getCancelNonceRangeTransactionHash(10, 20)
+            ).to.equal(
+                hashTypedData(getCancelNonceRangeTypedData(domain, 10, 20))
+            );
+        });
+
+        it("Should invalidate a single nonce", async function () {
+            const { payroll, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const cancellation = await signNonceCancellation(
+                approvers[0],
+                payroll,
+                { nonce: 7 }
+            );
+
+            await expect(
+                submitNonceCancellation(approvers[1], payroll, cancellation)
+            )
+                .to.emit(payroll, "NonceInvalidated")
+                .withArgs(7);
+            await expectNonces(payroll, [7], true);
+        });
+
+        it("Should invalidate a list of nonces", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const cancellation = await signNonceCancellation(
+                approvers[0],
+                payroll,
+                { nonces: [3, 700, 1] }
+            );
+
+            await expect(
+                submitNonceCancellation(signers[6], payroll, cancellation)
+            )
+                .to.emit(payroll, "NonceInvalidated")
+                .withArgs(3)
+                .and.to.emit(payroll, "NonceInvalidated")
+                .withArgs(700)
+                .and.to.emit(payroll, "NonceInvalidated")
+                .withArgs(1);
+            await expectNonces(payroll, [1, 3, 700], true);
+            await expectNonces(payroll, [2, 699], false);
+
+            // A cancelled payout can't be executed anymore
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 700,
+                },
+            ];
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, payouts))
+                )
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "PayoutNonceAlreadyExecuted"
+                )
+                .withArgs(700);
+        });
+
+        it("Should invalidate a range of nonces across slots", async function () {
+            const { payroll, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const cancellation = await signNonceCancellation(
+                approvers[2],
+                payroll,
+                { fromNonce: 250, toNonce: 520 }
+            );
+
+            await expect(
+                submitNonceCancellation(approvers[2], payroll, cancellation)
+            )
+                .to.emit(payroll, "NonceRangeInvalidated")
+                .withArgs(250, 520);
+            await expectNonces(payroll, [250, 255, 256, 511, 512, 520], true);
+            await expectNonces(payroll, [0, 249, 521, 767], false);
+        });
+
+        it("Should invalidate a whole slot of nonces", async function () {
+            const { payroll, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const { fromNonce, toNonce } = getNonceSlotRange(2);
+            expect(fromNonce).to.equal(512);
+            expect(toNonce).to.equal(767);
+
+            const cancellation = await signNonceCancellation(
+                approvers[0],
+                payroll,
+                { slot: 2 }
+            );
+            await expect(
+                submitNonceCancellation(approvers[0], payroll, cancellation)
+            )
+                .to.emit(payroll, "NonceRangeInvalidated")
+                .withArgs(512, 767);
+            await expectNonces(payroll, [512, 600, 767], true);
+            await expectNonces(payroll, [511, 768], false);
+        });
+
+        it("Should revert on an invalid range or a non-approver signature", async function () {
+            const { payroll, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const { approvals } = await signNonceCancellation(
+                approvers[0],
+                payroll,
+                { fromNonce: 5, toNonce: 5 }
+            );
+            const signatures = approvals.map(({ signature }) => signature);
+
+            await expect(payroll.invalidateNonceRange(6, 5, signatures))
+                .to.be.revertedWithCustomError(payroll, "InvalidNonceRange")
+                .withArgs(6, 5);
+
+            // The signature doesn't cover another range
+            await expect(
+                payroll.invalidateNonceRange(5, 6, signatures)
+            ).to.be.revertedWithCustomError(payroll, "OnlyApprover");
+
+            const outsider = await signNonceCancellation(signers[6], payroll, {
+                nonces: [1, 2],
+            });
+            await expect(
+                submitNonceCancellation(signers[6], payroll, outsider)
+            ).to.be.revertedWithCustomError(payroll, "OnlyApprover");
+        });
+
+        describe("Cancelation Policy", function () {
+            /**
+             * @dev Sign the cancelation of nonce 7 by each approver and merge the approvals
+             */
+            async function signCancellation(payroll, approvers) {
+                return mergeNonceCancellations(
+                    await Promise.all(
+                        approvers.map((approver) =>
+                            signNonceCancellation(approver, payroll, {
+                                nonce: 7,
+                            })
+                        )
+                    )
+                );
+            }
+
+            it("Should only let the safe change the cancelation policy", async function () {
+                const { payroll, safe } = await loadFixture(
+                    deployPayrollFixture
+                );
+
+                expect(await payroll.cancelPolicy()).to.equal(SINGLE_APPROVER);
+                expect(await payroll.cancelThreshold()).to.equal(0);
+
+                await expect(
+                    payroll.changeCancelPolicy(OWNER_ONLY, 0)
+                ).to.be.revertedWith("Ownable: caller is not the owner");
+
+                // The threshold has to be reachable and is only used by the CancelThreshold policy
+                for (const [policy, threshold] of [
+                    [CANCEL_THRESHOLD, 0],
+                    [CANCEL_THRESHOLD, 4],
+                    [OWNER_ONLY, 1],
+                ]) {
+                    await expect(
+                        execSafeTransaction(
+                            safe,
+                            payroll,
+                            "changeCancelPolicy",
+                            [policy, threshold]
+                        )
+                    ).to.be.reverted;
+                }
+
+                await expect(
+                    execSafeTransaction(safe, payroll, "changeCancelPolicy", [
+                        CANCEL_THRESHOLD,
+                        3,
+                    ])
+                )
+                    .to.emit(payroll, "ChangedCancelPolicy")
+                    .withArgs(CANCEL_THRESHOLD, 3);
+                expect(await payroll.cancelPolicy()).to.equal(CANCEL_THRESHOLD);
+                expect(await payroll.cancelThreshold()).to.equal(3);
+            });
+
+            it("Should let a single approver cancel with the SingleApprover policy", async function () {
+                const { payroll, approvers } = await loadFixture(
+                    deployPayrollFixture
+                );
+                const cancellation = await signCancellation(payroll, [
+                    approvers[2],
+                ]);
+
+                // A single signature keeps the invalidateNonce(uint64,bytes) entrypoint
+                expect(
+                    encodeNonceCancellation(cancellation).slice(0, 10)
+                ).to.equal(payroll.interface.getSighash("invalidateNonce"));
+                await expect(
+                    submitNonceCancellation(approvers[0], payroll, cancellation)
+                )
+                    .to.emit(payroll, "NonceInvalidated")
+                    .withArgs(7);
+            });
+
+            it("Should require the cancel threshold with the CancelThreshold policy", async function () {
+                const { payroll, safe, approvers } = await loadFixture(
+                    deployPayrollFixture
+                );
+                await execSafeTransaction(safe, payroll, "changeCancelPolicy", [
+                    CANCEL_THRESHOLD,
+                    2,
+                ]);
+
+                await expect(
+                    submitNonceCancellation(
+                        approvers[0],
+                        payroll,
+                        await signCancellation(payroll, [approvers[0]])
+                    )
+                )
+                    .to.be.revertedWithCustomError(
+                        payroll,
+                        "InsufficientCancelApprovals"
+                    )
+                    .withArgs(1, 2);
+
+                const cancellation = await signCancellation(payroll, [
+                    approvers[2],
+                    approvers[0],
+                ]);
+
+                // Signatures have to be sorted by signer and unique
+                const signatures = [...cancellation.approvals]
+                    .sort((a, b) => (a.approver < b.approver ? 1 : -1))
+                    .map(({ signature }) => signature);
+                await expect(
+                    payroll.invalidateNonceWithSignatures(7, signatures)
+                ).to.be.revertedWithCustomError(
+                    payroll,
+                    "InvalidCancelSignature"
+                );
+                await expect(
+                    payroll.invalidateNonceWithSignatures(7, [
+                        signatures[0],
+                        signatures[0],
+                    ])
+                ).to.be.revertedWithCustomError(
+                    payroll,
+                    "InvalidCancelSignature"
+                );
+                expect(() =>
+                    encodeNonceCancellation({
+                        ...cancellation,
+                        approvals: [
+                            cancellation.approvals[0],
+                            cancellation.approvals[0],
+                        ],
+                    })
+                ).to.throw("Duplicate signature");
+
+                expect(
+                    encodeNonceCancellation(cancellation).slice(0, 10)
+                ).to.equal(
+                    payroll.interface.getSighash(
+                        "invalidateNonceWithSignatures"
+                    )
+                );
+                await expect(
+                    submitNonceCancellation(approvers[1], payroll, cancellation)
+                )
+                    .to.emit(payroll, "NonceInvalidated")
+                    .withArgs(7);
+                expect(await payroll.getPayoutNonce(7)).to.equal(true);
+            });
+
+            it("Should keep the cancel threshold reachable when removing approvers", async function () {
+                const { payroll, safe, approvers } = await loadFixture(
+                    deployPayrollFixture
+                );
+                await execSafeTransaction(safe, payroll, "changeCancelPolicy", [
+                    CANCEL_THRESHOLD,
+                    3,
+                ]);
+
+                await expect(
+                    execSafeTransaction(
+                        safe,
+                        payroll,
+                        "removeApproverWithThreshold",
+                        [approvers[0].address, approvers[1].address, 2]
+                    )
+                ).to.be.reverted;
+            });
+
+            it("Should only let the safe cancel with the OwnerOnly policy", async function () {
+                const { payroll, safe, approvers } = await loadFixture(
+                    deployPayrollFixture
+                );
+                await execSafeTransaction(safe, payroll, "changeCancelPolicy", [
+                    OWNER_ONLY,
+                    0,
+                ]);
+
+                await expect(
+                    submitNonceCancellation(
+                        approvers[0],
+                        payroll,
+                        await signCancellation(payroll, approvers)
+                    )
+                ).to.be.revertedWithCustomError(payroll, "OnlyOwnerCanCancel");
+
+                await expect(
+                    execSafeTransaction(safe, payroll, "invalidateNonces", [
+                        [7, 8],
+                        [],
+                    ])
+                )
+                    .to.emit(payroll, "NonceInvalidated")
+                    .withArgs(8);
+                expect(await payroll.getPayoutNonce(7)).to.equal(true);
+            });
+
+            it("Should always let the safe cancel without signatures", async function () {
+                const { payroll, safe, approvers } = await loadFixture(
+                    deployPayrollFixture
+                );
+
+                await expect(
+                    payroll.connect(approvers[0]).invalidateNonceRange(1, 9, [])
+                )
+                    .to.be.revertedWithCustomError(
+                        payroll,
+                        "InsufficientCancelApprovals"
+                    )
+                    .withArgs(0, 1);
+
+                await expect(
+                    execSafeTransaction(safe, payroll, "invalidateNonceRange", [
+                        1,
+                        9,
+                        [],
+                    ])
+                )
+                    .to.emit(payroll, "NonceRangeInvalidated")
+                    .withArgs(1, 9);
+            });
+        });
+    });
+});
@@ -0,0 +1,294 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getExecuteArgs,
+} = require("../fixtures");
+const { claimPayout } = require("../../sdk");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+const MAX_UINT256 = ethers.constants.MaxUint256;
+const DAY = 24 * 60 * 60;
+
+// PayoutFailureReason
+const NATIVE_TRANSFER_FAILED = 2;
+const PAYOUT_CAP_EXCEEDED = 4;
+const PERIOD_CAP_EXCEEDED = 5;
+const RECIPIENT_CAP_EXCEEDED = 6;
+
+describe("Payroll Contract", () => {
+    describe("Spending Caps", function () {
+        /**
+         * @dev Set the spending caps of a token through the safe
+         */
+        function setSpendingCap(safe, payroll, tokenAddress, caps) {
+            return execSafeTransaction(safe, payroll, "setSpendingCap", [
+                tokenAddress,
+                caps.payoutCap || 0,
+                caps.periodCap || 0,
+                caps.recipientCap || 0,
+                caps.period || 0,
+            ]);
+        }
+
+        /**
+         * @dev Sign the payouts with the first two approvers and execute them
+         */
+        async function executePayouts(payroll, approvers, payouts) {
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            return payroll.executePayroll(
+                ...(await getExecuteArgs(payroll, approvals, payouts))
+            );
+        }
+
+        it("Should only let the safe set valid spending caps", async function () {
+            const { payroll, safe, token, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+
+            await expect(
+                payroll.setSpendingCap(token.address, 100, 0, 0, 0)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            await expect(
+                setSpendingCap(safe, payroll, token.address, { periodCap: 100 })
+            ).to.be.reverted;
+
+            await expect(
+                setSpendingCap(safe, payroll, token.address, {
+                    payoutCap: 50,
+                    periodCap: 100,
+                    recipientCap: 80,
+                    period: DAY,
+                })
+            )
+                .to.emit(payroll, "ChangedSpendingCap")
+                .withArgs(token.address, 50, 100, 80, DAY);
+
+            const cap = await payroll.getSpendingCap(token.address);
+            expect(cap.payoutCap).to.equal(50);
+            expect(cap.periodCap).to.equal(100);
+            expect(cap.recipientCap).to.equal(80);
+            expect(cap.period).to.equal(DAY);
+
+            const now = await time.latest();
+            const [start, end] = await payroll.getCurrentPeriod(token.address);
+            expect(start).to.equal(now - (now % DAY));
+            expect(end).to.equal(start.add(DAY));
+
+            // Tokens without caps have an unlimited budget
+            expect(
+                await payroll.getRemainingPeriodBudget(ADDRESS_ZERO)
+            ).to.equal(MAX_UINT256);
+            expect(
+                await payroll.getRemainingRecipientBudget(
+                    ADDRESS_ZERO,
+                    signers[5].address
+                )
+            ).to.equal(MAX_UINT256);
+        });
+
+        it("Should not fetch a payout over the payout cap", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            await setSpendingCap(safe, payroll, token.address, {
+                payoutCap: 100,
+            });
+
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                {
+                    to: signers[6].address,
+                    tokenAddress: token.address,
+                    amount: 101,
+                    payoutNonce: 2,
+                },
+            ];
+
+            const execution = executePayouts(payroll, approvers, payouts);
+            await expect(execution)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, signers[5].address, 100, 1)
+                .and.to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    signers[6].address,
+                    101,
+                    2,
+                    PAYOUT_CAP_EXCEEDED,
+                    "0x"
+                );
+            await expect(execution).to.changeTokenBalances(
+                token,
+                [safe, payroll],
+                [-100, 0]
+            );
+            expect(await payroll.getPayoutNonce(2)).to.equal(false);
+        });
+
+        it("Should enforce the period cap and reset it every period", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            await setSpendingCap(safe, payroll, token.address, {
+                periodCap: 100,
+                period: DAY,
+            });
+
+            const payouts = [1, 2].map((payoutNonce) => ({
+                to: signers[4 + payoutNonce].address,
+                tokenAddress: token.address,
+                amount: 60,
+                payoutNonce,
+            }));
+
+            await expect(executePayouts(payroll, approvers, payouts))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    signers[6].address,
+                    60,
+                    2,
+                    PERIOD_CAP_EXCEEDED,
+                    "0x"
+                );
+            expect(await payroll.getPayoutNonce(1)).to.equal(true);
+            expect(
+                await payroll.getRemainingPeriodBudget(token.address)
+            ).to.equal(40);
+
+            const [, end] = await payroll.getCurrentPeriod(token.address);
+            await time.increaseTo(end);
+            expect(
+                await payroll.getRemainingPeriodBudget(token.address)
+            ).to.equal(100);
+
+            await expect(
+                executePayouts(payroll, approvers, payouts.slice(1))
+            ).to.emit(payroll, "PayoutSuccessful");
+            expect(
+                await payroll.getRemainingPeriodBudget(token.address)
+            ).to.equal(40);
+        });
+
+        it("Should enforce the recipient cap", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            await setSpendingCap(safe, payroll, token.address, {
+                recipientCap: 100,
+                period: 30 * DAY,
+            });
+
+            const payouts = [1, 2, 3].map((payoutNonce) => ({
+                to: signers[payoutNonce === 3 ? 6 : 5].address,
+                tokenAddress: token.address,
+                amount: 60,
+                payoutNonce,
+            }));
+
+            await expect(executePayouts(payroll, approvers, payouts))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    signers[5].address,
+                    60,
+                    2,
+                    RECIPIENT_CAP_EXCEEDED,
+                    "0x"
+                );
+            expect(await payroll.getPayoutNonce(1)).to.equal(true);
+            expect(await payroll.getPayoutNonce(3)).to.equal(true);
+            expect(
+                await payroll.getRemainingRecipientBudget(
+                    token.address,
+                    signers[5].address
+                )
+            ).to.equal(40);
+            expect(
+                await payroll.getRemainingRecipientBudget(
+                    token.address,
+                    signers[6].address
+                )
+            ).to.equal(40);
+        });
+
+        it("Should not count failed transfers against the caps", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            await setSpendingCap(safe, payroll, ADDRESS_ZERO, {
+                periodCap: 100,
+                period: DAY,
+            });
+
+            // The token contract can't receive native tokens
+            const payouts = [
+                {
+                    to: token.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 60,
+                    payoutNonce: 1,
+                },
+                {
+                    to: signers[5].address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 40,
+                    payoutNonce: 2,
+                },
+            ];
+
+            await expect(executePayouts(payroll, approvers, payouts))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    ADDRESS_ZERO,
+                    token.address,
+                    60,
+                    1,
+                    NATIVE_TRANSFER_FAILED,
+                    "0x"
+                )
+                .and.to.emit(payroll, "PayoutSuccessful")
+                .withArgs(ADDRESS_ZERO, signers[5].address, 40, 2);
+            expect(
+                await payroll.getRemainingPeriodBudget(ADDRESS_ZERO)
+            ).to.equal(60);
+        });
+
+        it("Should not let a recipient claim over the caps", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            await setSpendingCap(safe, payroll, token.address, {
+                payoutCap: 50,
+            });
+
+            const payout = {
+                to: signers[5].address,
+                tokenAddress: token.address,
+                amount: 100,
+                payoutNonce: 1,
+            };
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                [payout]
+            );
+
+            await expect(claimPayout(signers[5], payroll, approvals, payout))
+                .to.be.revertedWithCustomError(payroll, "SpendingCapExceeded")
+                .withArgs(token.address, signers[5].address, 100);
+        });
+    });
+});
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    signPayouts,
+    getExecuteArgs,
+} = require("../fixtures");
+const { buildClaim, claimPayout } = require("../../sdk");
+
+describe("Payroll Contract", () => {
+    describe("Payout Claims", function () {
+        // Payout of 100 tokens to signers[5], approved by the first two approvers
+        async function approvedPayoutFixture() {
+            const fixture = await deployPayrollFixture();
+            const { payroll, token, approvers, signers } = fixture;
+
+            const payout = {
+                to: signers[5].address,
+                tokenAddress: token.address,
+                amount: 100,
+                payoutNonce: 1,
+            };
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                [payout]
+            );
+
+            return { ...fixture, payout, approvals, recipient: signers[5] };
+        }
+
+        it("Should let the recipient claim an approved payout", async function () {
+            const { payroll, safe, token, payout, approvals, recipient } =
+                await loadFixture(approvedPayoutFixture);
+
+            const claim = claimPayout(recipient, payroll, approvals, payout);
+            await expect(claim)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, recipient.address, 100, 1);
+            await expect(claim).to.changeTokenBalances(
+                token,
+                [safe, payroll, recipient],
+                [-100, 0, 100]
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equals(true);
+
+            await expect(claimPayout(recipient, payroll, approvals, payout))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "PayoutNonceAlreadyExecuted"
+                )
+                .withArgs(1);
+
+            // The claimed payout can't be executed again by a relayer
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, [payout]))
+                )
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "PayoutNonceAlreadyExecuted"
+            );
+        });
+
+        it("Should only submit the roots approving the payout", async function () {
+            const { payroll, approvers, payout, approvals, recipient } =
+                await loadFixture(approvedPayoutFixture);
+            const [other] = await signPayouts(
+                payroll,
+                [approvers[2]],
+                [{ ...payout, payoutNonce: 2 }]
+            );
+
+            const { args, report } = await buildClaim(
+                payroll,
+                [other, ...approvals],
+                payout
+            );
+
+            expect(args.roots.length).to.equal(2);
+            expect(report.approvedBy).to.have.members([
+                approvers[0].address,
+                approvers[1].address,
+            ]);
+            expect(report.approved).to.equal(true);
+            expect(report.nonceUsed).to.equal(false);
+            expect(report.simulation).to.deep.equal({ success: true });
+            expect(report.to).to.equal(recipient.address);
+        });
+
+        it("Should not let another address claim the payout", async function () {
+            const { payroll, payout, approvals, signers } = await loadFixture(
+                approvedPayoutFixture
+            );
+            const { args } = await buildClaim(payroll, approvals, payout);
+
+            await expect(
+                payroll
+                    .connect(signers[6])
+                    .claim(
+                        args.tokenAddress,
+                        args.amount,
+                        args.payoutNonce,
+                        args.validAfter,
+                        args.validUntil,
+                        args.proof,
+                        args.roots,
+                        args.signatures
+                    )
+            )
+                .to.be.revertedWithCustomError(payroll, "InsufficientApprovals")
+                .withArgs(1);
+
+            await expect(
+                claimPayout(signers[6], payroll, approvals, payout)
+            ).to.be.rejectedWith(
+                `${signers[6].address} is not the recipient of the payout`
+            );
+        });
+
+        it("Should not claim a payout below the threshold", async function () {
+            const { payroll, payout, approvals, recipient } = await loadFixture(
+                approvedPayoutFixture
+            );
+
+            const { report } = await buildClaim(
+                payroll,
+                approvals.slice(0, 1),
+                payout
+            );
+            expect(report.approved).to.equal(false);
+            expect(report.simulation).to.deep.equal({
+                success: false,
+                error: "InsufficientApprovals(1)",
+            });
+
+            await expect(
+                claimPayout(recipient, payroll, approvals.slice(0, 1), payout)
+            ).to.be.revertedWithCustomError(payroll, "InsufficientApprovals");
+        });
+
+        it("Should not claim a payout outside of its validity window", async function () {
+            const { payroll, token, approvers, recipient } = await loadFixture(
+                approvedPayoutFixture
+            );
+            const validAfter = (await time.latest()) + 3600;
+            const payout = {
+                to: recipient.address,
+                tokenAddress: token.address,
+                amount: 100,
+                payoutNonce: 2,
+                validAfter,
+            };
+            const approvals = await signPayouts(payroll, approvers, [payout]);
+
+            await expect(claimPayout(recipient, payroll, approvals, payout))
+                .to.be.revertedWithCustomError(payroll, "ClaimOutsideValidity")
+                .withArgs(validAfter, 0);
+
+            await time.increaseTo(validAfter);
+            await expect(
+                claimPayout(recipient, payroll, approvals, payout)
+            ).to.changeTokenBalance(token, recipient, 100);
+        });
+
+        it("Should claim native tokens", async function () {
+            const { payroll, safe, approvers, recipient } = await loadFixture(
+                approvedPayoutFixture
+            );
+            const payout = {
+                to: recipient.address,
+                tokenAddress: ethers.constants.AddressZero,
+                amount: 100,
+                payoutNonce: 2,
+            };
+            const approvals = await signPayouts(payroll, approvers, [payout]);
+
+            await expect(
+                claimPayout(recipient, payroll, approvals, payout)
+            ).to.changeEtherBalances([safe, payroll], [-100, 0]);
+        });
+    });
+});
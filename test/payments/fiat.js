@@ -0,0 +1,593 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getFiatArgs,
+    getExecuteArgs,
+} = require("../fixtures");
+const {
+    quoteFiatPayouts,
+    preparePayroll,
+    verifyPayroll,
+    buildExecuteFiatPayroll,
+    encodeRoleName,
+    buildTree,
+    getRoot,
+    getProof,
+    getDomain,
+    getPayrollTxTypedData,
+    signTypedData,
+} = require("../../sdk");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+const USD = ethers.utils.formatBytes32String("USD");
+const MAX_STALENESS = 3600;
+
+// PayoutFailureReason
+const INSUFFICIENT_APPROVALS = 0;
+const PRICE_UNAVAILABLE = 7;
+const SLIPPAGE_EXCEEDED = 8;
+const AMOUNT_OVERFLOW = 9;
+
+describe("Payroll Contract", () => {
+    describe("Fiat Payouts", function () {
+        /**
+         * @dev Payroll fixture with USD price feeds of the token (2 USD) and of the native token (1000 USD)
+         */
+        async function deployFiatFixture() {
+            const fixture = await deployPayrollFixture();
+            const { payroll, safe, token } = fixture;
+
+            const MockAggregator = await ethers.getContractFactory(
+                "MockAggregator"
+            );
+            const tokenFeed = await MockAggregator.deploy(8);
+            const nativeFeed = await MockAggregator.deploy(8);
+            const now = await time.latest();
+            await tokenFeed.setRoundData(2e8, now);
+            await nativeFeed.setRoundData(1000e8, now);
+
+            await execSafeTransaction(safe, payroll, "setPriceFeed", [
+                token.address,
+                USD,
+                tokenFeed.address,
+                MAX_STALENESS,
+            ]);
+            await execSafeTransaction(safe, payroll, "setPriceFeed", [
+                ADDRESS_ZERO,
+                USD,
+                nativeFeed.address,
+                MAX_STALENESS,
+            ]);
+
+            return { ...fixture, tokenFeed, nativeFeed };
+        }
+
+        /**
+         * @dev Fiat payouts of 100 USD with a max slippage of 2%, quoted at the current price
+         */
+        async function getPayouts(payroll, tokenAddresses, recipients) {
+            return quoteFiatPayouts(
+                payroll,
+                recipients.map((recipient, i) => ({
+                    to: recipient.address,
+                    tokenAddress: tokenAddresses[i],
+                    payoutNonce: i + 1,
+                    fiat: {
+                        currency: "USD",
+                        fiatAmount: ethers.utils.parseEther("100"),
+                        maxSlippage: 200,
+                    },
+                }))
+            );
+        }
+
+        it("Should pay fiat payouts at the price of execution", async function () {
+            const { payroll, token, tokenFeed, approvers, signers } =
+                await loadFixture(deployFiatFixture);
+            const recipients = signers.slice(5, 7);
+            const payouts = await getPayouts(
+                payroll,
+                [token.address, ADDRESS_ZERO],
+                recipients
+            );
+            expect(payouts[0].amount).to.equal(ethers.utils.parseEther("50"));
+            expect(payouts[1].amount).to.equal(ethers.utils.parseEther("0.1"));
+
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+
+            // The token gains 1% before the execution, within the slippage of the payouts
+            await tokenFeed.setRoundData(2.02e8, await time.latest());
+            const paid = ethers.utils.parseEther("100").mul(1e8).div(2.02e8);
+
+            const execution = payroll.executeFiatPayroll(
+                ...(await getFiatArgs(payroll, approvals, payouts))
+            );
+            await expect(execution)
+                .to.emit(payroll, "FiatPayoutPriced")
+                .withArgs(1, USD, ethers.utils.parseEther("100"), 2.02e8, paid);
+            await expect(execution)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, recipients[0].address, paid, 1);
+            await expect(execution).to.changeTokenBalance(
+                token,
+                recipients[0],
+                paid
+            );
+            await expect(execution).to.changeEtherBalance(
+                recipients[1],
+                ethers.utils.parseEther("0.1")
+            );
+
+            expect(await payroll.getPayoutNonce(1)).to.equal(true);
+            expect(await payroll.getPayoutNonce(2)).to.equal(true);
+        });
+
+        it("Should skip fiat payouts with a stale price or outside their slippage", async function () {
+            const { payroll, token, tokenFeed, approvers, signers } =
+                await loadFixture(deployFiatFixture);
+            const recipient = signers[5];
+            const payouts = await getPayouts(
+                payroll,
+                [token.address],
+                [recipient]
+            );
+            const args = await getFiatArgs(
+                payroll,
+                await signPayouts(payroll, approvers.slice(0, 2), payouts),
+                payouts
+            );
+
+            await time.increase(MAX_STALENESS + 1);
+            await expect(payroll.executeFiatPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    payouts[0].amount,
+                    1,
+                    PRICE_UNAVAILABLE,
+                    "0x"
+                );
+
+            // The token gains 50%, the converted amount is a third below the quote
+            await tokenFeed.setRoundData(3e8, await time.latest());
+            await expect(payroll.executeFiatPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    payouts[0].amount,
+                    1,
+                    SLIPPAGE_EXCEEDED,
+                    "0x"
+                );
+
+            // Non positive answers are not prices
+            await tokenFeed.setRoundData(0, await time.latest());
+            await expect(payroll.executeFiatPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    payouts[0].amount,
+                    1,
+                    PRICE_UNAVAILABLE,
+                    "0x"
+                );
+            expect(await payroll.getPayoutNonce(1)).to.equal(false);
+
+            // The payout is paid once the price is back within its slippage
+            await tokenFeed.setRoundData(2e8, await time.latest());
+            await expect(
+                payroll.executeFiatPayroll(...args)
+            ).to.changeTokenBalance(token, recipient, payouts[0].amount);
+        });
+
+        it("Should skip fiat payouts with an answer from the future or a feed with too many decimals", async function () {
+            const { payroll, safe, token, tokenFeed, approvers, signers } =
+                await loadFixture(deployFiatFixture);
+            const recipient = signers[5];
+            const payouts = await getPayouts(
+                payroll,
+                [token.address],
+                [recipient]
+            );
+            const args = await getFiatArgs(
+                payroll,
+                await signPayouts(payroll, approvers.slice(0, 2), payouts),
+                payouts
+            );
+
+            await tokenFeed.setRoundData(2e8, (await time.latest()) + 3600);
+            await expect(payroll.executeFiatPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    payouts[0].amount,
+                    1,
+                    PRICE_UNAVAILABLE,
+                    "0x"
+                );
+
+            // The max staleness can't overflow with the answer time
+            await tokenFeed.setRoundData(2e8, await time.latest());
+            await execSafeTransaction(safe, payroll, "setPriceFeed", [
+                token.address,
+                USD,
+                tokenFeed.address,
+                ethers.BigNumber.from(2).pow(64).sub(1),
+            ]);
+            expect(
+                await payroll.quoteFiatAmount(
+                    token.address,
+                    USD,
+                    ethers.utils.parseEther("100")
+                )
+            ).to.equal(payouts[0].amount);
+
+            const MockAggregator = await ethers.getContractFactory(
+                "MockAggregator"
+            );
+            const feed = await MockAggregator.deploy(37);
+            await feed.setRoundData(2e8, await time.latest());
+            await execSafeTransaction(safe, payroll, "setPriceFeed", [
+                token.address,
+                USD,
+                feed.address,
+                MAX_STALENESS,
+            ]);
+            await expect(payroll.executeFiatPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    payouts[0].amount,
+                    1,
+                    PRICE_UNAVAILABLE,
+                    "0x"
+                );
+            await expect(payroll.quoteFiatAmount(token.address, USD, 100))
+                .to.be.revertedWithCustomError(payroll, "PriceFeedUnavailable")
+                .withArgs(token.address, USD);
+            expect(await payroll.getPayoutNonce(1)).to.equal(false);
+        });
+
+        it("Should check the approvals of fiat payouts against their quoted amount", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployFiatFixture
+            );
+            const recipients = signers.slice(5, 7);
+            const payouts = await getPayouts(
+                payroll,
+                [token.address, token.address],
+                recipients
+            );
+
+            // The second approver only approved the first payout
+            const approvals = [
+                ...(await signPayouts(payroll, [approvers[0]], payouts)),
+                ...(await signPayouts(payroll, [approvers[1]], [payouts[0]])),
+            ];
+            const execution = payroll.executeFiatPayroll(
+                ...(await getFiatArgs(payroll, approvals, payouts))
+            );
+            await expect(execution)
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipients[1].address,
+                    payouts[1].amount,
+                    2,
+                    INSUFFICIENT_APPROVALS,
+                    "0x"
+                );
+            await expect(execution).to.changeTokenBalances(token, recipients, [
+                payouts[0].amount,
+                0,
+            ]);
+
+            // A fiat leaf can't be executed as a payout of its quoted amount
+            await expect(
+                getExecuteArgs(payroll, approvals, payouts)
+            ).to.be.rejectedWith("is a fiat payout");
+        });
+
+        it("Should check the approvals of fiat payouts against their converted amount", async function () {
+            const { payroll, safe, token, tokenFeed, approvers, signers } =
+                await loadFixture(deployFiatFixture);
+            const recipient = signers[5];
+            const BOARD = encodeRoleName("board");
+
+            // Payouts from 50.5 tokens need the board
+            await execSafeTransaction(safe, payroll, "createRole", [
+                BOARD,
+                approvers.map(({ address }) => address),
+                3,
+            ]);
+            await execSafeTransaction(safe, payroll, "setAmountBands", [
+                token.address,
+                [ethers.utils.parseEther("50.5")],
+                [[BOARD]],
+                [3],
+            ]);
+
+            const payouts = await getPayouts(
+                payroll,
+                [token.address],
+                [recipient]
+            );
+            const args = await getFiatArgs(
+                payroll,
+                await signPayouts(payroll, approvers.slice(0, 2), payouts),
+                payouts
+            );
+
+            // The token loses 1.5%, the converted amount is within the slippage but in the band of the board
+            await tokenFeed.setRoundData(1.97e8, await time.latest());
+            const converted = ethers.utils
+                .parseEther("100")
+                .mul(1e8)
+                .div(1.97e8);
+            await expect(payroll.executeFiatPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    converted,
+                    1,
+                    INSUFFICIENT_APPROVALS,
+                    "0x"
+                );
+            expect(await payroll.getPayoutNonce(1)).to.equal(false);
+
+            await tokenFeed.setRoundData(2e8, await time.latest());
+            await expect(
+                payroll.executeFiatPayroll(...args)
+            ).to.changeTokenBalance(token, recipient, payouts[0].amount);
+        });
+
+        it("Should skip fiat payouts with a reverting feed, an invalid max slippage or an amount over uint96", async function () {
+            const { payroll, safe, token, tokenFeed, approvers, signers } =
+                await loadFixture(deployFiatFixture);
+            const recipient = signers[5];
+            const payouts = await getPayouts(
+                payroll,
+                [token.address],
+                [recipient]
+            );
+            const args = await getFiatArgs(
+                payroll,
+                await signPayouts(payroll, approvers.slice(0, 2), payouts),
+                payouts
+            );
+
+            // The token has no latestRoundData, the feed reverts
+            await execSafeTransaction(safe, payroll, "setPriceFeed", [
+                token.address,
+                USD,
+                token.address,
+                MAX_STALENESS,
+            ]);
+            await expect(payroll.executeFiatPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    payouts[0].amount,
+                    1,
+                    PRICE_UNAVAILABLE,
+                    "0x"
+                );
+            await expect(payroll.quoteFiatAmount(token.address, USD, 100))
+                .to.be.revertedWithCustomError(payroll, "PriceFeedUnavailable")
+                .withArgs(token.address, USD);
+            await execSafeTransaction(safe, payroll, "setPriceFeed", [
+                token.address,
+                USD,
+                tokenFeed.address,
+                MAX_STALENESS,
+            ]);
+
+            // The SDK rejects a max slippage above 100%, the leaf is signed without it
+            const payout = {
+                to: recipient.address,
+                tokenAddress: token.address,
+                amount: payouts[0].amount,
+                payoutNonce: 2,
+                currency: USD,
+                fiatAmount: ethers.utils.parseEther("100"),
+                maxSlippage: 10001,
+            };
+            const leaf = await payroll.encodeFiatTransactionData(
+                payout.to,
+                payout.tokenAddress,
+                payout.amount,
+                payout.payoutNonce,
+                payout.currency,
+                payout.fiatAmount,
+                payout.maxSlippage
+            );
+            const tree = buildTree([leaf]);
+            const root = getRoot(tree);
+            const { chainId } = await ethers.provider.getNetwork();
+            const typedData = getPayrollTxTypedData(
+                getDomain(chainId, payroll.address),
+                root
+            );
+            const sortedApprovers = [...approvers.slice(0, 2)].sort((a, b) =>
+                a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1
+            );
+            await expect(
+                payroll.executeFiatPayroll(
+                    [payout],
+                    [[getProof(tree, leaf), getProof(tree, leaf)]],
+                    [root, root],
+                    await Promise.all(
+                        sortedApprovers.map((signer) =>
+                            signTypedData(signer, typedData)
+                        )
+                    )
+                )
+            )
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    payout.amount,
+                    2,
+                    SLIPPAGE_EXCEEDED,
+                    "0x"
+                );
+
+            // At 1e-8 USD, 1000 USD are more tokens than the Allowance Module transfers
+            await tokenFeed.setRoundData(1, await time.latest());
+            const [largePayout] = await quoteFiatPayouts(payroll, [
+                {
+                    to: recipient.address,
+                    tokenAddress: token.address,
+                    payoutNonce: 3,
+                    fiat: {
+                        currency: "USD",
+                        fiatAmount: ethers.utils.parseEther("1000"),
+                        maxSlippage: 200,
+                    },
+                },
+            ]);
+            expect(largePayout.amount).to.be.gt(
+                ethers.BigNumber.from(2).pow(96)
+            );
+            await expect(
+                payroll.executeFiatPayroll(
+                    ...(await getFiatArgs(
+                        payroll,
+                        await signPayouts(payroll, approvers.slice(0, 2), [
+                            largePayout,
+                        ]),
+                        [largePayout]
+                    ))
+                )
+            )
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipient.address,
+                    largePayout.amount,
+                    3,
+                    AMOUNT_OVERFLOW,
+                    "0x"
+                );
+        });
+
+        it("Should only let the org set price feeds", async function () {
+            const { payroll, safe, token, tokenFeed, approvers } =
+                await loadFixture(deployFiatFixture);
+
+            await expect(
+                payroll
+                    .connect(approvers[0])
+                    .setPriceFeed(
+                        token.address,
+                        USD,
+                        tokenFeed.address,
+                        MAX_STALENESS
+                    )
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            // A feed needs a staleness bound
+            await expect(
+                execSafeTransaction(safe, payroll, "setPriceFeed", [
+                    token.address,
+                    USD,
+                    tokenFeed.address,
+                    0,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "InvalidPriceFeed")
+                .withArgs(token.address, USD);
+
+            expect(
+                await payroll.getPriceFeed(token.address, USD)
+            ).to.deep.equal([tokenFeed.address, MAX_STALENESS]);
+            await expect(
+                execSafeTransaction(safe, payroll, "setPriceFeed", [
+                    token.address,
+                    USD,
+                    ADDRESS_ZERO,
+                    0,
+                ])
+            )
+                .to.emit(payroll, "ChangedPriceFeed")
+                .withArgs(token.address, USD, ADDRESS_ZERO, 0);
+            await expect(payroll.quoteFiatAmount(token.address, USD, 100))
+                .to.be.revertedWithCustomError(payroll, "PriceFeedUnavailable")
+                .withArgs(token.address, USD);
+        });
+
+        it("Should verify and assemble fiat payouts in the SDK", async function () {
+            const { payroll, token, tokenFeed, approvers, signers } =
+                await loadFixture(deployFiatFixture);
+            const payouts = await getPayouts(
+                payroll,
+                [token.address, ADDRESS_ZERO],
+                signers.slice(5, 7)
+            );
+
+            const prepared = await preparePayroll(payroll, payouts);
+            await verifyPayroll(payroll, prepared);
+            expect(prepared.leaves[0]).to.equal(
+                await payroll.encodeFiatTransactionData(
+                    payouts[0].to,
+                    token.address,
+                    payouts[0].amount,
+                    1,
+                    USD,
+                    ethers.utils.parseEther("100"),
+                    200
+                )
+            );
+
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            await tokenFeed.setRoundData(3e8, await time.latest());
+            const { calldata, report } = await buildExecuteFiatPayroll(
+                payroll,
+                approvals,
+                payouts
+            );
+            expect(report.payouts[0]).to.deep.include({
+                approved: true,
+                withinSlippage: false,
+                executable: false,
+            });
+            expect(report.payouts[1]).to.deep.include({
+                withinSlippage: true,
+                executable: true,
+            });
+
+            await expect(
+                approvers[0].sendTransaction({
+                    to: payroll.address,
+                    data: calldata,
+                })
+            )
+                .to.emit(payroll, "FiatPayoutPriced")
+                .withArgs(2, USD, anyValue, 1000e8, payouts[1].amount);
+        });
+    });
+});
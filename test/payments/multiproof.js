@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    signPayouts,
+    getMultiProofArgs,
+} = require("../fixtures");
+
+// PayoutFailureReason
+const INSUFFICIENT_APPROVALS = 0;
+
+describe("Payroll Contract", () => {
+    describe("Multiproof Execution", function () {
+        /**
+         * @dev Payouts of the fixture token to distinct recipients
+         */
+        function getPayouts(token, recipients) {
+            return recipients.map((recipient, i) => ({
+                to: recipient.address,
+                tokenAddress: token.address,
+                amount: 100,
+                payoutNonce: i + 1,
+            }));
+        }
+
+        it("Should execute payouts proven with one multiproof per root", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const recipients = signers.slice(5, 10);
+            const payouts = getPayouts(token, recipients);
+
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+
+            // Execute part of the approved payouts
+            const execution = payroll.executePayrollWithMultiProofs(
+                ...(await getMultiProofArgs(payroll, approvals, [
+                    payouts[0],
+                    payouts[2],
+                    payouts[3],
+                ]))
+            );
+            await expect(execution)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, recipients[2].address, 100, 3);
+            await expect(execution).to.changeTokenBalances(
+                token,
+                recipients,
+                [100, 0, 100, 100, 0]
+            );
+
+            expect(await payroll.getPayoutNonce(2)).to.equal(false);
+            expect(await payroll.getPayoutNonce(4)).to.equal(true);
+        });
+
+        it("Should only count the approvers whose multiproof includes a payout", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const recipients = signers.slice(5, 8);
+            const payouts = getPayouts(token, recipients);
+
+            // The second approver only approved the first payout, the third one the second payout
+            const approvals = [
+                ...(await signPayouts(payroll, [approvers[0]], payouts)),
+                ...(await signPayouts(payroll, [approvers[1]], [payouts[0]])),
+                ...(await signPayouts(payroll, [approvers[2]], [payouts[1]])),
+            ];
+
+            const execution = payroll.executePayrollWithMultiProofs(
+                ...(await getMultiProofArgs(payroll, approvals, payouts))
+            );
+            await expect(execution)
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    recipients[2].address,
+                    100,
+                    3,
+                    INSUFFICIENT_APPROVALS,
+                    "0x"
+                );
+            await expect(execution).to.changeTokenBalances(
+                token,
+                recipients,
+                [100, 100, 0]
+            );
+        });
+
+        it("Should revert on an invalid multiproof", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = getPayouts(token, signers.slice(5, 8));
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            const args = await getMultiProofArgs(payroll, approvals, payouts);
+
+            // A tampered amount changes the leaf
+            const tampered = [...args];
+            tampered[2] = [200, ...args[2].slice(1)];
+            await expect(payroll.executePayrollWithMultiProofs(...tampered))
+                .to.be.revertedWithCustomError(payroll, "InvalidMultiProof")
+                .withArgs(args[7][0]);
+
+            // Leaf indices outside the batch
+            const outOfRange = [...args];
+            outOfRange[6] = args[6].map((multiProof) => ({
+                ...multiProof,
+                leafIndices: multiProof.leafIndices.map((index) => index + 3),
+            }));
+            await expect(payroll.executePayrollWithMultiProofs(...outOfRange))
+                .to.be.revertedWithCustomError(payroll, "InvalidMultiProof")
+                .withArgs(args[7][0]);
+
+            // Proof elements left unused by the hashes of the multiproof
+            const unconsumed = [...args];
+            unconsumed[6] = args[6].map((multiProof) => ({
+                ...multiProof,
+                proof: [...multiProof.proof, args[7][0]],
+            }));
+            await expect(payroll.executePayrollWithMultiProofs(...unconsumed))
+                .to.be.revertedWithCustomError(payroll, "InvalidMultiProof")
+                .withArgs(args[7][0]);
+        });
+
+        it("Should revert when the multiproofs don't match the roots", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = getPayouts(token, signers.slice(5, 7));
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            const args = await getMultiProofArgs(payroll, approvals, payouts);
+            args[6] = args[6].slice(1);
+
+            await expect(
+                payroll.executePayrollWithMultiProofs(...args)
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "MultiProofLengthMismatch"
+            );
+        });
+    });
+});
@@ -1,54 +1,45 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { default: MerkleTree } = require("merkletreejs");
-const { ALLOWANCE_MODULE } = require("../../utils/constant");
-const GnosisSafe = require("../../utils/GnosisSafe.json");
-const AllowanceModule = require("../../utils/AllowanceModule.json");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    execSafeTransaction,
+    deployPayrollFixture,
+    signPayouts,
+    getExecuteArgs,
+} = require("../fixtures");
+const {
+    getDomain,
+    getCancelNonceTypedData,
+    signTypedData,
+} = require("../../sdk");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
 
 describe("Payroll Contract", () => {
     describe("Payroll Execution Process", function () {
-        let organizer;
-        let signers;
-        const threshold = 2;
-
-        const PayrollTx = [{ name: "rootHash", type: "bytes32" }];
-
-        let domainData;
-
-        const abiCoder = new ethers.utils.AbiCoder();
-
-        it("fetch signers", async function () {
-            signers = await ethers.getSigners();
-        });
-
-        it("deploy", async function () {
-            const [operator1, operator2] = signers;
-            const Organizer = await hre.ethers.getContractFactory("Organizer");
-            organizer = await Organizer.connect(operator2).deploy(
-                ALLOWANCE_MODULE
-            );
-            await organizer.deployed();
-        });
-
         it("encodeTransactionData, Should Generate the correct hash", async function () {
+            const { payroll, safe, token, signers } = await loadFixture(
+                deployPayrollFixture
+            );
             const metadata = {
-                to: "0x2fEB7B7B1747f6be086d50A939eb141A2e90A2d7",
-                tokenAddress: "0xD87Ba7A50B2E7E660f678A895E4B72E7CB4CCd9C",
+                to: signers[5].address,
+                tokenAddress: token.address,
                 amount: ethers.utils.parseEther("0.0001"),
                 payoutNonce: 1,
             };
 
-            const encodedHash = await organizer.encodeTransactionData(
+            const encodedHash = await payroll.encodeTransactionData(
                 metadata.to,
                 metadata.tokenAddress,
                 metadata.amount,
                 metadata.payoutNonce
             );
 
-            const verifiedHash = await ethers.utils.keccak256(
-                abiCoder.encode(
-                    ["address", "address", "uint256", "uint64"],
+            const verifiedHash = ethers.utils.keccak256(
+                ethers.utils.defaultAbiCoder.encode(
+                    ["address", "address", "address", "uint256", "uint64"],
                     [
+                        safe.address,
                         metadata.to,
                         metadata.tokenAddress,
                         metadata.amount,
@@ -61,322 +52,272 @@ describe("Payroll Contract", () => {
         });
 
         it("Should execute the payroll if correct data is passed", async function () {
-            const [operator1, operator2] = signers;
-
-            console.log(operator1.address, operator2.address);
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            const [recipient_1, recipient_2] = signers.slice(5);
 
-            EIP712Domain = [
-                { type: "uint256", name: "chainId" },
-                { type: "address", name: "verifyingContract" },
-            ];
-
-            const types = [
-                { type: "address", name: "to" },
-                { type: "uint256", name: "value" },
-                { type: "bytes", name: "data" },
-                { type: "uint8", name: "operation" },
-                { type: "uint256", name: "safeTxGas" },
-                { type: "uint256", name: "baseGas" },
-                { type: "uint256", name: "gasPrice" },
-                { type: "address", name: "gasToken" },
-                { type: "address", name: "refundReceiver" },
-                { type: "uint256", name: "nonce" },
+            const payouts = [
+                {
+                    to: recipient_1.address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                {
+                    to: recipient_2.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 200,
+                    payoutNonce: 2,
+                },
             ];
 
-            const safe = await ethers.getContractAt(
-                GnosisSafe,
-                "0x4789a8423004192D55dCDD81fCbA47dA47D290aD"
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
             );
 
-            const allowanceModule = await ethers.getContractAt(
-                AllowanceModule,
-                ALLOWANCE_MODULE
+            const execution = payroll.executePayroll(
+                ...(await getExecuteArgs(payroll, approvals, payouts))
             );
 
-            const domain = {
-                verifyingContract: "0x4789a8423004192D55dCDD81fCbA47dA47D290aD",
-                chainId: 31337,
-            };
-            const transaction = {
-                to: organizer.address,
-                value: 0,
-                data: organizer.interface.encodeFunctionData("onboard", [
-                    [operator1.address, operator2.address],
-                    2,
-                ]),
-                operation: 0,
-            };
+            await expect(execution)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, recipient_1.address, 100, 1)
+                .and.to.emit(payroll, "PayoutSuccessful")
+                .withArgs(ADDRESS_ZERO, recipient_2.address, 200, 2);
+            await expect(execution).to.changeTokenBalances(
+                token,
+                [safe, recipient_1],
+                [-100, 100]
+            );
+            await expect(execution).to.changeEtherBalances(
+                [safe, recipient_2],
+                [-200, 200]
+            );
 
-            const nonce = await safe.nonce();
-
-            const message = {
-                to: transaction.to,
-                value: transaction.value,
-                data: transaction.data,
-                operation: transaction.operation,
-                safeTxGas: 0,
-                baseGas: 0,
-                gasPrice: 0,
-                gasToken: "0x0000000000000000000000000000000000000000",
-                refundReceiver: "0x0000000000000000000000000000000000000000",
-                nonce: nonce,
-            };
+            expect(await payroll.getPayoutNonce(1)).to.equals(true);
+            expect(await payroll.getPayoutNonce(2)).to.equals(true);
+        });
 
-            const sigs = await operator1._signTypedData(
-                domain,
+        it("Should not pay payouts below the threshold", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const recipient = signers[5];
+            const payouts = [
                 {
-                    SafeTx: types,
+                    to: recipient.address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
                 },
-                message
-            );
+            ];
 
-            const onboardTransaciton = await safe.execTransaction(
-                transaction.to,
-                transaction.value,
-                transaction.data,
-                transaction.operation,
-                0,
-                0,
-                0,
-                "0x0000000000000000000000000000000000000000",
-                "0x0000000000000000000000000000000000000000",
-                sigs
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 1),
+                payouts
             );
 
-            await onboardTransaciton.wait();
-
-            const addDelegateTransaction = {
-                to: allowanceModule.address,
-                value: 0,
-                data: allowanceModule.interface.encodeFunctionData(
-                    "addDelegate",
-                    [organizer.address]
-                ),
-                operation: 0,
-            };
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, payouts))
+                )
+            )
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(token.address, recipient.address, 100, 1, 0, "0x");
 
-            const addDelegateNonce = await safe.nonce();
-
-            const addDelegateMessage = {
-                to: addDelegateTransaction.to,
-                value: addDelegateTransaction.value,
-                data: addDelegateTransaction.data,
-                operation: addDelegateTransaction.operation,
-                safeTxGas: 0,
-                baseGas: 0,
-                gasPrice: 0,
-                gasToken: "0x0000000000000000000000000000000000000000",
-                refundReceiver: "0x0000000000000000000000000000000000000000",
-                nonce: addDelegateNonce,
-            };
+            expect(await token.balanceOf(recipient.address)).to.equal(0);
+            expect(await payroll.getPayoutNonce(1)).to.equals(false);
+        });
 
-            const addDelegateSign = await operator1._signTypedData(
-                domain,
+        it("Should revert if a payout nonce was already executed", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [
                 {
-                    SafeTx: types,
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
                 },
-                addDelegateMessage
-            );
-
-            const addDelegate = await safe.execTransaction(
-                addDelegateTransaction.to,
-                addDelegateTransaction.value,
-                addDelegateTransaction.data,
-                addDelegateTransaction.operation,
-                0,
-                0,
-                0,
-                "0x0000000000000000000000000000000000000000",
-                "0x0000000000000000000000000000000000000000",
-                addDelegateSign
-            );
-
-            await addDelegate.wait();
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const args = await getExecuteArgs(payroll, approvals, payouts);
 
-            const setAllowance = {
-                to: allowanceModule.address,
-                value: 0,
-                data: allowanceModule.interface.encodeFunctionData(
-                    "setAllowance",
-                    [
-                        organizer.address,
-                        "0xD87Ba7A50B2E7E660f678A895E4B72E7CB4CCd9C",
-                        100000000,
-                        0,
-                        0,
-                    ]
-                ),
-                operation: 0,
-            };
+            await payroll.executePayroll(...args);
 
-            const setAllowanceNonce = await safe.nonce();
-
-            const setAllowanceMessage = {
-                to: setAllowance.to,
-                value: setAllowance.value,
-                data: setAllowance.data,
-                operation: setAllowance.operation,
-                safeTxGas: 0,
-                baseGas: 0,
-                gasPrice: 0,
-                gasToken: "0x0000000000000000000000000000000000000000",
-                refundReceiver: "0x0000000000000000000000000000000000000000",
-                nonce: setAllowanceNonce,
-            };
+            await expect(payroll.executePayroll(...args))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "PayoutNonceAlreadyExecuted"
+                )
+                .withArgs(1);
+        });
 
-            const setAllowanceSign = await operator1._signTypedData(
-                domain,
+        it("Should revert if the approved tokens are not sorted", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [
                 {
-                    SafeTx: types,
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
                 },
-                setAllowanceMessage
-            );
+                {
+                    to: signers[5].address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 100,
+                    payoutNonce: 2,
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const [to, tokenAddress, amount, payoutNonce, proof, ...rest] =
+                await getExecuteArgs(payroll, approvals, payouts);
+
+            await expect(
+                payroll.executePayroll(
+                    [...to].reverse(),
+                    [...tokenAddress].reverse(),
+                    [...amount].reverse(),
+                    [...payoutNonce].reverse(),
+                    [...proof].reverse(),
+                    ...rest
+                )
+            )
+                .to.be.revertedWithCustomError(payroll, "TokensNotSorted")
+                .withArgs(token.address, ADDRESS_ZERO);
+        });
 
-            const setAllowanceTx = await safe.execTransaction(
-                setAllowance.to,
-                setAllowance.value,
-                setAllowance.data,
-                setAllowance.operation,
-                0,
-                0,
-                0,
-                "0x0000000000000000000000000000000000000000",
-                "0x0000000000000000000000000000000000000000",
-                setAllowanceSign
+        it("Should revert if the signatures are not sorted by signer", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
             );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const [to, tokenAddress, amount, payoutNonce, proof, roots, sigs] =
+                await getExecuteArgs(payroll, approvals, payouts);
+
+            await expect(
+                payroll.executePayroll(
+                    to,
+                    tokenAddress,
+                    amount,
+                    payoutNonce,
+                    proof.map((proofs) => [...proofs].reverse()),
+                    [...roots].reverse(),
+                    [...sigs].reverse()
+                )
+            ).to.be.revertedWithCustomError(payroll, "InvalidPayoutSignature");
+        });
 
-            await setAllowanceTx.wait();
+        it("Should revert if a signer is not an approver", async function () {
+            const { payroll, token, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+            const approvals = await signPayouts(payroll, [signers[6]], payouts);
 
-            // verify is dao is onboarded
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, payouts))
+                )
+            ).to.be.revertedWithCustomError(payroll, "InvalidPayoutSignature");
+        });
 
-            const dao = await organizer.orgs(safe.address);
+        it("Should invalidate a nonce signed by an approver", async function () {
+            const { payroll, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const domain = getDomain(
+                (await ethers.provider.getNetwork()).chainId,
+                payroll.address
+            );
 
-            // verify is dao is onboarded
-            expect(dao.approverCount).to.greaterThan(0);
+            const signature = await signTypedData(
+                approvers[0],
+                getCancelNonceTypedData(domain, 7)
+            );
+            await payroll.invalidateNonce(7, signature);
+            expect(await payroll.getPayoutNonce(7)).to.equals(true);
 
-            const payout_1 = {
-                to: "0x4789a8423004192D55dCDD81fCbA47dA47D290aD",
-                tokenAddress: "0xD87Ba7A50B2E7E660f678A895E4B72E7CB4CCd9C",
-                amount: 100,
-                payoutNonce: 1,
-            };
-            const payout_2 = {
-                to: "0x4789a8423004192D55dCDD81fCbA47dA47D290aD",
-                tokenAddress: "0xD87Ba7A50B2E7E660f678A895E4B72E7CB4CCd9C",
-                amount: 100,
-                payoutNonce: 2,
-            };
+            const outsiderSignature = await signTypedData(
+                signers[6],
+                getCancelNonceTypedData(domain, 8)
+            );
+            await expect(
+                payroll.invalidateNonce(8, outsiderSignature)
+            ).to.be.revertedWithCustomError(payroll, "OnlyApprover");
+        });
 
-            const encodedHash_1 = await organizer
-                .connect(operator1)
-                .encodeTransactionData(
-                    payout_1.to,
-                    payout_1.tokenAddress,
-                    payout_1.amount,
-                    payout_1.payoutNonce
-                );
-            console.log(encodedHash_1);
-            const encodedHash_2 = await organizer
-                .connect(operator1)
-                .encodeTransactionData(
-                    payout_2.to,
-                    payout_2.tokenAddress,
-                    payout_2.amount,
-                    payout_2.payoutNonce
-                );
-
-            const leaves_1 = [encodedHash_1, encodedHash_2];
-
-            const leaves_2 = [encodedHash_1, encodedHash_2];
-
-            const tree_1 = new MerkleTree(leaves_1, ethers.utils.keccak256, {
-                sortPairs: true,
-            });
+        it("Should sweep leftover tokens to the safe", async function () {
+            const { payroll, safe, token, safeOwner } = await loadFixture(
+                deployPayrollFixture
+            );
 
-            const tree_2 = new MerkleTree(leaves_2, ethers.utils.keccak256, {
-                sortPairs: true,
+            await token.mint(payroll.address, 500);
+            await safeOwner.sendTransaction({
+                to: payroll.address,
+                value: 300,
             });
 
-            const rootsObject = {};
-            //  Generating Node Hash
-            rootsObject[operator1.address] =
-                "0x" + tree_1.getRoot().toString("hex");
-            rootsObject[operator2.address] =
-                "0x" + tree_2.getRoot().toString("hex");
-
-            // Creating Signatures
-            const PayrollTx = [{ name: "rootHash", type: "bytes32" }];
-
-            let domainData = {
-                chainId: 31337,
-                verifyingContract: organizer.address,
-            };
+            await expect(payroll.sweep(token.address)).to.changeTokenBalances(
+                token,
+                [payroll, safe],
+                [-500, 500]
+            );
+            await expect(payroll.sweep(ADDRESS_ZERO)).to.changeEtherBalances(
+                [payroll, safe],
+                [-300, 300]
+            );
+        });
 
-            const SignatureObject = {};
+        it("Only the safe should be able to pause the payroll", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
 
-            SignatureObject[operator1.address] = await operator1._signTypedData(
-                domainData,
-                {
-                    PayrollTx: PayrollTx,
-                },
-                { rootHash: rootsObject[operator1.address] }
+            await expect(payroll.connect(signers[5]).pause()).to.revertedWith(
+                "Ownable: caller is not the owner"
             );
 
-            SignatureObject[operator2.address] = await operator2._signTypedData(
-                domainData,
+            await execSafeTransaction(safe, payroll, "pause");
+            expect(await payroll.paused()).to.equals(true);
+
+            const payouts = [
                 {
-                    PayrollTx: PayrollTx,
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
                 },
-                { rootHash: rootsObject[operator2.address] }
-            );
-
-            const payouts = [payout_1, payout_2];
-
-            let tos = [];
-            let tokenAddresses = [];
-            let amounts = [];
-            let payoutNonces = [];
-            let proofs = [];
-
-            for (let i = 0; i < payouts.length; i++) {
-                const encodedHash = await organizer.encodeTransactionData(
-                    payouts[i].to,
-                    payouts[i].tokenAddress,
-                    payouts[i].amount,
-                    payouts[i].payoutNonce
-                );
-
-                const proof_1 = tree_1.getHexProof(encodedHash);
-                const proof_2 = tree_2.getHexProof(encodedHash);
-
-                tos.push(payouts[i].to);
-                tokenAddresses.push(payouts[i].tokenAddress);
-                amounts.push(payouts[i].amount);
-                payoutNonces.push(payouts[i].payoutNonce);
-
-                proofs.push([proof_1, proof_2]);
-            }
-
-            console.log(organizer.address, "Address");
-
-            const execPayroll = await organizer.executePayroll(
-                "0x4789a8423004192D55dCDD81fCbA47dA47D290aD",
-                tos,
-                tokenAddresses,
-                amounts,
-                payoutNonces,
-                proofs,
-                Object.values(rootsObject),
-                Object.values(SignatureObject),
-                ["0xD87Ba7A50B2E7E660f678A895E4B72E7CB4CCd9C"],
-                [1000],
-                { gasLimit: 9000000 }
-            );
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, payouts))
+                )
+            ).to.revertedWith("Pausable: paused");
 
-            const nonce_1 = await organizer.getPayoutNonce(safe.address, 1);
-            const nonce_2 = await organizer.getPayoutNonce(safe.address, 2);
-            expect(nonce_1).to.equals(true);
-            expect(nonce_2).to.equals(true);
+            await execSafeTransaction(safe, payroll, "unpause");
+            expect(await payroll.paused()).to.equals(false);
         });
     });
 });
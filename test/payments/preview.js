@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getScheduledArgs,
+} = require("../fixtures");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+const DAY = 24 * 60 * 60;
+
+// PayoutOutcome
+const PAID = 0;
+const FAILED = 1;
+const OUTSIDE_VALIDITY = 2;
+const NONCE_ALREADY_EXECUTED = 3;
+
+// PayoutFailureReason
+const INSUFFICIENT_APPROVALS = 0;
+const PERIOD_CAP_EXCEEDED = 5;
+
+describe("Payroll Contract", () => {
+    describe("Payroll Preview", function () {
+        it("Should preview the outcome of each payout and the amounts fetched from the safe", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            const [recipient_1, recipient_2] = signers.slice(5);
+            const payouts = [
+                {
+                    to: recipient_1.address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                {
+                    to: recipient_2.address,
+                    tokenAddress: token.address,
+                    amount: 50,
+                    payoutNonce: 2,
+                },
+                {
+                    to: recipient_1.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 200,
+                    payoutNonce: 3,
+                },
+                {
+                    to: recipient_2.address,
+                    tokenAddress: token.address,
+                    amount: 70,
+                    payoutNonce: 4,
+                },
+                {
+                    to: recipient_2.address,
+                    tokenAddress: token.address,
+                    amount: 10,
+                    payoutNonce: 5,
+                    validAfter: (await time.latest()) + DAY,
+                },
+            ];
+
+            // The third approver only approved the first payout and the fourth one
+            const approvals = [
+                ...(await signPayouts(
+                    payroll,
+                    approvers.slice(0, 2),
+                    payouts.slice(0, 3).concat(payouts[4])
+                )),
+                ...(await signPayouts(payroll, approvers.slice(2), [
+                    payouts[0],
+                    payouts[3],
+                ])),
+            ];
+            const args = await getScheduledArgs(payroll, approvals, payouts);
+
+            // The contract holds part of the tokens, only the rest is pulled from the safe
+            await execSafeTransaction(safe, token, "transfer", [
+                payroll.address,
+                30,
+            ]);
+
+            // Payouts are sorted by token, native tokens first
+            const [previews, fetches] = await payroll.previewPayroll(...args);
+            expect(previews).to.deep.equal([
+                [2, false, PAID, 0],
+                [3, false, PAID, 0],
+                [2, false, PAID, 0],
+                [1, false, FAILED, INSUFFICIENT_APPROVALS],
+                [2, false, OUTSIDE_VALIDITY, 0],
+            ]);
+            expect(fetches).to.deep.equal([
+                [ADDRESS_ZERO, 200, 200],
+                [token.address, 150, 120],
+            ]);
+
+            const execution = payroll.executeScheduledPayroll(...args);
+            await expect(execution).to.changeTokenBalances(
+                token,
+                [safe, payroll],
+                [-120, -30]
+            );
+            await expect(execution).to.changeEtherBalance(safe, -200);
+        });
+
+        it("Should report used nonces instead of reverting", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [1, 2].map((payoutNonce) => ({
+                to: signers[5].address,
+                tokenAddress: token.address,
+                amount: 100,
+                payoutNonce,
+            }));
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+
+            await payroll.executeScheduledPayroll(
+                ...(await getScheduledArgs(
+                    payroll,
+                    approvals,
+                    payouts.slice(0, 1)
+                ))
+            );
+
+            const args = await getScheduledArgs(payroll, approvals, payouts);
+            const [previews, fetches] = await payroll.previewPayroll(...args);
+            expect(previews).to.deep.equal([
+                [2, true, NONCE_ALREADY_EXECUTED, 0],
+                [2, false, PAID, 0],
+            ]);
+            expect(fetches).to.deep.equal([[token.address, 100, 100]]);
+
+            await expect(payroll.executeScheduledPayroll(...args))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "PayoutNonceAlreadyExecuted"
+                )
+                .withArgs(1);
+        });
+
+        it("Should count the payouts of the batch against the spending caps", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            const payouts = [100, 100, 40].map((amount, i) => ({
+                to: signers[5 + i].address,
+                tokenAddress: token.address,
+                amount,
+                payoutNonce: i + 1,
+            }));
+            await execSafeTransaction(safe, payroll, "setSpendingCap", [
+                token.address,
+                0,
+                150,
+                0,
+                DAY,
+            ]);
+
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            const args = await getScheduledArgs(payroll, approvals, payouts);
+
+            const [previews, fetches] = await payroll.previewPayroll(...args);
+            expect(previews).to.deep.equal([
+                [2, false, PAID, 0],
+                [2, false, FAILED, PERIOD_CAP_EXCEEDED],
+                [2, false, PAID, 0],
+            ]);
+            expect(fetches).to.deep.equal([[token.address, 140, 140]]);
+
+            await expect(payroll.executeScheduledPayroll(...args))
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    token.address,
+                    signers[6].address,
+                    100,
+                    2,
+                    PERIOD_CAP_EXCEEDED,
+                    "0x"
+                );
+        });
+
+        it("Should revert like the execution on invalid signatures", async function () {
+            const { payroll, token, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+            const approvals = await signPayouts(payroll, [signers[6]], payouts);
+
+            await expect(
+                payroll.previewPayroll(
+                    ...(await getScheduledArgs(payroll, approvals, payouts))
+                )
+            ).to.be.revertedWithCustomError(payroll, "InvalidPayoutSignature");
+        });
+    });
+});
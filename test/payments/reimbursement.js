@@ -0,0 +1,321 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getExecuteArgs,
+    getReimbursementArgs,
+} = require("../fixtures");
+const {
+    preparePayroll,
+    verifyPayroll,
+    getPayoutStatuses,
+} = require("../../sdk");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+const MAX_PAYMENT = ethers.utils.parseEther("1");
+
+describe("Payroll Contract", () => {
+    describe("Gas Reimbursement", function () {
+        /**
+         * @dev Token payouts and the reimbursement of their batch, its nonce follows the payouts
+         */
+        function getPayouts(token, recipients, reimbursement) {
+            const payouts = recipients.map((recipient, i) => ({
+                to: recipient.address,
+                tokenAddress: token.address,
+                amount: 100,
+                payoutNonce: i + 1,
+            }));
+            return [
+                ...payouts,
+                {
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: MAX_PAYMENT,
+                    payoutNonce: payouts.length + 1,
+                    reimbursement: true,
+                    ...reimbursement,
+                },
+            ];
+        }
+
+        it("Should reimburse the measured gas of the executor from the safe", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            const executor = signers[10];
+            const recipients = signers.slice(5, 8);
+            await execSafeTransaction(safe, payroll, "setGasReimbursement", [
+                ADDRESS_ZERO,
+                MAX_PAYMENT,
+                0,
+            ]);
+
+            const payouts = getPayouts(token, recipients);
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            const args = await getReimbursementArgs(
+                payroll,
+                approvals,
+                payouts
+            );
+
+            const safeBalance = await ethers.provider.getBalance(safe.address);
+            const executorBalance = await executor.getBalance();
+            const tx = await payroll
+                .connect(executor)
+                .executePayrollWithReimbursement(...args);
+            const receipt = await tx.wait();
+
+            const { payment, gasUsed } = receipt.events.find(
+                ({ event }) => event === "GasReimbursed"
+            ).args;
+            expect(payment).to.equal(gasUsed.mul(receipt.effectiveGasPrice));
+            // The measure covers the transaction, within the calldata counted as non-zero bytes
+            expect(gasUsed).to.be.gte(receipt.gasUsed);
+            expect(gasUsed).to.be.lte(receipt.gasUsed.mul(11).div(10));
+
+            await expect(tx)
+                .to.emit(payroll, "GasReimbursed")
+                .withArgs(executor.address, ADDRESS_ZERO, payment, gasUsed, 4);
+            await expect(tx).to.changeTokenBalances(
+                token,
+                recipients,
+                [100, 100, 100]
+            );
+
+            // A single unit is fetched along with the payment, it stays on the payroll contract
+            expect(await ethers.provider.getBalance(safe.address)).to.equal(
+                safeBalance.sub(payment).sub(1)
+            );
+            expect(await executor.getBalance()).to.equal(
+                executorBalance
+                    .sub(receipt.gasUsed.mul(receipt.effectiveGasPrice))
+                    .add(payment)
+            );
+            expect(await payroll.getPayoutNonce(4)).to.equal(true);
+
+            const statuses = await getPayoutStatuses(payroll, tx.hash);
+            expect(statuses[statuses.length - 1]).to.deep.include({
+                to: executor.address,
+                amount: payment,
+                status: "reimbursed",
+            });
+
+            // The reimbursement isn't paid twice, even with other payouts
+            const next = payouts.map((payout) =>
+                payout.reimbursement
+                    ? payout
+                    : { ...payout, payoutNonce: payout.payoutNonce + 10 }
+            );
+            await expect(
+                payroll
+                    .connect(executor)
+                    .executePayrollWithReimbursement(
+                        ...(await getReimbursementArgs(
+                            payroll,
+                            await signPayouts(
+                                payroll,
+                                approvers.slice(0, 2),
+                                next
+                            ),
+                            next
+                        ))
+                    )
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "PayoutNonceAlreadyExecuted"
+                )
+                .withArgs(4);
+        });
+
+        it("Should cap the payment by the approved maximum and the org maximum", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            const executor = signers[10];
+
+            // Reimbursed in the token at a fixed price per unit of gas
+            await execSafeTransaction(safe, payroll, "setGasReimbursement", [
+                token.address,
+                1000,
+                1,
+            ]);
+            expect(await payroll.getGasReimbursement()).to.deep.equal([
+                token.address,
+                1000,
+                1,
+            ]);
+
+            const payouts = getPayouts(token, signers.slice(5, 6), {
+                tokenAddress: token.address,
+                amount: 400,
+            });
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            const execution = payroll
+                .connect(executor)
+                .executePayrollWithReimbursement(
+                    ...(await getReimbursementArgs(payroll, approvals, payouts))
+                );
+            await expect(execution)
+                .to.emit(payroll, "GasReimbursed")
+                .withArgs(executor.address, token.address, 400, anyValue, 2);
+            await expect(execution).to.changeTokenBalances(
+                token,
+                [safe, executor],
+                [-(100 + 400 + 1), 400]
+            );
+
+            await execSafeTransaction(safe, payroll, "setGasReimbursement", [
+                token.address,
+                300,
+                1,
+            ]);
+            const next = getPayouts(token, signers.slice(5, 6), {
+                tokenAddress: token.address,
+                amount: 400,
+            }).map((payout) => ({
+                ...payout,
+                payoutNonce: payout.payoutNonce + 2,
+            }));
+            await expect(
+                payroll
+                    .connect(executor)
+                    .executePayrollWithReimbursement(
+                        ...(await getReimbursementArgs(
+                            payroll,
+                            await signPayouts(
+                                payroll,
+                                approvers.slice(0, 2),
+                                next
+                            ),
+                            next
+                        ))
+                    )
+            )
+                .to.emit(payroll, "GasReimbursed")
+                .withArgs(executor.address, token.address, 300, anyValue, 4);
+        });
+
+        it("Should only reimburse approved reimbursements of the org token", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            const payouts = getPayouts(token, signers.slice(5, 7));
+
+            // The second approver didn't approve the reimbursement
+            const approvals = [
+                ...(await signPayouts(payroll, [approvers[0]], payouts)),
+                ...(await signPayouts(
+                    payroll,
+                    [approvers[1]],
+                    payouts.slice(0, 2)
+                )),
+            ];
+            const args = await getReimbursementArgs(
+                payroll,
+                approvals,
+                payouts
+            );
+
+            await expect(payroll.executePayrollWithReimbursement(...args))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "GasReimbursementDisabled"
+                )
+                .withArgs(ADDRESS_ZERO);
+
+            await execSafeTransaction(safe, payroll, "setGasReimbursement", [
+                ADDRESS_ZERO,
+                MAX_PAYMENT,
+                0,
+            ]);
+            await expect(payroll.executePayrollWithReimbursement(...args))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "ReimbursementNotApproved"
+                )
+                .withArgs(3);
+
+            // The approved payouts can still be executed without reimbursement
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(
+                        payroll,
+                        approvals,
+                        payouts.slice(0, 2)
+                    ))
+                )
+            ).to.changeTokenBalances(token, signers.slice(5, 7), [100, 100]);
+        });
+
+        it("Should only let the org set the gas reimbursement", async function () {
+            const { payroll, safe, token, approvers } = await loadFixture(
+                deployPayrollFixture
+            );
+
+            await expect(
+                payroll
+                    .connect(approvers[0])
+                    .setGasReimbursement(ADDRESS_ZERO, MAX_PAYMENT, 0)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            // Token reimbursements need a price of the gas
+            await expect(
+                execSafeTransaction(safe, payroll, "setGasReimbursement", [
+                    token.address,
+                    1000,
+                    0,
+                ])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "InvalidGasReimbursement"
+                )
+                .withArgs(token.address);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "setGasReimbursement", [
+                    ADDRESS_ZERO,
+                    MAX_PAYMENT,
+                    0,
+                ])
+            )
+                .to.emit(payroll, "ChangedGasReimbursement")
+                .withArgs(ADDRESS_ZERO, MAX_PAYMENT, 0);
+        });
+
+        it("Should verify reimbursement leaves in the SDK", async function () {
+            const { payroll, token, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = getPayouts(token, signers.slice(5, 7));
+
+            const prepared = await preparePayroll(payroll, payouts);
+            await verifyPayroll(payroll, prepared);
+            expect(prepared.leaves[2]).to.equal(
+                await payroll.encodeReimbursementData(
+                    ADDRESS_ZERO,
+                    MAX_PAYMENT,
+                    3
+                )
+            );
+
+            await expect(
+                getReimbursementArgs(
+                    payroll,
+                    [],
+                    [...payouts, { ...payouts[2], payoutNonce: 4 }]
+                )
+            ).to.be.rejectedWith("Only one reimbursement per batch");
+        });
+    });
+});
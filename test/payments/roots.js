@@ -0,0 +1,394 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getScheduledArgs,
+} = require("../fixtures");
+const {
+    getDomain,
+    getApproveRootTypedData,
+    hashTypedData,
+    signTypedData,
+    encodeRoleName,
+    getPendingRoots,
+} = require("../../sdk");
+
+describe("Payroll Contract", () => {
+    describe("Approved Roots", function () {
+        // Root of a payout of 100 tokens to signers[5], not approved yet
+        async function payrollRootFixture() {
+            const fixture = await deployPayrollFixture();
+            const { payroll, token, signers } = fixture;
+
+            const payout = {
+                to: signers[5].address,
+                tokenAddress: token.address,
+                amount: 100,
+                payoutNonce: 1,
+            };
+            const [approval] = await signPayouts(
+                payroll,
+                [signers[0]],
+                [payout]
+            );
+
+            // executeApprovedPayroll takes the executeScheduledPayroll arguments without the signatures
+            const args = (
+                await getScheduledArgs(payroll, [approval], [payout])
+            ).slice(0, 8);
+            const expiry = (await time.latest()) + 3600;
+
+            return { ...fixture, payout, root: approval.root, args, expiry };
+        }
+
+        it("Should hash the root approval like the SDK", async function () {
+            const { payroll, root, expiry } = await loadFixture(
+                payrollRootFixture
+            );
+            const { chainId } = await ethers.provider.getNetwork();
+
+            expect(
+                await payroll.getApproveRootTransactionHash(root, expiry)
+            ).to.equal(
+                hashTypedData(
+                    getApproveRootTypedData(
+                        getDomain(chainId, payroll.address),
+                        root,
+                        expiry
+                    )
+                )
+            );
+        });
+
+        it("Should execute a payroll approved on-chain", async function () {
+            const { payroll, safe, token, approvers, root, args, expiry } =
+                await loadFixture(payrollRootFixture);
+            const [operator_1, operator_2, operator_3] = approvers;
+
+            await expect(payroll.connect(operator_1).approveRoot(root, expiry))
+                .to.emit(payroll, "RootApproved")
+                .withArgs(root, operator_1.address, expiry);
+
+            expect(await payroll.getRootApprovalCount(root)).to.equal(1);
+            expect(
+                await payroll.getApprovedRoots(operator_1.address)
+            ).to.deep.equal([root]);
+            expect(
+                await payroll.getPendingRoots(
+                    operator_1.address,
+                    token.address,
+                    100,
+                    0,
+                    10
+                )
+            ).to.deep.equal([]);
+            expect(
+                await payroll.getPendingRoots(
+                    operator_2.address,
+                    token.address,
+                    100,
+                    0,
+                    10
+                )
+            ).to.deep.equal([root]);
+
+            // Below the threshold the payout is not paid
+            await expect(payroll.executeApprovedPayroll(...args)).to.emit(
+                payroll,
+                "PayoutFailed"
+            );
+
+            await payroll.connect(operator_2).approveRoot(root, expiry);
+            expect(await payroll.getRootApprovalCount(root)).to.equal(2);
+            expect(
+                await payroll.getPendingRoots(
+                    operator_3.address,
+                    token.address,
+                    100,
+                    0,
+                    10
+                )
+            ).to.deep.equal([]);
+
+            const execution = payroll.executeApprovedPayroll(...args);
+            await expect(execution)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, args[0][0], 100, 1);
+            await expect(execution).to.changeTokenBalances(
+                token,
+                [safe, payroll],
+                [-100, 0]
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equal(true);
+        });
+
+        it("Should page the roots pending like the execution approves them", async function () {
+            const { payroll, safe, token, approvers, signers, root, expiry } =
+                await loadFixture(payrollRootFixture);
+            const [operator_1, operator_2, operator_3] = approvers;
+            const BOARD = encodeRoleName("board");
+
+            // Payouts from 50 tokens need the whole board
+            await execSafeTransaction(safe, payroll, "createRole", [
+                BOARD,
+                approvers.map(({ address }) => address),
+                3,
+            ]);
+            await execSafeTransaction(safe, payroll, "setAmountBands", [
+                token.address,
+                [50],
+                [[BOARD]],
+                [3],
+            ]);
+
+            const [{ root: otherRoot }] = await signPayouts(
+                payroll,
+                [operator_1],
+                [
+                    {
+                        to: signers[6].address,
+                        tokenAddress: token.address,
+                        amount: 10,
+                        payoutNonce: 2,
+                    },
+                ]
+            );
+            for (const approved of [root, otherRoot]) {
+                await payroll.connect(operator_1).approveRoot(approved, expiry);
+                await payroll.connect(operator_2).approveRoot(approved, expiry);
+            }
+            expect(await payroll.getListedRootCount()).to.equal(2);
+
+            // Two approvals reach the threshold, not the board
+            expect(
+                await payroll.getPendingRoots(
+                    operator_3.address,
+                    token.address,
+                    10,
+                    0,
+                    10
+                )
+            ).to.deep.equal([]);
+            expect(
+                await payroll.getPendingRoots(
+                    operator_3.address,
+                    token.address,
+                    100,
+                    0,
+                    10
+                )
+            ).to.deep.equal([root, otherRoot]);
+            expect(
+                await payroll.getPendingRoots(
+                    operator_3.address,
+                    token.address,
+                    100,
+                    1,
+                    1
+                )
+            ).to.deep.equal([otherRoot]);
+            expect(
+                await payroll.getPendingRoots(
+                    operator_3.address,
+                    token.address,
+                    100,
+                    2,
+                    10
+                )
+            ).to.deep.equal([]);
+            expect(
+                await getPendingRoots(
+                    payroll,
+                    operator_3.address,
+                    token.address,
+                    100,
+                    1
+                )
+            ).to.deep.equal([root, otherRoot]);
+
+            await payroll.connect(operator_3).approveRoot(root, expiry);
+            expect(
+                await payroll.getPendingRoots(
+                    operator_1.address,
+                    token.address,
+                    100,
+                    0,
+                    10
+                )
+            ).to.deep.equal([]);
+            expect(
+                await getPendingRoots(
+                    payroll,
+                    operator_3.address,
+                    token.address,
+                    100
+                )
+            ).to.deep.equal([otherRoot]);
+        });
+
+        it("Should approve a root with a relayed signature", async function () {
+            const { payroll, approvers, signers, root, args, expiry } =
+                await loadFixture(payrollRootFixture);
+            const { chainId } = await ethers.provider.getNetwork();
+            const typedData = getApproveRootTypedData(
+                getDomain(chainId, payroll.address),
+                root,
+                expiry
+            );
+
+            const signatures = await Promise.all(
+                approvers
+                    .slice(0, 2)
+                    .map((approver) => signTypedData(approver, typedData))
+            );
+            for (const signature of signatures) {
+                await payroll
+                    .connect(signers[6])
+                    .approveRootWithSignature(root, expiry, signature);
+            }
+            expect(await payroll.getRootApprovalCount(root)).to.equal(2);
+
+            await expect(payroll.executeApprovedPayroll(...args)).to.emit(
+                payroll,
+                "PayoutSuccessful"
+            );
+
+            // A revoked approval can't be restored by replaying the signature
+            await payroll.connect(approvers[0]).revokeRoot(root);
+            await expect(
+                payroll.approveRootWithSignature(root, expiry, signatures[0])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "RootSignatureAlreadyUsed"
+                )
+                .withArgs(hashTypedData(typedData));
+
+            await expect(
+                payroll.approveRootWithSignature(
+                    root,
+                    expiry,
+                    await signTypedData(signers[6], typedData)
+                )
+            ).to.be.revertedWithCustomError(payroll, "OnlyApprover");
+        });
+
+        it("Should only let approvers approve a root until a future expiry", async function () {
+            const { payroll, approvers, signers, root } = await loadFixture(
+                payrollRootFixture
+            );
+            const now = await time.latest();
+
+            await expect(
+                payroll.connect(signers[6]).approveRoot(root, now + 3600)
+            ).to.be.revertedWithCustomError(payroll, "OnlyApprover");
+
+            await expect(payroll.connect(approvers[0]).approveRoot(root, now))
+                .to.be.revertedWithCustomError(payroll, "InvalidRootExpiry")
+                .withArgs(now);
+        });
+
+        it("Should not count expired approvals", async function () {
+            const { payroll, approvers, root, args, expiry } =
+                await loadFixture(payrollRootFixture);
+
+            await payroll.connect(approvers[0]).approveRoot(root, expiry);
+            await payroll.connect(approvers[1]).approveRoot(root, expiry);
+            await time.increaseTo(expiry + 1);
+
+            expect(await payroll.isRootApprovedBy(root, approvers[0].address))
+                .to.be.false;
+            expect(await payroll.getRootApprovalCount(root)).to.equal(0);
+            expect(
+                await payroll.getApprovedRoots(approvers[0].address)
+            ).to.deep.equal([]);
+
+            await expect(payroll.executeApprovedPayroll(...args)).to.emit(
+                payroll,
+                "PayoutFailed"
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equal(false);
+        });
+
+        it("Should not count revoked approvals", async function () {
+            const { payroll, approvers, root, args, expiry } =
+                await loadFixture(payrollRootFixture);
+            const [operator_1, operator_2, operator_3] = approvers;
+
+            await payroll.connect(operator_1).approveRoot(root, expiry);
+            await payroll.connect(operator_2).approveRoot(root, expiry);
+
+            await expect(payroll.connect(operator_2).revokeRoot(root))
+                .to.emit(payroll, "RootRevoked")
+                .withArgs(root, operator_2.address);
+            expect(await payroll.getRootApprovalCount(root)).to.equal(1);
+
+            await expect(payroll.connect(operator_3).revokeRoot(root))
+                .to.be.revertedWithCustomError(payroll, "RootNotApproved")
+                .withArgs(root, operator_3.address);
+
+            await expect(payroll.executeApprovedPayroll(...args)).to.emit(
+                payroll,
+                "PayoutFailed"
+            );
+        });
+
+        it("Should revoke the approvals of a removed approver", async function () {
+            const { payroll, safe, approvers, root, args, expiry } =
+                await loadFixture(payrollRootFixture);
+            const [operator_1, operator_2] = approvers;
+
+            await payroll.connect(operator_1).approveRoot(root, expiry);
+            await payroll.connect(operator_2).approveRoot(root, expiry);
+
+            await expect(
+                execSafeTransaction(
+                    safe,
+                    payroll,
+                    "removeApproverWithThreshold",
+                    [operator_1.address, operator_2.address, 2]
+                )
+            )
+                .to.emit(payroll, "ApproverRootsRevoked")
+                .withArgs(operator_2.address);
+
+            // Re-added approvers start without approvals
+            await execSafeTransaction(
+                safe,
+                payroll,
+                "addApproverWithThreshold",
+                [operator_2.address, 2]
+            );
+            expect(await payroll.isRootApprovedBy(root, operator_2.address)).to
+                .be.false;
+            expect(await payroll.getRootApprovalCount(root)).to.equal(1);
+
+            await expect(payroll.executeApprovedPayroll(...args)).to.emit(
+                payroll,
+                "PayoutFailed"
+            );
+        });
+
+        it("Should revert if the payroll data length mismatch", async function () {
+            const { payroll, args } = await loadFixture(payrollRootFixture);
+
+            await expect(
+                payroll.executeApprovedPayroll(
+                    args[0],
+                    args[1],
+                    [],
+                    ...args.slice(3)
+                )
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "PayrollDataLengthMismatch"
+            );
+        });
+    });
+});
@@ -0,0 +1,303 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    signPayouts,
+    getScheduledArgs,
+} = require("../fixtures");
+
+const DAY = 24 * 60 * 60;
+
+describe("Payroll Contract", () => {
+    describe("Scheduled Payouts", function () {
+        // Scheduled payout of 100 tokens to signers[5]
+        const getPayout = ({ token, signers }, validity) => ({
+            to: signers[5].address,
+            tokenAddress: token.address,
+            amount: 100,
+            payoutNonce: 1,
+            ...validity,
+        });
+
+        it("encodeScheduledTransactionData, Should Generate the correct hash", async function () {
+            const { payroll, safe, token, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const metadata = {
+                to: signers[5].address,
+                tokenAddress: token.address,
+                amount: ethers.utils.parseEther("0.0001"),
+                payoutNonce: 1,
+                validAfter: 1700000000,
+                validUntil: 1800000000,
+            };
+
+            const encodedHash = await payroll.encodeScheduledTransactionData(
+                metadata.to,
+                metadata.tokenAddress,
+                metadata.amount,
+                metadata.payoutNonce,
+                metadata.validAfter,
+                metadata.validUntil
+            );
+
+            const verifiedHash = ethers.utils.keccak256(
+                ethers.utils.defaultAbiCoder.encode(
+                    [
+                        "address",
+                        "address",
+                        "address",
+                        "uint256",
+                        "uint64",
+                        "uint64",
+                        "uint64",
+                    ],
+                    [
+                        safe.address,
+                        metadata.to,
+                        metadata.tokenAddress,
+                        metadata.amount,
+                        metadata.payoutNonce,
+                        metadata.validAfter,
+                        metadata.validUntil,
+                    ]
+                )
+            );
+            expect(encodedHash).to.equals(verifiedHash);
+
+            expect(
+                await payroll.encodeScheduledTransactionData(
+                    metadata.to,
+                    metadata.tokenAddress,
+                    metadata.amount,
+                    metadata.payoutNonce,
+                    0,
+                    0
+                )
+            ).to.equals(
+                await payroll.encodeTransactionData(
+                    metadata.to,
+                    metadata.tokenAddress,
+                    metadata.amount,
+                    metadata.payoutNonce
+                )
+            );
+        });
+
+        it("Should execute a payout within its validity window", async function () {
+            const fixture = await loadFixture(deployPayrollFixture);
+            const { payroll, safe, token, approvers, signers } = fixture;
+            const now = await time.latest();
+
+            const payouts = [
+                getPayout(fixture, {
+                    validAfter: now - DAY,
+                    validUntil: now + DAY,
+                }),
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+
+            const execution = payroll.executeScheduledPayroll(
+                ...(await getScheduledArgs(payroll, approvals, payouts))
+            );
+            await expect(execution)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, signers[5].address, 100, 1);
+            await expect(execution).to.changeTokenBalances(
+                token,
+                [safe, signers[5]],
+                [-100, 100]
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equals(true);
+        });
+
+        it("Should not execute a premature payout until it is valid", async function () {
+            const fixture = await loadFixture(deployPayrollFixture);
+            const { payroll, safe, token, approvers, signers } = fixture;
+            const validAfter = (await time.latest()) + DAY;
+
+            const payouts = [getPayout(fixture, { validAfter })];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const args = await getScheduledArgs(payroll, approvals, payouts);
+
+            await expect(payroll.executeScheduledPayroll(...args))
+                .to.emit(payroll, "PayoutOutsideValidity")
+                .withArgs(
+                    token.address,
+                    signers[5].address,
+                    100,
+                    1,
+                    validAfter,
+                    0
+                )
+                .and.not.to.emit(payroll, "PayoutFailed");
+            expect(await token.balanceOf(safe.address)).to.equal(
+                ethers.utils.parseEther("1000")
+            );
+            expect(await token.balanceOf(payroll.address)).to.equal(0);
+            expect(await payroll.getPayoutNonce(1)).to.equals(false);
+
+            await time.increaseTo(validAfter);
+
+            await expect(payroll.executeScheduledPayroll(...args))
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, signers[5].address, 100, 1);
+            expect(await payroll.getPayoutNonce(1)).to.equals(true);
+        });
+
+        it("Should not execute an expired payout", async function () {
+            const fixture = await loadFixture(deployPayrollFixture);
+            const { payroll, token, approvers, signers } = fixture;
+            const validUntil = (await time.latest()) + DAY;
+
+            const payouts = [getPayout(fixture, { validUntil })];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+
+            await time.increaseTo(validUntil + 1);
+
+            await expect(
+                payroll.executeScheduledPayroll(
+                    ...(await getScheduledArgs(payroll, approvals, payouts))
+                )
+            )
+                .to.emit(payroll, "PayoutOutsideValidity")
+                .withArgs(
+                    token.address,
+                    signers[5].address,
+                    100,
+                    1,
+                    0,
+                    validUntil
+                );
+            expect(await token.balanceOf(signers[5].address)).to.equal(0);
+            expect(await payroll.getPayoutNonce(1)).to.equals(false);
+        });
+
+        it("Should execute legacy and scheduled payouts in the same batch", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const now = await time.latest();
+            const [recipient_1, recipient_2, recipient_3] = signers.slice(5);
+
+            const payouts = [
+                {
+                    to: recipient_1.address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                {
+                    to: recipient_2.address,
+                    tokenAddress: token.address,
+                    amount: 200,
+                    payoutNonce: 2,
+                    validUntil: now + DAY,
+                },
+                {
+                    to: recipient_3.address,
+                    tokenAddress: token.address,
+                    amount: 300,
+                    payoutNonce: 3,
+                    validAfter: now + DAY,
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+
+            const execution = payroll.executeScheduledPayroll(
+                ...(await getScheduledArgs(payroll, approvals, payouts))
+            );
+            await expect(execution)
+                .to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, recipient_1.address, 100, 1)
+                .and.to.emit(payroll, "PayoutSuccessful")
+                .withArgs(token.address, recipient_2.address, 200, 2)
+                .and.to.emit(payroll, "PayoutOutsideValidity")
+                .withArgs(
+                    token.address,
+                    recipient_3.address,
+                    300,
+                    3,
+                    now + DAY,
+                    0
+                );
+            await expect(execution).to.changeTokenBalances(
+                token,
+                [recipient_1, recipient_2, recipient_3, payroll],
+                [100, 200, 0, 0]
+            );
+        });
+
+        it("Should not pay a payout whose validity window was tampered with", async function () {
+            const fixture = await loadFixture(deployPayrollFixture);
+            const { payroll, token, approvers, signers } = fixture;
+            const validUntil = (await time.latest()) + DAY;
+
+            const approved = [getPayout(fixture, { validUntil })];
+            const approvals = await signPayouts(payroll, approvers, approved);
+            const extended = [{ ...approved[0], validUntil: validUntil * 2 }];
+
+            await expect(
+                payroll.executeScheduledPayroll(
+                    ...(await getScheduledArgs(payroll, approvals, extended))
+                )
+            )
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(token.address, signers[5].address, 100, 1, 0, "0x");
+            expect(await payroll.getPayoutNonce(1)).to.equals(false);
+        });
+
+        it("Should not pay a scheduled payout through executePayroll", async function () {
+            const fixture = await loadFixture(deployPayrollFixture);
+            const { payroll, token, approvers, signers } = fixture;
+
+            const payouts = [getPayout(fixture, { validAfter: 1 })];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const [to, tokenAddress, amount, payoutNonce, , , ...rest] =
+                await getScheduledArgs(payroll, approvals, payouts);
+
+            // Without its window, the payout is checked against the legacy leaf
+            await expect(
+                payroll.executePayroll(
+                    to,
+                    tokenAddress,
+                    amount,
+                    payoutNonce,
+                    ...rest
+                )
+            )
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(token.address, signers[5].address, 100, 1, 0, "0x");
+            expect(await payroll.getPayoutNonce(1)).to.equals(false);
+        });
+
+        it("Should revert if the validity arrays length mismatch", async function () {
+            const fixture = await loadFixture(deployPayrollFixture);
+            const { payroll, approvers } = fixture;
+
+            const payouts = [getPayout(fixture, { validAfter: 1 })];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const [to, tokenAddress, amount, payoutNonce, , , ...rest] =
+                await getScheduledArgs(payroll, approvals, payouts);
+
+            await expect(
+                payroll.executeScheduledPayroll(
+                    to,
+                    tokenAddress,
+                    amount,
+                    payoutNonce,
+                    [1, 1],
+                    [],
+                    ...rest
+                )
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "PayrollDataLengthMismatch"
+            );
+        });
+    });
+});
@@ -0,0 +1,399 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    allowanceAmount,
+    execSafeTransaction,
+    deployPayrollFixture,
+    signPayouts,
+    getExecuteArgs,
+    getStreamArgs,
+} = require("../fixtures");
+const { getVestedAmount } = require("../../sdk");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+const CLIFF = 100;
+const DURATION = 1000;
+
+describe("Payroll Contract", () => {
+    describe("Vesting Streams", function () {
+        // Approve and create a stream of 1000 tokens to signers[5] starting now
+        async function createStreamFixture() {
+            const fixture = await deployPayrollFixture();
+            const { payroll, token, approvers, signers } = fixture;
+            const start = await time.latest();
+
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 1000,
+                    payoutNonce: 1,
+                    stream: { start, cliff: CLIFF, duration: DURATION },
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            await payroll.createStreams(
+                ...(await getStreamArgs(payroll, approvals, payouts))
+            );
+
+            return { ...fixture, start, recipient: signers[5] };
+        }
+
+        it("encodeStreamTransactionData, Should Generate the correct hash", async function () {
+            const { payroll, safe, token, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+
+            const encodedHash = await payroll.encodeStreamTransactionData(
+                signers[5].address,
+                token.address,
+                1000,
+                1,
+                1700000000,
+                CLIFF,
+                DURATION
+            );
+
+            const verifiedHash = ethers.utils.keccak256(
+                ethers.utils.defaultAbiCoder.encode(
+                    [
+                        "address",
+                        "address",
+                        "address",
+                        "uint256",
+                        "uint64",
+                        "uint64",
+                        "uint64",
+                        "uint64",
+                    ],
+                    [
+                        safe.address,
+                        signers[5].address,
+                        token.address,
+                        1000,
+                        1,
+                        1700000000,
+                        CLIFF,
+                        DURATION,
+                    ]
+                )
+            );
+            expect(encodedHash).to.equals(verifiedHash);
+        });
+
+        it("Should create an approved stream funded by the safe", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(deployPayrollFixture);
+            const start = await time.latest();
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 1000,
+                    payoutNonce: 1,
+                    stream: { start, cliff: CLIFF, duration: DURATION },
+                },
+            ];
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+
+            const creation = payroll.createStreams(
+                ...(await getStreamArgs(payroll, approvals, payouts))
+            );
+            await expect(creation)
+                .to.emit(payroll, "StreamCreated")
+                .withArgs(
+                    1,
+                    signers[5].address,
+                    token.address,
+                    1000,
+                    start,
+                    CLIFF,
+                    DURATION
+                );
+            await expect(creation).to.changeTokenBalances(
+                token,
+                [safe, payroll],
+                [-1000, 1000]
+            );
+
+            const stream = await payroll.getStream(1);
+            expect(stream.recipient).to.equal(signers[5].address);
+            expect(stream.amount).to.equal(1000);
+            expect(stream.claimed).to.equal(0);
+            expect(await payroll.lockedStreamBalance(token.address)).to.equal(
+                1000
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equals(true);
+        });
+
+        it("Should not create a stream below the threshold", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 1000,
+                    payoutNonce: 1,
+                    stream: { start: 0, cliff: 0, duration: DURATION },
+                },
+            ];
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 1),
+                payouts
+            );
+
+            await expect(
+                payroll.createStreams(
+                    ...(await getStreamArgs(payroll, approvals, payouts))
+                )
+            )
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(token.address, signers[5].address, 1000, 1, 0, "0x")
+                .and.not.to.emit(payroll, "StreamCreated");
+            expect(await payroll.getPayoutNonce(1)).to.equals(false);
+        });
+
+        it("Should not create a stream approved as a one-shot payout", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payout = {
+                to: signers[5].address,
+                tokenAddress: token.address,
+                amount: 1000,
+                payoutNonce: 1,
+            };
+            const approvals = await signPayouts(payroll, approvers, [payout]);
+            const stream = {
+                ...payout,
+                stream: { start: 0, cliff: 0, duration: 1 },
+            };
+
+            await expect(
+                payroll.createStreams(
+                    ...(await getStreamArgs(payroll, approvals, [stream]))
+                )
+            ).to.emit(payroll, "PayoutFailed");
+        });
+
+        it("Should revert if the stream schedule is invalid", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 1000,
+                    payoutNonce: 1,
+                    stream: { start: 0, cliff: 0, duration: DURATION },
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            const [streams, ...rest] = await getStreamArgs(
+                payroll,
+                approvals,
+                payouts
+            );
+
+            await expect(
+                payroll.createStreams(
+                    [{ ...streams[0], cliff: DURATION + 1 }],
+                    ...rest
+                )
+            )
+                .to.be.revertedWithCustomError(payroll, "InvalidStreamSchedule")
+                .withArgs(0, DURATION + 1, DURATION);
+        });
+
+        it("Should let the recipient claim the vested amount", async function () {
+            const { payroll, token, recipient, start, signers } =
+                await loadFixture(createStreamFixture);
+
+            await expect(payroll.connect(recipient).claimStream(1))
+                .to.be.revertedWithCustomError(payroll, "NothingToClaim")
+                .withArgs(1);
+
+            await expect(payroll.connect(signers[6]).claimStream(1))
+                .to.be.revertedWithCustomError(payroll, "OnlyStreamRecipient")
+                .withArgs(recipient.address);
+
+            await time.setNextBlockTimestamp(start + DURATION / 4);
+            await expect(payroll.connect(recipient).claimStream(1))
+                .to.emit(payroll, "StreamClaimed")
+                .withArgs(1, recipient.address, 250);
+            expect(await token.balanceOf(recipient.address)).to.equal(250);
+
+            await time.setNextBlockTimestamp(start + DURATION * 2);
+            await expect(
+                payroll.connect(recipient).claimStream(1)
+            ).to.changeTokenBalances(token, [payroll, recipient], [-750, 750]);
+
+            const stream = await payroll.getStream(1);
+            expect(stream.claimed).to.equal(1000);
+            expect(await payroll.lockedStreamBalance(token.address)).to.equal(
+                0
+            );
+            expect(await payroll.claimableAmount(1)).to.equal(0);
+        });
+
+        it("Should match the vested amount computed by the SDK", async function () {
+            const { payroll, start } = await loadFixture(createStreamFixture);
+            const stream = await payroll.getStream(1);
+
+            for (const elapsed of [CLIFF - 1, CLIFF, 333, DURATION]) {
+                await time.increaseTo(start + elapsed);
+                expect(await payroll.vestedAmount(1)).to.equal(
+                    getVestedAmount(stream, start + elapsed)
+                );
+            }
+        });
+
+        it("Should cancel a stream and refund the unvested amount to the safe", async function () {
+            const { payroll, safe, token, approvers, recipient, start } =
+                await loadFixture(createStreamFixture);
+
+            await time.setNextBlockTimestamp(start + DURATION / 2);
+            const cancellation = payroll.connect(approvers[0]).cancelStream(1);
+            await expect(cancellation)
+                .to.emit(payroll, "StreamCancelled")
+                .withArgs(1, approvers[0].address, 500, 500);
+            await expect(cancellation).to.changeTokenBalances(
+                token,
+                [payroll, safe],
+                [-500, 500]
+            );
+
+            await expect(payroll.connect(approvers[1]).cancelStream(1))
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "StreamAlreadyCancelled"
+                )
+                .withArgs(1);
+
+            // Vesting stops at cancellation, the vested amount stays claimable
+            await time.increaseTo(start + DURATION * 2);
+            expect(await payroll.claimableAmount(1)).to.equal(500);
+            await expect(
+                payroll.connect(recipient).claimStream(1)
+            ).to.changeTokenBalances(token, [payroll, recipient], [-500, 500]);
+            expect(await payroll.lockedStreamBalance(token.address)).to.equal(
+                0
+            );
+        });
+
+        it("Only an approver or the safe should be able to cancel a stream", async function () {
+            const { payroll, safe, recipient } = await loadFixture(
+                createStreamFixture
+            );
+
+            await expect(
+                payroll.connect(recipient).cancelStream(1)
+            ).to.be.revertedWithCustomError(payroll, "OnlyApproverOrOwner");
+
+            await expect(
+                execSafeTransaction(safe, payroll, "cancelStream", [1])
+            )
+                .to.emit(payroll, "StreamCancelled")
+                .withArgs(1, safe.address, 0, 1000);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "cancelStream", [2])
+            )
+                .to.be.revertedWithCustomError(payroll, "StreamDoesNotExist")
+                .withArgs(2);
+        });
+
+        it("Should stream native tokens", async function () {
+            const { payroll, safe, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const start = await time.latest();
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 1000,
+                    payoutNonce: 1,
+                    stream: { start, cliff: 0, duration: DURATION },
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+
+            await expect(
+                payroll.createStreams(
+                    ...(await getStreamArgs(payroll, approvals, payouts))
+                )
+            ).to.changeEtherBalances([safe, payroll], [-1000, 1000]);
+
+            await time.setNextBlockTimestamp(start + DURATION);
+            await expect(
+                payroll.connect(signers[5]).claimStream(1)
+            ).to.changeEtherBalances([payroll, signers[5]], [-1000, 1000]);
+        });
+
+        it("Should not use or sweep the funds locked for streams", async function () {
+            const { payroll, safe, token, approvers, signers } =
+                await loadFixture(createStreamFixture);
+
+            // The payout is fetched from the safe, the stream funds are left untouched
+            const payouts = [
+                {
+                    to: signers[6].address,
+                    tokenAddress: token.address,
+                    amount: 400,
+                    payoutNonce: 2,
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+            await expect(
+                payroll.executePayroll(
+                    ...(await getExecuteArgs(payroll, approvals, payouts))
+                )
+            ).to.changeTokenBalances(
+                token,
+                [safe, payroll, signers[6]],
+                [-400, 0, 400]
+            );
+
+            await token.mint(payroll.address, 300);
+            await expect(payroll.sweep(token.address)).to.changeTokenBalances(
+                token,
+                [payroll, safe],
+                [-300, 300]
+            );
+            expect(await token.balanceOf(payroll.address)).to.equal(1000);
+        });
+
+        it("Should reject streams in the payroll assembler", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: allowanceAmount,
+                    payoutNonce: 1,
+                    stream: { start: 0, cliff: 0, duration: DURATION },
+                },
+            ];
+            const approvals = await signPayouts(payroll, approvers, payouts);
+
+            await expect(
+                getExecuteArgs(payroll, approvals, payouts)
+            ).to.be.rejectedWith("Payout 1 is a stream, see assembleStreams");
+        });
+    });
+});
@@ -0,0 +1,324 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    setCode,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    execSafeTransaction,
+    signPayouts,
+    getExecuteArgs,
+} = require("../fixtures");
+const { signNonceCancellation, submitNonceCancellation } = require("../../sdk");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+
+// Address whose code rejects native transfers until it is cleared
+const REJECTING_RECIPIENT = "0x000000000000000000000000000000000000dEaD";
+
+// PayoutFailureReason
+const NATIVE_TRANSFER_FAILED = 2;
+
+describe("Payroll Contract", () => {
+    describe("Failed Payouts and Sweeps", function () {
+        /**
+         * @dev Sign the payouts with the first two approvers and execute them
+         */
+        async function executePayouts(payroll, approvers, payouts) {
+            const approvals = await signPayouts(
+                payroll,
+                approvers.slice(0, 2),
+                payouts
+            );
+            return payroll.executePayroll(
+                ...(await getExecuteArgs(payroll, approvals, payouts))
+            );
+        }
+
+        /**
+         * @dev Execute a native payout of 60 to a recipient rejecting it and a token payout of 50 to the zero address
+         * @return Payroll fixture with the execution transaction
+         */
+        async function failedPayoutsFixture() {
+            const fixture = await deployPayrollFixture();
+            const { payroll, token, approvers } = fixture;
+            await setCode(REJECTING_RECIPIENT, "0xfe");
+
+            const execution = await executePayouts(payroll, approvers, [
+                {
+                    to: REJECTING_RECIPIENT,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 60,
+                    payoutNonce: 1,
+                },
+                // ERC20 transfers to the zero address revert
+                {
+                    to: ADDRESS_ZERO,
+                    tokenAddress: token.address,
+                    amount: 50,
+                    payoutNonce: 2,
+                },
+            ]);
+            return { ...fixture, execution };
+        }
+
+        it("Should lock the funds of failed transfers for their nonce", async function () {
+            const { payroll, safe, token, execution } = await loadFixture(
+                failedPayoutsFixture
+            );
+
+            await expect(execution)
+                .to.emit(payroll, "FailedPayoutRecorded")
+                .withArgs(1, ADDRESS_ZERO, REJECTING_RECIPIENT, 60)
+                .and.to.emit(payroll, "FailedPayoutRecorded")
+                .withArgs(2, token.address, ADDRESS_ZERO, 50);
+
+            const failedPayout = await payroll.getFailedPayout(1);
+            expect(failedPayout.tokenAddress).to.equal(ADDRESS_ZERO);
+            expect(failedPayout.to).to.equal(REJECTING_RECIPIENT);
+            expect(failedPayout.amount).to.equal(60);
+            expect(await payroll.lockedFailedBalance(token.address)).to.equal(
+                50
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equal(false);
+
+            // Only the funds not locked for failed payouts are swept
+            await token.mint(payroll.address, 500);
+            await expect(payroll.sweep(token.address))
+                .to.emit(payroll, "Swept")
+                .withArgs(token.address, safe.address, 500);
+            expect(await token.balanceOf(payroll.address)).to.equal(50);
+        });
+
+        it("Should only let the safe retry a failed payout", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                failedPayoutsFixture
+            );
+
+            await expect(
+                payroll.connect(approvers[0]).retryFailedPayout(1)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            // The transfer fails again while the recipient rejects it
+            await expect(
+                execSafeTransaction(safe, payroll, "retryFailedPayout", [1])
+            ).to.be.reverted;
+
+            await setCode(REJECTING_RECIPIENT, "0x00");
+            const retry = execSafeTransaction(
+                safe,
+                payroll,
+                "retryFailedPayout",
+                [1]
+            );
+            await expect(retry)
+                .to.emit(payroll, "FailedPayoutRetried")
+                .withArgs(1, 60)
+                .and.to.emit(payroll, "PayoutSuccessful")
+                .withArgs(ADDRESS_ZERO, REJECTING_RECIPIENT, 60, 1);
+            await expect(retry).to.changeEtherBalances(
+                [payroll, REJECTING_RECIPIENT],
+                [-60, 60]
+            );
+            expect(await payroll.getPayoutNonce(1)).to.equal(true);
+            expect(await payroll.lockedFailedBalance(ADDRESS_ZERO)).to.equal(0);
+
+            await expect(
+                execSafeTransaction(safe, payroll, "refundFailedPayout", [1])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "FailedPayoutDoesNotExist"
+                )
+                .withArgs(1);
+        });
+
+        it("Should lock a nonce failing twice once and pay it from its locked funds", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                failedPayoutsFixture
+            );
+            const payout = {
+                to: REJECTING_RECIPIENT,
+                tokenAddress: ADDRESS_ZERO,
+                amount: 60,
+                payoutNonce: 1,
+            };
+
+            // The payout fails again, it is paid from its locked funds instead of a new fetch
+            const execution = executePayouts(payroll, approvers, [payout]);
+            await expect(execution)
+                .to.emit(payroll, "PayoutFailed")
+                .withArgs(
+                    ADDRESS_ZERO,
+                    REJECTING_RECIPIENT,
+                    60,
+                    1,
+                    NATIVE_TRANSFER_FAILED,
+                    "0x"
+                );
+            await expect(execution).to.changeEtherBalances(
+                [safe, payroll],
+                [0, 0]
+            );
+            expect((await payroll.getFailedPayout(1)).amount).to.equal(60);
+            expect(await payroll.lockedFailedBalance(ADDRESS_ZERO)).to.equal(
+                60
+            );
+
+            // The recipient is paid once
+            await setCode(REJECTING_RECIPIENT, "0x00");
+            await expect(
+                execSafeTransaction(safe, payroll, "retryFailedPayout", [1])
+            ).to.changeEtherBalances([payroll, REJECTING_RECIPIENT], [-60, 60]);
+            await expect(
+                execSafeTransaction(safe, payroll, "retryFailedPayout", [1])
+            ).to.be.revertedWithCustomError(
+                payroll,
+                "PayoutNonceAlreadyExecuted"
+            );
+            expect(await payroll.lockedFailedBalance(ADDRESS_ZERO)).to.equal(0);
+        });
+
+        it("Should check the spending caps when retrying a failed payout", async function () {
+            const { payroll, safe } = await loadFixture(failedPayoutsFixture);
+            await setCode(REJECTING_RECIPIENT, "0x00");
+
+            await execSafeTransaction(safe, payroll, "setSpendingCap", [
+                ADDRESS_ZERO,
+                50,
+                0,
+                0,
+                0,
+            ]);
+            await expect(
+                execSafeTransaction(safe, payroll, "retryFailedPayout", [1])
+            )
+                .to.be.revertedWithCustomError(payroll, "SpendingCapExceeded")
+                .withArgs(ADDRESS_ZERO, REJECTING_RECIPIENT, 60);
+        });
+
+        it("Should refund a failed payout to the safe and cancel its nonce", async function () {
+            const { payroll, safe, token } = await loadFixture(
+                failedPayoutsFixture
+            );
+
+            const refund = execSafeTransaction(
+                safe,
+                payroll,
+                "refundFailedPayout",
+                [2]
+            );
+            await expect(refund)
+                .to.emit(payroll, "FailedPayoutRefunded")
+                .withArgs(2, 50);
+            await expect(refund).to.changeTokenBalances(
+                token,
+                [payroll, safe],
+                [-50, 50]
+            );
+            expect(await payroll.getPayoutNonce(2)).to.equal(true);
+            expect(await payroll.lockedFailedBalance(token.address)).to.equal(
+                0
+            );
+
+            await expect(
+                execSafeTransaction(safe, payroll, "refundFailedPayout", [2])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "FailedPayoutDoesNotExist"
+                )
+                .withArgs(2);
+        });
+
+        it("Should only refund a failed payout whose nonce was used since", async function () {
+            const { payroll, safe, approvers } = await loadFixture(
+                failedPayoutsFixture
+            );
+            await setCode(REJECTING_RECIPIENT, "0x00");
+
+            await submitNonceCancellation(
+                approvers[0],
+                payroll,
+                await signNonceCancellation(approvers[0], payroll, {
+                    nonce: 1,
+                })
+            );
+
+            await expect(
+                execSafeTransaction(safe, payroll, "retryFailedPayout", [1])
+            )
+                .to.be.revertedWithCustomError(
+                    payroll,
+                    "PayoutNonceAlreadyExecuted"
+                )
+                .withArgs(1);
+            await expect(
+                execSafeTransaction(safe, payroll, "refundFailedPayout", [1])
+            ).to.changeEtherBalances([payroll, safe], [-60, 60]);
+        });
+
+        it("Should let the safe sweep amounts of several tokens to any destination", async function () {
+            const { payroll, safe, token, safeOwner, signers } =
+                await loadFixture(failedPayoutsFixture);
+            const destination = signers[7].address;
+
+            await token.mint(payroll.address, 500);
+            await safeOwner.sendTransaction({
+                to: payroll.address,
+                value: 300,
+            });
+
+            await expect(
+                payroll.sweepTo([token.address], [100], destination)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(
+                execSafeTransaction(safe, payroll, "sweepTo", [
+                    [token.address, ADDRESS_ZERO],
+                    [100],
+                    destination,
+                ])
+            ).to.be.revertedWithCustomError(payroll, "SweepDataLengthMismatch");
+            await expect(
+                execSafeTransaction(safe, payroll, "sweepTo", [
+                    [token.address],
+                    [100],
+                    ADDRESS_ZERO,
+                ])
+            ).to.be.revertedWithCustomError(payroll, "InvalidSweepDestination");
+
+            // The funds locked for failed payouts can't be swept
+            await expect(
+                execSafeTransaction(safe, payroll, "sweepTo", [
+                    [token.address],
+                    [501],
+                    destination,
+                ])
+            )
+                .to.be.revertedWithCustomError(payroll, "SweepFailed")
+                .withArgs(token.address, 501);
+
+            const sweep = execSafeTransaction(safe, payroll, "sweepTo", [
+                [token.address, ADDRESS_ZERO],
+                [200, 300],
+                destination,
+            ]);
+            await expect(sweep)
+                .to.emit(payroll, "Swept")
+                .withArgs(token.address, destination, 200)
+                .and.to.emit(payroll, "Swept")
+                .withArgs(ADDRESS_ZERO, destination, 300);
+            await expect(sweep).to.changeTokenBalances(
+                token,
+                [payroll, destination],
+                [-200, 200]
+            );
+            await expect(sweep).to.changeEtherBalances(
+                [payroll, destination],
+                [-300, 300]
+            );
+            expect(await token.balanceOf(payroll.address)).to.equal(350);
+        });
+    });
+});
@@ -0,0 +1,405 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    buildPayrollTree,
+    buildLegacyTree,
+    getDomain,
+    getPayrollTxTypedData,
+    signTypedData,
+    assemblePayroll,
+    buildExecutePayroll,
+    compareAddresses,
+} = require("../../sdk");
+const {
+    deployAllowanceModule,
+    deployStackFixture,
+    getPayrollAt,
+} = require("../fixtures");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+
+describe("Payroll SDK", () => {
+    describe("Payroll Batch Assembler", function () {
+        let payroll;
+        let signers;
+        let domain;
+        const threshold = 2;
+
+        // Sign the tree of each approver
+        const approve = async (approvers, payouts) =>
+            Promise.all(
+                approvers.map(async (approver) => {
+                    const payrollTree = buildPayrollTree(
+                        await payroll.owner(),
+                        payouts
+                    );
+                    return {
+                        root: payrollTree.root,
+                        tree: payrollTree.tree,
+                        signature: await signTypedData(
+                            approver,
+                            getPayrollTxTypedData(domain, payrollTree.root)
+                        ),
+                    };
+                })
+            );
+
+        it("fetch signers", async function () {
+            signers = await ethers.getSigners();
+        });
+
+        it("deploy", async function () {
+            const [safe, operator_1, operator_2, operator_3] = signers;
+
+            const { factory } = await deployStackFixture();
+
+            await factory
+                .connect(safe)
+                .onboard(
+                    ethers.constants.HashZero,
+                    ethers.utils.formatBytes32String("assembler"),
+                    [
+                        operator_1.address,
+                        operator_2.address,
+                        operator_3.address,
+                    ],
+                    threshold,
+                    (
+                        await deployAllowanceModule()
+                    ).address
+                );
+
+            payroll = await getPayrollAt(
+                await factory.parcelAddress(safe.address)
+            );
+
+            domain = getDomain(
+                (await ethers.provider.getNetwork()).chainId,
+                payroll.address
+            );
+        });
+
+        it("Should sort payouts by token and roots by signer", async function () {
+            const [safe, operator_1, operator_2, operator_3, recipient] =
+                signers;
+            const tokenA = "0xD87Ba7A50B2E7E660f678A895E4B72E7CB4CCd9C";
+            const tokenB = "0x2fEB7B7B1747f6be086d50A939eb141A2e90A2d7";
+
+            const payouts = [
+                {
+                    to: recipient.address,
+                    tokenAddress: tokenA,
+                    amount: 1,
+                    payoutNonce: 1,
+                },
+                {
+                    to: recipient.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 2,
+                    payoutNonce: 2,
+                },
+                {
+                    to: recipient.address,
+                    tokenAddress: tokenB,
+                    amount: 3,
+                    payoutNonce: 3,
+                },
+                {
+                    to: recipient.address,
+                    tokenAddress: tokenA,
+                    amount: 4,
+                    payoutNonce: 4,
+                },
+            ];
+
+            const approvals = await approve(
+                [operator_3, operator_1, operator_2],
+                payouts
+            );
+
+            const { args, report } = assemblePayroll(
+                domain,
+                safe.address,
+                threshold,
+                approvals,
+                payouts
+            );
+
+            // Native token first, then ascending token addresses
+            expect(args.payoutNonce.map(Number)).to.deep.equal([2, 3, 1, 4]);
+
+            const sortedApprovers = [
+                operator_1.address,
+                operator_2.address,
+                operator_3.address,
+            ].sort(compareAddresses);
+            expect(report.approvers).to.deep.equal(sortedApprovers);
+            expect(args.roots.length).to.equal(3);
+
+            expect(args.proof.length).to.equal(payouts.length);
+            args.proof.forEach((proofs) =>
+                expect(proofs.length).to.equal(approvals.length)
+            );
+
+            expect(report.payouts.every(({ approvals }) => approvals === 3)).to
+                .be.true;
+            expect(report.tokens.length).to.equal(3);
+        });
+
+        it("Should reject two signatures from the same approver", async function () {
+            const [safe, operator_1, __, ___, recipient] = signers;
+            const payouts = [
+                {
+                    to: recipient.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 1,
+                    payoutNonce: 1,
+                },
+            ];
+
+            const approvals = await approve([operator_1, operator_1], payouts);
+
+            expect(() =>
+                assemblePayroll(
+                    domain,
+                    safe.address,
+                    threshold,
+                    approvals,
+                    payouts
+                )
+            ).to.throw(
+                `Duplicate signature from approver ${operator_1.address}`
+            );
+        });
+
+        it("Should call executeScheduledPayroll when a payout is scheduled", async function () {
+            const [safe, operator_1, operator_2, __, recipient] = signers;
+            const payouts = [
+                {
+                    to: recipient.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 1,
+                    payoutNonce: 1,
+                },
+            ];
+            const scheduled = [{ ...payouts[0], validUntil: 1 }];
+
+            const { calldata } = assemblePayroll(
+                domain,
+                safe.address,
+                threshold,
+                await approve([operator_1, operator_2], payouts),
+                payouts
+            );
+            expect(calldata.slice(0, 10)).to.equal(
+                payroll.interface.getSighash("executePayroll")
+            );
+
+            const { args, calldata: scheduledCalldata } = assemblePayroll(
+                domain,
+                safe.address,
+                threshold,
+                await approve([operator_1, operator_2], scheduled),
+                scheduled
+            );
+            expect(args.validUntil.map(Number)).to.deep.equal([1]);
+            expect(scheduledCalldata.slice(0, 10)).to.equal(
+                payroll.interface.getSighash("executeScheduledPayroll")
+            );
+        });
+
+        it("Should build executable calldata and a dry-run report", async function () {
+            const [
+                safe,
+                operator_1,
+                operator_2,
+                operator_3,
+                recipient_1,
+                recipient_2,
+            ] = signers;
+
+            const payouts = [
+                {
+                    to: recipient_1.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                {
+                    to: recipient_2.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 200,
+                    payoutNonce: 2,
+                },
+            ];
+
+            // Operator 3 only approved the first payout
+            const approvals = [
+                ...(await approve([operator_2, operator_1], payouts)),
+                ...(await approve([operator_3], [payouts[0]])),
+            ];
+
+            // Fund the payroll contract, so no allowance is fetched from the safe
+            await safe.sendTransaction({ to: payroll.address, value: 300 });
+
+            const { calldata, report } = await buildExecutePayroll(
+                payroll,
+                approvals,
+                payouts
+            );
+
+            expect(report.simulation.success).to.equal(true);
+            expect(
+                report.payouts.map(({ approvals }) => approvals)
+            ).to.deep.equal([3, 2]);
+            expect(report.payouts.every(({ executable }) => executable)).to.be
+                .true;
+            expect(report.payouts.map(({ outcome }) => outcome)).to.deep.equal([
+                "Paid",
+                "Paid",
+            ]);
+            // The balance of the payroll contract covers the batch
+            expect(report.tokens).to.deep.equal([
+                {
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: ethers.BigNumber.from(300),
+                    fetched: ethers.BigNumber.from(0),
+                },
+            ]);
+
+            await expect(
+                recipient_1.sendTransaction({
+                    to: payroll.address,
+                    data: calldata,
+                })
+            ).to.changeEtherBalance(recipient_2, 200);
+
+            expect(await payroll.getPayoutNonce(1)).to.equal(true);
+            expect(await payroll.getPayoutNonce(2)).to.equal(true);
+        });
+
+        it("Should report the revert reason of a failing dry-run", async function () {
+            const [_, operator_1, operator_2, __, recipient] = signers;
+
+            const payouts = [
+                {
+                    to: recipient.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+            ];
+            const approvals = await approve([operator_1, operator_2], payouts);
+
+            const { report } = await buildExecutePayroll(
+                payroll,
+                approvals,
+                payouts
+            );
+
+            expect(report.payouts[0].nonceUsed).to.equal(true);
+            expect(report.payouts[0].outcome).to.equal("NonceAlreadyExecuted");
+            expect(report.payouts[0].executable).to.equal(false);
+            expect(report.simulation).to.deep.equal({
+                success: false,
+                error: "PayoutNonceAlreadyExecuted(1)",
+            });
+        });
+
+        it("Should prove each root with one multiproof", async function () {
+            const [
+                safe,
+                operator_1,
+                operator_2,
+                operator_3,
+                recipient_1,
+                recipient_2,
+            ] = signers;
+
+            const payouts = [3, 4, 5].map((payoutNonce, i) => ({
+                to: [recipient_1, recipient_2][i % 2].address,
+                tokenAddress: ADDRESS_ZERO,
+                amount: 100,
+                payoutNonce,
+            }));
+
+            // Operator 3 didn't approve the batch
+            const approvals = [
+                ...(await approve([operator_1, operator_2], payouts)),
+                ...(await approve([operator_3], [payouts[2]])),
+            ];
+            await safe.sendTransaction({ to: payroll.address, value: 300 });
+
+            const { args, calldata, report } = await buildExecutePayroll(
+                payroll,
+                approvals,
+                payouts.slice(0, 2),
+                undefined,
+                { multiProof: true }
+            );
+
+            expect(report.simulation.success).to.equal(true);
+            expect(args.multiProofs.length).to.equal(3);
+            args.multiProofs.forEach(({ leafIndices }, j) =>
+                expect(leafIndices).to.have.members(
+                    args.roots[j] === approvals[2].root ? [] : [0, 1]
+                )
+            );
+
+            await expect(
+                recipient_1.sendTransaction({
+                    to: payroll.address,
+                    data: calldata,
+                })
+            ).to.changeEtherBalance(recipient_2, 100);
+            expect(await payroll.getPayoutNonce(4)).to.equal(true);
+        });
+
+        it("Should rebuild the leaves of approvals signed on legacy trees", async function () {
+            const [safe, operator_1, operator_2, __, recipient] = signers;
+
+            const payouts = [6, 7, 8, 9, 10].map((payoutNonce) => ({
+                to: recipient.address,
+                tokenAddress: ADDRESS_ZERO,
+                amount: 100,
+                payoutNonce,
+            }));
+            // Odd layers of 5 leaves give legacy trees another root
+            const { leaves } = buildPayrollTree(safe.address, payouts);
+            const root = buildLegacyTree(leaves).getHexRoot();
+
+            const approvals = await Promise.all(
+                [operator_1, operator_2].map(async (approver) => ({
+                    root,
+                    leaves,
+                    signature: await signTypedData(
+                        approver,
+                        getPayrollTxTypedData(domain, root)
+                    ),
+                }))
+            );
+
+            const { report } = assemblePayroll(
+                domain,
+                safe.address,
+                threshold,
+                approvals,
+                payouts
+            );
+            expect(report.payouts.every(({ approved }) => approved)).to.be.true;
+
+            expect(() =>
+                assemblePayroll(
+                    domain,
+                    safe.address,
+                    threshold,
+                    approvals,
+                    payouts,
+                    { multiProof: true }
+                )
+            ).to.throw(
+                `Tree ${root} isn't a complete tree, it has no multiproofs`
+            );
+        });
+    });
+});
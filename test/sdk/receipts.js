@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployPayrollFixture,
+    signPayouts,
+    getScheduledArgs,
+} = require("../fixtures");
+const {
+    decodeRevertData,
+    decodePayoutStatuses,
+    formatPayoutStatusTable,
+    getPayoutStatuses,
+    getFailedPayouts,
+} = require("../../sdk");
+
+const ADDRESS_ZERO = ethers.constants.AddressZero;
+
+describe("Payroll SDK", () => {
+    describe("Execution Receipts", function () {
+        it("Should decode the revert data of failed transfers", async function () {
+            const abiCoder = ethers.utils.defaultAbiCoder;
+
+            expect(decodeRevertData("0x")).to.equal(null);
+            expect(
+                decodeRevertData(
+                    "0x08c379a0" +
+                        abiCoder.encode(["string"], ["nope"]).slice(2)
+                )
+            ).to.equal("nope");
+            expect(
+                decodeRevertData(
+                    "0x4e487b71" + abiCoder.encode(["uint256"], [0x11]).slice(2)
+                )
+            ).to.equal("Panic(0x11)");
+            expect(decodeRevertData("0xdeadbeef")).to.equal("0xdeadbeef");
+        });
+
+        it("Should build the status of every payout of an execution", async function () {
+            const { payroll, token, approvers, signers } = await loadFixture(
+                deployPayrollFixture
+            );
+            const validAfter = (await time.latest()) + 3600;
+
+            const payouts = [
+                {
+                    to: signers[5].address,
+                    tokenAddress: token.address,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                // ERC20 transfers to the zero address revert
+                {
+                    to: ADDRESS_ZERO,
+                    tokenAddress: token.address,
+                    amount: 50,
+                    payoutNonce: 2,
+                },
+                // The token contract can't receive native tokens
+                {
+                    to: token.address,
+                    tokenAddress: ADDRESS_ZERO,
+                    amount: 10,
+                    payoutNonce: 3,
+                },
+                {
+                    to: signers[6].address,
+                    tokenAddress: token.address,
+                    amount: 20,
+                    payoutNonce: 4,
+                    validAfter,
+                },
+            ];
+            const unapproved = {
+                to: signers[7].address,
+                tokenAddress: token.address,
+                amount: 30,
+                payoutNonce: 5,
+            };
+
+            const approvals = [
+                ...(await signPayouts(payroll, approvers.slice(0, 2), payouts)),
+                ...(await signPayouts(payroll, [approvers[2]], [unapproved])),
+            ];
+            const tx = await payroll.executeScheduledPayroll(
+                ...(await getScheduledArgs(payroll, approvals, [
+                    ...payouts,
+                    unapproved,
+                ]))
+            );
+
+            const statuses = decodePayoutStatuses(
+                await tx.wait(),
+                payroll.address
+            );
+            expect(
+                statuses.map(({ payoutNonce, status, reason, error }) => [
+                    payoutNonce.toNumber(),
+                    status,
+                    reason,
+                    error,
+                ])
+            ).to.have.deep.members([
+                [1, "paid", undefined, undefined],
+                [
+                    2,
+                    "failed",
+                    "TokenTransferFailed",
+                    "ERC20: transfer to the zero address",
+                ],
+                [3, "failed", "NativeTransferFailed", null],
+                [4, "outsideValidity", undefined, undefined],
+                [5, "failed", "InsufficientApprovals", null],
+            ]);
+
+            expect(await getPayoutStatuses(payroll, tx.hash)).to.deep.equal(
+                statuses
+            );
+
+            const table = formatPayoutStatusTable(statuses);
+            expect(table["1"]).to.deep.equal({
+                token: token.address,
+                to: signers[5].address,
+                amount: "100",
+                status: "paid",
+                reason: "",
+                error: "",
+            });
+            expect(table["3"].reason).to.equal("NativeTransferFailed");
+
+            // Only the failed transfers leave funds on the contract
+            const failedPayouts = await getFailedPayouts(payroll, statuses);
+            expect(
+                failedPayouts.map(({ payoutNonce, tokenAddress, amount }) => [
+                    payoutNonce.toNumber(),
+                    tokenAddress,
+                    amount.toNumber(),
+                ])
+            ).to.have.deep.members([
+                [2, token.address, 50],
+                [3, ADDRESS_ZERO, 10],
+            ]);
+        });
+    });
+});
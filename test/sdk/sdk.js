@@ -0,0 +1,364 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    encodeLeaf,
+    buildPayrollTree,
+    getProof,
+    getMultiProof,
+    verifyProof,
+    verifyMultiProof,
+    preparePayroll,
+    verifyPayroll,
+    signPayroll,
+    recoverTypedDataSigner,
+    prepareOnboarding,
+} = require("../../sdk");
+const { ALLOWANCE_MODULE } = require("../../utils/constant");
+const {
+    deployAllowanceModule,
+    deployStackFixture,
+    getPayrollAt,
+} = require("../fixtures");
+
+describe("Payroll SDK", () => {
+    describe("Merkle Tree & Signatures", function () {
+        let payroll;
+        let signers;
+        let prepared;
+        const threshold = 2;
+        const tokenAddress = "0xD87Ba7A50B2E7E660f678A895E4B72E7CB4CCd9C";
+
+        it("fetch signers", async function () {
+            signers = await ethers.getSigners();
+        });
+
+        it("deploy", async function () {
+            const [safe, operator_1, operator_2, operator_3] = signers;
+
+            const { factory } = await deployStackFixture();
+            const allowanceModule = await deployAllowanceModule();
+
+            const onboarding = await prepareOnboarding(factory, {
+                safeAddress: safe.address,
+                approvers: [
+                    operator_1.address,
+                    operator_2.address,
+                    operator_3.address,
+                ],
+                threshold,
+                salt: ethers.utils.formatBytes32String("sdk"),
+                allowanceModule: allowanceModule.address,
+            });
+            await safe.sendTransaction({
+                to: onboarding.to,
+                data: onboarding.data,
+            });
+
+            expect(await factory.parcelAddress(safe.address)).to.equal(
+                onboarding.predictedAddress
+            );
+
+            payroll = await getPayrollAt(onboarding.predictedAddress);
+            expect(await payroll.allowanceModule()).to.equal(
+                allowanceModule.address
+            );
+        });
+
+        it("Should default to the allowance module of the network", async function () {
+            const [safe, operator_1] = signers;
+            const { factory } = await deployStackFixture();
+
+            const onboarding = await prepareOnboarding(factory, {
+                safeAddress: safe.address,
+                approvers: [operator_1.address],
+                threshold: 1,
+                salt: ethers.constants.HashZero,
+            });
+
+            expect(onboarding.allowanceModule).to.equal(ALLOWANCE_MODULE);
+        });
+
+        it("Should encode leaves like encodeTransactionData", async function () {
+            const [safe, operator_1] = signers;
+            const payout = {
+                to: operator_1.address,
+                tokenAddress,
+                amount: ethers.utils.parseEther("0.0001"),
+                payoutNonce: 1,
+            };
+
+            expect(encodeLeaf(safe.address, payout)).to.equal(
+                await payroll.encodeTransactionData(
+                    payout.to,
+                    payout.tokenAddress,
+                    payout.amount,
+                    payout.payoutNonce
+                )
+            );
+        });
+
+        it("Should encode scheduled leaves like encodeScheduledTransactionData", async function () {
+            const [safe, operator_1] = signers;
+            const payout = {
+                to: operator_1.address,
+                tokenAddress,
+                amount: ethers.utils.parseEther("0.0001"),
+                payoutNonce: 1,
+                validAfter: 1700000000,
+                validUntil: 1800000000,
+            };
+
+            const leaf = encodeLeaf(safe.address, payout);
+            expect(leaf).to.equal(
+                await payroll.encodeScheduledTransactionData(
+                    payout.to,
+                    payout.tokenAddress,
+                    payout.amount,
+                    payout.payoutNonce,
+                    payout.validAfter,
+                    payout.validUntil
+                )
+            );
+            expect(leaf).to.not.equal(
+                encodeLeaf(safe.address, { ...payout, validUntil: 0 })
+            );
+
+            // No validity window, the legacy leaf is kept
+            expect(
+                encodeLeaf(safe.address, {
+                    ...payout,
+                    validAfter: 0,
+                    validUntil: 0,
+                })
+            ).to.equal(
+                await payroll.encodeTransactionData(
+                    payout.to,
+                    payout.tokenAddress,
+                    payout.amount,
+                    payout.payoutNonce
+                )
+            );
+        });
+
+        it("Should reject an invalid validity window", async function () {
+            const [safe, operator_1] = signers;
+
+            expect(() =>
+                encodeLeaf(safe.address, {
+                    to: operator_1.address,
+                    tokenAddress,
+                    amount: 100,
+                    payoutNonce: 1,
+                    validAfter: 200,
+                    validUntil: 100,
+                })
+            ).to.throw("Invalid validity window for nonce 1");
+        });
+
+        it("Should build a tree with valid proofs for every payout", async function () {
+            const [safe, operator_1, operator_2, operator_3] = signers;
+            const payouts = [operator_1, operator_2, operator_3].map(
+                (recipient, i) => ({
+                    to: recipient.address,
+                    tokenAddress,
+                    amount: 100 * (i + 1),
+                    payoutNonce: i + 1,
+                })
+            );
+
+            const { root, leaves, proofs, tree } = buildPayrollTree(
+                safe.address,
+                payouts
+            );
+
+            for (let i = 0; i < leaves.length; i++) {
+                expect(verifyProof(proofs[i], root, leaves[i])).to.equal(true);
+                expect(getProof(tree, leaves[i])).to.deep.equal(proofs[i]);
+            }
+
+            const outsider = encodeLeaf(safe.address, {
+                ...payouts[0],
+                payoutNonce: 4,
+            });
+            expect(getProof(tree, outsider)).to.deep.equal([]);
+            expect(verifyProof(proofs[0], root, outsider)).to.equal(false);
+        });
+
+        it("Should build multiproofs for any set of payouts", async function () {
+            const [safe] = signers;
+
+            for (const size of [1, 2, 5, 8, 13]) {
+                const payouts = Array.from({ length: size }, (_, i) => ({
+                    to: signers[i % signers.length].address,
+                    tokenAddress,
+                    amount: 100,
+                    payoutNonce: i + 1,
+                }));
+                const { root, leaves, tree } = buildPayrollTree(
+                    safe.address,
+                    payouts
+                );
+
+                // Every subset of the small trees, every other payout of the larger ones
+                const subsets =
+                    size <= 5
+                        ? Array.from({ length: 2 ** size - 1 }, (_, mask) =>
+                              leaves.filter((_, i) => (mask + 1) & (1 << i))
+                          )
+                        : [leaves, leaves.filter((_, i) => i % 2 === 0)];
+                for (const subset of subsets) {
+                    const multiProof = getMultiProof(tree, subset);
+                    expect(multiProof.leaves).to.have.members(subset);
+                    expect(verifyMultiProof(multiProof, root)).to.equal(true);
+                }
+            }
+
+            const { root, leaves, tree } = buildPayrollTree(
+                safe.address,
+                [1, 2, 3].map((payoutNonce) => ({
+                    to: safe.address,
+                    tokenAddress,
+                    amount: 100,
+                    payoutNonce,
+                }))
+            );
+            const multiProof = getMultiProof(tree, leaves.slice(0, 2));
+            expect(
+                verifyMultiProof(
+                    { ...multiProof, leaves: [leaves[2], leaves[1]] },
+                    root
+                )
+            ).to.equal(false);
+            expect(() =>
+                getMultiProof(tree, [ethers.constants.HashZero])
+            ).to.throw(
+                `Leaf ${ethers.constants.HashZero} isn't part of the tree`
+            );
+        });
+
+        it("Should reject duplicate payout nonces", async function () {
+            const [safe, operator_1] = signers;
+            const payout = {
+                to: operator_1.address,
+                tokenAddress,
+                amount: 100,
+                payoutNonce: 1,
+            };
+
+            expect(() =>
+                buildPayrollTree(safe.address, [payout, payout])
+            ).to.throw("Duplicate payout nonce: 1");
+        });
+
+        it("Should prepare a payroll matching the on-chain view functions", async function () {
+            const [safe, operator_1, operator_2] = signers;
+
+            prepared = await preparePayroll(payroll, [
+                {
+                    to: operator_1.address,
+                    tokenAddress,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                {
+                    to: operator_2.address,
+                    tokenAddress,
+                    amount: 200,
+                    payoutNonce: 2,
+                },
+            ]);
+
+            expect(prepared.owner).to.equal(safe.address);
+            expect(prepared.digest).to.equal(
+                await payroll.generateTransactionHash(prepared.root)
+            );
+
+            await verifyPayroll(payroll, prepared);
+        });
+
+        it("Should verify stream leaves like encodeStreamTransactionData", async function () {
+            const [, operator_1, operator_2] = signers;
+            const stream = { start: 1000, cliff: 100, duration: 1000 };
+
+            const withStream = await preparePayroll(payroll, [
+                {
+                    to: operator_1.address,
+                    tokenAddress,
+                    amount: 100,
+                    payoutNonce: 1,
+                },
+                {
+                    to: operator_2.address,
+                    tokenAddress,
+                    amount: 1000,
+                    payoutNonce: 2,
+                    stream,
+                },
+            ]);
+            await verifyPayroll(payroll, withStream);
+            expect(withStream.leaves[1]).to.equal(
+                await payroll.encodeStreamTransactionData(
+                    operator_2.address,
+                    tokenAddress,
+                    1000,
+                    2,
+                    stream.start,
+                    stream.cliff,
+                    stream.duration
+                )
+            );
+
+            let error;
+            try {
+                await verifyPayroll(payroll, {
+                    ...withStream,
+                    leaves: [withStream.leaves[0], withStream.leaves[0]],
+                });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal("Leaf mismatch for stream nonce 2");
+        });
+
+        it("Should fail verification if a leaf was tampered with", async function () {
+            const tampered = {
+                ...prepared,
+                leaves: [prepared.leaves[1], prepared.leaves[0]],
+            };
+
+            let error;
+            try {
+                await verifyPayroll(payroll, tampered);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal("Leaf mismatch for payout nonce 1");
+        });
+
+        it("Should sign the root as an approver", async function () {
+            const [safe, operator_1] = signers;
+
+            const { approver, root, signature } = await signPayroll(
+                operator_1,
+                payroll,
+                prepared
+            );
+
+            expect(approver).to.equal(operator_1.address);
+            expect(root).to.equal(prepared.root);
+            expect(
+                recoverTypedDataSigner(prepared.typedData, signature)
+            ).to.equal(operator_1.address);
+
+            let error;
+            try {
+                await signPayroll(safe, payroll, prepared);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal(
+                `${safe.address} is not an approver`
+            );
+        });
+    });
+});
@@ -0,0 +1,196 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    DEFAULT_SALT,
+    MAX_CODE_SIZE,
+    PAYROLL_MODULES,
+    readManifest,
+    deployContract,
+} = require("../../scripts/deploy");
+const { getStorageLayout } = require("../../scripts/storage-layout");
+const { CREATE2_DEPLOYER, ALLOWANCE_MODULE } = require("../../utils/constant");
+
+const { ethers } = hre;
+
+describe("Deterministic Deployment", () => {
+    let dir;
+    let snapshot;
+
+    beforeEach(async function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "parcel-deploy-"));
+        snapshot = await takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * @dev Rewrite the manifest of the hardhat network
+     */
+    function updateManifest(update) {
+        const manifest = readManifest(dir, "hardhat");
+        update(manifest);
+        fs.writeFileSync(
+            path.join(dir, "hardhat.json"),
+            JSON.stringify(manifest)
+        );
+    }
+
+    it("Should deploy the stack in order at CREATE2 addresses and write the manifest", async function () {
+        const [deployer] = await ethers.getSigners();
+
+        const manifest = await hre.run("deploy-stack", { manifestDir: dir });
+        expect(readManifest(dir, "hardhat")).to.deep.equal(manifest);
+        expect(manifest.deployer).to.equal(CREATE2_DEPLOYER);
+        expect(manifest.salt).to.equal(DEFAULT_SALT);
+        expect(manifest.owner).to.equal(deployer.address);
+        expect(Object.keys(manifest.contracts)).to.deep.equal([
+            "AddressRegistry",
+            "SafeERC20Upgradeable",
+            ...[...PAYROLL_MODULES].reverse(),
+            "ParcelPayroll",
+            "ParcelPayrollFactory",
+        ]);
+
+        const { AddressRegistry, ParcelPayroll, ParcelPayrollFactory } =
+            manifest.contracts;
+        for (const { address, initCodeHash, codeHash } of Object.values(
+            manifest.contracts
+        )) {
+            expect(address).to.equal(
+                ethers.utils.getCreate2Address(
+                    CREATE2_DEPLOYER,
+                    DEFAULT_SALT,
+                    initCodeHash
+                )
+            );
+            expect(
+                ethers.utils.keccak256(await ethers.provider.getCode(address))
+            ).to.equal(codeHash);
+        }
+
+        // The deployer proxy isn't the owner of the contracts
+        const registry = await ethers.getContractAt(
+            "AddressRegistry",
+            AddressRegistry.address
+        );
+        expect(await registry.owner()).to.equal(deployer.address);
+        expect(await registry.isWhitelisted(ParcelPayroll.address)).to.equal(
+            true
+        );
+
+        const factory = await ethers.getContractAt(
+            "ParcelPayrollFactory",
+            ParcelPayrollFactory.address
+        );
+        expect(await factory.owner()).to.equal(deployer.address);
+        expect(await factory.logic()).to.equal(ParcelPayroll.address);
+        expect(await factory.addressRegistry()).to.equal(
+            AddressRegistry.address
+        );
+        expect(await factory.defaultAllowanceModule()).to.equal(
+            ALLOWANCE_MODULE
+        );
+    });
+
+    it("Should keep the payroll implementation and its modules under the EIP-170 code size limit", async function () {
+        for (const name of ["ParcelPayroll", ...PAYROLL_MODULES]) {
+            const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+            expect(
+                ethers.utils.hexDataLength(deployedBytecode),
+                `${name} code size`
+            ).to.be.at.most(MAX_CODE_SIZE);
+        }
+
+        // A larger contract isn't sent to the deployment proxy
+        const [deployer] = await ethers.getSigners();
+        const { artifacts } = hre;
+        const { readArtifact } = artifacts;
+        artifacts.readArtifact = async (name) => ({
+            ...(await readArtifact.call(artifacts, name)),
+            deployedBytecode: ethers.utils.hexlify(
+                new Uint8Array(MAX_CODE_SIZE + 1)
+            ),
+        });
+        try {
+            await expect(
+                deployContract(hre, deployer, DEFAULT_SALT, "AddressRegistry", [
+                    deployer.address,
+                ])
+            ).to.be.rejectedWith(
+                `AddressRegistry is ${
+                    MAX_CODE_SIZE + 1
+                } bytes, over the ${MAX_CODE_SIZE} bytes limit of EIP-170`
+            );
+        } finally {
+            artifacts.readArtifact = readArtifact;
+        }
+    });
+
+    it("Should give the modules the storage layout of the payroll implementation", async function () {
+        const layout = await getStorageLayout(hre, "ParcelPayroll");
+        for (const name of PAYROLL_MODULES)
+            expect(await getStorageLayout(hre, name), name).to.deep.equal(
+                layout
+            );
+    });
+
+    it("Should verify an existing deployment against the manifest when re-run", async function () {
+        const manifest = await hre.run("deploy-stack", { manifestDir: dir });
+        const blockNumber = await ethers.provider.getBlockNumber();
+
+        expect(
+            await hre.run("deploy-stack", { manifestDir: dir })
+        ).to.deep.equal(manifest);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+        updateManifest(({ contracts }) => {
+            contracts.ParcelPayroll.codeHash = ethers.constants.HashZero;
+        });
+        await expect(
+            hre.run("deploy-stack", { manifestDir: dir })
+        ).to.be.rejectedWith(
+            `The code of ParcelPayroll at ${manifest.contracts.ParcelPayroll.address} doesn't match the manifest`
+        );
+
+        updateManifest(({ contracts }) => {
+            contracts.ParcelPayroll.codeHash =
+                manifest.contracts.ParcelPayroll.codeHash;
+            contracts.ParcelPayrollFactory.address =
+                ethers.constants.AddressZero;
+        });
+        await expect(
+            hre.run("deploy-stack", { manifestDir: dir })
+        ).to.be.rejectedWith("its init code changed");
+    });
+
+    it("Should deploy to other addresses with another salt or owner", async function () {
+        const [deployer, owner] = await ethers.getSigners();
+        const manifest = await hre.run("deploy-stack", { manifestDir: dir });
+
+        const salted = await hre.run("deploy-stack", {
+            manifestDir: dir,
+            salt: ethers.utils.id("parcel-payroll-2"),
+        });
+        for (const name of Object.keys(manifest.contracts)) {
+            expect(salted.contracts[name].address).to.not.equal(
+                manifest.contracts[name].address
+            );
+        }
+
+        // The owner has to whitelist the singleton before the factory is deployed
+        await expect(
+            hre.run("deploy-stack", {
+                manifestDir: dir,
+                owner: owner.address,
+                signer: deployer.address,
+            })
+        ).to.be.rejectedWith(`has to be whitelisted by the registry owner`);
+    });
+});
@@ -0,0 +1,357 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployAllowanceModule,
+    deployPayrollFixture,
+    getPayrollAt,
+    deployPayrollImplementation,
+} = require("../fixtures");
+
+const { ethers } = hre;
+
+describe("Hardhat Tasks", () => {
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "parcel-tasks-"));
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * @dev Execute the transactions of a Safe Transaction Builder batch from the mock safe
+     */
+    async function execSafeBatch(safe, batch) {
+        for (const { to, value, data } of batch.transactions) {
+            await safe.execTransaction(to, value, data);
+        }
+    }
+
+    /**
+     * @dev Write a file of the temporary directory
+     * @return Path of the file
+     */
+    function writeFile(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    it("Should deploy the stack and output the onboarding Safe transaction", async function () {
+        const [safeOwner, ...signers] = await ethers.getSigners();
+        const approvers = signers.slice(0, 3).map(({ address }) => address);
+
+        const { contracts } = await hre.run("deploy-stack", {
+            manifestDir: dir,
+        });
+        const factoryAddress = contracts.ParcelPayrollFactory.address;
+
+        const MockSafe = await ethers.getContractFactory("MockSafe");
+        const safe = await MockSafe.deploy(safeOwner.address);
+        const allowanceModule = await deployAllowanceModule();
+
+        const batch = await hre.run("onboard", {
+            factory: factoryAddress,
+            safe: safe.address,
+            approvers: approvers.join(","),
+            threshold: 2,
+            allowanceModule: allowanceModule.address,
+            out: path.join(dir, "onboard.json"),
+        });
+        expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+        expect(batch.transactions).to.have.lengthOf(1);
+        expect(batch.transactions[0].to).to.equal(factoryAddress);
+
+        await execSafeBatch(safe, batch);
+        const factory = await ethers.getContractAt(
+            "ParcelPayrollFactory",
+            factoryAddress
+        );
+        expect(await factory.parcelAddress(safe.address)).to.equal(
+            batch.predictedAddress
+        );
+
+        const payroll = await getPayrollAt(batch.predictedAddress);
+        expect(await payroll.getApprovers()).to.deep.equal(approvers);
+    });
+
+    it("Should sign roots and execute a payroll from a CSV file", async function () {
+        const { payroll, token, approvers, signers } = await loadFixture(
+            deployPayrollFixture
+        );
+        const payouts = writeFile(
+            "payouts.csv",
+            [
+                "to,tokenAddress,amount,payoutNonce",
+                `${signers[5].address},${token.address},10,1`,
+                `${signers[6].address},${ethers.constants.AddressZero},20,2`,
+            ].join("\n")
+        );
+
+        const files = [];
+        for (const approver of approvers.slice(0, 2)) {
+            const file = path.join(dir, `approval-${approver.address}.json`);
+            const approval = await hre.run("sign-root", {
+                payroll: payroll.address,
+                payouts,
+                signer: approver.address,
+                out: file,
+            });
+            expect(approval.approver).to.equal(approver.address);
+            files.push(file);
+        }
+
+        const dryRun = await hre.run("execute-payroll", {
+            payroll: payroll.address,
+            payouts,
+            approvals: files.join(","),
+            dryRun: true,
+        });
+        expect(dryRun.report.simulation.success).to.equal(true);
+        expect(await payroll.getPayoutNonce(1)).to.equal(false);
+
+        const { statuses } = await hre.run("execute-payroll", {
+            payroll: payroll.address,
+            payouts,
+            approvals: files.join(","),
+            signer: signers[7].address,
+        });
+        expect(statuses.map(({ status }) => status)).to.deep.equal([
+            "paid",
+            "paid",
+        ]);
+        expect(await token.balanceOf(signers[5].address)).to.equal(10);
+
+        // The same batch can't be executed twice
+        await expect(
+            hre.run("execute-payroll", {
+                payroll: payroll.address,
+                payouts,
+                approvals: files.join(","),
+            })
+        ).to.be.rejectedWith("PayoutNonceAlreadyExecuted");
+    });
+
+    it("Should output the offboarding Safe transactions of a payroll", async function () {
+        const { factory, safe, payroll } = await loadFixture(
+            deployPayrollFixture
+        );
+
+        const batch = await hre.run("offboard", {
+            factory: factory.address,
+            safe: safe.address,
+            out: path.join(dir, "offboard.json"),
+        });
+        expect(batch.proxy).to.equal(payroll.address);
+        expect(batch.transactions.map(({ to }) => to)).to.deep.equal([
+            payroll.address,
+            factory.address,
+        ]);
+        await execSafeBatch(safe, batch);
+
+        expect(await payroll.paused()).to.equal(true);
+        expect(await payroll.retiredAt()).to.not.equal(0);
+        expect((await factory.getOrg(payroll.address)).retired).to.equal(true);
+        await expect(
+            hre.run("offboard", {
+                factory: factory.address,
+                safe: safe.address,
+            })
+        ).to.be.rejectedWith("has no active payroll");
+    });
+
+    it("Should list approvers and output the approver rotation Safe transaction", async function () {
+        const { payroll, safe, approvers, signers } = await loadFixture(
+            deployPayrollFixture
+        );
+
+        await expect(
+            hre.run("rotate-approver", {
+                payroll: payroll.address,
+                action: "remove",
+                approver: approvers[1].address,
+            })
+        ).to.be.rejectedWith("--threshold is required to remove");
+
+        const batch = await hre.run("rotate-approver", {
+            payroll: payroll.address,
+            action: "swap",
+            approver: approvers[1].address,
+            newApprover: signers[5].address,
+            out: path.join(dir, "rotate.json"),
+        });
+        expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+        await execSafeBatch(safe, batch);
+
+        const summary = await hre.run("list-approvers", {
+            payroll: payroll.address,
+        });
+        expect(summary.safe).to.equal(safe.address);
+        expect(summary.threshold).to.equal(2);
+        expect(summary.approvers).to.deep.equal([
+            approvers[0].address,
+            signers[5].address,
+            approvers[2].address,
+        ]);
+    });
+
+    it("Should invalidate nonces and sweep through the Safe or the approvers", async function () {
+        const { payroll, safe, token, approvers, signers } = await loadFixture(
+            deployPayrollFixture
+        );
+
+        await execSafeBatch(
+            safe,
+            await hre.run("invalidate-nonces", {
+                payroll: payroll.address,
+                nonces: "1,2",
+                out: path.join(dir, "cancel.json"),
+            })
+        );
+        expect(await payroll.getPayoutNonce(2)).to.equal(true);
+
+        // A cancelation signed by an approver can be submitted by anyone
+        const file = path.join(dir, "cancel-approval.json");
+        await hre.run("invalidate-nonces", {
+            payroll: payroll.address,
+            fromNonce: "10",
+            toNonce: "12",
+            signer: approvers[0].address,
+            sign: true,
+            out: file,
+        });
+        await hre.run("invalidate-nonces", {
+            payroll: payroll.address,
+            approvals: file,
+            signer: signers[7].address,
+        });
+        expect(await payroll.getPayoutNonce(11)).to.equal(true);
+
+        await token.mint(payroll.address, 30);
+        await hre.run("sweep", {
+            payroll: payroll.address,
+            tokens: token.address,
+        });
+        expect(await token.balanceOf(payroll.address)).to.equal(0);
+
+        await token.mint(payroll.address, 30);
+        await execSafeBatch(
+            safe,
+            await hre.run("sweep", {
+                payroll: payroll.address,
+                tokens: token.address,
+                amounts: "20",
+                to: signers[5].address,
+                out: path.join(dir, "sweep.json"),
+            })
+        );
+        expect(await token.balanceOf(signers[5].address)).to.equal(20);
+    });
+
+    it("Should report the orgs behind the factory implementation and write their upgrade batches", async function () {
+        const { factory, addressRegistry, safe, payroll } = await loadFixture(
+            deployPayrollFixture
+        );
+        const newSingleton = await deployPayrollImplementation();
+        await factory.setNewImplementationAddress(newSingleton.address);
+
+        await expect(
+            hre.run("list-orgs", { factory: factory.address })
+        ).to.be.rejectedWith("isn't whitelisted in the AddressRegistry");
+        await addressRegistry.setImplementationWhitelist(
+            newSingleton.address,
+            true
+        );
+
+        const report = await hre.run("list-orgs", {
+            factory: factory.address,
+        });
+        expect(report.version).to.equal(2);
+        expect(report.behind.map(({ proxy }) => proxy)).to.deep.equal([
+            payroll.address,
+        ]);
+
+        const outDir = path.join(dir, "migration");
+        const { batches } = await hre.run("migrate-orgs", {
+            factory: factory.address,
+            outDir,
+        });
+        expect(batches.map(({ out }) => out)).to.deep.equal([
+            path.join(outDir, `${safe.address}.json`),
+        ]);
+        await execSafeBatch(
+            safe,
+            JSON.parse(fs.readFileSync(batches[0].out, "utf8"))
+        );
+
+        const { upToDate, behind } = await hre.run("list-orgs", {
+            factory: factory.address,
+        });
+        expect(behind).to.deep.equal([]);
+        expect(upToDate).to.deep.equal([
+            {
+                safeAddress: safe.address,
+                name: ethers.constants.HashZero,
+                proxy: payroll.address,
+                implementation: newSingleton.address,
+                version: 2,
+                retired: false,
+            },
+        ]);
+    });
+
+    it("Should write the batch registering the orgs of the legacy factory", async function () {
+        const { factory, singleton, addressRegistry, safe, payroll } =
+            await loadFixture(deployPayrollFixture);
+        const [, operator_1, , , other] = await ethers.getSigners();
+
+        // The factory owner is a safe
+        await factory.transferOwnership(safe.address);
+        await safe.execTransaction(
+            factory.address,
+            0,
+            factory.interface.encodeFunctionData("acceptOwnership")
+        );
+
+        const MockLegacyPayrollFactory = await ethers.getContractFactory(
+            "MockLegacyPayrollFactory"
+        );
+        const legacyFactory = await MockLegacyPayrollFactory.deploy(
+            singleton.address,
+            addressRegistry.address
+        );
+        await legacyFactory
+            .connect(other)
+            .onboard(
+                ethers.utils.formatBytes32String("legacy"),
+                [operator_1.address],
+                1,
+                await payroll.allowanceModule()
+            );
+
+        const out = path.join(dir, "registration.json");
+        const { missing } = await hre.run("register-orgs", {
+            factory: factory.address,
+            legacyFactory: legacyFactory.address,
+            out,
+        });
+        expect(missing.map(({ safeAddress }) => safeAddress)).to.deep.equal([
+            other.address,
+        ]);
+        await execSafeBatch(safe, JSON.parse(fs.readFileSync(out, "utf8")));
+
+        const { upToDate } = await hre.run("list-orgs", {
+            factory: factory.address,
+        });
+        expect(upToDate.map(({ proxy }) => proxy)).to.deep.equal([
+            payroll.address,
+            await legacyFactory.parcelAddress(other.address),
+        ]);
+    });
+});
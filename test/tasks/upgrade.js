@@ -0,0 +1,228 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+    loadFixture,
+    takeSnapshot,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPayrollFixture, execSafeTransaction } = require("../fixtures");
+const { readManifest } = require("../../scripts/deploy");
+const { checkUpgrade } = require("../../scripts/upgrade");
+const {
+    getStorageLayout,
+    compareStorageLayouts,
+} = require("../../scripts/storage-layout");
+
+const { ethers } = hre;
+
+const IMPLEMENTATION_SLOT =
+    "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+describe("Upgrade Safety", () => {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "parcel-upgrade-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * @dev Build a normalized variable of a storage layout
+     */
+    function variable(label, slot, typeLabel = "uint256", numberOfBytes = 32) {
+        return {
+            label,
+            slot,
+            offset: 0,
+            type: { label: typeLabel, encoding: "inplace", numberOfBytes },
+        };
+    }
+
+    it("Should accept appended variables and flag shifted or deleted ones", async function () {
+        const layout = await getStorageLayout(hre, "ParcelPayroll");
+        const appended = await getStorageLayout(hre, "MockParcelPayrollV2");
+        const shifted = await getStorageLayout(hre, "MockShiftedParcelPayroll");
+
+        expect(compareStorageLayouts(layout, appended)).to.deep.equal({
+            safe: true,
+            issues: [],
+        });
+
+        const shift = compareStorageLayouts(layout, shifted);
+        expect(shift.safe).to.equal(false);
+        expect(
+            shift.issues.find(({ label }) => label === "approvers")
+        ).to.deep.include({ severity: "error", kind: "moved" });
+        expect(
+            shift.issues.find(({ label }) => label === "shiftedSlot")
+        ).to.deep.include({ severity: "error", kind: "inserted" });
+
+        const removed = compareStorageLayouts(appended, layout);
+        expect(removed.issues).to.deep.equal([
+            {
+                severity: "error",
+                kind: "deleted",
+                label: "upgradeCount",
+                message: `upgradeCount is deleted from slot ${
+                    appended[appended.length - 1].slot
+                }:0`,
+            },
+        ]);
+    });
+
+    it("Should allow variables in storage gaps and warn about renamed ones", function () {
+        const previous = [
+            variable("owner", 0, "address", 20),
+            variable("count", 1),
+            variable("__gap", 2, "uint256[2]", 64),
+            variable("last", 4),
+        ];
+
+        const next = compareStorageLayouts(previous, [
+            variable("owner", 0, "address", 20),
+            variable("total", 1),
+            variable("added", 2),
+            variable("__gap", 3, "uint256[1]", 32),
+            variable("last", 4),
+            variable("appended", 5),
+        ]);
+        expect(next.safe).to.equal(true);
+        expect(next.issues).to.deep.equal([
+            {
+                severity: "warning",
+                kind: "renamed",
+                label: "count",
+                message: "count is renamed to total at slot 1",
+            },
+        ]);
+
+        const unsafe = compareStorageLayouts(previous, [
+            variable("owner", 0, "uint160", 20),
+            variable("count", 1, "uint128", 16),
+            variable("__gap", 2, "uint256[2]", 64),
+            variable("inserted", 4),
+            variable("last", 5),
+        ]);
+        expect(unsafe.issues.map(({ kind }) => kind)).to.deep.equal([
+            "typeChanged",
+            "typeChanged",
+            "moved",
+            "inserted",
+        ]);
+    });
+
+    it("Should simulate the upgrade of an org proxy and check its state", async function () {
+        const { payroll, safe, addressRegistry, singleton } = await loadFixture(
+            deployPayrollFixture
+        );
+        await execSafeTransaction(safe, payroll, "invalidateNonces", [
+            [1, 2],
+            [],
+        ]);
+        const options = {
+            reference: "ParcelPayroll",
+            proxy: payroll.address,
+            registry: addressRegistry.address,
+            nonces: [1, 2, 3],
+        };
+
+        const check = await checkUpgrade(hre, {
+            ...options,
+            implementation: "MockParcelPayrollV2",
+        });
+        expect(check.safe).to.equal(true);
+        expect(check.simulation.errors).to.deep.equal([]);
+        expect(check.simulation.checked).to.include.members([
+            "owner",
+            "getApprovers",
+            "generateTransactionHash",
+            "getPayoutNonce(2)",
+        ]);
+
+        // The upgrade is reverted after the simulation
+        const implementation = await ethers.provider.getStorageAt(
+            payroll.address,
+            IMPLEMENTATION_SLOT
+        );
+        expect(ethers.utils.hexDataSlice(implementation, 12)).to.equal(
+            singleton.address.toLowerCase()
+        );
+        expect(
+            await addressRegistry.isWhitelisted(check.simulation.implementation)
+        ).to.equal(false);
+
+        const shifted = await checkUpgrade(hre, {
+            ...options,
+            implementation: "MockShiftedParcelPayroll",
+        });
+        expect(shifted.safe).to.equal(false);
+        expect(shifted.simulation.success).to.equal(false);
+        expect(shifted.simulation.errors.join("\n")).to.include(
+            "owner returns"
+        );
+    });
+
+    it("Should refuse to whitelist an unsafe implementation and record the whitelisted ones", async function () {
+        // The stack is deployed outside of a fixture
+        const snapshot = await takeSnapshot();
+        try {
+            const { contracts } = await hre.run("deploy-stack", {
+                manifestDir: dir,
+            });
+            expect(contracts.ParcelPayroll.storageLayout).to.deep.equal(
+                await getStorageLayout(hre, "ParcelPayroll")
+            );
+            const registry = await ethers.getContractAt(
+                "AddressRegistry",
+                contracts.AddressRegistry.address
+            );
+
+            await expect(
+                hre.run("whitelist-implementation", {
+                    implementation: "MockShiftedParcelPayroll",
+                    manifestDir: dir,
+                })
+            ).to.be.rejectedWith(
+                "Refusing to whitelist MockShiftedParcelPayroll"
+            );
+            expect(readManifest(dir, "hardhat").implementations).to.deep.equal(
+                []
+            );
+
+            const { implementation } = await hre.run(
+                "whitelist-implementation",
+                {
+                    implementation: "MockParcelPayrollV2",
+                    manifestDir: dir,
+                }
+            );
+            expect(
+                await registry.isWhitelisted(implementation.address)
+            ).to.equal(true);
+            expect(readManifest(dir, "hardhat").implementations).to.deep.equal([
+                implementation,
+            ]);
+
+            // The last whitelisted implementation is the reference of the next upgrade
+            await expect(
+                hre.run("check-upgrade", {
+                    implementation: "ParcelPayroll",
+                    manifestDir: dir,
+                })
+            ).to.be.rejectedWith("ParcelPayroll isn't upgrade safe");
+
+            // Re-deploying the stack keeps the whitelisted implementations
+            const manifest = await hre.run("deploy-stack", {
+                manifestDir: dir,
+            });
+            expect(manifest.implementations).to.deep.equal([implementation]);
+        } finally {
+            await snapshot.restore();
+        }
+    });
+});
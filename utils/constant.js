@@ -1,3 +1,57 @@
+// Safe AllowanceModule v0.1.0
+const ALLOWANCE_MODULE = "0xCFbFaC74C26F8647cBDb8c5caf80BB5b32E43134";
+
+// Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy)
+// Deployed at the same address on most chains, contracts deployed through it with the same salt get the same address everywhere
+const CREATE2_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+// Runtime code of the deployment proxy, set on the local Hardhat network where it isn't deployed
+const CREATE2_DEPLOYER_CODE =
+    "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+// Per-network configuration, keyed by chain id
+// A network has to be listed here before the payroll can be deployed / onboarded on it
+const NETWORKS = {
+    1: {
+        name: "mainnet",
+        allowanceModule: ALLOWANCE_MODULE,
+    },
+    5: {
+        name: "goerli",
+        allowanceModule: ALLOWANCE_MODULE,
+    },
+    // Hardhat network, the module is only available when forking one of the networks above
+    31337: {
+        name: "hardhat",
+        allowanceModule: ALLOWANCE_MODULE,
+    },
+};
+
+/**
+ * @dev Get the configuration of a network
+ * @param chainId - Chain id of the network
+ * @return { name, allowanceModule }
+ */
+function getNetworkConfig(chainId) {
+    const config = NETWORKS[Number(chainId)];
+    if (!config) throw new Error(`Network ${chainId} is not configured`);
+    return config;
+}
+
+/**
+ * @dev Get the address of the Safe AllowanceModule of a network
+ * @param chainId - Chain id of the network
+ * @return address
+ */
+function getAllowanceModule(chainId) {
+    return getNetworkConfig(chainId).allowanceModule;
+}
+
 module.exports = {
-  ALLOWANCE_MODULE: "0xCFbFaC74C26F8647cBDb8c5caf80BB5b32E43134",
+    ALLOWANCE_MODULE,
+    CREATE2_DEPLOYER,
+    CREATE2_DEPLOYER_CODE,
+    NETWORKS,
+    getNetworkConfig,
+    getAllowanceModule,
 };